@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Auto-Updater
+ *
+ * Checks the Push Chain website repository for documentation changes and
+ * regenerates data/docs_cache.json only when commits touched docs/chain.
+ * Uses the same commit SHA tracking and metadata format as sdk-updater.js.
+ *
+ * Progress is logged to stderr so the check can run inside the stdio server
+ * without writing to the protocol stream.
+ */
+
+import "dotenv/config";
+import { spawn } from "child_process";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { GITHUB_CONFIG } from "./utils/constants.js";
+import {
+  resolveUpdateInterval,
+  loadUpdateMetadata,
+  saveUpdateMetadata,
+  fetchLatestCommit,
+  pathsModifiedSince
+} from "./utils/github-updates.js";
+import { verifyDataGroup } from "./utils/data-integrity.js";
+import { restoreLastGoodData } from "./utils/sdk-snapshots.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configuration
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN || "";
+const GITHUB_REPO = `${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}`;
+const GITHUB_BRANCH = GITHUB_CONFIG.branch;
+const DOCS_PATHS = [`${GITHUB_CONFIG.basePath}/`];
+const UPDATE_METADATA_FILE = resolve(__dirname, ".docs-update-metadata.json");
+const DATA_DIR = resolve(__dirname, "data");
+const USER_AGENT = "Push-Chain-MCP-Docs-Updater";
+
+const UPDATE_INTERVAL = resolveUpdateInterval(process.env.DOCS_UPDATE_INTERVAL);
+
+/**
+ * Regenerate the docs cache incrementally (only changed pages are downloaded)
+ * The generator's output is forwarded to stderr
+ */
+function updateDocsData() {
+  const generator = resolve(__dirname, "generate-docs-data.js");
+
+  return new Promise(resolvePromise => {
+    const child = spawn(process.execPath, [generator], {
+      cwd: __dirname,
+      stdio: ["ignore", "pipe", "inherit"]
+    });
+    child.stdout.on("data", chunk => process.stderr.write(chunk));
+    child.on("error", error => {
+      console.error("❌ Error updating documentation data:", error.message);
+      resolvePromise(false);
+    });
+    child.on("close", code => resolvePromise(code === 0));
+  });
+}
+
+/**
+ * Verifies the regenerated docs cache, restoring the last known-good copy if it fails
+ *
+ * @returns {boolean} True if the new cache is valid
+ */
+function verifyDocsData() {
+  try {
+    verifyDataGroup(DATA_DIR, "docs");
+    return true;
+  } catch (error) {
+    console.error(`\n❌ Regenerated documentation failed validation: ${error.message}`);
+    const restored = restoreLastGoodData(DATA_DIR, "docs");
+    console.error(restored
+      ? "   Restored the last known-good documentation cache"
+      : "   No known-good documentation cache to restore");
+    return false;
+  }
+}
+
+/**
+ * Check for documentation updates and regenerate the cache if needed
+ *
+ * @param {boolean} forceUpdate - Ignore the check interval and regenerate
+ * @returns {Promise<boolean>} True if the docs cache was regenerated
+ */
+async function checkAndUpdateDocs(forceUpdate = false) {
+  console.error("🔍 Push Chain Docs Update Check");
+  console.error("================================\n");
+
+  if (!GITHUB_TOKEN) {
+    console.error("⚠️  GITHUB_TOKEN not set, skipping documentation update check");
+    return false;
+  }
+
+  const metadata = loadUpdateMetadata(UPDATE_METADATA_FILE, UPDATE_INTERVAL);
+  const now = Date.now();
+
+  // Check if enough time has passed since last check
+  if (!forceUpdate && metadata.lastCheck) {
+    const timeSinceLastCheck = now - metadata.lastCheck;
+    if (timeSinceLastCheck < UPDATE_INTERVAL) {
+      const nextCheck = new Date(metadata.lastCheck + UPDATE_INTERVAL);
+      console.error(`✓ Docs checked recently. Next check scheduled for: ${nextCheck.toLocaleString()}`);
+      return false;
+    }
+  }
+
+  try {
+    console.error("📡 Fetching latest docs commit info from GitHub...");
+    const latestCommit = await fetchLatestCommit(GITHUB_REPO, GITHUB_BRANCH, USER_AGENT);
+
+    console.error(`✓ Latest commit: ${latestCommit.sha.substring(0, 7)}`);
+    console.error(`  Date: ${new Date(latestCommit.date).toLocaleString()}`);
+
+    metadata.lastCheck = now;
+
+    if (!forceUpdate && latestCommit.sha === metadata.lastCommitSha) {
+      console.error("\n✓ Documentation is up to date (no new commits)");
+      saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
+      return false;
+    }
+
+    // Only commits touching docs/chain matter
+    if (!forceUpdate) {
+      const docsModified = await pathsModifiedSince(GITHUB_REPO, GITHUB_BRANCH, metadata.lastCommitSha, DOCS_PATHS, USER_AGENT);
+
+      if (!docsModified) {
+        console.error(`✓ ${GITHUB_CONFIG.basePath} unchanged (no update needed)`);
+        metadata.lastCommitSha = latestCommit.sha;
+        saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
+        return false;
+      }
+
+      console.error(`⚠️  ${GITHUB_CONFIG.basePath} modified - update required`);
+    }
+
+    console.error(forceUpdate ? "\n🔄 Force updating documentation..." : "\n🔄 Updating documentation...");
+    // Verified even after a failed run, which may have stopped partway through writing
+    const generated = await updateDocsData();
+    const success = verifyDocsData() && generated;
+
+    if (success) {
+      metadata.lastUpdate = now;
+      metadata.lastCommitSha = latestCommit.sha;
+      saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
+
+      console.error("\n✅ Documentation update complete!");
+      console.error(`   Last commit: ${latestCommit.sha.substring(0, 7)}`);
+      console.error(`   Next check: ${new Date(now + UPDATE_INTERVAL).toLocaleString()}`);
+    } else {
+      saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
+      console.error("\n❌ Documentation update failed. Will retry on next check.");
+    }
+    return success;
+
+  } catch (error) {
+    console.error("\n❌ Docs update check failed:", error.message);
+
+    if (error.message.includes("rate limit")) {
+      console.error("\n💡 Tip: Set GITHUB_TOKEN in .env for higher rate limits (5000/hour)");
+    }
+
+    saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
+    return false;
+  }
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const forceUpdate = args.includes("--force") || args.includes("-f");
+  const showHelp = args.includes("--help") || args.includes("-h");
+
+  if (showHelp) {
+    console.log(`
+Push Chain Docs Auto-Updater
+
+Usage:
+  node docs-updater.js [options]
+
+Options:
+  --force, -f     Force update regardless of last check time
+  --help, -h      Show this help message
+
+Environment Variables:
+  GITHUB_TOKEN              GitHub personal access token (required to fetch docs)
+  DOCS_UPDATE_INTERVAL      Update check interval: aggressive|moderate|conservative|weekly
+                            Default: conservative (24 hours)
+
+Examples:
+  node docs-updater.js                    # Check for updates (respects interval)
+  node docs-updater.js --force            # Force update immediately
+`);
+    process.exit(0);
+  }
+
+  console.error(`Update interval: ${process.env.DOCS_UPDATE_INTERVAL || "conservative"} (${UPDATE_INTERVAL / 1000 / 60 / 60} hours)\n`);
+
+  await checkAndUpdateDocs(forceUpdate);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
+
+export { checkAndUpdateDocs, updateDocsData };
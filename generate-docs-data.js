@@ -3,21 +3,47 @@
 /**
  * Documentation Data Generator
  *
- * Fetches all Push Chain documentation from GitHub and caches it locally.
+ * Fetches Push Chain documentation from GitHub and caches it locally.
  * Similar to generate-sdk-data.js but for documentation files.
+ *
+ * Runs incrementally: the repository tree is compared against the blob SHAs
+ * stored in docs_cache.json, so only added and modified pages are downloaded
+ * and deleted pages are dropped. A summary of the changes is written to
+ * data/docs_changes.json.
+ *
+ * Pages are parsed as MDX (see utils/mdx-parser.js): imports and <head>
+ * blocks are dropped from the stored content, and each code snippet records
+ * its language, live flag, title, enclosing tabs, collapsible and section.
+ * Whenever the cache changes, data/docs_sdk_links.json (the SDK exports each
+ * section mentions) is rebuilt against the current SDK data.
+ *
+ * Usage:
+ *   node generate-docs-data.js             # incremental update
+ *   node generate-docs-data.js --full      # re-download every page
+ *   node generate-docs-data.js --reparse   # re-parse the cached pages offline
  */
 
 import "dotenv/config";
-import { writeFileSync } from "fs";
+import { existsSync, readFileSync, writeFileSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
 import fetch from "node-fetch";
 import { GITHUB_CONFIG } from "./utils/constants.js";
+import { parseDocumentation } from "./utils/mdx-parser.js";
+import { diffDocTree, summarizeDocChanges, DOCS_CHANGES_FILE } from "./utils/docs-sync.js";
+import { writeDataFiles } from "./utils/data-integrity.js";
+import { saveDocsSnapshot } from "./utils/sdk-snapshots.js";
+import { DOCS_SDK_LINKS_FILE, writeDocsSdkLinks } from "./utils/docs-sdk-links.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || "";
+const FULL_REFRESH = process.argv.includes("--full");
+const REPARSE = process.argv.includes("--reparse");
+const DATA_DIR = resolve(__dirname, "data");
+const CACHE_PATH = resolve(DATA_DIR, "docs_cache.json");
+const CHANGES_PATH = resolve(DATA_DIR, DOCS_CHANGES_FILE);
 
 function shouldIncludeFile(filename) {
   if (filename.endsWith(".mdx.deprecated")) return false;
@@ -77,6 +103,103 @@ async function fetchAllMdxFiles(path = GITHUB_CONFIG.basePath) {
   return files;
 }
 
+/**
+ * Lists documentation files with their blob SHAs from the repository tree
+ * (one request). Falls back to walking the contents API when GitHub
+ * truncates the tree.
+ */
+async function fetchDocTree() {
+  const { apiBase, rawBase, owner, repo, branch, basePath } = GITHUB_CONFIG;
+  const url = `${apiBase}/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=1`;
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': 'Push-Chain-MCP-Server'
+  };
+
+  if (GITHUB_TOKEN) {
+    const authScheme = GITHUB_TOKEN.startsWith('github_pat_') ? 'Bearer' : 'token';
+    headers['Authorization'] = `${authScheme} ${GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  const tree = await response.json();
+  if (tree.truncated) {
+    console.log("   ⚠️  Repository tree truncated by GitHub, listing directories instead");
+    return fetchAllMdxFiles();
+  }
+
+  return tree.tree
+    .filter(item => item.type === "blob" && item.path.startsWith(`${basePath}/`))
+    .filter(item => shouldIncludeFile(item.path.split("/").pop()))
+    .map(item => ({
+      name: item.path.split("/").pop(),
+      path: item.path,
+      downloadUrl: `${rawBase}/${owner}/${repo}/${branch}/${item.path}`,
+      htmlUrl: `https://github.com/${owner}/${repo}/blob/${branch}/${item.path}`,
+      sha: item.sha
+    }));
+}
+
+/**
+ * Loads the existing docs cache, or null if there is none
+ */
+function loadCachedDocs() {
+  if (!existsSync(CACHE_PATH)) return null;
+  try {
+    return JSON.parse(readFileSync(CACHE_PATH, "utf-8"));
+  } catch (error) {
+    console.log(`   ⚠️  Ignoring unreadable cache: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parses a cached page again from its stored content (undefined passes through)
+ */
+function reparseDoc(doc) {
+  return doc && { ...doc, ...parseDocumentation(doc.content, doc.path) };
+}
+
+/**
+ * Rebuilds the index of SDK exports mentioned by each doc section after the
+ * docs cache changed; a failure leaves the docs cache in place
+ */
+function updateDocsSdkLinks() {
+  try {
+    const count = writeDocsSdkLinks(DATA_DIR);
+    if (count === null) console.log("   - No SDK data, docs-to-SDK links not built");
+    else console.log(`   ✓ Docs-to-SDK links: ${count} (${DOCS_SDK_LINKS_FILE})`);
+  } catch (error) {
+    console.warn(`   ⚠️  Docs-to-SDK links not rebuilt: ${error.message}`);
+  }
+}
+
+/**
+ * Re-parses every cached page without contacting GitHub, e.g. after the MDX
+ * parser changes
+ */
+function reparseCachedDocs() {
+  const previous = loadCachedDocs();
+  if (!previous) {
+    console.error(`❌ Error: no documentation cache at ${CACHE_PATH}`);
+    process.exit(1);
+  }
+
+  console.log(`🔄 Re-parsing ${previous.docs.length} cached documentation pages...`);
+  const docs = previous.docs.map(reparseDoc);
+
+  if (saveDocsSnapshot(DATA_DIR)) console.log("   ✓ Previous cache kept as known-good snapshot");
+  writeDataFiles(DATA_DIR, { "docs_cache.json": { ...previous, docs } });
+  console.log(`   ✓ Saved to: ${CACHE_PATH}`);
+  updateDocsSdkLinks();
+  console.log(`   - Total code snippets: ${docs.reduce((sum, doc) => sum + doc.codeSnippets.length, 0)}`);
+  console.log("\n✅ Documentation cache re-parsed!\n");
+}
+
 async function fetchFileContent(downloadUrl) {
   try {
     const headers = {
@@ -99,65 +222,15 @@ async function fetchFileContent(downloadUrl) {
   }
 }
 
-function parseDocumentation(content, path) {
-  const lines = content.split('\n');
-  const metadata = {};
-  let description = '';
-  let codeSnippets = [];
-  let inCodeBlock = false;
-  let currentCodeBlock = { language: '', code: '' };
-
-  // Extract frontmatter if exists
-  if (lines[0]?.trim() === '---') {
-    let i = 1;
-    while (i < lines.length && lines[i].trim() !== '---') {
-      const line = lines[i];
-      const match = line.match(/^(\w+):\s*(.+)$/);
-      if (match) {
-        metadata[match[1]] = match[2].replace(/^["']|["']$/g, '');
-      }
-      i++;
-    }
-  }
-
-  // Extract first paragraph as description
-  for (const line of lines) {
-    if (line.trim() && !line.startsWith('#') && !line.startsWith('---') && !line.startsWith('import')) {
-      description = line.trim();
-      break;
-    }
-  }
-
-  // Extract code snippets
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        currentCodeBlock.language = line.slice(3).trim() || 'text';
-        currentCodeBlock.code = '';
-      } else {
-        inCodeBlock = false;
-        codeSnippets.push({ ...currentCodeBlock });
-        currentCodeBlock = { language: '', code: '' };
-      }
-    } else if (inCodeBlock) {
-      currentCodeBlock.code += line + '\n';
-    }
-  }
-
-  return {
-    metadata,
-    description: description || metadata.title || path,
-    codeSnippets,
-    fullContent: content
-  };
-}
-
 async function generateDocsData() {
   console.log("🔄 Push Chain Documentation Data Generator");
   console.log("==========================================\n");
 
+  if (REPARSE) {
+    reparseCachedDocs();
+    return;
+  }
+
   if (!GITHUB_TOKEN) {
     console.error("❌ Error: GITHUB_TOKEN not found in environment variables");
     console.error("   Please set GITHUB_TOKEN in .env file");
@@ -169,45 +242,61 @@ async function generateDocsData() {
   console.log(`   Path: ${GITHUB_CONFIG.basePath}\n`);
 
   try {
-    // Fetch all documentation files
+    const previous = loadCachedDocs();
+    const cachedDocs = previous?.docs || [];
+    if (FULL_REFRESH) console.log("   Mode: full refresh (--full)\n");
+    else console.log(`   Mode: incremental (${cachedDocs.length} cached pages)\n`);
+
+    // List documentation files with their blob SHAs
     console.log("1️⃣  Fetching documentation file list...");
-    const docFiles = await fetchAllMdxFiles();
-    console.log(`   ✓ Found ${docFiles.length} documentation files\n`);
+    const docFiles = await fetchDocTree();
+    const diff = diffDocTree(docFiles, cachedDocs);
+    console.log(`   ✓ Found ${docFiles.length} documentation files`);
+    console.log(`   + ${diff.added.length} added, ~ ${diff.modified.length} modified, - ${diff.removed.length} removed, = ${diff.unchanged.length} unchanged\n`);
 
-    // Fetch content for each file
-    console.log("2️⃣  Fetching documentation content...");
-    const docsWithContent = [];
+    // Fetch content for new and changed files only
+    const toFetch = FULL_REFRESH ? docFiles : [...diff.added, ...diff.modified];
+    console.log(`2️⃣  Fetching documentation content (${toFetch.length} files)...`);
+    const fetched = new Map();
+    const failed = [];
 
-    for (let i = 0; i < docFiles.length; i++) {
-      const doc = docFiles[i];
-      process.stdout.write(`   [${i + 1}/${docFiles.length}] ${doc.name}...`);
+    for (let i = 0; i < toFetch.length; i++) {
+      const doc = toFetch[i];
+      process.stdout.write(`   [${i + 1}/${toFetch.length}] ${doc.name}...`);
 
       try {
         const content = await fetchFileContent(doc.downloadUrl);
-        const parsed = parseDocumentation(content, doc.path);
-
-        docsWithContent.push({
-          ...doc,
-          content: content,
-          metadata: parsed.metadata,
-          description: parsed.description,
-          codeSnippets: parsed.codeSnippets
-        });
+        fetched.set(doc.path, { ...doc, ...parseDocumentation(content, doc.path) });
 
         console.log(" ✓");
       } catch (error) {
+        failed.push(doc);
         console.log(` ✗ (${error.message})`);
       }
     }
 
-    console.log(`\n   ✓ Successfully fetched ${docsWithContent.length} documentation files\n`);
+    // Unchanged pages come from the cache; pages that failed to download keep their cached copy.
+    // Cached pages are parsed again so they pick up parser changes.
+    const cachedByPath = new Map(cachedDocs.map(doc => [doc.path, doc]));
+    const docsWithContent = docFiles
+      .map(file => fetched.get(file.path) || reparseDoc(cachedByPath.get(file.path)))
+      .filter(Boolean);
+
+    console.log(`\n   ✓ Fetched ${fetched.size} documentation files, reused ${docsWithContent.length - fetched.size} from cache\n`);
 
     // Save to JSON file
     console.log("3️⃣  Saving documentation data...");
-    const outputPath = resolve(__dirname, "data/docs_cache.json");
+    const generatedAt = new Date().toISOString();
+    const changes = summarizeDocChanges(diff, {
+      generatedAt,
+      previousGeneratedAt: previous?.generatedAt || null,
+      failed,
+      full: FULL_REFRESH
+    });
+    const hasChanges = FULL_REFRESH || !previous || changes.added.length + changes.modified.length + changes.removed.length > 0;
 
     const docsData = {
-      generatedAt: new Date().toISOString(),
+      generatedAt,
       source: {
         owner: GITHUB_CONFIG.owner,
         repo: GITHUB_CONFIG.repo,
@@ -218,13 +307,28 @@ async function generateDocsData() {
       docs: docsWithContent
     };
 
-    writeFileSync(outputPath, JSON.stringify(docsData, null, 2));
-    console.log(`   ✓ Saved to: ${outputPath}`);
-    console.log(`   Size: ${(JSON.stringify(docsData).length / 1024).toFixed(2)} KB\n`);
+    if (hasChanges) {
+      // Keep the current cache as the known-good copy restored if a later write goes wrong
+      if (previous && saveDocsSnapshot(DATA_DIR)) console.log("   ✓ Previous cache kept as known-good snapshot");
+
+      // Validated against the docs cache schema and recorded in the data manifest
+      writeDataFiles(DATA_DIR, { "docs_cache.json": docsData });
+      console.log(`   ✓ Saved to: ${CACHE_PATH}`);
+      console.log(`   Size: ${(JSON.stringify(docsData).length / 1024).toFixed(2)} KB`);
+      updateDocsSdkLinks();
+    } else {
+      console.log("   ✓ Documentation is up to date, cache left unchanged");
+    }
+    writeFileSync(CHANGES_PATH, JSON.stringify(changes, null, 2));
+    console.log(`   ✓ Change summary: ${CHANGES_PATH}\n`);
 
     // Summary
     console.log("📊 Summary:");
     console.log(`   - Total documentation files: ${docsData.totalFiles}`);
+    console.log(`   - Added: ${changes.added.length}, modified: ${changes.modified.length}, removed: ${changes.removed.length}`);
+    if (changes.failed.length > 0) {
+      console.log(`   - Failed to download (cached copy kept where available): ${changes.failed.join(", ")}`);
+    }
     console.log(`   - Total code snippets: ${docsWithContent.reduce((sum, doc) => sum + doc.codeSnippets.length, 0)}`);
 
     const categories = {
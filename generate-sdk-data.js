@@ -6,8 +6,17 @@
  */
 
 import 'dotenv/config';
-import { writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
+import { extractExports, EXPORT_CATEGORIES } from './utils/ts-analyzer.js';
+import { markApiVisibility } from './utils/api-surface.js';
+import { buildReferenceGraph } from './utils/reference-graph.js';
+import { MANIFEST_FILE, writeDataFiles } from './utils/data-integrity.js';
+import { DOCS_SDK_LINKS_FILE, writeDocsSdkLinks } from './utils/docs-sdk-links.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = resolve(__dirname, 'data');
 
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
 const REPO_OWNER = 'pushchain';
@@ -92,67 +101,6 @@ async function fetchAllSourceFiles(path, files = []) {
   return files;
 }
 
-/**
- * Extract exports from TypeScript/JavaScript code
- */
-function extractExports(content, filePath) {
-  const exports = {
-    functions: [],
-    classes: [],
-    types: [],
-    interfaces: [],
-    constants: []
-  };
-
-  // Extract exported functions
-  const funcPattern = /export\s+(?:async\s+)?function\s+(\w+)/g;
-  let match;
-  while ((match = funcPattern.exec(content)) !== null) {
-    exports.functions.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract exported classes
-  const classPattern = /export\s+(?:abstract\s+)?class\s+(\w+)/g;
-  while ((match = classPattern.exec(content)) !== null) {
-    exports.classes.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract exported types
-  const typePattern = /export\s+type\s+(\w+)/g;
-  while ((match = typePattern.exec(content)) !== null) {
-    exports.types.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract exported interfaces
-  const interfacePattern = /export\s+interface\s+(\w+)/g;
-  while ((match = interfacePattern.exec(content)) !== null) {
-    exports.interfaces.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract exported constants
-  const constPattern = /export\s+const\s+(\w+)/g;
-  while ((match = constPattern.exec(content)) !== null) {
-    exports.constants.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  return exports;
-}
-
 /**
  * Fetch package.json for a package
  */
@@ -192,11 +140,8 @@ async function main() {
   const allFiles = [];
   const fileContents = {};
   const allExports = {
-    functions: [],
-    classes: [],
-    types: [],
-    interfaces: [],
-    constants: []
+    ...Object.fromEntries(EXPORT_CATEGORIES.map(category => [category, []])),
+    reexports: []
   };
   const packages = [];
 
@@ -209,7 +154,13 @@ async function main() {
     // Fetch package.json
     const pkg = await fetchPackageJson(packageName);
     if (pkg) {
-      packages.push(pkg);
+      packages.push({
+        name: pkg.name,
+        version: pkg.version,
+        description: pkg.description,
+        dependencies: pkg.dependencies || {},
+        path: `packages/${packageName}`
+      });
     }
 
     // Fetch source files
@@ -229,13 +180,11 @@ async function main() {
         fileContents[file.path] = content;
 
         const exports = extractExports(content, file.path);
-        allExports.functions.push(...exports.functions);
-        allExports.classes.push(...exports.classes);
-        allExports.types.push(...exports.types);
-        allExports.interfaces.push(...exports.interfaces);
-        allExports.constants.push(...exports.constants);
+        for (const key of Object.keys(allExports)) {
+          allExports[key].push(...exports[key]);
+        }
 
-        console.error(`  ✓ Extracted: ${exports.functions.length} functions, ${exports.classes.length} classes, ${exports.types.length} types, ${exports.interfaces.length} interfaces`);
+        console.error(`  ✓ Extracted: ${exports.functions.length} functions, ${exports.classes.length} classes, ${exports.types.length} types, ${exports.interfaces.length} interfaces, ${exports.constants.length} constants`);
 
         // Small delay to avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -245,6 +194,12 @@ async function main() {
     }
   }
 
+  // Mark each export as public (reachable from a package entry point), internal or test-only
+  markApiVisibility(allExports, fileContents, PACKAGES.map(packageName => `packages/${packageName}`));
+
+  // Resolve imports, calls and type references between files
+  const referenceGraph = buildReferenceGraph(fileContents, allExports);
+
   // Generate summary
   console.error('\n' + '='.repeat(60));
   console.error('SUMMARY');
@@ -255,49 +210,56 @@ async function main() {
   console.error(`Total types: ${allExports.types.length}`);
   console.error(`Total interfaces: ${allExports.interfaces.length}`);
   console.error(`Total constants: ${allExports.constants.length}`);
+  console.error(`Public exports: ${EXPORT_CATEGORIES.reduce((sum, category) => sum + allExports[category].filter(e => e.visibility === 'public').length, 0)}`);
+  console.error(`Cross-references: ${referenceGraph.references.length}`);
   console.error(`Total packages: ${packages.length}`);
 
-  // Write data files
-  console.error('\n' + '='.repeat(60));
-  console.error('Writing data files...');
-  console.error('='.repeat(60));
-
-  // 1. sdk_file_contents.json
-  console.error('Writing data/sdk_file_contents.json...');
-  writeFileSync('data/sdk_file_contents.json', JSON.stringify(fileContents, null, 2));
-  console.error(`  ✓ Written (${Object.keys(fileContents).length} files)`);
-
-  // 2. sdk_complete_exports.json
-  console.error('Writing data/sdk_complete_exports.json...');
-  writeFileSync('data/sdk_complete_exports.json', JSON.stringify(allExports, null, 2));
-  console.error(`  ✓ Written (${allExports.functions.length + allExports.classes.length + allExports.types.length + allExports.interfaces.length} exports)`);
-
-  // 3. sdk_packages_complete.json
-  console.error('Writing data/sdk_packages_complete.json...');
-  writeFileSync('data/sdk_packages_complete.json', JSON.stringify({ packages }, null, 2));
-  console.error(`  ✓ Written (${packages.length} packages)`);
-
-  // 4. sdk_complete_analysis.json
-  console.error('Writing data/sdk_complete_analysis.json...');
+  // Same shape as scripts/analyze-sdk.js writes
+  const publicCount = EXPORT_CATEGORIES.reduce((sum, category) => sum + allExports[category].filter(e => e.visibility === 'public').length, 0);
   const analysis = {
-    metadata: {
-      repository: `${REPO_OWNER}/${REPO_NAME}`,
-      branch: BRANCH,
-      generatedAt: new Date().toISOString(),
-      totalFiles: allFiles.length,
-      packages: PACKAGES
-    },
+    generatedAt: new Date().toISOString(),
+    repository: `${REPO_OWNER}/${REPO_NAME}`,
+    branch: BRANCH,
+    packages: packages.map(p => ({ name: p.name, version: p.version, path: p.path })),
     files: allFiles,
     statistics: {
-      totalFunctions: allExports.functions.length,
-      totalClasses: allExports.classes.length,
-      totalTypes: allExports.types.length,
-      totalInterfaces: allExports.interfaces.length,
-      totalConstants: allExports.constants.length
+      totalFiles: Object.keys(fileContents).length,
+      totalExports: EXPORT_CATEGORIES.reduce((sum, category) => sum + allExports[category].length, 0),
+      publicExports: publicCount,
+      functions: allExports.functions.length,
+      classes: allExports.classes.length,
+      types: allExports.types.length,
+      interfaces: allExports.interfaces.length,
+      constants: allExports.constants.length
     }
   };
-  writeFileSync('data/sdk_complete_analysis.json', JSON.stringify(analysis, null, 2));
-  console.error(`  ✓ Written`);
+
+  // Write data files; they are validated first and recorded in the data manifest
+  console.error('\n' + '='.repeat(60));
+  console.error(`Writing data files to ${DATA_DIR}...`);
+  console.error('='.repeat(60));
+
+  writeDataFiles(DATA_DIR, {
+    'sdk_file_contents.json': fileContents,
+    'sdk_complete_exports.json': allExports,
+    'sdk_packages_complete.json': { packages },
+    'sdk_reference_graph.json': referenceGraph,
+    'sdk_complete_analysis.json': analysis
+  });
+
+  console.error(`  ✓ sdk_file_contents.json (${Object.keys(fileContents).length} files)`);
+  console.error(`  ✓ sdk_complete_exports.json (${analysis.statistics.totalExports} exports, ${allExports.reexports.length} re-exports)`);
+  console.error(`  ✓ sdk_packages_complete.json (${packages.length} packages)`);
+  console.error(`  ✓ sdk_reference_graph.json (${referenceGraph.references.length} references, ${referenceGraph.imports.length} imports)`);
+  console.error(`  ✓ sdk_complete_analysis.json`);
+  console.error(`  ✓ ${MANIFEST_FILE} (checksums and record counts)`);
+
+  try {
+    const linkCount = writeDocsSdkLinks(DATA_DIR);
+    if (linkCount !== null) console.error(`  ✓ ${DOCS_SDK_LINKS_FILE} (${linkCount} docs-to-SDK links)`);
+  } catch (error) {
+    console.error(`  ⚠️  ${DOCS_SDK_LINKS_FILE} not rebuilt: ${error.message}`);
+  }
 
   console.error('\n' + '='.repeat(60));
   console.error('SUCCESS! All data files generated.');
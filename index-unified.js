@@ -13,13 +13,16 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
   McpError,
   ErrorCode
 } from "@modelcontextprotocol/sdk/types.js";
-import { readFileSync } from "fs";
+import { existsSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
 import fetch from "node-fetch";
@@ -30,7 +33,9 @@ import {
   ListDocsInputSchema,
   GetDocInputSchema,
   SearchDocsInputSchema,
-  GetCodeSnippetsInputSchema
+  GetCodeSnippetsInputSchema,
+  GetDocSectionInputSchema,
+  ExportExampleProjectInputSchema
 } from "./schemas/docs-schemas.js";
 import {
   GetSdkApiInputSchema,
@@ -41,13 +46,22 @@ import {
   ListAllExportsInputSchema,
   FindUsageExamplesInputSchema,
   GetCoreClassesInputSchema,
-  GetUIComponentsInputSchema
+  GetClassMembersInputSchema,
+  FindReferencesInputSchema,
+  FindCallersInputSchema,
+  GetDependenciesInputSchema,
+  GetUIComponentsInputSchema,
+  DiffSdkVersionsInputSchema,
+  GetSdkChangelogInputSchema,
+  ValidateDocSnippetsInputSchema
 } from "./schemas/sdk-schemas.js";
+import { ListResourcesParamsSchema } from "./schemas/resource-schemas.js";
 
 // Import utilities
-import { CHARACTER_LIMIT, CACHE_TTL, GITHUB_CONFIG } from "./utils/constants.js";
+import { CHARACTER_LIMIT, CACHE_TTL, DATA_RELOAD_DEBOUNCE_MS, GITHUB_CONFIG, HTTP_CONFIG, RESOURCES_PAGE_SIZE, SNAPSHOT_CACHE_SIZE } from "./utils/constants.js";
 import {
-  enforceCharacterLimit,
+  paginateResponse,
+  paginateList,
   formatPaginationMetadata,
   formatPaginationText,
   truncateArray,
@@ -61,9 +75,28 @@ import {
   createSuccessResponse
 } from "./utils/error-handler.js";
 import { zodToMcpSchema } from "./utils/schema-converter.js";
+import { buildSearchIndex, searchIndex, getPreview } from "./utils/search-index.js";
+import { findSection, flattenOutline, formatOutline } from "./utils/doc-sections.js";
+import { parseDocumentation } from "./utils/mdx-parser.js";
+import { filterSnippets, findSnippet, snippetId } from "./utils/doc-snippets.js";
+import { buildExampleProject, exampleFileMimeType, selectExampleSnippet } from "./utils/example-project.js";
+import { checkDocSnippets } from "./utils/snippet-checker.js";
+import { buildDocsSdkLinks, indexDocsSdkLinks, readDocsSdkLinks } from "./utils/docs-sdk-links.js";
+import { startHttpServer } from "./utils/http-transport.js";
+import { watchDataFiles } from "./utils/data-watcher.js";
+import { RESOURCE_TEMPLATES, parseResourceUri } from "./utils/resource-uris.js";
+import { markApiVisibility, isTestFile, resolveModule } from "./utils/api-surface.js";
+import { buildReferenceGraph, symbolKey } from "./utils/reference-graph.js";
+import { loadSnapshotIndex, packageVersions, resolveSnapshot, restoreLastGoodData, snapshotId } from "./utils/sdk-snapshots.js";
+import { DATA_GROUPS, loadManifest, readVerifiedDataFile } from "./utils/data-integrity.js";
+import { extractClassMembers } from "./utils/ts-analyzer.js";
+import { diffSdkApis } from "./utils/api-diff.js";
+import { filterChangelog, loadChangelog } from "./utils/sdk-changelog.js";
+import { getPrompt, listPrompts } from "./prompts/workflow-prompts.js";
 
 // Import auto-updater
 import { checkAndUpdate } from "./sdk-updater.js";
+import { checkAndUpdateDocs } from "./docs-updater.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -76,20 +109,69 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN || "";
 // ============================================================================
 
 let docsCache = null;
+let docsSearchIndex = null;
+
+const DATA_DIR = resolve(__dirname, "data");
+
+/**
+ * Reads and verifies data/docs_cache.json and builds its search index
+ *
+ * @returns {Object} `{ docs, generatedAt, searchIndex }`
+ */
+function loadDocsData() {
+  const docsCacheData = readVerifiedDataFile(DATA_DIR, "docs_cache.json");
+
+  // Older caches predate the stored outline and snippet context, so parse those pages on load
+  const docs = docsCacheData.docs.map(doc =>
+    doc.outline && (doc.codeSnippets || []).every(snippet => Array.isArray(snippet.tabs))
+      ? doc
+      : { ...doc, ...parseDocumentation(doc.content, doc.path) }
+  );
+  return { docs, generatedAt: docsCacheData.generatedAt, searchIndex: buildSearchIndex(docs) };
+}
+
+/**
+ * Swaps in loaded documentation data (cache and search index together)
+ */
+function applyDocsData(data) {
+  docsCache = data.docs;
+  docsSearchIndex = data.searchIndex;
+}
+
+/**
+ * Loads a data group, restoring the last known-good snapshot if the current
+ * files fail verification
+ *
+ * @param {string} group - "docs" or "sdk"
+ * @param {Function} load - Loader that throws when the data is invalid
+ * @returns {Object} Loaded data
+ */
+function loadWithRollback(group, load) {
+  try {
+    return load();
+  } catch (error) {
+    const restored = restoreLastGoodData(DATA_DIR, group);
+    if (!restored) throw error;
+
+    console.error(`⚠️  ${group} data failed validation: ${error.message}`);
+    console.error(`   Restored last known-good snapshot ${restored}`);
+    return load();
+  }
+}
 
 // Load documentation from cached JSON file (similar to SDK data)
 try {
-  const docsCacheData = JSON.parse(readFileSync(resolve(__dirname, "data/docs_cache.json"), "utf-8"));
-  docsCache = docsCacheData.docs || [];
+  const docsData = loadWithRollback("docs", loadDocsData);
+  applyDocsData(docsData);
 
   console.error("✓ Loaded documentation data successfully");
   console.error(`  - ${docsCache.length} documentation files`);
-  console.error(`  - Generated at: ${new Date(docsCacheData.generatedAt).toLocaleString()}`);
+  console.error(`  - Generated at: ${new Date(docsData.generatedAt).toLocaleString()}`);
 } catch (error) {
   console.error("⚠️  Warning: Could not load cached documentation data");
   console.error(`   ${error.message}`);
   console.error("   Run 'node generate-docs-data.js' to generate documentation cache");
-  docsCache = [];
+  applyDocsData({ docs: [], searchIndex: buildSearchIndex([]) });
 }
 
 function getDocFiles() {
@@ -121,121 +203,241 @@ async function fetchFileContent(downloadUrl) {
   }
 }
 
-function parseDocumentation(content, path) {
-  const lines = content.split('\n');
-  const metadata = {};
-  let description = '';
-  let codeSnippets = [];
-  let inCodeBlock = false;
-  let currentCodeBlock = { language: '', code: '' };
-
-  // Extract frontmatter if exists
-  if (lines[0]?.trim() === '---') {
-    let i = 1;
-    while (i < lines.length && lines[i].trim() !== '---') {
-      const line = lines[i];
-      const match = line.match(/^(\w+):\s*(.+)$/);
-      if (match) {
-        metadata[match[1]] = match[2].replace(/^["']|["']$/g, '');
-      }
-      i++;
-    }
-  }
+// ============================================================================
+// SDK SERVER COMPONENTS
+// ============================================================================
 
-  // Extract first paragraph as description
-  for (const line of lines) {
-    if (line.trim() && !line.startsWith('#') && !line.startsWith('---') && !line.startsWith('import')) {
-      description = line.trim();
-      break;
-    }
+// Latest SDK data (see loadSdkData); version-pinned tool calls use a snapshot instead
+let sdkData = null;
+
+function filterByPackage(path) {
+  return path.includes("packages/core/") || path.includes("packages/ui-kit/");
+}
+
+/**
+ * Returns true if an export is part of the public API surface.
+ * Exports without visibility information are treated as public.
+ */
+function isPublicExport(exp) {
+  return !exp.visibility || exp.visibility === "public";
+}
+
+/**
+ * Reads and verifies the SDK data files (schema, checksum and record counts)
+ * and derives the core/ui-kit views and the cross-reference index
+ *
+ * @param {string} dataDir - Directory holding the data files (data/ or a snapshot)
+ * @returns {Object} `{ fileContents, exportsData, packagesData, coreAndUIKitFiles,
+ *   coreAndUIKitExports, coreAndUIKitPackages, referenceGraph, referencesByTarget }`
+ */
+function loadSdkData(dataDir = DATA_DIR) {
+  const manifest = loadManifest(dataDir);
+  const readData = file => readVerifiedDataFile(dataDir, file, manifest);
+  const fileContents = readData("sdk_file_contents.json");
+  const exportsData = readData("sdk_complete_exports.json");
+  const packagesData = readData("sdk_packages_complete.json");
+  if (existsSync(resolve(dataDir, "sdk_complete_analysis.json"))) readData("sdk_complete_analysis.json");
+
+  // Older data files predate visibility marking; derive it when re-exports are available
+  const exportRecords = ["functions", "classes", "types", "interfaces", "constants"].flatMap(type => exportsData[type] || []);
+  if (exportsData.reexports && exportRecords.some(e => !e.visibility)) {
+    markApiVisibility(exportsData, fileContents, ["packages/core", "packages/ui-kit"]);
   }
 
-  // Extract code snippets
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        currentCodeBlock.language = line.slice(3).trim() || 'text';
-        currentCodeBlock.code = '';
-      } else {
-        inCodeBlock = false;
-        codeSnippets.push({ ...currentCodeBlock });
-        currentCodeBlock = { language: '', code: '' };
-      }
-    } else if (inCodeBlock) {
-      currentCodeBlock.code += line + '\n';
-    }
+  const coreAndUIKitFiles = Object.fromEntries(
+    Object.entries(fileContents).filter(([path]) => filterByPackage(path))
+  );
+
+  const coreAndUIKitExports = {
+    functions: exportsData.functions.filter(e => filterByPackage(e.file)),
+    classes: exportsData.classes.filter(e => filterByPackage(e.file)),
+    types: exportsData.types.filter(e => filterByPackage(e.file)),
+    interfaces: exportsData.interfaces.filter(e => filterByPackage(e.file)),
+    constants: (exportsData.constants || []).filter(e => filterByPackage(e.file))
+  };
+
+  const coreAndUIKitPackages = packagesData.packages.filter(p =>
+    p.name === "@pushchain/core" || p.name === "@pushchain/ui-kit"
+  );
+
+  // Cross-reference graph; data generated before it existed gets one built on load
+  const referenceGraph = existsSync(resolve(dataDir, "sdk_reference_graph.json"))
+    ? readData("sdk_reference_graph.json")
+    : buildReferenceGraph(coreAndUIKitFiles, exportsData);
+  const referencesByTarget = new Map();
+  for (const reference of referenceGraph.references) {
+    if (!referencesByTarget.has(reference.target)) referencesByTarget.set(reference.target, []);
+    referencesByTarget.get(reference.target).push(reference);
   }
 
   return {
-    metadata,
-    description: description || metadata.title || path,
-    codeSnippets,
-    fullContent: content
+    fileContents,
+    exportsData,
+    packagesData,
+    coreAndUIKitFiles,
+    coreAndUIKitExports,
+    coreAndUIKitPackages,
+    referenceGraph,
+    referencesByTarget
   };
 }
 
-// ============================================================================
-// SDK SERVER COMPONENTS
-// ============================================================================
+/**
+ * Swaps in loaded SDK data; all views change together so no request sees a mix
+ */
+function applySdkData(data) {
+  sdkData = data;
+  sdkSnapshotCache.clear();
+}
 
-let fileContents = null;
-let exportsData = null;
-let packagesData = null;
+// Snapshots loaded for version-pinned queries, most recently used last
+const sdkSnapshotCache = new Map();
 
 try {
-  // sdkData not currently used but kept for future features
-  JSON.parse(readFileSync(resolve(__dirname, "data/sdk_complete_analysis.json"), "utf-8"));
-  fileContents = JSON.parse(readFileSync(resolve(__dirname, "data/sdk_file_contents.json"), "utf-8"));
-  exportsData = JSON.parse(readFileSync(resolve(__dirname, "data/sdk_complete_exports.json"), "utf-8"));
-  packagesData = JSON.parse(readFileSync(resolve(__dirname, "data/sdk_packages_complete.json"), "utf-8"));
+  applySdkData(loadWithRollback("sdk", () => loadSdkData()));
 
+  const { fileContents, exportsData } = sdkData;
   console.error("✓ Loaded SDK data successfully");
   console.error(`  - ${Object.keys(fileContents).length} source files`);
   console.error(`  - ${exportsData.functions.length} functions`);
   console.error(`  - ${exportsData.classes.length} classes`);
   console.error(`  - ${exportsData.types.length} types`);
   console.error(`  - ${exportsData.interfaces.length} interfaces`);
+  console.error(`  - ${(exportsData.constants || []).length} constants`);
 } catch (error) {
   console.error("Error loading SDK data:", error.message);
   console.error("Please ensure SDK data files are present in the same directory.");
   process.exit(1);
 }
 
-function filterByPackage(path) {
-  return path.includes("packages/core/") || path.includes("packages/ui-kit/");
+// Doc sections mentioning each SDK export, and the exports each page mentions
+let docsSdkLinks = indexDocsSdkLinks([]);
+
+/**
+ * Loads the docs-to-SDK links generated with the data files, or builds them
+ * from the loaded docs and SDK exports when the file is missing or stale
+ */
+function refreshDocsSdkLinks() {
+  const links = readDocsSdkLinks(DATA_DIR) || buildDocsSdkLinks(getDocFiles(), sdkData.exportsData);
+  docsSdkLinks = indexDocsSdkLinks(links);
 }
 
-const coreAndUIKitFiles = Object.fromEntries(
-  Object.entries(fileContents).filter(([path]) => filterByPackage(path))
-);
+refreshDocsSdkLinks();
 
-const coreAndUIKitExports = {
-  functions: exportsData.functions.filter(e => filterByPackage(e.file)),
-  classes: exportsData.classes.filter(e => filterByPackage(e.file)),
-  types: exportsData.types.filter(e => filterByPackage(e.file)),
-  interfaces: exportsData.interfaces.filter(e => filterByPackage(e.file)),
-  constants: (exportsData.constants || []).filter(e => filterByPackage(e.file))
-};
+console.error(`\nFiltered for @pushchain/core and @pushchain/ui-kit:`);
+console.error(`  - ${Object.keys(sdkData.coreAndUIKitFiles).length} files`);
+console.error(`  - ${sdkData.coreAndUIKitExports.functions.length} functions`);
+console.error(`  - ${sdkData.coreAndUIKitExports.classes.length} classes`);
+console.error(`  - ${sdkData.coreAndUIKitExports.types.length} types`);
+console.error(`  - ${sdkData.coreAndUIKitExports.interfaces.length} interfaces`);
+console.error(`  - ${sdkData.coreAndUIKitExports.constants.length} constants`);
+console.error(`  - ${sdkData.referenceGraph.references.length} cross-references`);
+console.error(`  - ${docsSdkLinks.links.length} docs-to-SDK links`);
 
-const coreAndUIKitPackages = packagesData.packages.filter(p =>
-  p.name === "@pushchain/core" || p.name === "@pushchain/ui-kit"
-);
+/**
+ * Returns the SDK data a tool call runs against: the latest data, or the
+ * archived snapshot matching `version`
+ *
+ * @param {string|undefined} version - Version query (see findSnapshot); "latest" or omitted for the latest data
+ * @returns {Object|null} SDK data from loadSdkData, or null if no snapshot matches
+ */
+function getSdkData(version) {
+  const snapshot = resolveSnapshot(DATA_DIR, version, sdkData.packagesData.packages);
+  if (!snapshot) return null;
+  if (snapshot.latest) return sdkData;
+
+  let data = sdkSnapshotCache.get(snapshot.id);
+  if (!data) {
+    // Labelled by snapshot id, which tells apart commits of the same versions
+    data = { ...loadSdkData(snapshot.dir), snapshotId: snapshot.id };
+  }
+  // Snapshots hold full source trees, so only a few stay in memory
+  sdkSnapshotCache.delete(snapshot.id);
+  sdkSnapshotCache.set(snapshot.id, data);
+  if (sdkSnapshotCache.size > SNAPSHOT_CACHE_SIZE) sdkSnapshotCache.delete(sdkSnapshotCache.keys().next().value);
+  return data;
+}
 
-console.error(`\nFiltered for @pushchain/core and @pushchain/ui-kit:`);
-console.error(`  - ${Object.keys(coreAndUIKitFiles).length} files`);
-console.error(`  - ${coreAndUIKitExports.functions.length} functions`);
-console.error(`  - ${coreAndUIKitExports.classes.length} classes`);
-console.error(`  - ${coreAndUIKitExports.types.length} types`);
-console.error(`  - ${coreAndUIKitExports.interfaces.length} interfaces`);
-console.error(`  - ${coreAndUIKitExports.constants.length} constants`);
+/**
+ * Returns the version id of SDK data from getSdkData
+ */
+function sdkVersionOf(data) {
+  return data.snapshotId || snapshotId(data.packagesData.packages);
+}
+
+/**
+ * Error message for a version query with no matching snapshot
+ */
+function formatUnknownVersion(version) {
+  const available = loadSnapshotIndex(DATA_DIR).snapshots.map(snapshot => snapshot.id);
+  const latest = snapshotId(sdkData.packagesData.packages);
+  const versions = [...new Set([`${latest} (latest)`, ...available.filter(id => id !== latest)])];
+  return `SDK version "${version}" not found. Available versions: ${versions.join(", ")}`;
+}
+
+/**
+ * Describes the doc sections an SDK export is mentioned in, for get_sdk_api
+ *
+ * @param {Object} record - Export record
+ * @returns {Array<Object>} `{ doc, url, heading, snippets, inText }` per section
+ */
+function documentedIn(record) {
+  return (docsSdkLinks.byApi.get(symbolKey(record)) || []).map(link => {
+    const doc = getDocFiles().find(d => d.path === link.doc);
+    return {
+      doc: link.doc,
+      url: doc ? `${doc.htmlUrl}${link.anchor ? `#${link.anchor}` : ""}` : null,
+      heading: link.heading,
+      snippets: link.snippets,
+      inText: link.inText
+    };
+  });
+}
+
+/**
+ * Lists the SDK exports a documentation page mentions, for get_push_chain_doc
+ *
+ * @param {string} path - Documentation page path
+ * @returns {Array<Object>} `{ name, api, package, type, file, sections, snippets }` per export
+ */
+function referencedApis(path) {
+  const byApi = new Map();
+  for (const link of docsSdkLinks.byDoc.get(path) || []) {
+    const key = symbolKey({ file: link.file, name: link.api });
+    if (!byApi.has(key)) {
+      byApi.set(key, { name: link.publicPath, api: link.api, package: link.package, type: link.type, file: link.file, sections: [], snippets: [] });
+    }
+    const entry = byApi.get(key);
+    if (link.heading) entry.sections.push(link.heading);
+    entry.snippets.push(...link.snippets);
+  }
+  return [...byApi.values()];
+}
+
+// Snippet type-check reports per SDK data and page ("" for all pages); compiling takes seconds
+const snippetCheckCache = new WeakMap();
+
+/**
+ * Returns the validate_doc_snippets report for the loaded docs against one SDK
+ * release, reusing it until either the docs or the SDK data are reloaded
+ */
+function getSnippetCheck(docs, sdk, path) {
+  let cached = snippetCheckCache.get(sdk);
+  if (!cached || cached.docs !== docs) {
+    cached = { docs, reports: new Map() };
+    snippetCheckCache.set(sdk, cached);
+  }
+  if (!cached.reports.has(path || "")) {
+    cached.reports.set(path || "", checkDocSnippets(docs, sdk.coreAndUIKitFiles, { path }));
+  }
+  return cached.reports.get(path || "");
+}
 
 // SDK helper functions
-function findExport(name, packageFilter = null) {
+function findExport(sdk, name, packageFilter = null) {
   const results = [];
 
-  for (const [type, exports] of Object.entries(coreAndUIKitExports)) {
+  for (const [type, exports] of Object.entries(sdk.coreAndUIKitExports)) {
     for (const exp of exports) {
       if (exp.name === name) {
         if (!packageFilter || exp.file.includes(`packages/${packageFilter}/`)) {
@@ -248,7 +450,187 @@ function findExport(name, packageFilter = null) {
   return results;
 }
 
-function searchInCode(query, scope = "all") {
+/**
+ * Finds exports by name, or by public path (e.g. "PushChain.utils.signer.toUniversal")
+ */
+function findSymbol(sdk, name, packageFilter = null) {
+  const byName = findExport(sdk, name, packageFilter);
+  if (byName.length > 0 || !name.includes(".")) return byName;
+
+  return Object.entries(sdk.coreAndUIKitExports).flatMap(([type, exports]) => exports
+    .filter(exp => exp.publicPath === name)
+    .filter(exp => !packageFilter || exp.file.includes(`packages/${packageFilter}/`))
+    .map(exp => ({ ...exp, exportType: type })));
+}
+
+/**
+ * Summarizes an export for cross-reference results
+ */
+function describeSymbol(exp) {
+  return {
+    name: exp.name,
+    exportType: exp.exportType,
+    kind: exp.kind,
+    file: exp.file,
+    visibility: exp.visibility,
+    publicPath: exp.publicPath
+  };
+}
+
+/**
+ * Returns the resolved references to an export, each with its source line
+ */
+function getReferences(sdk, exp, includeTests = false) {
+  return (sdk.referencesByTarget.get(symbolKey(exp)) || [])
+    .filter(ref => includeTests || !isTestFile(ref.file))
+    .map(ref => ({ ...ref, text: (sdk.coreAndUIKitFiles[ref.file] || "").split("\n")[ref.line - 1]?.trim() }));
+}
+
+/**
+ * Maximum characters of a class or function definition returned inline
+ */
+const MAX_DEFINITION_CHARS = { classes: 5000, functions: 3000 };
+
+/**
+ * Extracts the source definition of an export (class body, function or type)
+ * Uses the analyzer's source range when available, otherwise falls back to
+ * pattern matching and then to the 30 lines following the export statement
+ */
+function extractDefinition(sdk, exp) {
+  const sourceCode = sdk.coreAndUIKitFiles[exp.file] || "";
+  let definition = "";
+
+  if (exp.range) {
+    definition = sourceCode.split('\n').slice(exp.range.startLine - 1, exp.range.endLine).join('\n');
+    const limit = MAX_DEFINITION_CHARS[exp.exportType];
+    if (limit && definition.length > limit) {
+      definition = definition.substring(0, limit) + "\n  // ... (truncated, use get_source_file for complete code)";
+    }
+    return definition;
+  }
+
+  if (exp.exportType === "classes") {
+    const classPattern = new RegExp(`export\\s+(?:abstract\\s+)?class\\s+${exp.name}[\\s\\S]*?(?=\\n(?:export|$))`, 'm');
+    const match = sourceCode.match(classPattern);
+    if (match) {
+      definition = match[0].length > 5000 ? match[0].substring(0, 5000) + "\n  // ... (truncated)\n}" : match[0];
+    }
+  } else if (exp.exportType === "functions") {
+    const funcPattern = new RegExp(`export\\s+(?:async\\s+)?function\\s+${exp.name}[\\s\\S]*?(?=\\n(?:export|const|let|var|function|class|type|interface|$))`, 'm');
+    const match = sourceCode.match(funcPattern);
+    if (match) {
+      definition = match[0].length > 3000 ? match[0].substring(0, 3000) + "\n  // ... (truncated)\n}" : match[0];
+    }
+  } else if (exp.exportType === "types" || exp.exportType === "interfaces") {
+    const typePattern = new RegExp(`export\\s+(?:type|interface)\\s+${exp.name}[\\s\\S]*?(?=\\n(?:export|const|let|var|function|class|type|interface|$))`, 'm');
+    const match = sourceCode.match(typePattern);
+    if (match) definition = match[0];
+  }
+
+  if (!definition) {
+    const lines = sourceCode.split('\n');
+    const exportLineIndex = lines.findIndex(line => line.includes(`export`) && line.includes(exp.name));
+    if (exportLineIndex !== -1) {
+      definition = lines.slice(exportLineIndex, Math.min(exportLineIndex + 30, lines.length)).join('\n');
+      definition += "\n// ... (use get_source_file for complete code)";
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * Export categories whose definitions are bundled by get_type_definition
+ */
+const TYPE_CATEGORIES = ["types", "interfaces"];
+
+/**
+ * Collects the SDK types a type references, following references up to
+ * maxDepth levels across files. Returns type definitions ordered so each one
+ * comes after the types it depends on, plus any non-type symbols referenced
+ * (classes, functions, constants) as signatures only.
+ *
+ * @param {Object} sdk - SDK data from getSdkData
+ * @param {Object} root - Type export record
+ * @param {number} maxDepth - Levels of references to follow
+ * @returns {Object} `{ dependencies, otherReferences }`
+ */
+function expandTypeDependencies(sdk, root, maxDepth) {
+  const recordsByKey = new Map();
+  for (const [type, exports] of Object.entries(sdk.coreAndUIKitExports)) {
+    exports.forEach(exp => recordsByKey.set(symbolKey(exp), { ...exp, exportType: type }));
+  }
+
+  // Targets referenced from inside a declaration's own source range
+  const referencedKeys = exp => {
+    const keys = new Set();
+    for (const ref of sdk.referenceGraph.references) {
+      if (ref.file === exp.file && exp.range && ref.line >= exp.range.startLine && ref.line <= exp.range.endLine &&
+          ref.kind !== "import" && ref.target !== symbolKey(exp)) {
+        keys.add(ref.target);
+      }
+    }
+    return [...keys].filter(key => recordsByKey.has(key));
+  };
+
+  // Breadth-first so each type keeps the shallowest depth it is reached at
+  const depths = new Map([[symbolKey(root), 0]]);
+  const edges = new Map();
+  const others = new Map();
+  let frontier = [symbolKey(root)];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const key of frontier) {
+      const targets = referencedKeys(recordsByKey.get(key));
+      edges.set(key, targets.filter(target => TYPE_CATEGORIES.includes(recordsByKey.get(target).exportType)));
+
+      for (const target of targets) {
+        const record = recordsByKey.get(target);
+        if (!TYPE_CATEGORIES.includes(record.exportType)) {
+          if (!others.has(target)) others.set(target, record);
+        } else if (!depths.has(target)) {
+          depths.set(target, depth);
+          next.push(target);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  // Dependencies before dependents (depth-first post-order)
+  const ordered = [];
+  const visited = new Set();
+  const visit = key => {
+    if (visited.has(key)) return;
+    visited.add(key);
+    (edges.get(key) || []).filter(target => depths.has(target)).forEach(visit);
+    if (key !== symbolKey(root)) ordered.push(key);
+  };
+  visit(symbolKey(root));
+
+  return {
+    dependencies: ordered.map(key => {
+      const record = recordsByKey.get(key);
+      return {
+        name: record.name,
+        type: record.kind,
+        file: record.file,
+        depth: depths.get(key),
+        dependsOn: (edges.get(key) || []).map(target => recordsByKey.get(target).name),
+        definition: extractDefinition(sdk, record)
+      };
+    }),
+    otherReferences: [...others.values()].map(record => ({
+      name: record.name,
+      kind: record.kind,
+      file: record.file,
+      signature: record.signature
+    }))
+  };
+}
+
+function searchInCode(sdk, query, scope = "all", includeInternal = false) {
   const results = {
     exports: [],
     files: [],
@@ -259,18 +641,28 @@ function searchInCode(query, scope = "all") {
 
   // Search exports
   if (scope === "all" || scope === "exports" || scope === "types") {
-    for (const [type, exports] of Object.entries(coreAndUIKitExports)) {
+    for (const [type, exports] of Object.entries(sdk.coreAndUIKitExports)) {
       for (const exp of exports) {
+        if (!includeInternal && !isPublicExport(exp)) continue;
         if (exp.name.toLowerCase().includes(lowerQuery)) {
-          results.exports.push({ ...exp, exportType: type });
+          results.exports.push({
+            name: exp.name,
+            exportType: type,
+            kind: exp.kind,
+            file: exp.file,
+            visibility: exp.visibility,
+            publicPath: exp.publicPath,
+            signature: exp.signature
+          });
         }
       }
     }
   }
 
-  // Search file paths and content
+  // Search file paths and content (test files only when internals are requested)
   if (scope === "all" || scope === "code") {
-    for (const [path, content] of Object.entries(coreAndUIKitFiles)) {
+    for (const [path, content] of Object.entries(sdk.coreAndUIKitFiles)) {
+      if (!includeInternal && isTestFile(path)) continue;
       if (path.toLowerCase().includes(lowerQuery)) {
         results.files.push({ path, reason: "path match" });
       } else if (content.toLowerCase().includes(lowerQuery)) {
@@ -299,52 +691,91 @@ function searchInCode(query, scope = "all") {
   return results;
 }
 
-function getPackageByName(packageName) {
+function getPackageByName(sdk, packageName) {
   const pkgMap = {
     "core": "@pushchain/core",
     "ui-kit": "@pushchain/ui-kit"
   };
 
   const fullName = pkgMap[packageName] || packageName;
-  return coreAndUIKitPackages.find(p => p.name === fullName);
+  return sdk.coreAndUIKitPackages.find(p => p.name === fullName);
 }
 
-function extractMethodsFromClass(sourceCode, className) {
-  const methods = [];
-  const methodPattern = new RegExp(`(?:async\\s+)?(?:public\\s+|private\\s+|protected\\s+)?(\\w+)\\s*\\([^)]*\\)\\s*(?::\\s*[^{]+)?\\s*{`, 'g');
+/**
+ * Returns the package directory ("packages/core/") a file belongs to
+ */
+function packageDirOf(path) {
+  return path.match(/^packages\/[^/]+\//)?.[0] || "";
+}
 
-  let match;
-  while ((match = methodPattern.exec(sourceCode)) !== null) {
-    const methodName = match[1];
-    if (methodName !== 'constructor' && methodName !== className) {
-      methods.push(methodName);
+/**
+ * Describes the members of an exported class, optionally following `extends`
+ * to base classes in the SDK. Inherited members carry `inheritedFrom`; members
+ * overridden by a subclass are reported once, on the subclass.
+ *
+ * @param {Object} sdk - SDK data from getSdkData
+ * @param {Object} classRecord - Export record from sdk.coreAndUIKitExports.classes
+ * @param {boolean} includeInherited - Follow base classes
+ * @returns {Object|null} Class description from extractClassMembers, or null if not found in its source file
+ */
+function getClassMembers(sdk, classRecord, includeInherited = true) {
+  const source = sdk.coreAndUIKitFiles[classRecord.file];
+  if (!source) return null;
+
+  const described = extractClassMembers(source, classRecord.file, classRecord.localName || classRecord.name);
+  if (!described) return null;
+
+  const inheritanceChain = [];
+  const seen = new Set([classRecord]);
+  let current = described;
+  let currentFile = classRecord.file;
+
+  while (includeInherited && current.extends) {
+    const baseName = current.extends.replace(/<[\s\S]*$/, "").trim();
+    const candidates = sdk.coreAndUIKitExports.classes.filter(c => c.name === baseName && !seen.has(c));
+    const base = candidates.find(c => packageDirOf(c.file) === packageDirOf(currentFile)) || candidates[0];
+    if (!base) break;
+    seen.add(base);
+
+    const baseDescribed = extractClassMembers(sdk.coreAndUIKitFiles[base.file] || "", base.file, base.localName || base.name);
+    if (!baseDescribed) break;
+    inheritanceChain.push({ name: base.name, file: base.file });
+
+    const declared = new Set(described.members.map(m => `${m.static}:${m.kind === "setter" ? "set" : "get"}:${m.name}`));
+    for (const member of baseDescribed.members) {
+      if (member.kind === "constructor") continue;
+      const key = `${member.static}:${member.kind === "setter" ? "set" : "get"}:${member.name}`;
+      if (declared.has(key)) continue;
+      described.members.push({ ...member, inheritedFrom: base.name, file: base.file });
     }
+
+    current = baseDescribed;
+    currentFile = base.file;
   }
 
-  return methods;
+  described.file = classRecord.file;
+  described.inheritanceChain = inheritanceChain;
+  return described;
+}
+
+/**
+ * Builds a tool response containing one page of the full text.
+ * Resumes from params.cursor when present and appends a continuation cursor
+ * when more content remains.
+ */
+function createPagedResponse(text, toolName, params) {
+  const page = paginateResponse(text, { tool: toolName, args: params });
+  return page.error ? createErrorResponse(page.error) : createSuccessResponse(page.text);
 }
 
 // ============================================================================
 // UNIFIED MCP SERVER
 // ============================================================================
 
-const server = new Server(
-  {
-    name: "push-chain-unified",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      resources: {},
-      tools: {},
-    },
-  }
-);
-
 /**
  * List all available tools (Documentation + SDK)
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
   return {
     tools: [
       // ====== DOCUMENTATION TOOLS ======
@@ -365,21 +796,46 @@ Use when: "Show me all documentation", "What tutorials exist?", "List UI Kit doc
         name: "get_push_chain_doc",
         description: `Get full content of a specific Push Chain documentation file.
 
-Retrieves complete MDX content including code examples and best practices.
+Retrieves complete MDX content including code examples and best practices,
+along with the SDK APIs the page references (referencedApis).
+Long pages are split into pages of up to 25,000 characters; pass the returned
+cursor to continue where the previous page ended.
 
 Args:
   - path (required string): Documentation file path (e.g., 'docs/chain/01-Intro-Push-Chain.mdx')
   - response_format (optional string): 'markdown' (default) or 'json'
+  - cursor (optional string): Continuation cursor from a truncated response, to read the next page
 
 Use when: "Show me the intro guide", "Get wallet setup documentation"`,
         inputSchema: zodToMcpSchema(GetDocInputSchema, 'GetDocInput'),
         annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true }
       },
+      {
+        name: "get_push_chain_doc_section",
+        description: `Get the heading outline of a documentation page, or a single section of it.
+
+Long pages are truncated by get_push_chain_doc; use this tool to read exactly the
+part you need. Without 'anchor' or 'heading_path' it returns the page outline
+(H1–H4 headings with anchors). With one of them it returns that section,
+including its subsections.
+
+Args:
+  - path (required string): Documentation file path (e.g., 'docs/chain/03-build/05-Universal-Send-Transaction.mdx')
+  - anchor (optional string): Section anchor from the outline (e.g., 'sending-universal-transaction')
+  - heading_path (optional string): Headings joined by ' > ' (e.g., 'Sending Universal Transaction > Parameters')
+  - response_format (optional string): 'markdown' (default) or 'json'
+
+Use when: "Show the outline of the send transaction guide", "Get the Advanced Arguments section"`,
+        inputSchema: zodToMcpSchema(GetDocSectionInputSchema, 'GetDocSectionInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true }
+      },
       {
         name: "search_push_chain_docs",
         description: `Search Push Chain documentation for specific topics or keywords.
 
-Searches filenames, paths, and content with ranked results.
+Full-text search over titles, frontmatter, headings, and content. Results are
+ranked by BM25 relevance (title and heading matches weigh more than body text)
+and each hit includes its relevance score.
 
 Args:
   - query (required string): Search query (e.g., 'wallet setup', 'smart contract')
@@ -394,24 +850,60 @@ Use when: "Find docs about wallets", "Search for transaction examples"`,
         name: "get_code_snippets",
         description: `Extract code snippets from Push Chain documentation.
 
-Finds implementation examples across all documentation.
+Finds implementation examples across all documentation, including the runnable
+examples embedded in live playgrounds. Each snippet reports its language, whether
+it is a live playground block, its file title, the tabs it appears under
+(e.g. 'Viem', 'Solana (Web3 JS)'), the enclosing collapsible and its section heading.
+
+Each result includes the page URL and the anchor of its section, for use with
+'get_push_chain_doc_section'.
 
 Args:
   - path (optional string): Specific doc path to extract from
-  - language (optional string): Filter by language (e.g., 'typescript', 'solidity')
+  - language (optional string): Filter by language (e.g., 'typescript', 'solidity', 'jsx'); 'ts'/'typescript'
+    and 'js'/'javascript' are interchangeable, and 'jsx live' selects live playground blocks
+  - live (optional boolean): true for only live playground snippets, false for only static ones
+  - tab (optional string): Only snippets under a matching tab label (e.g., 'viem', 'Solana')
+  - title (optional string): Only snippets whose file title matches (e.g., 'UniversalCounter.sol')
+  - heading (optional string): Only snippets in a matching section heading or anchor
+  - contains (optional string): Only snippets whose code contains this text
   - limit (optional number): Max snippets, 1-100 (default: 50)
 
-Use when: "Show me TypeScript examples", "Get all Solidity code from docs"`,
+Use when: "Show me TypeScript examples", "Get all Solidity code from docs",
+"Show the viem variant of the send transaction example", "Which examples call PushChain.initialize?"`,
         inputSchema: zodToMcpSchema(GetCodeSnippetsInputSchema, 'GetCodeSnippetsInput'),
         annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true }
       },
+      {
+        name: "export_example_project",
+        description: `Export a documentation example as a ready-to-run project.
+
+TypeScript/JavaScript snippets become a Node project run with tsx (src/index.ts);
+JSX/TSX live playground snippets become a Vite React app (src/App.tsx). @pushchain
+packages are pinned to the analyzed SDK release, other imports to the versions the SDK
+depends on, and placeholders such as '<PRIVATE_KEY>' are read from a generated .env.
+The project files are returned as embedded resources after a JSON summary.
+
+Args:
+  - path (optional string): Doc path; exports the page's main example
+  - snippet_id (optional string): Snippet id from 'get_code_snippets' (e.g., 'docs/chain/01-Intro-Push-Chain.mdx#2')
+  - tab (optional string): With 'path', the variant under this tab (e.g., 'viem', 'Solana')
+Provide exactly one of 'path' or 'snippet_id'.
+
+Use when: "Give me a runnable project for the universal signer example",
+"Set up the viem version of the send transaction example locally"`,
+        inputSchema: zodToMcpSchema(ExportExampleProjectInputSchema, 'ExportExampleProjectInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
 
       // ====== SDK TOOLS ======
       {
         name: "get_sdk_api",
         description: `Get detailed information about any exported API from @pushchain/core or @pushchain/ui-kit.
 
-Returns source code, signature, and type information.
+Returns source code, signature (including overloads and generic parameters),
+JSDoc, symbol kind, the source line range and the documentation sections that
+mention the API (documentedIn).
 
 Args:
   - name (required string): API name (e.g., 'PushClient', 'createUniversalSigner')
@@ -432,6 +924,7 @@ Args:
   - scope (optional string): 'all' (default), 'exports', 'code', or 'types'
   - limit (optional number): Max results per category, 1-100 (default: 20)
   - offset (optional number): Pagination offset (default: 0)
+  - include_internal (optional boolean): Also match internal and test-only code (default: false, public API only)
 
 Use when: "Find wallet-related APIs", "Search for transaction code"`,
         inputSchema: zodToMcpSchema(SearchSdkInputSchema, 'SearchSdkInput'),
@@ -452,12 +945,18 @@ Use when: "What's in @pushchain/core?", "Show me UI kit package info"`,
       },
       {
         name: "get_type_definition",
-        description: `Get TypeScript type definition with full source code.
+        description: `Get TypeScript type definition, optionally with the types it depends on.
 
-Retrieves complete type or interface definition.
+Retrieves complete type or interface definition. With expand_depth, also
+returns the SDK types it references (e.g. UniversalSigner → UniversalAccount
+→ CHAIN), across files, deduplicated and ordered so each type follows the
+types it depends on.
 
 Args:
   - name (required string): Type/interface name (e.g., 'UniversalAccount')
+  - expand_depth (optional number): Levels of referenced types to include, 0-5 (default: 0)
+  - include_source (optional boolean): Include the full source of the declaring file (default: false)
+  - cursor (optional string): Continuation cursor from a truncated response, to read the next page
 
 Use when: "What fields does UniversalAccount have?", "Show me SignerOptions type"`,
         inputSchema: zodToMcpSchema(GetTypeDefinitionInputSchema, 'GetTypeDefinitionInput'),
@@ -468,9 +967,12 @@ Use when: "What fields does UniversalAccount have?", "Show me SignerOptions type
         description: `Get complete source code of any file from @pushchain/core or @pushchain/ui-kit.
 
 Returns full TypeScript/JavaScript source with syntax highlighting.
+Large files are split into pages ending on line boundaries; pass the returned
+cursor to continue where the previous page ended.
 
 Args:
   - path (required string): File path (e.g., 'packages/core/src/lib/push-client/push-client.ts')
+  - cursor (optional string): Continuation cursor from a truncated response, to read the next page
 
 Use when: "Show me the complete PushClient source", "Read the full wallet implementation"`,
         inputSchema: zodToMcpSchema(GetSourceFileInputSchema, 'GetSourceFileInput'),
@@ -480,11 +982,16 @@ Use when: "Show me the complete PushClient source", "Read the full wallet implem
         name: "list_all_exports",
         description: `List all exported APIs organized by type.
 
-Provides comprehensive catalog of functions, classes, types, and interfaces.
+Provides comprehensive catalog of functions, classes, types, interfaces, and constants.
 
 Args:
   - package (required string): 'core', 'ui-kit', or 'both'
-  - type (optional string): 'all' (default), 'functions', 'classes', 'types', or 'interfaces'
+  - type (optional string): 'all' (default), 'functions', 'classes', 'types', 'interfaces', or 'constants'
+  - include_internal (optional boolean): Also list internal and test-only symbols (default: false)
+
+Only the public API is listed by default: symbols importable from the package
+entry point or reachable through it (each has a publicPath such as
+'PushChain.utils.signer.toUniversal').
 
 Use when: "What functions are in @pushchain/core?", "Show all UI kit components"`,
         inputSchema: zodToMcpSchema(ListAllExportsInputSchema, 'ListAllExportsInput'),
@@ -504,6 +1011,64 @@ Use when: "How is PushClient used?", "Show examples of createUniversalSigner"`,
         inputSchema: zodToMcpSchema(FindUsageExamplesInputSchema, 'FindUsageExamplesInput'),
         annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
       },
+      {
+        name: "find_references",
+        description: `Find every reference to an exported SDK symbol.
+
+References are resolved through imports (not substring matches), so
+'PushChain' does not match 'usePushChain' or 'PushChainClient'. Each
+reference is classified as 'import', 'call', 'type', 'extends',
+'implements' or 'reference', with the enclosing function as caller.
+Calls through public paths (PushChain.utils.signer.toUniversal(...)) count
+as references to the nested symbol.
+
+Args:
+  - name (required string): Symbol name or public path (e.g., 'EvmClient', 'PushChain.utils.signer.toUniversal')
+  - package (optional string): 'core', 'ui-kit', or 'any' (default)
+  - kinds (optional array): Only these reference kinds
+  - include_tests (optional boolean): Include spec/e2e files (default: false)
+  - limit (optional number): Max references per definition (default: 50)
+
+Use when: "Where is EvmClient used?", "What extends BaseWalletProvider?"`,
+        inputSchema: zodToMcpSchema(FindReferencesInputSchema, 'FindReferencesInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
+      {
+        name: "find_callers",
+        description: `Find the functions and methods that call an exported SDK symbol.
+
+Returns callers (e.g. 'Orchestrator.execute') grouped by file, with the line
+of each call. Constructor calls (new X()) and JSX renders (<X />) count as calls.
+
+Args:
+  - name (required string): Symbol name or public path
+  - package (optional string): 'core', 'ui-kit', or 'any' (default)
+  - include_tests (optional boolean): Include spec/e2e files (default: false)
+  - limit (optional number): Max callers per definition (default: 50)
+
+Use when: "Who calls createUniversalSigner?", "Where is PushChain.initialize called?"`,
+        inputSchema: zodToMcpSchema(FindCallersInputSchema, 'FindCallersInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
+      {
+        name: "get_dependencies",
+        description: `Get the dependencies and dependents of an SDK file or symbol.
+
+For a file: its internal and external imports, and the files that import or
+re-export it. For a symbol: the SDK symbols its declaration uses, and the
+files that reference it.
+
+Args:
+  - path (string): SDK file path, or
+  - name (string): Symbol name or public path (provide exactly one of path/name)
+  - package (optional string): 'core', 'ui-kit', or 'any' (default)
+  - direction (optional string): 'imports', 'dependents', or 'both' (default)
+  - include_tests (optional boolean): Include spec/e2e files among dependents (default: false)
+
+Use when: "What does orchestrator.ts depend on?", "What would break if I change EvmClient?"`,
+        inputSchema: zodToMcpSchema(GetDependenciesInputSchema, 'GetDependenciesInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
       {
         name: "get_core_classes",
         description: `Get all main classes from @pushchain/core with methods and purposes.
@@ -516,6 +1081,25 @@ Use when: "What classes are in @pushchain/core?", "Show me main SDK classes"`,
         inputSchema: zodToMcpSchema(GetCoreClassesInputSchema, 'GetCoreClassesInput'),
         annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
       },
+      {
+        name: "get_class_members",
+        description: `Get every member of an SDK class with full signatures.
+
+Returns the constructor, methods, getters/setters, static members and
+properties of a class, each with parameters, return type, visibility,
+static/async/abstract flags and JSDoc. Members inherited from base classes
+in the SDK are included and marked with inheritedFrom.
+
+Args:
+  - name (required string): Class name (e.g., 'PushChain', 'Orchestrator', 'EvmClient')
+  - package (optional string): 'core', 'ui-kit', or 'any' (default)
+  - include_inherited (optional boolean): Include inherited members (default: true)
+  - include_private (optional boolean): Include private members (default: true)
+
+Use when: "What methods does Orchestrator have?", "Show the PushClient API including inherited methods"`,
+        inputSchema: zodToMcpSchema(GetClassMembersInputSchema, 'GetClassMembersInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
       {
         name: "get_ui_components",
         description: `Get all React components and hooks from @pushchain/ui-kit.
@@ -527,15 +1111,73 @@ Args: None required
 Use when: "What components are in the UI kit?", "Show me all React hooks"`,
         inputSchema: zodToMcpSchema(GetUIComponentsInputSchema, 'GetUIComponentsInput'),
         annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
+      {
+        name: "diff_sdk_versions",
+        description: `Compare the exported API of two SDK releases.
+
+Reports exports that were added or removed, exports whose signatures changed
+(parameters, return types) and types whose shape changed (interface and
+enum members, union members). Each change is flagged when it is likely
+breaking for code written against the older release.
+
+Args:
+  - from (required string): Older version, e.g. '3.0.4', 'core@3.0.4', a snapshot id or commit SHA prefix
+  - to (optional string): Newer version (default: 'latest')
+  - package (optional string): 'core', 'ui-kit', or 'both' (default)
+  - breaking_only (optional boolean): Only report likely breaking changes; the summary then counts those and summary.total the full diff (default: false)
+  - include_internal (optional boolean): Also compare internal symbols (default: false)
+
+Use when: "What changed between core 3.0.4 and 3.0.5?", "Will upgrading the SDK break my code?"`,
+        inputSchema: zodToMcpSchema(DiffSdkVersionsInputSchema, 'DiffSdkVersionsInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
+      {
+        name: "get_sdk_changelog",
+        description: `Get the history of SDK updates picked up by this server.
+
+Each entry records the releases before and after the update, the commit range,
+the commit messages touching @pushchain/core or @pushchain/ui-kit, the source
+files that changed and a summary of API changes (added, removed and changed
+exports, with likely breaking changes flagged).
+
+Args:
+  - since (optional string): Only updates on or after this ISO date
+  - until (optional string): Only updates on or before this ISO date
+  - version (optional string): Only updates that produced or replaced this release (e.g. '3.0.5', 'core@3.0.5')
+  - limit (optional number): Maximum updates to return, newest first (default: 10)
+
+Use when: "What changed in the SDK recently?", "Which commits went into core 3.0.5?"`,
+        inputSchema: zodToMcpSchema(GetSdkChangelogInputSchema, 'GetSdkChangelogInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      },
+      {
+        name: "validate_doc_snippets",
+        description: `Type-check the TypeScript/TSX code snippets in the documentation against the SDK sources.
+
+Each snippet is compiled in memory with @pushchain imports resolved to the
+cached SDK sources (no network). Fragments that continue an earlier block get
+the imports shown elsewhere on the page. Reports, per snippet, the doc path,
+section heading and diagnostics; those pointing at an SDK export or member
+that no longer exists name the missing symbol (e.g. 'PushChain.utils.signer.toUniversal').
+
+Args:
+  - path (optional string): Only check this documentation page
+  - include_ok (optional boolean): Also list clean and skipped snippets (default: false)
+  - version (optional string): Check against an archived SDK release (default: latest)
+
+Use when: "Are the docs still in sync with the SDK?", "Which doc examples call renamed SDK methods?"`,
+        inputSchema: zodToMcpSchema(ValidateDocSnippetsInputSchema, 'ValidateDocSnippetsInput'),
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
       }
     ]
   };
-});
+}
 
 /**
  * Handle tool calls (Documentation + SDK)
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request) {
   const { name, arguments: args } = request.params;
 
   try {
@@ -591,8 +1233,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             message: `Found ${filteredDocs.length} documentation files`
           }, null, 2);
 
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleGitHubApiError(error));
         }
@@ -614,6 +1255,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           // Content is already cached in the doc object
           const content = doc.content || "";
+          const apis = referencedApis(doc.path);
 
           let response;
           if (params.response_format === "json") {
@@ -623,85 +1265,139 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               url: doc.htmlUrl,
               content: content,
               metadata: doc.metadata || {},
-              codeSnippets: doc.codeSnippets || []
+              codeSnippets: doc.codeSnippets || [],
+              referencedApis: apis
             }, null, 2);
           } else {
-            response = `# ${doc.name}\n\nPath: ${doc.path}\nURL: ${doc.htmlUrl}\n\n---\n\n${content}`;
+            const apiList = apis.length > 0
+              ? `\nReferenced SDK APIs: ${apis.map(api => `\`${api.name}\` (${api.package})`).join(", ")}`
+              : "";
+            response = `# ${doc.name}\n\nPath: ${doc.path}\nURL: ${doc.htmlUrl}${apiList}\n\n---\n\n${content}`;
           }
 
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleGitHubApiError(error));
         }
       }
 
-      case "search_push_chain_docs": {
+      case "get_push_chain_doc_section": {
         // Validate parameters (ZodError will bubble up to outer catch)
-
-        params = SearchDocsInputSchema.parse(args);
-
+        params = GetDocSectionInputSchema.parse(args);
 
         try {
-          const docs = getDocFiles();
-          const query = params.query.toLowerCase();
-          const results = [];
+          const doc = getDocFiles().find(d => d.path === params.path);
 
-          for (const doc of docs) {
-            if (doc.name.toLowerCase().includes(query) || doc.path.toLowerCase().includes(query)) {
-              results.push({ ...doc, matchType: "filename" });
-            }
+          if (!doc) {
+            return createErrorResponse(
+              `Documentation file not found: ${params.path}\n\nUse 'list_push_chain_docs' to see available files.`
+            );
           }
 
-          if (results.length < 5) {
-            for (const doc of docs) {
-              if (results.some(r => r.path === doc.path)) continue;
-              try {
-                const content = doc.content || "";
-                if (content.toLowerCase().includes(query)) {
-                  const lines = content.split('\n');
-                  const matchingLines = lines.filter(line => line.toLowerCase().includes(query)).slice(0, 3);
-                  results.push({ ...doc, matchType: "content", preview: matchingLines.join('\n') });
-                }
-              } catch (error) {
-                console.error(`Error searching ${doc.path}:`, error.message);
-              }
-              if (results.length >= params.limit) break;
+          const outline = doc.outline || [];
+          const content = doc.content || "";
+
+          // No section requested: return the outline
+          if (!params.anchor && !params.heading_path) {
+            let response;
+            if (params.response_format === "json") {
+              response = JSON.stringify({
+                name: doc.name,
+                path: doc.path,
+                url: doc.htmlUrl,
+                sections: flattenOutline(outline).map(node => ({
+                  level: node.level,
+                  title: node.title,
+                  anchor: node.anchor,
+                  headingPath: node.path,
+                  length: node.end - node.start
+                }))
+              }, null, 2);
+            } else {
+              response = `# Outline: ${doc.name}\n\nPath: ${doc.path}\nURL: ${doc.htmlUrl}\n\n` +
+                (outline.length > 0 ? formatOutline(outline) : "_This page has no headings._");
             }
+
+            return createPagedResponse(response, name, params);
           }
 
-          const truncated = truncateArray(results, params.limit, "documentation files");
+          const section = findSection(outline, { anchor: params.anchor, headingPath: params.heading_path });
 
-          const sanitizedQuery = sanitizeInput(params.query);
+          if (!section) {
+            const requested = params.anchor ? `anchor '${params.anchor}'` : `heading path '${params.heading_path}'`;
+            return createErrorResponse(
+              `Section not found for ${requested} in ${params.path}.\n\nCall 'get_push_chain_doc_section' with only 'path' to see the page outline.`
+            );
+          }
+
+          const sectionContent = content.slice(section.start, section.end).trimEnd();
 
           let response;
           if (params.response_format === "json") {
             response = JSON.stringify({
-              query: sanitizedQuery,
-              results: truncated.items,
+              name: doc.name,
+              path: doc.path,
+              url: `${doc.htmlUrl}#${section.anchor}`,
+              section: {
+                level: section.level,
+                title: section.title,
+                anchor: section.anchor,
+                headingPath: section.path,
+                subsections: section.children.map(child => ({ title: child.title, anchor: child.anchor }))
+              },
+              content: sectionContent
+            }, null, 2);
+          } else {
+            response = `# ${section.path.join(" > ")}\n\nPath: ${doc.path}\nAnchor: #${section.anchor}\n\n---\n\n${sectionContent}`;
+          }
+
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleGitHubApiError(error));
+        }
+      }
+
+      case "search_push_chain_docs": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+
+        params = SearchDocsInputSchema.parse(args);
+
+
+        try {
+          const results = searchIndex(docsSearchIndex, params.query);
+          const truncated = truncateArray(results, params.limit, "documentation files");
+
+          // Previews are only computed for the page of results actually returned
+          truncated.items = truncated.items.map(match => ({
+            name: match.doc.name,
+            path: match.doc.path,
+            htmlUrl: match.doc.htmlUrl,
+            title: match.doc.metadata?.title || match.doc.name,
+            score: match.score,
+            matchedFields: match.matchedFields,
+            preview: getPreview(match.doc, params.query)
+          }));
+
+          const sanitizedQuery = sanitizeInput(params.query);
+
+          let response;
+          if (params.response_format === "json") {
+            response = JSON.stringify({
+              query: sanitizedQuery,
+              results: truncated.items,
               total: truncated.total,
               showing: truncated.showing
             }, null, 2);
           } else {
-            const lines = [`# Search Results: '${sanitizedQuery}'`, "", `Found ${truncated.total} matches`, ""];
-            const filenameMatches = truncated.items.filter(r => r.matchType === "filename");
-            const contentMatches = truncated.items.filter(r => r.matchType === "content");
-
-            if (filenameMatches.length > 0) {
-              lines.push("## Filename Matches", "");
-              for (const match of filenameMatches) {
-                lines.push(`- **${match.name}** (${match.path})`, `  URL: ${match.htmlUrl}`, "");
-              }
-            }
-
-            if (contentMatches.length > 0) {
-              lines.push("## Content Matches", "");
-              for (const match of contentMatches) {
-                lines.push(`- **${match.name}** (${match.path})`);
-                if (match.preview) lines.push(`  Preview: \`\`\`\n${match.preview}\n\`\`\``);
-                lines.push("");
-              }
-            }
+            const lines = [`# Search Results: '${sanitizedQuery}'`, "", `Found ${truncated.total} matches (ranked by relevance)`, ""];
+
+            truncated.items.forEach((match, idx) => {
+              lines.push(`${idx + 1}. **${match.title}** (${match.path})`);
+              lines.push(`   Score: ${match.score} | Matched: ${match.matchedFields.join(", ")}`);
+              lines.push(`   URL: ${match.htmlUrl}`);
+              if (match.preview) lines.push(`   Preview: \`\`\`\n${match.preview}\n\`\`\``);
+              lines.push("");
+            });
 
             response = lines.join('\n');
 
@@ -713,8 +1409,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             return createSuccessResponse(`No documentation found matching '${sanitizedQuery}'.`);
           }
 
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleGitHubApiError(error));
         }
@@ -735,13 +1430,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           for (const doc of targetDocs) {
             try {
               // Code snippets are already cached in the doc object
-              let docSnippets = doc.codeSnippets || [];
-              if (params.language) {
-                docSnippets = docSnippets.filter(s => s.language.toLowerCase() === params.language.toLowerCase());
-              }
+              const docSnippets = filterSnippets(doc.codeSnippets || [], params);
 
               for (const snippet of docSnippets) {
-                snippets.push({ source: doc.path, language: snippet.language, code: snippet.code.trim() });
+                snippets.push({
+                  id: snippetId(doc.path, doc.codeSnippets.indexOf(snippet)),
+                  source: doc.path,
+                  url: doc.htmlUrl,
+                  anchor: snippet.anchor ?? null,
+                  language: snippet.language,
+                  live: Boolean(snippet.live),
+                  title: snippet.title ?? null,
+                  tabs: snippet.tabs || [],
+                  details: snippet.details ?? null,
+                  heading: snippet.headingPath ?? null,
+                  code: snippet.code.trim()
+                });
               }
 
               if (snippets.length >= params.limit) break;
@@ -755,16 +1459,76 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             total: truncated.total,
             showing: truncated.showing,
             language: params.language || "all",
+            filters: { live: params.live, tab: params.tab, title: params.title, heading: params.heading, contains: params.contains },
             snippets: truncated.items
           }, null, 2);
 
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleGitHubApiError(error));
         }
       }
 
+      case "export_example_project": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = ExportExampleProjectInputSchema.parse(args);
+
+        try {
+          const docs = getDocFiles();
+          let source;
+
+          if (params.snippet_id) {
+            source = findSnippet(docs, params.snippet_id);
+            if (!source) {
+              return createErrorResponse(
+                `Snippet not found: ${params.snippet_id}\n\nUse 'get_code_snippets' to list snippet ids.`
+              );
+            }
+          } else {
+            const doc = docs.find(d => d.path === params.path);
+            if (!doc) {
+              return createErrorResponse(
+                `Documentation file not found: ${params.path}\n\nUse 'list_push_chain_docs' to see available files.`
+              );
+            }
+            const selected = selectExampleSnippet(doc, { tab: params.tab });
+            if (!selected) {
+              return createErrorResponse(
+                `No TypeScript, JavaScript or JSX example found in ${params.path}${params.tab ? ` under a '${params.tab}' tab` : ""}.\n\nUse 'get_code_snippets' with this path to see its snippets.`
+              );
+            }
+            source = { doc, ...selected };
+          }
+
+          const project = buildExampleProject(source, sdkData.packagesData.packages);
+          const summary = {
+            name: project.name,
+            kind: project.kind,
+            snippetId: snippetId(source.doc.path, source.index),
+            source: project.source,
+            entry: project.entry,
+            run: project.kind === "react" ? ["npm install", "npm run dev"] : ["npm install", "npm start"],
+            env: project.env,
+            dependencies: project.dependencies,
+            unpinned: project.unpinned,
+            files: project.files.map(file => file.path)
+          };
+
+          const response = createPagedResponse(JSON.stringify(summary, null, 2), name, params);
+          response.content.push(...project.files.map(file => ({
+            type: "resource",
+            resource: {
+              uri: `pushchain://examples/${project.name}/${file.path}`,
+              mimeType: exampleFileMimeType(file.path),
+              text: file.content
+            }
+          })));
+          return response;
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "export_example_project"));
+        }
+      }
+
       // ====== SDK TOOL HANDLERS ======
       case "get_sdk_api": {
         // Validate parameters (ZodError will bubble up to outer catch)
@@ -773,7 +1537,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const exports = findExport(params.name, params.package === "any" ? null : params.package);
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const exports = findExport(sdk, params.name, params.package === "any" ? null : params.package);
 
           if (exports.length === 0) {
             return createErrorResponse(
@@ -783,51 +1550,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           const results = [];
           for (const exp of exports) {
-            const sourceCode = coreAndUIKitFiles[exp.file] || "";
             const pkg = exp.file.includes("/core/") ? "@pushchain/core" : "@pushchain/ui-kit";
-
-            let definition = "";
-
-            if (exp.exportType === "classes") {
-              const classPattern = new RegExp(`export\\s+(?:abstract\\s+)?class\\s+${params.name}[\\s\\S]*?(?=\\n(?:export|$))`, 'm');
-              const match = sourceCode.match(classPattern);
-              if (match) {
-                definition = match[0].length > 5000 ? match[0].substring(0, 5000) + "\n  // ... (truncated)\n}" : match[0];
-              }
-            } else if (exp.exportType === "functions") {
-              const funcPattern = new RegExp(`export\\s+(?:async\\s+)?function\\s+${params.name}[\\s\\S]*?(?=\\n(?:export|const|let|var|function|class|type|interface|$))`, 'm');
-              const match = sourceCode.match(funcPattern);
-              if (match) {
-                definition = match[0].length > 3000 ? match[0].substring(0, 3000) + "\n  // ... (truncated)\n}" : match[0];
-              }
-            } else if (exp.exportType === "types" || exp.exportType === "interfaces") {
-              const typePattern = new RegExp(`export\\s+(?:type|interface)\\s+${params.name}[\\s\\S]*?(?=\\n(?:export|const|let|var|function|class|type|interface|$))`, 'm');
-              const match = sourceCode.match(typePattern);
-              if (match) definition = match[0];
-            }
-
-            if (!definition) {
-              const lines = sourceCode.split('\n');
-              const exportLineIndex = lines.findIndex(line => line.includes(`export`) && line.includes(params.name));
-              if (exportLineIndex !== -1) {
-                definition = lines.slice(exportLineIndex, Math.min(exportLineIndex + 30, lines.length)).join('\n');
-                definition += "\n// ... (use get_source_file for complete code)";
-              }
-            }
+            const definition = extractDefinition(sdk, exp);
 
             results.push({
               name: exp.name,
               type: exp.exportType,
+              kind: exp.kind,
+              visibility: exp.visibility,
+              publicPath: exp.publicPath,
               package: pkg,
               file: exp.file,
+              range: exp.range,
+              signature: exp.signature,
+              overloads: exp.overloads,
+              typeParameters: exp.typeParameters,
+              jsDoc: exp.jsDoc,
+              documentedIn: documentedIn(exp),
               definition: definition || "// Use get_source_file to view complete file.",
               note: "Use get_source_file with the file path for complete source"
             });
           }
 
           const response = JSON.stringify(results, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_sdk_api"));
         }
@@ -840,7 +1586,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const results = searchInCode(params.query, params.scope || "all", params.limit, params.offset);
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const results = searchInCode(sdk, params.query, params.scope || "all", params.include_internal);
 
           const exportsTruncated = truncateArray(results.exports, params.limit, "export matches");
           const filesTruncated = truncateArray(results.files, params.limit, "file matches");
@@ -869,8 +1618,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
 
           const response = JSON.stringify(summary, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "search_sdk"));
         }
@@ -883,18 +1631,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const pkg = getPackageByName(params.package);
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const pkg = getPackageByName(sdk, params.package);
 
           if (!pkg) {
             return createErrorResponse(`Package "${params.package}" not found. Valid: 'core' or 'ui-kit'`);
           }
 
           const packageExports = {
-            functions: coreAndUIKitExports.functions.filter(e => e.file.includes(`packages/${params.package}/`)),
-            classes: coreAndUIKitExports.classes.filter(e => e.file.includes(`packages/${params.package}/`)),
-            types: coreAndUIKitExports.types.filter(e => e.file.includes(`packages/${params.package}/`)),
-            interfaces: coreAndUIKitExports.interfaces.filter(e => e.file.includes(`packages/${params.package}/`)),
-            constants: coreAndUIKitExports.constants.filter(e => e.file.includes(`packages/${params.package}/`))
+            functions: sdk.coreAndUIKitExports.functions.filter(e => e.file.includes(`packages/${params.package}/`)),
+            classes: sdk.coreAndUIKitExports.classes.filter(e => e.file.includes(`packages/${params.package}/`)),
+            types: sdk.coreAndUIKitExports.types.filter(e => e.file.includes(`packages/${params.package}/`)),
+            interfaces: sdk.coreAndUIKitExports.interfaces.filter(e => e.file.includes(`packages/${params.package}/`)),
+            constants: sdk.coreAndUIKitExports.constants.filter(e => e.file.includes(`packages/${params.package}/`))
           };
 
           const info = {
@@ -917,8 +1668,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
 
           const response = JSON.stringify(info, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_package_info"));
         }
@@ -931,7 +1681,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const types = [...coreAndUIKitExports.types, ...coreAndUIKitExports.interfaces]
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const types = [...sdk.coreAndUIKitExports.types, ...sdk.coreAndUIKitExports.interfaces]
             .filter(t => t.name === params.name);
 
           if (types.length === 0) {
@@ -939,25 +1692,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
 
           const results = types.map(type => {
-            const sourceCode = coreAndUIKitFiles[type.file] || "";
+            const sourceCode = sdk.coreAndUIKitFiles[type.file] || "";
             const pkg = type.file.includes("/core/") ? "@pushchain/core" : "@pushchain/ui-kit";
+            const definition = extractDefinition(sdk, {
+              ...type,
+              exportType: sdk.coreAndUIKitExports.interfaces.includes(type) ? "interfaces" : "types"
+            });
 
-            const typePattern = new RegExp(`export\\s+(?:type|interface)\\s+${params.name}[\\s\\S]*?(?=\\n(?:export|const|let|var|function|class|type|interface|$))`, 'm');
-            const match = sourceCode.match(typePattern);
-
-            return {
+            const result = {
               name: type.name,
-              type: type.type || "type",
+              type: type.kind || type.type || "type",
               package: pkg,
               file: type.file,
-              definition: match ? match[0] : `// Definition found in ${type.file}`,
-              fullSource: sourceCode
+              jsDoc: type.jsDoc,
+              definition: definition || `// Definition found in ${type.file}`
             };
+            if (params.expand_depth > 0) {
+              const expanded = expandTypeDependencies(sdk, type, params.expand_depth);
+              result.dependsOn = expanded.dependencies.filter(dep => dep.depth === 1).map(dep => dep.name);
+              result.dependencies = expanded.dependencies;
+              if (expanded.otherReferences.length > 0) result.otherReferences = expanded.otherReferences;
+            }
+            if (params.include_source) result.fullSource = sourceCode;
+            return result;
           });
 
           const response = JSON.stringify(results, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_type_definition"));
         }
@@ -970,15 +1731,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const sourceCode = coreAndUIKitFiles[params.path];
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const sourceCode = sdk.coreAndUIKitFiles[params.path];
 
           if (!sourceCode) {
             return createErrorResponse(`File "${params.path}" not found in @pushchain/core or @pushchain/ui-kit.`);
           }
 
           const response = `# ${params.path}\n\n\`\`\`typescript\n${sourceCode}\n\`\`\``;
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_source_file"));
         }
@@ -991,27 +1754,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
           let packageFilter = null;
           if (params.package !== "both") packageFilter = params.package;
 
           const typeFilter = params.type || "all";
           const exports = {};
 
-          for (const [type, items] of Object.entries(coreAndUIKitExports)) {
+          for (const [type, items] of Object.entries(sdk.coreAndUIKitExports)) {
             if (typeFilter === "all" || type === typeFilter) {
               exports[type] = items
                 .filter(e => !packageFilter || e.file.includes(`packages/${packageFilter}/`))
+                .filter(e => params.include_internal || isPublicExport(e))
                 .map(e => ({
                   name: e.name,
+                  kind: e.kind,
                   package: e.file.includes("/core/") ? "@pushchain/core" : "@pushchain/ui-kit",
-                  file: e.file
+                  file: e.file,
+                  visibility: e.visibility,
+                  publicPath: e.publicPath
                 }));
             }
           }
 
           const response = JSON.stringify(exports, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "list_all_exports"));
         }
@@ -1024,12 +1793,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
           const examples = [];
+          const escaped = params.api_name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+          const namePattern = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`);
 
-          for (const [path, content] of Object.entries(coreAndUIKitFiles)) {
+          for (const [path, content] of Object.entries(sdk.coreAndUIKitFiles)) {
             const lines = content.split('\n');
             lines.forEach((line, idx) => {
-              if (line.includes(params.api_name) && !line.trim().startsWith('//')) {
+              if (namePattern.test(line) && !line.trim().startsWith('//')) {
                 examples.push({
                   file: path,
                   lineNumber: idx + 1,
@@ -1038,8 +1812,6 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 });
               }
             });
-
-            if (examples.length >= params.limit) break;
           }
 
           const truncated = truncateArray(examples, params.limit, "usage examples");
@@ -1051,13 +1823,173 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
 
           const response = JSON.stringify(result, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "find_usage_examples"));
         }
       }
 
+      case "find_references": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = FindReferencesInputSchema.parse(args);
+
+        try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const matches = findSymbol(sdk, params.name, params.package === "any" ? null : params.package);
+          if (matches.length === 0) {
+            return createErrorResponse(`Symbol "${params.name}" not found. Try 'search_sdk' or 'list_all_exports'.`);
+          }
+
+          const definitions = matches.map(exp => {
+            const references = getReferences(sdk, exp, params.include_tests)
+              .filter(ref => !params.kinds || params.kinds.includes(ref.kind));
+            const byKind = {};
+            references.forEach(ref => { byKind[ref.kind] = (byKind[ref.kind] || 0) + 1; });
+            const truncated = truncateArray(references, params.limit, "references");
+
+            return {
+              ...describeSymbol(exp),
+              totalReferences: truncated.total,
+              showing: truncated.showing,
+              byKind,
+              references: truncated.items.map(({ target, ...ref }) => ref)
+            };
+          });
+
+          const response = JSON.stringify({ symbol: params.name, definitions }, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "find_references"));
+        }
+      }
+
+      case "find_callers": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = FindCallersInputSchema.parse(args);
+
+        try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const matches = findSymbol(sdk, params.name, params.package === "any" ? null : params.package);
+          if (matches.length === 0) {
+            return createErrorResponse(`Symbol "${params.name}" not found. Try 'search_sdk' or 'list_all_exports'.`);
+          }
+
+          const definitions = matches.map(exp => {
+            const callers = new Map();
+            for (const ref of getReferences(sdk, exp, params.include_tests).filter(ref => ref.kind === "call")) {
+              const key = `${ref.file}#${ref.caller}`;
+              if (!callers.has(key)) callers.set(key, { caller: ref.caller, file: ref.file, calls: [] });
+              callers.get(key).calls.push({ line: ref.line, member: ref.member, via: ref.via, text: ref.text });
+            }
+            const truncated = truncateArray([...callers.values()], params.limit, "callers");
+
+            return {
+              ...describeSymbol(exp),
+              totalCallers: truncated.total,
+              showing: truncated.showing,
+              callers: truncated.items
+            };
+          });
+
+          const response = JSON.stringify({ symbol: params.name, definitions }, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "find_callers"));
+        }
+      }
+
+      case "get_dependencies": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = GetDependenciesInputSchema.parse(args);
+
+        try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const wantImports = params.direction !== "dependents";
+          const wantDependents = params.direction !== "imports";
+          let result;
+
+          if (params.path) {
+            if (sdk.coreAndUIKitFiles[params.path] === undefined) {
+              return createErrorResponse(`File "${params.path}" not found in @pushchain/core or @pushchain/ui-kit.`);
+            }
+            result = { file: params.path };
+
+            if (wantImports) {
+              const fileImports = sdk.referenceGraph.imports.filter(imp => imp.file === params.path);
+              result.imports = {
+                internal: fileImports.filter(imp => imp.resolved)
+                  .map(imp => ({ file: imp.resolved, names: imp.names.map(n => n.name), isTypeOnly: imp.isTypeOnly, line: imp.line })),
+                external: fileImports.filter(imp => !imp.resolved)
+                  .map(imp => ({ module: imp.from, names: imp.names.map(n => n.name), isTypeOnly: imp.isTypeOnly, line: imp.line }))
+              };
+            }
+
+            if (wantDependents) {
+              const importers = sdk.referenceGraph.imports
+                .filter(imp => imp.resolved === params.path)
+                .map(imp => ({ file: imp.file, names: imp.names.map(n => n.name), line: imp.line }));
+              const reexporters = (sdk.exportsData.reexports || [])
+                .filter(re => resolveModule(re.file, re.from, sdk.coreAndUIKitFiles) === params.path)
+                .map(re => ({ file: re.file, names: re.names ? re.names.map(n => n.exportedAs) : ["*"], reexport: true }));
+              result.dependents = [...importers, ...reexporters]
+                .filter(dep => params.include_tests || !isTestFile(dep.file));
+            }
+          } else {
+            const matches = findSymbol(sdk, params.name, params.package === "any" ? null : params.package);
+            if (matches.length === 0) {
+              return createErrorResponse(`Symbol "${params.name}" not found. Try 'search_sdk' or 'list_all_exports'.`);
+            }
+
+            result = matches.map(exp => {
+              const described = describeSymbol(exp);
+
+              if (wantImports) {
+                // Symbols referenced inside this symbol's own declaration
+                const uses = new Map();
+                const start = exp.range?.startLine ?? 1;
+                const end = exp.range?.endLine ?? Infinity;
+                for (const ref of sdk.referenceGraph.references) {
+                  if (ref.file !== exp.file || ref.line < start || ref.line > end || ref.target === symbolKey(exp)) continue;
+                  if (!uses.has(ref.target)) {
+                    const separator = ref.target.lastIndexOf("#");
+                    uses.set(ref.target, { name: ref.target.slice(separator + 1), file: ref.target.slice(0, separator), kinds: [], count: 0 });
+                  }
+                  const use = uses.get(ref.target);
+                  use.count++;
+                  if (!use.kinds.includes(ref.kind)) use.kinds.push(ref.kind);
+                }
+                described.imports = [...uses.values()];
+              }
+
+              if (wantDependents) {
+                const byFile = new Map();
+                for (const ref of getReferences(sdk, exp, params.include_tests)) {
+                  if (!byFile.has(ref.file)) byFile.set(ref.file, { file: ref.file, kinds: [], callers: [], count: 0 });
+                  const dependent = byFile.get(ref.file);
+                  dependent.count++;
+                  if (!dependent.kinds.includes(ref.kind)) dependent.kinds.push(ref.kind);
+                  if (ref.caller !== "<module>" && !dependent.callers.includes(ref.caller)) dependent.callers.push(ref.caller);
+                }
+                described.dependents = [...byFile.values()];
+              }
+
+              return described;
+            });
+          }
+
+          const response = JSON.stringify(result, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "get_dependencies"));
+        }
+      }
+
       case "get_core_classes": {
         // Validate parameters (ZodError will bubble up to outer catch)
 
@@ -1065,26 +1997,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
-          const coreClasses = coreAndUIKitExports.classes
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const coreClasses = sdk.coreAndUIKitExports.classes
             .filter(c => c.file.includes("packages/core/"))
             .map(c => {
-              const sourceCode = coreAndUIKitFiles[c.file] || "";
-              const methods = extractMethodsFromClass(sourceCode, c.name);
-
-              const classSignaturePattern = new RegExp(
-                `export\\s+(?:abstract\\s+)?class\\s+${c.name}[^{]*\\{[\\s\\S]{0,800}`,
-                'm'
-              );
-              const match = sourceCode.match(classSignaturePattern);
-              const classSignature = match ? match[0] + "\n  // ... (truncated)\n}" : "";
+              const described = getClassMembers(sdk, c, false);
+              const methods = (described?.members || [])
+                .filter(m => m.kind === "method" || (m.kind === "property" && m.parameters))
+                .map(m => m.name);
 
               return {
                 name: c.name,
                 file: c.file,
                 methods: methods,
-                signature: classSignature,
+                signature: c.signature,
                 methodCount: methods.length,
-                note: "Use get_sdk_api or get_source_file for more details"
+                note: "Use get_class_members for full member signatures"
               };
             });
 
@@ -1095,13 +2025,43 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
 
           const response = JSON.stringify(result, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_core_classes"));
         }
       }
 
+      case "get_class_members": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = GetClassMembersInputSchema.parse(args);
+
+        try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const matches = sdk.coreAndUIKitExports.classes
+            .filter(c => c.name === params.name)
+            .filter(c => params.package === "any" || c.file.includes(`packages/${params.package}/`));
+
+          if (matches.length === 0) {
+            return createErrorResponse(`Class "${params.name}" not found. Try 'get_core_classes' or 'list_all_exports' with type 'classes'.`);
+          }
+
+          const classes = matches
+            .map(c => getClassMembers(sdk, c, params.include_inherited))
+            .filter(Boolean)
+            .map(described => {
+              const members = described.members.filter(m => params.include_private || m.visibility !== "private");
+              return { ...described, memberCount: members.length, members };
+            });
+
+          const response = JSON.stringify(classes, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "get_class_members"));
+        }
+      }
+
       case "get_ui_components": {
         // Validate parameters (ZodError will bubble up to outer catch)
 
@@ -1109,14 +2069,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 
         try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
           const uiExports = { components: [], hooks: [], providers: [] };
 
-          for (const func of coreAndUIKitExports.functions) {
+          for (const func of sdk.coreAndUIKitExports.functions) {
             if (func.file.includes("packages/ui-kit/")) {
-              const sourceCode = coreAndUIKitFiles[func.file] || "";
-              const funcPattern = new RegExp(`export\\s+(?:const\\s+)?${func.name}[\\s\\S]{0,500}`, 'm');
-              const match = sourceCode.match(funcPattern);
-              const signature = match ? match[0] + "..." : "";
+              let signature = func.signature;
+              if (!signature) {
+                const sourceCode = sdk.coreAndUIKitFiles[func.file] || "";
+                const funcPattern = new RegExp(`export\\s+(?:const\\s+)?${func.name}[\\s\\S]{0,500}`, 'm');
+                const match = sourceCode.match(funcPattern);
+                signature = match ? match[0] + "..." : "";
+              }
 
               if (func.name.startsWith("use")) {
                 uiExports.hooks.push({ name: func.name, file: func.file, signature });
@@ -1139,13 +2105,102 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
 
           const response = JSON.stringify(result, null, 2);
-          const limited = enforceCharacterLimit(response);
-          return createSuccessResponse(limited.text);
+          return createPagedResponse(response, name, params);
         } catch (error) {
           return createErrorResponse(handleSdkError(error, "get_ui_components"));
         }
       }
 
+      case "diff_sdk_versions": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = DiffSdkVersionsInputSchema.parse(args);
+
+        try {
+          const from = getSdkData(params.from);
+          if (!from) return createErrorResponse(formatUnknownVersion(params.from));
+          const to = getSdkData(params.to);
+          if (!to) return createErrorResponse(formatUnknownVersion(params.to));
+
+          const diff = diffSdkApis(
+            { exportsData: from.coreAndUIKitExports, fileContents: from.coreAndUIKitFiles },
+            { exportsData: to.coreAndUIKitExports, fileContents: to.coreAndUIKitFiles },
+            {
+              packages: params.package === "both" ? ["core", "ui-kit"] : [params.package],
+              includeInternal: params.include_internal,
+              breakingOnly: params.breaking_only
+            }
+          );
+
+          const result = {
+            from: { version: sdkVersionOf(from), packages: packageVersions(from.packagesData.packages) },
+            to: { version: sdkVersionOf(to), packages: packageVersions(to.packagesData.packages) },
+            ...diff
+          };
+
+          const response = JSON.stringify(result, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "diff_sdk_versions"));
+        }
+      }
+
+      case "get_sdk_changelog": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = GetSdkChangelogInputSchema.parse(args);
+
+        try {
+          // Read on every call so entries appended by the updater show up immediately
+          const { entries } = loadChangelog(DATA_DIR);
+          const matches = filterChangelog(entries, params);
+
+          const result = {
+            totalEntries: matches.length,
+            returned: Math.min(matches.length, params.limit),
+            entries: matches.slice(0, params.limit)
+          };
+          if (entries.length === 0) {
+            result.note = "No SDK updates recorded yet. Entries are added each time the SDK updater regenerates the data (npm run update:sdk).";
+          }
+
+          const response = JSON.stringify(result, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "get_sdk_changelog"));
+        }
+      }
+
+      case "validate_doc_snippets": {
+        // Validate parameters (ZodError will bubble up to outer catch)
+        params = ValidateDocSnippetsInputSchema.parse(args);
+
+        try {
+          const sdk = getSdkData(params.version);
+          if (!sdk) return createErrorResponse(formatUnknownVersion(params.version));
+
+          const docs = getDocFiles();
+          if (params.path && !docs.some(d => d.path === params.path)) {
+            return createErrorResponse(
+              `Documentation file not found: ${params.path}\n\nUse 'list_push_chain_docs' to see available files.`
+            );
+          }
+
+          const report = getSnippetCheck(docs, sdk, params.path);
+          const result = {
+            sdkVersion: sdkVersionOf(sdk),
+            path: params.path || "all",
+            summary: report.summary,
+            snippets: params.include_ok
+              ? report.snippets
+              : report.snippets.filter(snippet => snippet.status === "drift" || snippet.status === "error")
+          };
+
+          const response = JSON.stringify(result, null, 2);
+          return createPagedResponse(response, name, params);
+        } catch (error) {
+          return createErrorResponse(handleSdkError(error, "validate_doc_snippets"));
+        }
+      }
+
       default:
         throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
     }
@@ -1166,56 +2221,102 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     // Handle other errors
     throw new McpError(ErrorCode.InternalError, `Unexpected error: ${error.message}`);
   }
-});
+}
 
 /**
- * List resources (Documentation + SDK files)
+ * Builds the full resource list (Documentation + SDK files), sorted by URI.
+ * `_meta` carries the category and package used for filtering.
  */
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  try {
-    const docs = getDocFiles();
-    const resources = [];
-
-    // Add documentation resources
-    for (const doc of docs) {
-      resources.push({
-        uri: `pushchain://docs/${doc.path}`,
-        name: doc.name,
-        description: `Push Chain documentation: ${doc.path}`,
-        mimeType: "text/markdown"
-      });
-    }
+function buildResourceList() {
+  const resources = [];
+
+  // Add documentation resources
+  for (const doc of getDocFiles()) {
+    resources.push({
+      uri: `pushchain://docs/${doc.path}`,
+      name: doc.name,
+      title: doc.metadata?.title,
+      description: `Push Chain documentation: ${doc.path}`,
+      mimeType: "text/markdown",
+      annotations: { audience: ["user", "assistant"], priority: 0.8 },
+      _meta: { category: "docs" }
+    });
+  }
 
-    // Add SDK file resources
-    for (const path of Object.keys(coreAndUIKitFiles)) {
-      const pkg = path.includes("/core/") ? "core" : "ui-kit";
-      resources.push({
-        uri: `pushchain://sdk/${pkg}/${path}`,
-        name: path.split('/').pop(),
-        description: `SDK source: ${path}`,
-        mimeType: "text/typescript"
-      });
-    }
+  // Add SDK file resources
+  for (const path of Object.keys(sdkData.coreAndUIKitFiles)) {
+    const pkg = path.includes("/core/") ? "core" : "ui-kit";
+    resources.push({
+      uri: `pushchain://sdk/${pkg}/${path}`,
+      name: path.split('/').pop(),
+      description: `SDK source: ${path}`,
+      mimeType: "text/typescript",
+      annotations: { audience: ["assistant"], priority: 0.5 },
+      _meta: { category: "sdk", package: pkg }
+    });
+  }
 
-    return { resources };
+  return resources.sort((a, b) => (a.uri < b.uri ? -1 : a.uri > b.uri ? 1 : 0));
+}
+
+/**
+ * List resources, one page at a time, optionally filtered by category or package
+ */
+async function handleListResources(request) {
+  let params;
+  try {
+    params = ListResourcesParamsSchema.parse(request.params || {});
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, handleValidationError(error));
+  }
+
+  const filter = { category: params.category, package: params.package };
+  let resources;
+  try {
+    resources = buildResourceList().filter(resource =>
+      (!filter.category || resource._meta.category === filter.category) &&
+      (!filter.package || resource._meta.package === filter.package)
+    );
   } catch (error) {
     console.error("Error listing resources:", error);
     return { resources: [] };
   }
-});
+
+  const page = paginateList(resources, {
+    scope: "resources/list",
+    filter,
+    cursor: params.cursor,
+    pageSize: RESOURCES_PAGE_SIZE,
+    getKey: resource => resource.uri
+  });
+  if (page.error) {
+    throw new McpError(ErrorCode.InvalidParams, page.error);
+  }
+
+  return page.nextCursor
+    ? { resources: page.items, nextCursor: page.nextCursor }
+    : { resources: page.items };
+}
+
+/**
+ * List URI templates for symbols, doc sections and source line ranges
+ */
+async function handleListResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
 
 /**
- * Read resource content (Documentation + SDK)
+ * Read resource content (Documentation + SDK, including template URIs)
  */
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+async function handleReadResource(request) {
   const uri = request.params.uri;
+  const target = parseResourceUri(uri);
 
-  if (uri.startsWith("pushchain://docs/")) {
-    const path = uri.replace("pushchain://docs/", "");
+  if (target.type === "doc") {
     try {
       const docs = getDocFiles();
-      const doc = docs.find(d => d.path === path);
-      if (!doc) throw new Error(`Documentation not found: ${path}`);
+      const doc = docs.find(d => d.path === target.path);
+      if (!doc) throw new Error(`Documentation not found: ${target.path}`);
 
       const content = doc.content || "";
       return {
@@ -1224,25 +2325,231 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
     } catch (error) {
       throw new Error(handleGitHubApiError(error));
     }
-  } else if (uri.startsWith("pushchain://sdk/")) {
-    const path = uri.replace(/^pushchain:\/\/sdk\/(?:core|ui-kit)\//, "");
-    const content = coreAndUIKitFiles[path];
-    if (!content) throw new Error(`Resource not found: ${path}`);
+  } else if (target.type === "docSection") {
+    const doc = getDocFiles().find(d => d.path === target.path);
+    if (!doc) throw new Error(`Documentation not found: ${target.path}`);
 
+    // Without an anchor, return the outline so clients can discover anchors
+    if (!target.anchor) {
+      return {
+        contents: [{ uri, mimeType: "text/markdown", text: `# Outline: ${doc.name}\n\n${formatOutline(doc.outline)}` }]
+      };
+    }
+
+    const section = findSection(doc.outline, { anchor: target.anchor });
+    if (!section) {
+      throw new Error(`Section '#${target.anchor}' not found in ${target.path}. Read pushchain://docs/section/${target.path} for the outline`);
+    }
     return {
-      contents: [{ uri, mimeType: "text/typescript", text: content }]
+      contents: [{ uri, mimeType: "text/markdown", text: doc.content.slice(section.start, section.end).trim() }]
+    };
+  } else if (target.type === "symbol") {
+    const exports = findExport(sdkData, target.name);
+    if (exports.length === 0) {
+      throw new Error(`SDK symbol not found: ${target.name}. Use search_sdk to find similar names`);
+    }
+    return {
+      contents: exports.map(exp => ({
+        uri,
+        mimeType: "text/typescript",
+        text: `// ${exp.file} (${exp.exportType})\n${extractDefinition(sdkData, exp)}`
+      }))
     };
   } else {
-    throw new Error(`Invalid URI: ${uri}`);
+    const content = sdkData.coreAndUIKitFiles[target.path];
+    if (!content) throw new Error(`Resource not found: ${target.path}`);
+
+    if (!target.lines) {
+      return {
+        contents: [{ uri, mimeType: "text/typescript", text: content }]
+      };
+    }
+
+    const lines = content.split("\n");
+    if (target.lines.start > lines.length) {
+      throw new Error(`Line ${target.lines.start} is past the end of ${target.path} (${lines.length} lines)`);
+    }
+    return {
+      contents: [{
+        uri,
+        mimeType: "text/typescript",
+        text: lines.slice(target.lines.start - 1, target.lines.end).join("\n")
+      }]
+    };
   }
-});
+}
+
+/**
+ * Data accessors handed to prompt builders, backed by the in-memory caches
+ */
+const promptContext = {
+  getDocSection(path, anchor) {
+    const doc = getDocFiles().find(d => d.path === path);
+    const section = doc && findSection(doc.outline, { anchor });
+    if (!section) return null;
+    return {
+      title: section.title,
+      url: `${doc.htmlUrl}#${section.anchor}`,
+      content: doc.content.slice(section.start, section.end).trim()
+    };
+  },
+  getApiDefinitions(name) {
+    return findExport(sdkData, name).map(exp => ({
+      name: exp.name,
+      type: exp.exportType,
+      package: exp.file.includes("/core/") ? "@pushchain/core" : "@pushchain/ui-kit",
+      file: exp.file,
+      definition: extractDefinition(sdkData, exp)
+    }));
+  },
+  getSourceFile(path) {
+    return sdkData.coreAndUIKitFiles[path] || null;
+  },
+  searchDocs(query, limit) {
+    return searchIndex(docsSearchIndex, query).slice(0, limit).map(({ doc, score }) => ({
+      path: doc.path,
+      title: doc.metadata?.title || doc.name,
+      score
+    }));
+  }
+};
+
+/**
+ * List workflow prompts
+ */
+async function handleListPrompts() {
+  return { prompts: listPrompts() };
+}
+
+/**
+ * Build a workflow prompt with documentation and SDK context
+ */
+async function handleGetPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = getPrompt(name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !args[arg.name]?.trim())
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for prompt '${name}': ${missing.join(", ")}`);
+  }
+
+  const invalid = prompt.arguments
+    .filter(arg => arg.pattern && args[arg.name] !== undefined && !arg.pattern.test(args[arg.name].trim()))
+    .map(arg => `${arg.name} (${JSON.stringify(args[arg.name])})`);
+  if (invalid.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid argument(s) for prompt '${name}': ${invalid.join(", ")}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: prompt.build(args, promptContext)
+  };
+}
+
+// ============================================================================
+// DATA HOT RELOAD
+// ============================================================================
+
+
+// Connected server instances (one for stdio, one per session over HTTP)
+const activeServers = new Set();
+
+/**
+ * Tells every connected client that the tool and resource lists changed
+ */
+function notifyListChanged() {
+  for (const server of activeServers) {
+    Promise.all([server.sendResourceListChanged(), server.sendToolListChanged()]).catch(error => {
+      console.error("   Could not send list_changed notification:", error.message);
+    });
+  }
+}
+
+/**
+ * Reloads a data group after its files changed on disk. New data is only
+ * swapped in once it has been read and validated, so a failed or partially
+ * written update leaves the current data in place.
+ *
+ * @param {string} group - Key of DATA_GROUPS
+ */
+function reloadData(group) {
+  let summary;
+  try {
+    if (group === "docs") {
+      const data = loadDocsData();
+      applyDocsData(data);
+      summary = `${data.docs.length} documentation files`;
+    } else {
+      const data = loadSdkData();
+      applySdkData(data);
+      summary = `${Object.keys(data.coreAndUIKitFiles).length} SDK source files`;
+    }
+  } catch (error) {
+    console.error(`⚠️  Keeping previous ${group} data: ${error.message}`);
+    return;
+  }
+  refreshDocsSdkLinks();
+
+  console.error(`🔄 Reloaded ${group} data (${summary})`);
+  notifyListChanged();
+}
+
+/**
+ * Creates an MCP server instance wired to the shared handlers.
+ * stdio uses a single instance; HTTP mode creates one per client session,
+ * all serving the same in-memory data.
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: "push-chain-unified",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        prompts: {},
+        resources: { listChanged: true },
+        tools: { listChanged: true },
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  activeServers.add(server);
+  server.onclose = () => activeServers.delete(server);
+
+  return server;
+}
 
 /**
  * Start server
  */
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  const useHttp = process.env.MCP_TRANSPORT === "http" || process.argv.includes("--http");
+  let httpHandle = null;
+
+  if (useHttp) {
+    httpHandle = await startHttpServer(createServer, {
+      getHealth: () => ({
+        docs: getDocFiles().length,
+        sdkFiles: Object.keys(sdkData.coreAndUIKitFiles).length
+      })
+    });
+  } else {
+    await createServer().connect(new StdioServerTransport());
+  }
 
   console.error("=".repeat(60));
   console.error("Push Chain Unified MCP Server");
@@ -1251,13 +2558,20 @@ async function main() {
   console.error(`   - ${getDocFiles().length} documentation files`);
 
   console.error("\n🔧 SDK Server:");
-  console.error(`   - ${Object.keys(coreAndUIKitFiles).length} source files`);
-  console.error(`   - ${coreAndUIKitExports.functions.length} functions`);
-  console.error(`   - ${coreAndUIKitExports.classes.length} classes`);
-  console.error(`   - ${coreAndUIKitExports.types.length} types`);
+  console.error(`   - ${Object.keys(sdkData.coreAndUIKitFiles).length} source files`);
+  console.error(`   - ${sdkData.coreAndUIKitExports.functions.length} functions`);
+  console.error(`   - ${sdkData.coreAndUIKitExports.classes.length} classes`);
+  console.error(`   - ${sdkData.coreAndUIKitExports.types.length} types`);
 
   console.error("\n⚙️  Configuration:");
   console.error(`   - CHARACTER_LIMIT: ${CHARACTER_LIMIT}`);
+  console.error(`   - Transport: ${useHttp ? "http" : "stdio"}`);
+
+  // Reload caches when the updaters (or a manual regeneration) rewrite data/
+  if (process.env.DATA_HOT_RELOAD !== "false") {
+    watchDataFiles(DATA_DIR, DATA_GROUPS, reloadData, DATA_RELOAD_DEBOUNCE_MS);
+    console.error("   - Hot reload: watching data/");
+  }
 
   // Check for SDK updates
   if (process.env.SDK_AUTO_UPDATE !== "false") {
@@ -1267,9 +2581,39 @@ async function main() {
     });
   }
 
+  // Check for documentation updates
+  if (process.env.DOCS_AUTO_UPDATE !== "false") {
+    console.error("\n🔄 Checking for documentation updates...");
+    checkAndUpdateDocs(false).catch(error => {
+      console.error("   Docs update check failed:", error.message);
+    });
+  }
+
   console.error("\n" + "=".repeat(60));
-  console.error("✅ Server ready on stdio");
+  if (httpHandle) {
+    console.error(`✅ Server ready on ${httpHandle.url}`);
+    console.error(`   - Streamable HTTP: ${httpHandle.url}${HTTP_CONFIG.mcpPath}`);
+    console.error(`   - SSE (legacy):    ${httpHandle.url}${HTTP_CONFIG.ssePath}`);
+    console.error(`   - Health:          ${httpHandle.url}${HTTP_CONFIG.healthPath}`);
+  } else {
+    console.error("✅ Server ready on stdio");
+  }
   console.error("=".repeat(60) + "\n");
+
+  if (httpHandle) {
+    const shutdown = async (signal) => {
+      console.error(`\n${signal} received, closing ${httpHandle.sessions.size} session(s)...`);
+      try {
+        await httpHandle.close();
+        process.exit(0);
+      } catch (error) {
+        console.error("Error during shutdown:", error.message);
+        process.exit(1);
+      }
+    };
+    process.once("SIGINT", () => shutdown("SIGINT"));
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+  }
 }
 
 main().catch((error) => {
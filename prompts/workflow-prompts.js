@@ -0,0 +1,271 @@
+/**
+ * Prompt catalog for common Push Chain workflows
+ *
+ * Each prompt assembles the relevant documentation sections and SDK
+ * signatures from the local caches into ready-to-use prompt messages.
+ * Prompts receive a context object from the server so they never read the
+ * data files directly:
+ *
+ *   ctx.getDocSection(path, anchor)  -> { title, url, content } | null
+ *   ctx.getApiDefinitions(name)      -> [{ name, type, package, file, definition }]
+ *   ctx.getSourceFile(path)          -> string | null
+ *   ctx.searchDocs(query, limit)     -> [{ path, title, score }]
+ */
+
+/**
+ * Maximum characters of a single doc section embedded in a prompt
+ */
+const MAX_SECTION_CHARS = 8000;
+
+const UI_KIT_DOC = "docs/chain/04-ui-kit/01-Integrate-Push-Universal-Wallet.mdx";
+const SIGNER_DOC = "docs/chain/03-build/02-Create-Universal-Signer.mdx";
+const CLIENT_DOC = "docs/chain/03-build/03-Initialize-Push-Chain-Client.mdx";
+const SEND_TX_DOC = "docs/chain/03-build/05-Universal-Send-Transaction.mdx";
+const PROGRESS_TYPES_FILE = "packages/core/src/lib/progress-hook/progress-hook.types.ts";
+const PROGRESS_HOOK_FILE = "packages/core/src/lib/progress-hook/progress-hook.ts";
+const ORCHESTRATOR_FILE = "packages/core/src/lib/orchestrator/orchestrator.ts";
+
+/**
+ * Formats documentation sections as markdown blocks, skipping any that are missing
+ */
+function formatDocSections(ctx, refs) {
+  const blocks = [];
+  for (const { path, anchor } of refs) {
+    const section = ctx.getDocSection(path, anchor);
+    if (!section) continue;
+
+    let content = section.content;
+    if (content.length > MAX_SECTION_CHARS) {
+      content = content.slice(0, MAX_SECTION_CHARS) +
+        `\n\n... (section truncated; use get_push_chain_doc_section with path '${path}' and anchor '${anchor}' for the rest)`;
+    }
+    blocks.push(`### ${section.title}\nSource: ${section.url}\n\n${content}`);
+  }
+  return blocks.join("\n\n---\n\n");
+}
+
+/**
+ * Formats SDK definitions as fenced TypeScript blocks, skipping unknown names
+ */
+function formatApiDefinitions(ctx, names) {
+  const blocks = [];
+  for (const name of names) {
+    for (const api of ctx.getApiDefinitions(name)) {
+      blocks.push(`### ${api.name} (${api.package}, ${api.type})\nFile: ${api.file}\n\n\`\`\`typescript\n${api.definition}\n\`\`\``);
+    }
+  }
+  return blocks.join("\n\n");
+}
+
+/**
+ * Builds the standard two-message prompt: reference context, then the task
+ */
+function buildMessages(contextParts, task) {
+  const context = contextParts
+    .filter(([, body]) => body)
+    .map(([heading, body]) => `## ${heading}\n\n${body}`)
+    .join("\n\n");
+
+  return [
+    {
+      role: "user",
+      content: {
+        type: "text",
+        text: `Use the following Push Chain reference material, taken from the official documentation and the @pushchain SDK source.\n\n${context}`
+      }
+    },
+    {
+      role: "user",
+      content: { type: "text", text: task }
+    }
+  ];
+}
+
+/**
+ * Curated prompts, in the order they are listed to clients
+ */
+export const PROMPTS = [
+  {
+    name: "integrate-universal-wallet-react",
+    title: "Integrate Push Universal Wallet into a React app",
+    description: "Step-by-step integration of @pushchain/ui-kit (provider, account button and hooks) into a React application",
+    arguments: [
+      { name: "framework", description: "React framework or bundler (e.g. 'vite', 'next', 'create-react-app')", required: false },
+      { name: "network", description: "Push Chain network to target (e.g. 'testnet', 'mainnet')", required: false },
+      { name: "login_methods", description: "Login methods to enable (e.g. 'email, google, wallet')", required: false }
+    ],
+    build(args, ctx) {
+      const docs = formatDocSections(ctx, [
+        { path: UI_KIT_DOC, anchor: "installation" },
+        { path: UI_KIT_DOC, anchor: "quickstart" },
+        { path: UI_KIT_DOC, anchor: "customization-parameters" },
+        { path: "docs/chain/04-ui-kit/01-customizations/04-Customizations-Use-Push-Chain-Client.mdx", anchor: "usage" }
+      ]);
+      const apis = formatApiDefinitions(ctx, [
+        "PushUniversalWalletProvider",
+        "PushUniversalAccountButton",
+        "usePushWalletContext",
+        "usePushChainClient",
+        "ProviderConfigProps"
+      ]);
+
+      const details = [
+        args.framework && `- Framework: ${args.framework}`,
+        args.network && `- Network: ${args.network}`,
+        args.login_methods && `- Login methods: ${args.login_methods}`
+      ].filter(Boolean).join("\n");
+
+      const task = `Integrate the Push Universal Wallet into my React app.${details ? `\n\n${details}` : ""}
+
+Please:
+1. List the packages to install.
+2. Show where to wrap the app in PushUniversalWalletProvider and which config options to set.
+3. Add a PushUniversalAccountButton and show how to read the connection state.
+4. Show how to get the Push Chain client with usePushChainClient and send a simple transaction.
+Only use props and hooks that appear in the reference material.`;
+
+      return buildMessages([["Documentation", docs], ["SDK Signatures", apis]], task);
+    }
+  },
+  {
+    name: "send-universal-tx-from-solana",
+    title: "Send a universal transaction from Solana",
+    description: "Create a universal signer from a Solana keypair, initialize the Push Chain client and send a universal transaction",
+    arguments: [
+      { name: "recipient", description: "Recipient address on Push Chain", required: false },
+      { name: "amount", description: "Amount of PC to send (e.g. '0.1')", required: false },
+      { name: "environment", description: "Where the code runs: 'node' or 'browser'", required: false }
+    ],
+    build(args, ctx) {
+      const docs = formatDocSections(ctx, [
+        { path: SIGNER_DOC, anchor: "create-universal-signer" },
+        { path: CLIENT_DOC, anchor: "initialize-push-chain-client" },
+        { path: SEND_TX_DOC, anchor: "sending-universal-transaction" }
+      ]);
+      const apis = formatApiDefinitions(ctx, [
+        "toUniversalFromKeypair",
+        "createUniversalSigner",
+        "UniversalSigner",
+        "ExecuteParams",
+        "UniversalTxResponse"
+      ]);
+
+      const task = `Write ${args.environment === "browser" ? "browser" : "Node.js"} TypeScript code that sends a universal transaction to Push Chain from a Solana account.
+
+- Recipient: ${args.recipient || "<recipient address>"}
+- Amount: ${args.amount || "0.1"} PC
+
+Create the universal signer from a Solana keypair, initialize PushChain with it, send the transaction with pushChainClient.universal.sendTransaction, log progress with a progressHook, and wait for the receipt. Explain any Solana-specific steps.`;
+
+      return buildMessages([["Documentation", docs], ["SDK Signatures", apis]], task);
+    }
+  },
+  {
+    name: "debug-send-tx-progress",
+    title: "Debug a failed SEND-TX progress event",
+    description: "Explain what a universal transaction progress event (e.g. SEND-TX-99-02) means, where the SDK emits it and how to fix the failure",
+    arguments: [
+      // Used to build source patterns, so restricted to the characters event IDs use
+      { name: "event_id", description: "Progress event ID reported by progressHook (e.g. 'SEND-TX-99-02')", required: true, pattern: /^[A-Z0-9-]+$/i },
+      { name: "error_message", description: "Error message or progress.message received", required: false },
+      { name: "origin_chain", description: "Origin chain of the transaction (e.g. 'solana:devnet', 'eip155:11155111')", required: false }
+    ],
+    build(args, ctx) {
+      const eventId = args.event_id.trim().toUpperCase();
+      const enumKey = eventId.replace(/-/g, "_");
+
+      // Event table rows from the send-transaction guide
+      const sendTxDoc = ctx.getDocSection(SEND_TX_DOC, "sending-universal-transaction");
+      const docLines = sendTxDoc ? sendTxDoc.content.split("\n") : [];
+      const tableStart = docLines.findIndex(line => /^\|\s*ID\s*\|/.test(line));
+      const tableEnd = docLines.findIndex((line, idx) => idx > tableStart && !line.startsWith("|"));
+      const eventTable = tableStart === -1
+        ? ""
+        : docLines.slice(tableStart, tableEnd === -1 ? undefined : tableEnd).join("\n");
+
+      // Hook factory for this event
+      const hookSource = ctx.getSourceFile(PROGRESS_HOOK_FILE) || "";
+      const hookMatch = hookSource.match(new RegExp(`\\[PROGRESS_HOOK\\.${enumKey}\\][\\s\\S]*?\\n  \\}\\),`));
+
+      // Places in the orchestrator that emit this event
+      const orchestrator = ctx.getSourceFile(ORCHESTRATOR_FILE) || "";
+      const orchestratorLines = orchestrator.split("\n");
+      const emitSites = [];
+      orchestratorLines.forEach((line, idx) => {
+        if (line.includes(`PROGRESS_HOOK.${enumKey}`) && emitSites.length < 5) {
+          const start = Math.max(0, idx - 8);
+          emitSites.push(`// ${ORCHESTRATOR_FILE}:${idx + 1}\n${orchestratorLines.slice(start, idx + 3).join("\n")}`);
+        }
+      });
+
+      const source = [
+        `\`\`\`typescript\n// ${PROGRESS_TYPES_FILE}\n${ctx.getSourceFile(PROGRESS_TYPES_FILE) || ""}\n\`\`\``,
+        hookMatch ? `\`\`\`typescript\n// ${PROGRESS_HOOK_FILE}\n${hookMatch[0]}\n\`\`\`` : "",
+        emitSites.length > 0
+          ? `\`\`\`typescript\n${emitSites.join("\n\n")}\n\`\`\``
+          : `_No emit sites for ${eventId} were found in the orchestrator source._`
+      ].filter(Boolean).join("\n\n");
+
+      const details = [
+        `- Event: ${eventId}`,
+        args.error_message && `- Message: ${args.error_message}`,
+        args.origin_chain && `- Origin chain: ${args.origin_chain}`
+      ].filter(Boolean).join("\n");
+
+      const task = `My universal transaction failed while tracking progress with progressHook.
+
+${details}
+
+Using the reference material:
+1. Explain what ${eventId} means and at which stage of the transaction lifecycle it is emitted.
+2. Identify the most likely causes given the message${args.origin_chain ? " and origin chain" : ""}.
+3. Suggest concrete fixes or checks (balances, gas, signer setup, network configuration).
+4. Show how to log all progress events so the failure can be narrowed down next time.`;
+
+      return buildMessages([["Progress Events (from docs)", eventTable], ["SDK Source", source]], task);
+    }
+  },
+  {
+    name: "explain-sdk-api",
+    title: "Explain an SDK API with documentation context",
+    description: "Explain an exported @pushchain/core or @pushchain/ui-kit API using its source definition and the documentation pages that cover it",
+    arguments: [
+      { name: "name", description: "Exported API name (e.g. 'createUniversalSigner', 'usePushChainClient')", required: true }
+    ],
+    build(args, ctx) {
+      const name = args.name.trim();
+      const apis = formatApiDefinitions(ctx, [name]);
+      const relatedDocs = ctx.searchDocs(name, 3)
+        .map(doc => `- ${doc.title} (${doc.path}, relevance ${doc.score})`)
+        .join("\n");
+
+      const task = `Explain the Push Chain SDK API \`${name}\`: what it does, its parameters and return value, and when to use it. Include a short, correct usage example. If the definition was not found above, say so and suggest similarly named APIs instead of guessing.`;
+
+      return buildMessages([["SDK Signatures", apis], ["Related Documentation Pages", relatedDocs]], task);
+    }
+  }
+];
+
+/**
+ * Looks up a prompt by name
+ *
+ * @param {string} name - Prompt name
+ * @returns {Object|undefined} Prompt definition
+ */
+export function getPrompt(name) {
+  return PROMPTS.find(prompt => prompt.name === name);
+}
+
+/**
+ * Lists prompt metadata in the shape expected by prompts/list
+ *
+ * @returns {Array<Object>} Prompt descriptors without build functions
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args.map(({ name: argName, description: argDescription, required }) => ({ name: argName, description: argDescription, required }))
+  }));
+}
@@ -0,0 +1,15 @@
+/**
+ * Zod schema fields shared by the documentation and SDK tool schemas
+ */
+
+import { z } from "zod";
+
+/**
+ * Continuation cursor accepted by every tool
+ * Truncated responses return a cursor that fetches the next page
+ */
+export const CursorField = z.string()
+  .min(1, "Cursor must not be empty")
+  .max(1000, "Cursor must not exceed 1000 characters")
+  .optional()
+  .describe("Optional: continuation cursor from a previous truncated response. Repeat the same arguments and pass the cursor to get the next page");
@@ -0,0 +1,139 @@
+/**
+ * Zod validation schemas for the cached data files in data/
+ *
+ * Generators validate their output against these schemas before writing,
+ * and the server validates every file it loads. Objects pass unknown keys
+ * through so data written by newer generators still loads.
+ */
+
+import { z } from "zod";
+
+/**
+ * Schema for data/docs_cache.json
+ */
+export const DocsCacheSchema = z.object({
+  generatedAt: z.string().optional(),
+  docs: z.array(z.object({
+    path: z.string().min(1),
+    name: z.string(),
+    content: z.string(),
+    sha: z.string().optional(),
+    metadata: z.record(z.any()).optional(),
+    codeSnippets: z.array(z.object({
+      language: z.string(),
+      code: z.string(),
+      tabs: z.array(z.string()).optional()
+    }).passthrough()).optional(),
+    outline: z.array(z.object({}).passthrough()).optional()
+  }).passthrough()).min(1, "contains no documentation pages")
+}).passthrough();
+
+/**
+ * Schema for data/sdk_file_contents.json (path to TypeScript source)
+ */
+export const SdkFileContentsSchema = z.record(z.string())
+  .refine(files => Object.keys(files).length > 0, "contains no source files");
+
+/**
+ * A single export record in data/sdk_complete_exports.json
+ */
+const ExportRecordSchema = z.object({
+  name: z.string().min(1),
+  file: z.string().min(1),
+  kind: z.string().optional(),
+  signature: z.string().optional(),
+  range: z.object({ startLine: z.number().int(), endLine: z.number().int() }).optional(),
+  visibility: z.enum(["public", "internal", "test-only"]).optional(),
+  publicPath: z.string().optional()
+}).passthrough();
+
+/**
+ * Schema for data/sdk_complete_exports.json
+ */
+export const SdkExportsSchema = z.object({
+  functions: z.array(ExportRecordSchema),
+  classes: z.array(ExportRecordSchema),
+  types: z.array(ExportRecordSchema),
+  interfaces: z.array(ExportRecordSchema),
+  constants: z.array(ExportRecordSchema).optional(),
+  reexports: z.array(z.object({
+    file: z.string(),
+    from: z.string(),
+    names: z.array(z.object({ name: z.string(), exportedAs: z.string() }).passthrough()).nullable()
+  }).passthrough()).optional()
+}).passthrough()
+  .refine(exports => ["functions", "classes", "types", "interfaces", "constants"].some(category => exports[category]?.length > 0), "contains no exports");
+
+/**
+ * Schema for data/sdk_packages_complete.json
+ */
+export const SdkPackagesSchema = z.object({
+  packages: z.array(z.object({
+    name: z.string().min(1),
+    version: z.string().min(1),
+    path: z.string().optional(),
+    dependencies: z.record(z.string()).optional()
+  }).passthrough()).min(1, "contains no packages")
+}).passthrough();
+
+/**
+ * Schema for data/sdk_reference_graph.json
+ */
+export const SdkReferenceGraphSchema = z.object({
+  imports: z.array(z.object({
+    file: z.string(),
+    from: z.string(),
+    resolved: z.string().nullable(),
+    line: z.number().int()
+  }).passthrough()),
+  references: z.array(z.object({
+    target: z.string(),
+    file: z.string(),
+    line: z.number().int(),
+    kind: z.string()
+  }).passthrough())
+}).passthrough();
+
+/**
+ * Schema for data/sdk_complete_analysis.json
+ */
+export const SdkAnalysisSchema = z.object({
+  generatedAt: z.string(),
+  packages: z.array(z.object({ name: z.string(), version: z.string() }).passthrough()),
+  statistics: z.object({
+    totalFiles: z.number().int().nonnegative(),
+    totalExports: z.number().int().nonnegative()
+  }).passthrough()
+}).passthrough();
+
+/**
+ * Schema for data/docs_sdk_links.json
+ */
+export const DocsSdkLinksSchema = z.object({
+  generatedAt: z.string(),
+  sources: z.object({
+    docs: z.string().nullable(),
+    sdk: z.string().nullable()
+  }).passthrough(),
+  links: z.array(z.object({
+    api: z.string(),
+    file: z.string(),
+    doc: z.string(),
+    anchor: z.string().nullable(),
+    snippets: z.array(z.string()),
+    inText: z.boolean()
+  }).passthrough())
+}).passthrough();
+
+/**
+ * Schema of each validated data file, by file name
+ */
+export const DATA_FILE_SCHEMAS = {
+  "docs_cache.json": DocsCacheSchema,
+  "sdk_file_contents.json": SdkFileContentsSchema,
+  "sdk_complete_exports.json": SdkExportsSchema,
+  "sdk_packages_complete.json": SdkPackagesSchema,
+  "sdk_reference_graph.json": SdkReferenceGraphSchema,
+  "sdk_complete_analysis.json": SdkAnalysisSchema,
+  "docs_sdk_links.json": DocsSdkLinksSchema
+};
@@ -6,6 +6,7 @@
  */
 
 import { z } from "zod";
+import { CursorField } from "./common-schemas.js";
 
 /**
  * Response format enum for consistent output formatting
@@ -22,7 +23,8 @@ export const ResponseFormat = {
 export const ListDocsInputSchema = z.object({
   category: z.enum(["tutorials", "setup", "build", "ui-kit", "deep-dives", "all"])
     .default("all")
-    .describe("Filter by documentation category. Options: 'tutorials', 'setup', 'build', 'ui-kit', 'deep-dives', 'all'")
+    .describe("Filter by documentation category. Options: 'tutorials', 'setup', 'build', 'ui-kit', 'deep-dives', 'all'"),
+  cursor: CursorField
 }).strict();
 
 /**
@@ -37,7 +39,8 @@ export const GetDocInputSchema = z.object({
     .describe("The path to the documentation file (e.g., 'docs/chain/01-Intro-Push-Chain.mdx')"),
   response_format: z.enum(["markdown", "json"])
     .default("markdown")
-    .describe("Output format: 'markdown' for human-readable text or 'json' for structured data")
+    .describe("Output format: 'markdown' for human-readable text or 'json' for structured data"),
+  cursor: CursorField
 }).strict();
 
 /**
@@ -57,7 +60,8 @@ export const SearchDocsInputSchema = z.object({
     .describe("Maximum number of results to return (default: 20)"),
   response_format: z.enum(["markdown", "json"])
     .default("markdown")
-    .describe("Output format: 'markdown' for human-readable or 'json' for machine-readable")
+    .describe("Output format: 'markdown' for human-readable or 'json' for machine-readable"),
+  cursor: CursorField
 }).strict();
 
 /**
@@ -72,13 +76,93 @@ export const GetCodeSnippetsInputSchema = z.object({
     .describe("Optional: specific doc path to extract snippets from. If not provided, extracts from all docs"),
   language: z.string()
     .max(50, "Language must not exceed 50 characters")
-    .regex(/^[a-z0-9]+$/i, "Language must contain only alphanumeric characters")
+    .regex(/^[a-z0-9+#-]+(\s+live)?$/i, "Language must be a language name, optionally followed by ' live'")
     .optional()
-    .describe("Optional: filter by programming language (e.g., 'javascript', 'typescript', 'solidity', 'bash')"),
+    .describe("Optional: filter by programming language (e.g., 'typescript', 'solidity', 'bash', 'jsx'). Aliases match: 'ts' and 'typescript', 'js' and 'javascript'. A trailing ' live' (e.g., 'jsx live') also selects live playground blocks"),
+  live: z.boolean()
+    .optional()
+    .describe("Optional: true for only live playground snippets (editable or runnable on the docs site), false for only static ones"),
+  tab: z.string()
+    .min(1, "Tab must not be empty")
+    .max(100, "Tab must not exceed 100 characters")
+    .optional()
+    .describe("Optional: only snippets under a tab whose label contains this text, case-insensitive (e.g., 'viem', 'Solana', 'Ethers')"),
+  title: z.string()
+    .min(1, "Title must not be empty")
+    .max(200, "Title must not exceed 200 characters")
+    .optional()
+    .describe("Optional: only snippets whose file title contains this text, case-insensitive (e.g., 'UniversalCounter.sol', 'hardhat.config')"),
+  heading: z.string()
+    .min(1, "Heading must not be empty")
+    .max(200, "Heading must not exceed 200 characters")
+    .optional()
+    .describe("Optional: only snippets in a section whose heading path contains this text, or whose anchor equals it, case-insensitive (e.g., 'Live Playground', 'sending-universal-transaction')"),
+  contains: z.string()
+    .min(2, "Search text must be at least 2 characters")
+    .max(200, "Search text must not exceed 200 characters")
+    .optional()
+    .describe("Optional: only snippets whose code contains this text, case-insensitive (e.g., 'PushChain.initialize')"),
   limit: z.coerce.number()
     .int()
     .min(1, "Limit must be at least 1")
     .max(100, "Limit cannot exceed 100")
     .default(50)
-    .describe("Maximum number of code snippets to return (default: 50)")
+    .describe("Maximum number of code snippets to return (default: 50)"),
+  cursor: CursorField
 }).strict();
+
+/**
+ * Schema for get_push_chain_doc_section tool
+ * Lists a page's heading outline or retrieves a single section by anchor or heading path
+ */
+export const GetDocSectionInputSchema = z.object({
+  path: z.string()
+    .min(1, "Path is required")
+    .max(500, "Path must not exceed 500 characters")
+    .regex(/^docs\/chain\/.*\.mdx$/, "Path must be a valid .mdx file in docs/chain/ directory")
+    .describe("The path to the documentation file (e.g., 'docs/chain/03-build/05-Universal-Send-Transaction.mdx')"),
+  anchor: z.string()
+    .max(200, "Anchor must not exceed 200 characters")
+    .optional()
+    .describe("Optional: section anchor as shown in the outline (e.g., 'sending-universal-transaction')"),
+  heading_path: z.string()
+    .max(500, "Heading path must not exceed 500 characters")
+    .optional()
+    .describe("Optional: heading titles joined by ' > ' (e.g., 'Sending Universal Transaction > Parameters'). Trailing segments are enough when unambiguous"),
+  response_format: z.enum(["markdown", "json"])
+    .default("markdown")
+    .describe("Output format: 'markdown' for human-readable text or 'json' for structured data"),
+  cursor: CursorField
+}).strict().refine(
+  data => !(data.anchor && data.heading_path),
+  { message: "Provide either 'anchor' or 'heading_path', not both", path: ["anchor"] }
+);
+
+/**
+ * Schema for export_example_project tool
+ * Turns a documentation snippet into a ready-to-run project
+ */
+export const ExportExampleProjectInputSchema = z.object({
+  path: z.string()
+    .max(500, "Path must not exceed 500 characters")
+    .regex(/^docs\/chain\/.*\.mdx$/, "Path must be a valid .mdx file in docs/chain/ directory")
+    .optional()
+    .describe("Optional: doc path to export the main example of (the first runnable snippet importing an @pushchain package)"),
+  snippet_id: z.string()
+    .max(520, "Snippet id must not exceed 520 characters")
+    .regex(/^docs\/chain\/.*\.mdx#\d+$/, "Snippet id must be a doc path and snippet number, as returned by get_code_snippets (e.g., 'docs/chain/01-Intro-Push-Chain.mdx#2')")
+    .optional()
+    .describe("Optional: id of the snippet to export, as returned by get_code_snippets"),
+  tab: z.string()
+    .min(1, "Tab must not be empty")
+    .max(100, "Tab must not exceed 100 characters")
+    .optional()
+    .describe("Optional: with 'path', export the variant under this tab label (e.g., 'viem', 'Solana')"),
+  cursor: CursorField
+}).strict().refine(
+  data => Boolean(data.path) !== Boolean(data.snippet_id),
+  { message: "Provide either 'path' or 'snippet_id'", path: ["path"] }
+).refine(
+  data => !(data.tab && data.snippet_id),
+  { message: "'tab' only applies with 'path'; a snippet id already names one snippet", path: ["tab"] }
+);
@@ -0,0 +1,24 @@
+/**
+ * Zod validation schemas for Push Chain MCP resource requests
+ *
+ * Validates the optional parameters accepted by resources/list in addition
+ * to the standard MCP pagination cursor.
+ */
+
+import { z } from "zod";
+import { CursorField } from "./common-schemas.js";
+
+/**
+ * Schema for resources/list parameters
+ * `category` and `package` match the values exposed in each resource's `_meta`
+ */
+export const ListResourcesParamsSchema = z.object({
+  cursor: CursorField.describe("Optional: nextCursor from the previous resources/list page"),
+  category: z.enum(["docs", "sdk"])
+    .optional()
+    .describe("Optional: only list documentation pages ('docs') or SDK source files ('sdk')"),
+  package: z.enum(["core", "ui-kit"])
+    .optional()
+    .describe("Optional: only list SDK files from @pushchain/core ('core') or @pushchain/ui-kit ('ui-kit')"),
+  _meta: z.object({}).passthrough().optional()
+}).strict();
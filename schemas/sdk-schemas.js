@@ -6,6 +6,7 @@
  */
 
 import { z } from "zod";
+import { CursorField } from "./common-schemas.js";
 
 /**
  * Response format enum for consistent output formatting
@@ -15,6 +16,25 @@ export const ResponseFormat = {
   JSON: "json"
 };
 
+/**
+ * Opt-in flag for symbols outside the public API surface
+ * Public symbols are importable from a package entry point or reachable
+ * through one (e.g. PushChain.utils.signer.toUniversal)
+ */
+export const IncludeInternalField = z.boolean()
+  .default(false)
+  .describe("Optional: also include internal and test-only symbols that are not part of the package's public API (default: false)");
+
+/**
+ * SDK release a query runs against
+ * Matches a snapshot kept by the SDK updater; omitted means the latest data
+ */
+export const VersionField = z.string()
+  .min(1, "Version must not be empty")
+  .max(100, "Version must not exceed 100 characters")
+  .optional()
+  .describe("Optional: SDK version to query, e.g. '3.0.5', 'core@3.0.5', a snapshot id or a commit SHA prefix (default: latest)");
+
 /**
  * Schema for get_sdk_api tool
  * Gets detailed information about any exported API from @pushchain/core or @pushchain/ui-kit
@@ -26,7 +46,9 @@ export const GetSdkApiInputSchema = z.object({
     .describe("Name of the API (e.g., 'PushClient', 'createUniversalSigner', 'UniversalAccount')"),
   package: z.enum(["core", "ui-kit", "any"])
     .default("any")
-    .describe("Optional: Package to search in. Use 'core' for @pushchain/core, 'ui-kit' for @pushchain/ui-kit, or 'any' to search both")
+    .describe("Optional: Package to search in. Use 'core' for @pushchain/core, 'ui-kit' for @pushchain/ui-kit, or 'any' to search both"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -51,7 +73,10 @@ export const SearchSdkInputSchema = z.object({
     .int()
     .min(0, "Offset cannot be negative")
     .default(0)
-    .describe("Number of results to skip for pagination (default: 0)")
+    .describe("Number of results to skip for pagination (default: 0)"),
+  include_internal: IncludeInternalField,
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -60,7 +85,9 @@ export const SearchSdkInputSchema = z.object({
  */
 export const GetPackageInfoInputSchema = z.object({
   package: z.enum(["core", "ui-kit"])
-    .describe("Package name: 'core' for @pushchain/core or 'ui-kit' for @pushchain/ui-kit")
+    .describe("Package name: 'core' for @pushchain/core or 'ui-kit' for @pushchain/ui-kit"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -71,7 +98,18 @@ export const GetTypeDefinitionInputSchema = z.object({
   name: z.string()
     .min(1, "Type name is required")
     .max(200, "Type name must not exceed 200 characters")
-    .describe("Type or interface name (e.g., 'UniversalAccount', 'SignerOptions', 'PushConfig')")
+    .describe("Type or interface name (e.g., 'UniversalAccount', 'SignerOptions', 'PushConfig')"),
+  expand_depth: z.coerce.number()
+    .int()
+    .min(0, "Expand depth cannot be negative")
+    .max(5, "Expand depth cannot exceed 5")
+    .default(0)
+    .describe("Optional: also include the types this type references, up to this many levels deep (default: 0)"),
+  include_source: z.boolean()
+    .default(false)
+    .describe("Optional: include the full source of the file declaring the type (default: false)"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -83,7 +121,9 @@ export const GetSourceFileInputSchema = z.object({
     .min(1, "File path is required")
     .max(500, "File path must not exceed 500 characters")
     .regex(/^packages\/(core|ui-kit)\//, "Path must start with 'packages/core/' or 'packages/ui-kit/'")
-    .describe("File path (e.g., 'packages/core/src/lib/push-client/push-client.ts')")
+    .describe("File path (e.g., 'packages/core/src/lib/push-client/push-client.ts')"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -93,9 +133,12 @@ export const GetSourceFileInputSchema = z.object({
 export const ListAllExportsInputSchema = z.object({
   package: z.enum(["core", "ui-kit", "both"])
     .describe("Package to list exports from: 'core', 'ui-kit', or 'both'"),
-  type: z.enum(["all", "functions", "classes", "types", "interfaces"])
+  type: z.enum(["all", "functions", "classes", "types", "interfaces", "constants"])
     .default("all")
-    .describe("Filter by export type: 'all', 'functions', 'classes', 'types', or 'interfaces'")
+    .describe("Filter by export type: 'all', 'functions', 'classes', 'types', 'interfaces', or 'constants'"),
+  include_internal: IncludeInternalField,
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -112,15 +155,126 @@ export const FindUsageExamplesInputSchema = z.object({
     .min(1, "Limit must be at least 1")
     .max(50, "Limit cannot exceed 50")
     .default(20)
-    .describe("Maximum number of usage examples to return (default: 20)")
+    .describe("Maximum number of usage examples to return (default: 20)"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
+/**
+ * Symbol name accepted by the cross-reference tools
+ * Either an export name or its public path
+ */
+const SymbolNameField = z.string()
+  .min(1, "Symbol name is required")
+  .max(200, "Symbol name must not exceed 200 characters")
+  .describe("Exported symbol name (e.g., 'PushChain', 'EvmClient') or public path (e.g., 'PushChain.utils.signer.toUniversal')");
+
+/**
+ * Package filter accepted by the cross-reference tools
+ */
+const SymbolPackageField = z.enum(["core", "ui-kit", "any"])
+  .default("any")
+  .describe("Optional: Package the symbol is defined in. Use 'core', 'ui-kit', or 'any' (default)");
+
+/**
+ * Opt-in flag for references from spec, e2e and jest files
+ */
+const IncludeTestsField = z.boolean()
+  .default(false)
+  .describe("Optional: also include references from test files (default: false)");
+
+/**
+ * Schema for find_references tool
+ * Lists every resolved reference to an exported symbol
+ */
+export const FindReferencesInputSchema = z.object({
+  name: SymbolNameField,
+  package: SymbolPackageField,
+  kinds: z.array(z.enum(["import", "call", "type", "extends", "implements", "reference"]))
+    .min(1, "Provide at least one reference kind")
+    .optional()
+    .describe("Optional: only return these reference kinds ('import', 'call', 'type', 'extends', 'implements', 'reference')"),
+  include_tests: IncludeTestsField,
+  limit: z.coerce.number()
+    .int()
+    .min(1, "Limit must be at least 1")
+    .max(200, "Limit cannot exceed 200")
+    .default(50)
+    .describe("Maximum number of references to return per definition (default: 50)"),
+  version: VersionField,
+  cursor: CursorField
+}).strict();
+
+/**
+ * Schema for find_callers tool
+ * Lists the functions and methods that call an exported symbol
+ */
+export const FindCallersInputSchema = z.object({
+  name: SymbolNameField,
+  package: SymbolPackageField,
+  include_tests: IncludeTestsField,
+  limit: z.coerce.number()
+    .int()
+    .min(1, "Limit must be at least 1")
+    .max(200, "Limit cannot exceed 200")
+    .default(50)
+    .describe("Maximum number of callers to return per definition (default: 50)"),
+  version: VersionField,
+  cursor: CursorField
+}).strict();
+
+/**
+ * Schema for get_dependencies tool
+ * Shows what a file or symbol imports and what depends on it
+ */
+export const GetDependenciesInputSchema = z.object({
+  path: z.string()
+    .max(500, "File path must not exceed 500 characters")
+    .regex(/^packages\/(core|ui-kit)\//, "Path must start with 'packages/core/' or 'packages/ui-kit/'")
+    .optional()
+    .describe("Optional: SDK file path (e.g., 'packages/core/src/lib/orchestrator/orchestrator.ts')"),
+  name: SymbolNameField.optional(),
+  package: SymbolPackageField,
+  direction: z.enum(["imports", "dependents", "both"])
+    .default("both")
+    .describe("Optional: 'imports' for what the file or symbol uses, 'dependents' for what uses it, or 'both' (default)"),
+  include_tests: IncludeTestsField,
+  version: VersionField,
+  cursor: CursorField
+}).strict().refine(
+  data => Boolean(data.path) !== Boolean(data.name),
+  { message: "Provide either 'path' or 'name'", path: ["path"] }
+);
+
 /**
  * Schema for get_core_classes tool
  * Gets all main classes from @pushchain/core with their methods
  */
 export const GetCoreClassesInputSchema = z.object({
-  // No parameters needed
+  version: VersionField,
+  cursor: CursorField
+}).strict();
+
+/**
+ * Schema for get_class_members tool
+ * Lists constructors, methods, accessors and properties of an SDK class
+ */
+export const GetClassMembersInputSchema = z.object({
+  name: z.string()
+    .min(1, "Class name is required")
+    .max(200, "Class name must not exceed 200 characters")
+    .describe("Class name (e.g., 'PushChain', 'Orchestrator', 'EvmClient', 'SvmClient')"),
+  package: z.enum(["core", "ui-kit", "any"])
+    .default("any")
+    .describe("Optional: Package to search in. Use 'core' for @pushchain/core, 'ui-kit' for @pushchain/ui-kit, or 'any' to search both"),
+  include_inherited: z.boolean()
+    .default(true)
+    .describe("Optional: Include members inherited from base classes in the SDK (default: true)"),
+  include_private: z.boolean()
+    .default(true)
+    .describe("Optional: Include private members (default: true)"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
 
 /**
@@ -128,5 +282,78 @@ export const GetCoreClassesInputSchema = z.object({
  * Gets all React components and hooks from @pushchain/ui-kit
  */
 export const GetUIComponentsInputSchema = z.object({
-  // No parameters needed
+  version: VersionField,
+  cursor: CursorField
+}).strict();
+
+/**
+ * Schema for diff_sdk_versions tool
+ * Compares the exported API of two SDK snapshots
+ */
+export const DiffSdkVersionsInputSchema = z.object({
+  from: z.string()
+    .min(1, "Base version is required")
+    .max(100, "Version must not exceed 100 characters")
+    .describe("SDK version to compare from, e.g. '3.0.4', 'core@3.0.4', a snapshot id or a commit SHA prefix"),
+  to: z.string()
+    .min(1, "Version must not be empty")
+    .max(100, "Version must not exceed 100 characters")
+    .default("latest")
+    .describe("Optional: SDK version to compare to (default: latest)"),
+  package: z.enum(["core", "ui-kit", "both"])
+    .default("both")
+    .describe("Optional: Package to compare. Use 'core' for @pushchain/core, 'ui-kit' for @pushchain/ui-kit, or 'both'"),
+  breaking_only: z.boolean()
+    .default(false)
+    .describe("Optional: Only report removals and changes flagged as likely breaking (default: false)"),
+  include_internal: IncludeInternalField,
+  cursor: CursorField
+}).strict();
+
+/**
+ * ISO 8601 date or timestamp used to filter the SDK changelog
+ */
+const ChangelogDateField = z.string()
+  .max(40, "Date must not exceed 40 characters")
+  .refine(value => !Number.isNaN(Date.parse(value)), "Date must be an ISO 8601 date or timestamp (e.g. '2025-01-31')")
+  .optional();
+
+/**
+ * Schema for get_sdk_changelog tool
+ * Lists recorded SDK updates with their commits, changed files and API changes
+ */
+export const GetSdkChangelogInputSchema = z.object({
+  since: ChangelogDateField
+    .describe("Optional: only updates on or after this date (ISO 8601, e.g. '2025-01-31')"),
+  until: ChangelogDateField
+    .describe("Optional: only updates on or before this date (ISO 8601; a bare date includes the whole day)"),
+  version: z.string()
+    .min(1, "Version must not be empty")
+    .max(100, "Version must not exceed 100 characters")
+    .optional()
+    .describe("Optional: only updates that produced or replaced this release, e.g. '3.0.5', 'core@3.0.5' or a commit SHA prefix"),
+  limit: z.coerce.number()
+    .int()
+    .min(1, "Limit must be at least 1")
+    .max(50, "Limit cannot exceed 50")
+    .default(10)
+    .describe("Maximum number of updates to return, newest first (default: 10)"),
+  cursor: CursorField
+}).strict();
+
+/**
+ * Schema for validate_doc_snippets tool
+ * Type-checks documentation snippets against the cached SDK sources
+ */
+export const ValidateDocSnippetsInputSchema = z.object({
+  path: z.string()
+    .max(500, "Path must not exceed 500 characters")
+    .regex(/^docs\/chain\/.*\.mdx$/, "Path must be a valid .mdx file in docs/chain/ directory")
+    .optional()
+    .describe("Optional: only check the snippets of this documentation page (default: all pages)"),
+  include_ok: z.boolean()
+    .default(false)
+    .describe("Optional: also list snippets that type-check cleanly or were skipped (default: false, only snippets with diagnostics)"),
+  version: VersionField,
+  cursor: CursorField
 }).strict();
@@ -5,22 +5,52 @@
  *
  * Analyzes @pushchain/core and @pushchain/ui-kit packages and generates
  * JSON data files for the MCP SDK server.
+ *
+ * Usage:
+ *   node scripts/analyze-sdk.js <repo-path|repo-tarball> <output-dir>
+ *   node scripts/analyze-sdk.js --source <path> [--source <path>] <output-dir>
+ *   node scripts/analyze-sdk.js --from-cache <data-dir>   # re-analyze cached sources
+ *
+ * Sources are local checkouts, repository tarballs, or npm packs (or extracted
+ * package directories) of @pushchain/core and @pushchain/ui-kit. Nothing is
+ * installed: analysis only reads the TypeScript sources.
  */
 
-import { readdirSync, readFileSync, writeFileSync, statSync } from "fs";
-import { resolve, join } from "path";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, statSync, existsSync } from "fs";
+import { resolve, join, relative } from "path";
+import { tmpdir } from "os";
+import { extractExports, EXPORT_CATEGORIES } from "../utils/ts-analyzer.js";
+import { markApiVisibility } from "../utils/api-surface.js";
+import { buildReferenceGraph } from "../utils/reference-graph.js";
+import { prepareSdkSource } from "../utils/sdk-source.js";
+import { MANIFEST_FILE, writeDataFiles } from "../utils/data-integrity.js";
+import { DOCS_SDK_LINKS_FILE, writeDocsSdkLinks } from "../utils/docs-sdk-links.js";
+
+const args = process.argv.slice(2);
+const fromCache = args.includes("--from-cache");
+const sources = [];
+const positionalArgs = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--source") sources.push(args[++i]);
+  else if (args[i] !== "--from-cache") positionalArgs.push(args[i]);
+}
+if (!fromCache && sources.length === 0) {
+  sources.push(positionalArgs.shift() || process.cwd());
+}
+const outputDir = positionalArgs[0] || process.cwd();
 
-const repoPath = process.argv[2] || process.cwd();
-const outputDir = process.argv[3] || process.cwd();
+// Repository-shaped directory prepared from the sources
+let repoPath = null;
 
-console.log(`📂 Repository path: ${repoPath}`);
+console.log(fromCache ? `📂 Re-analyzing cached sources` : `📂 SDK sources: ${sources.join(", ")}`);
 console.log(`📂 Output directory: ${outputDir}\n`);
 
 /**
  * Recursively get all TypeScript files in a directory
  */
 function getAllTsFiles(dir, fileList = []) {
-  const files = readdirSync(dir);
+  // Sorted so the output does not depend on how the sources were extracted
+  const files = readdirSync(dir).sort();
 
   files.forEach(file => {
     const filePath = join(dir, file);
@@ -39,71 +69,6 @@ function getAllTsFiles(dir, fileList = []) {
   return fileList;
 }
 
-/**
- * Extract exports from TypeScript source code
- */
-function extractExports(sourceCode, filePath) {
-  const exports = {
-    functions: [],
-    classes: [],
-    types: [],
-    interfaces: []
-  };
-
-  // Extract function exports
-  const functionPattern = /export\s+(?:async\s+)?function\s+(\w+)/g;
-  let match;
-  while ((match = functionPattern.exec(sourceCode)) !== null) {
-    exports.functions.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract class exports
-  const classPattern = /export\s+(?:abstract\s+)?class\s+(\w+)/g;
-  while ((match = classPattern.exec(sourceCode)) !== null) {
-    exports.classes.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract type exports
-  const typePattern = /export\s+type\s+(\w+)/g;
-  while ((match = typePattern.exec(sourceCode)) !== null) {
-    exports.types.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract interface exports
-  const interfacePattern = /export\s+interface\s+(\w+)/g;
-  while ((match = interfacePattern.exec(sourceCode)) !== null) {
-    exports.interfaces.push({
-      name: match[1],
-      file: filePath
-    });
-  }
-
-  // Extract const/let/var exports (for components, hooks, etc.)
-  const constPattern = /export\s+(?:const|let|var)\s+(\w+)/g;
-  while ((match = constPattern.exec(sourceCode)) !== null) {
-    // If it starts with 'use', likely a hook
-    // If it starts with capital letter, likely a component
-    const name = match[1];
-    if (name.startsWith('use') || /^[A-Z]/.test(name)) {
-      exports.functions.push({
-        name: name,
-        file: filePath
-      });
-    }
-  }
-
-  return exports;
-}
-
 /**
  * Get package.json info
  */
@@ -118,93 +83,91 @@ function getPackageInfo(packageDir) {
   }
 }
 
+/**
+ * Loads previously generated source contents and package info from the data directory
+ */
+function loadCachedSources() {
+  const fileContents = JSON.parse(readFileSync(resolve(outputDir, 'sdk_file_contents.json'), 'utf-8'));
+  const packagesInfo = JSON.parse(readFileSync(resolve(outputDir, 'sdk_packages_complete.json'), 'utf-8'));
+  return { fileContents, packagesInfo };
+}
+
 /**
  * Main analysis function
  */
 function analyzeSDK() {
   const packages = ['packages/core', 'packages/ui-kit'];
   const allExports = {
-    functions: [],
-    classes: [],
-    types: [],
-    interfaces: []
+    ...Object.fromEntries(EXPORT_CATEGORIES.map(category => [category, []])),
+    reexports: []
   };
-  const fileContents = {};
-  const packagesInfo = { packages: [] };
+  const { fileContents, packagesInfo } = fromCache
+    ? loadCachedSources()
+    : { fileContents: {}, packagesInfo: { packages: [] } };
 
   for (const pkg of packages) {
-    const pkgPath = resolve(repoPath, pkg);
     console.log(`\n📦 Analyzing ${pkg}...`);
 
-    // Get package info
-    const pkgInfo = getPackageInfo(pkgPath);
-    if (pkgInfo) {
-      packagesInfo.packages.push({
-        name: pkgInfo.name,
-        version: pkgInfo.version,
-        description: pkgInfo.description,
-        dependencies: pkgInfo.dependencies || {},
-        path: pkg
-      });
-      console.log(`   Name: ${pkgInfo.name}`);
-      console.log(`   Version: ${pkgInfo.version}`);
+    if (!fromCache) {
+      const pkgPath = resolve(repoPath, pkg);
+      if (!existsSync(pkgPath)) {
+        console.warn(`   ⚠️  ${pkg} not found in the SDK sources, skipping`);
+        continue;
+      }
+
+      // Get package info
+      const pkgInfo = getPackageInfo(pkgPath);
+      if (pkgInfo) {
+        packagesInfo.packages.push({
+          name: pkgInfo.name,
+          version: pkgInfo.version,
+          description: pkgInfo.description,
+          dependencies: pkgInfo.dependencies || {},
+          path: pkg
+        });
+        console.log(`   Name: ${pkgInfo.name}`);
+        console.log(`   Version: ${pkgInfo.version}`);
+      }
+
+      // Get all TypeScript files, stored by path relative to the repo root
+      for (const file of getAllTsFiles(pkgPath)) {
+        try {
+          fileContents[relative(repoPath, file)] = readFileSync(file, 'utf-8');
+        } catch (error) {
+          console.error(`   Error reading ${file}:`, error.message);
+        }
+      }
     }
 
-    // Get all TypeScript files
-    const tsFiles = getAllTsFiles(pkgPath);
-    console.log(`   Found ${tsFiles.length} TypeScript files`);
+    const pkgFiles = Object.keys(fileContents).filter(path => path.startsWith(pkg + '/'));
+    console.log(`   Found ${pkgFiles.length} TypeScript files`);
 
     let exportCount = 0;
 
-    for (const file of tsFiles) {
+    for (const relativePath of pkgFiles) {
       try {
-        const content = readFileSync(file, 'utf-8');
-        // Store relative path from repo root
-        const relativePath = file.replace(repoPath + '/', '');
-        fileContents[relativePath] = content;
-
-        // Extract exports
-        const fileExports = extractExports(content, relativePath);
-
-        allExports.functions.push(...fileExports.functions);
-        allExports.classes.push(...fileExports.classes);
-        allExports.types.push(...fileExports.types);
-        allExports.interfaces.push(...fileExports.interfaces);
+        const fileExports = extractExports(fileContents[relativePath], relativePath);
 
-        const totalFileExports = Object.values(fileExports).reduce((sum, arr) => sum + arr.length, 0);
-        exportCount += totalFileExports;
+        for (const key of Object.keys(allExports)) {
+          allExports[key].push(...fileExports[key]);
+        }
+        exportCount += EXPORT_CATEGORIES.reduce((sum, category) => sum + fileExports[category].length, 0);
       } catch (error) {
-        console.error(`   Error processing ${file}:`, error.message);
+        console.error(`   Error processing ${relativePath}:`, error.message);
       }
     }
 
     console.log(`   Extracted ${exportCount} exports`);
   }
 
-  // Write output files
-  console.log(`\n💾 Writing output files to ${outputDir}...`);
-
-  writeFileSync(
-    resolve(outputDir, 'sdk_file_contents.json'),
-    JSON.stringify(fileContents, null, 2)
-  );
-  console.log(`   ✓ sdk_file_contents.json (${Object.keys(fileContents).length} files)`);
-
-  writeFileSync(
-    resolve(outputDir, 'sdk_complete_exports.json'),
-    JSON.stringify(allExports, null, 2)
-  );
-  console.log(`   ✓ sdk_complete_exports.json`);
-  console.log(`     - ${allExports.functions.length} functions`);
-  console.log(`     - ${allExports.classes.length} classes`);
-  console.log(`     - ${allExports.types.length} types`);
-  console.log(`     - ${allExports.interfaces.length} interfaces`);
+  // Mark each export as public (reachable from a package entry point), internal or test-only
+  markApiVisibility(allExports, fileContents, packages);
+  const publicCount = EXPORT_CATEGORIES.reduce((sum, category) => sum + allExports[category].filter(e => e.visibility === 'public').length, 0);
+  console.log(`\n🔓 Public API surface: ${publicCount} exports`);
 
-  writeFileSync(
-    resolve(outputDir, 'sdk_packages_complete.json'),
-    JSON.stringify(packagesInfo, null, 2)
-  );
-  console.log(`   ✓ sdk_packages_complete.json (${packagesInfo.packages.length} packages)`);
+  // Resolve imports, calls and type references between files
+  const referenceGraph = buildReferenceGraph(fileContents, allExports);
+  console.log(`🔗 Cross-references: ${referenceGraph.references.length} references, ${referenceGraph.imports.length} imports`);
 
   // Create analysis summary
   const analysis = {
@@ -216,19 +179,51 @@ function analyzeSDK() {
     })),
     statistics: {
       totalFiles: Object.keys(fileContents).length,
-      totalExports: Object.values(allExports).reduce((sum, arr) => sum + arr.length, 0),
+      totalExports: EXPORT_CATEGORIES.reduce((sum, category) => sum + allExports[category].length, 0),
+      publicExports: publicCount,
       functions: allExports.functions.length,
       classes: allExports.classes.length,
       types: allExports.types.length,
-      interfaces: allExports.interfaces.length
+      interfaces: allExports.interfaces.length,
+      constants: allExports.constants.length
     }
   };
 
-  writeFileSync(
-    resolve(outputDir, 'sdk_complete_analysis.json'),
-    JSON.stringify(analysis, null, 2)
-  );
+  // Write output files; they are validated first and recorded in the data manifest
+  console.log(`\n💾 Writing output files to ${outputDir}...`);
+
+  writeDataFiles(outputDir, {
+    ...(fromCache ? {} : { 'sdk_file_contents.json': fileContents }),
+    'sdk_complete_exports.json': allExports,
+    'sdk_reference_graph.json': referenceGraph,
+    ...(fromCache ? {} : { 'sdk_packages_complete.json': packagesInfo }),
+    'sdk_complete_analysis.json': analysis
+  });
+
+  if (!fromCache) {
+    console.log(`   ✓ sdk_file_contents.json (${Object.keys(fileContents).length} files)`);
+  }
+  console.log(`   ✓ sdk_complete_exports.json`);
+  console.log(`     - ${allExports.functions.length} functions`);
+  console.log(`     - ${allExports.classes.length} classes`);
+  console.log(`     - ${allExports.types.length} types`);
+  console.log(`     - ${allExports.interfaces.length} interfaces`);
+  console.log(`     - ${allExports.constants.length} constants`);
+  console.log(`     - ${allExports.reexports.length} re-exports`);
+  console.log(`   ✓ sdk_reference_graph.json`);
+  if (!fromCache) {
+    console.log(`   ✓ sdk_packages_complete.json (${packagesInfo.packages.length} packages)`);
+  }
   console.log(`   ✓ sdk_complete_analysis.json`);
+  console.log(`   ✓ ${MANIFEST_FILE} (checksums and record counts)`);
+
+  // Doc sections mentioning each export; only when the docs cache lives in the same directory
+  try {
+    const linkCount = writeDocsSdkLinks(outputDir);
+    if (linkCount !== null) console.log(`   ✓ ${DOCS_SDK_LINKS_FILE} (${linkCount} docs-to-SDK links)`);
+  } catch (error) {
+    console.warn(`   ⚠️  ${DOCS_SDK_LINKS_FILE} not rebuilt: ${error.message}`);
+  }
 
   console.log('\n✅ SDK analysis complete!');
 
@@ -237,11 +232,15 @@ function analyzeSDK() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
+  const workDir = fromCache ? null : mkdtempSync(join(tmpdir(), 'pushchain-sdk-'));
   try {
+    if (!fromCache) repoPath = prepareSdkSource(sources, workDir);
     analyzeSDK();
   } catch (error) {
     console.error('\n❌ Analysis failed:', error);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    if (workDir) rmSync(workDir, { recursive: true, force: true });
   }
 }
 
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * SDK API Diff
+ *
+ * Compares the exported API of two SDK snapshots kept in the data directory
+ * and reports added, removed and changed exports, flagging likely breaking
+ * changes.
+ *
+ * Usage:
+ *   node scripts/diff-sdk.js <from> [to] [options]
+ *
+ * Versions are snapshot ids, package versions ("3.0.4", "core@3.0.4"),
+ * commit SHA prefixes or "latest" (the default for `to`).
+ *
+ * Options:
+ *   --package <core|ui-kit|both>   Package to compare (default: both)
+ *   --breaking-only                Only report likely breaking changes
+ *   --include-internal             Also compare internal symbols
+ *   --json                         Print the diff as JSON
+ *   --data-dir <dir>               Data directory (default: ../data)
+ *
+ * Exits with code 2 when likely breaking changes are found.
+ */
+
+import { readFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { diffSdkApis, formatApiDiff } from "../utils/api-diff.js";
+import { loadSnapshotIndex, resolveSnapshot } from "../utils/sdk-snapshots.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const options = { package: "both", breakingOnly: false, includeInternal: false, json: false, dataDir: resolve(__dirname, "../data") };
+const versions = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--package") options.package = args[++i];
+  else if (args[i] === "--breaking-only") options.breakingOnly = true;
+  else if (args[i] === "--include-internal") options.includeInternal = true;
+  else if (args[i] === "--json") options.json = true;
+  else if (args[i] === "--data-dir") options.dataDir = resolve(args[++i]);
+  else versions.push(args[i]);
+}
+
+/**
+ * Loads the exports and sources of one snapshot
+ */
+function loadApi(dir) {
+  return {
+    exportsData: JSON.parse(readFileSync(resolve(dir, "sdk_complete_exports.json"), "utf-8")),
+    fileContents: JSON.parse(readFileSync(resolve(dir, "sdk_file_contents.json"), "utf-8"))
+  };
+}
+
+function main() {
+  const [fromVersion, toVersion = "latest"] = versions;
+  if (!fromVersion || !["core", "ui-kit", "both"].includes(options.package)) {
+    console.error("Usage: node scripts/diff-sdk.js <from> [to] [--package core|ui-kit|both] [--breaking-only] [--include-internal] [--json]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const { packages } = JSON.parse(readFileSync(resolve(options.dataDir, "sdk_packages_complete.json"), "utf-8"));
+  const [from, to] = [fromVersion, toVersion].map(version => {
+    const snapshot = resolveSnapshot(options.dataDir, version, packages);
+    if (!snapshot) {
+      const available = loadSnapshotIndex(options.dataDir).snapshots.map(entry => entry.id);
+      throw new Error(`SDK version "${version}" not found. Available snapshots: ${available.join(", ") || "none"}`);
+    }
+    return snapshot;
+  });
+
+  const diff = diffSdkApis(loadApi(from.dir), loadApi(to.dir), {
+    packages: options.package === "both" ? ["core", "ui-kit"] : [options.package],
+    includeInternal: options.includeInternal,
+    breakingOnly: options.breakingOnly
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ from: from.id, to: to.id, ...diff }, null, 2));
+  } else {
+    console.log(`📊 SDK API diff: ${from.id} → ${to.id}\n`);
+    console.log(formatApiDiff(diff));
+  }
+
+  if (diff.summary.breaking > 0) process.exitCode = 2;
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Diff failed:", error.message);
+  process.exitCode = 1;
+}
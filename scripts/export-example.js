@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Example Project Export
+ *
+ * Writes a documentation example to a ready-to-run project folder: a Node
+ * project for TypeScript/JavaScript snippets or a Vite React app for JSX/TSX
+ * live playgrounds, with @pushchain packages pinned to the analyzed SDK release.
+ *
+ * Usage:
+ *   node scripts/export-example.js <doc-path|snippet-id> [options]
+ *
+ * Snippet ids are returned by the get_code_snippets tool
+ * (e.g. "docs/chain/01-Intro-Push-Chain.mdx#2"). With a doc path, the page's
+ * first runnable snippet importing an @pushchain package is exported.
+ *
+ * Options:
+ *   --tab <label>       With a doc path, export the variant under this tab (e.g. viem)
+ *   --out <dir>         Output folder (default: ./<project-name>)
+ *   --force             Write into an existing, non-empty folder
+ *   --data-dir <dir>    Data directory (default: ../data)
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { findSnippet } from "../utils/doc-snippets.js";
+import { buildExampleProject, selectExampleSnippet } from "../utils/example-project.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const options = { tab: null, out: null, force: false, dataDir: resolve(__dirname, "../data") };
+const targets = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--tab") options.tab = args[++i];
+  else if (args[i] === "--out") options.out = resolve(args[++i]);
+  else if (args[i] === "--force") options.force = true;
+  else if (args[i] === "--data-dir") options.dataDir = resolve(args[++i]);
+  else targets.push(args[i]);
+}
+
+/**
+ * Finds the snippet named by a doc path or snippet id
+ */
+function resolveSource(docs, target) {
+  if (/#\d+$/.test(target)) {
+    const source = findSnippet(docs, target);
+    if (!source) throw new Error(`Snippet not found: ${target}`);
+    return source;
+  }
+
+  const doc = docs.find(candidate => candidate.path === target);
+  if (!doc) throw new Error(`Documentation file not found: ${target}`);
+  const selected = selectExampleSnippet(doc, { tab: options.tab });
+  if (!selected) {
+    throw new Error(`No TypeScript, JavaScript or JSX example found in ${target}${options.tab ? ` under a '${options.tab}' tab` : ""}`);
+  }
+  return { doc, ...selected };
+}
+
+function main() {
+  const [target] = targets;
+  if (!target) {
+    console.error("Usage: node scripts/export-example.js <doc-path|snippet-id> [--tab <label>] [--out <dir>] [--force]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const { docs } = JSON.parse(readFileSync(resolve(options.dataDir, "docs_cache.json"), "utf-8"));
+  const { packages } = JSON.parse(readFileSync(resolve(options.dataDir, "sdk_packages_complete.json"), "utf-8"));
+  const project = buildExampleProject(resolveSource(docs, target), packages);
+
+  const outDir = options.out || resolve(process.cwd(), project.name);
+  if (existsSync(outDir) && readdirSync(outDir).length > 0 && !options.force) {
+    throw new Error(`${outDir} is not empty (use --force to write into it)`);
+  }
+
+  for (const file of project.files) {
+    const path = resolve(outDir, file.path);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, file.content);
+  }
+
+  console.log(`📦 Exported ${project.source}`);
+  console.log(`   → ${outDir} (${project.kind === "react" ? "Vite React app" : "Node project"})\n`);
+  project.files.forEach(file => console.log(`   ${file.path}`));
+  if (project.env.length > 0) console.log(`\n   Set ${project.env.join(", ")} in .env`);
+  if (project.unpinned.length > 0) console.log(`   ⚠️  Not pinned: ${project.unpinned.join(", ")}`);
+  console.log(`\n   cd ${outDir}\n   npm install\n   ${project.kind === "react" ? "npm run dev" : "npm start"}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Export failed:", error.message);
+  process.exitCode = 1;
+}
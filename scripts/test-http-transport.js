@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP Transport Test Suite
+ *
+ * Starts the unified server in HTTP mode and checks the health endpoint,
+ * Streamable HTTP sessions, the legacy SSE fallback and graceful shutdown.
+ */
+
+import { spawn } from 'child_process';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const BLUE = '\x1b[34m';
+const RESET = '\x1b[0m';
+
+const PORT = process.env.TEST_HTTP_PORT || '3917';
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const SESSION_TIMEOUT_MS = 3000;
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function success(message) {
+  testsPassed++;
+  console.error(`${GREEN}✓${RESET} ${message}`);
+}
+
+function fail(message, error) {
+  testsFailed++;
+  console.error(`${RED}✗${RESET} ${message}`);
+  if (error) console.error(`  Error: ${error}`);
+}
+
+function info(message) {
+  console.error(`${BLUE}ℹ${RESET} ${message}`);
+}
+
+function startServer() {
+  const child = spawn('node', ['index-unified.js', '--http'], {
+    stdio: ['ignore', 'ignore', 'pipe'],
+    env: { ...process.env, MCP_HTTP_PORT: PORT, MCP_HTTP_HOST: '127.0.0.1', MCP_HTTP_SESSION_TIMEOUT_MS: String(SESSION_TIMEOUT_MS), SDK_AUTO_UPDATE: 'false' }
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start within 15s')), 15000);
+    let output = '';
+    child.stderr.on('data', (data) => {
+      output += data.toString();
+      if (output.includes('Server ready on http')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited early with code ${code}`));
+    });
+  });
+}
+
+async function testHealth() {
+  try {
+    const response = await fetch(`${BASE_URL}/health`);
+    const body = await response.json();
+    if (response.ok && body.status === 'ok' && body.docs > 0) {
+      success(`Health endpoint works (${body.docs} docs, ${body.sdkFiles} SDK files)`);
+    } else {
+      fail('Health endpoint returned unexpected body', JSON.stringify(body));
+    }
+  } catch (error) {
+    fail('Health endpoint failed', error.message);
+  }
+}
+
+async function testClient(label, transport) {
+  const client = new Client({ name: 'http-test-client', version: '1.0.0' });
+  try {
+    await client.connect(transport);
+    const { tools } = await client.listTools();
+    const result = await client.callTool({ name: 'get_package_info', arguments: { package: 'core' } });
+
+    if (tools.length > 0 && result.content[0].text.includes('@pushchain/core')) {
+      success(`${label}: listed ${tools.length} tools and called get_package_info`);
+    } else {
+      fail(`${label}: unexpected tool results`);
+    }
+    return client;
+  } catch (error) {
+    fail(`${label} session failed`, error.message);
+    return null;
+  }
+}
+
+async function testRejectsUnknownSession() {
+  try {
+    const response = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'mcp-session-id': 'does-not-exist'
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    if (response.status === 404) {
+      success('Unknown session id rejected with 404');
+    } else {
+      fail(`Unknown session id returned status ${response.status}`);
+    }
+  } catch (error) {
+    fail('Unknown session test failed', error.message);
+  }
+}
+
+async function testRejectsForeignOrigin() {
+  try {
+    const response = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'Origin': 'http://attacker.example'
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    if (response.status === 403) {
+      success('Request from a foreign Origin rejected with 403');
+    } else {
+      fail(`Foreign Origin returned status ${response.status}`);
+    }
+  } catch (error) {
+    fail('Foreign Origin test failed', error.message);
+  }
+}
+
+async function testRejectsOversizedBody() {
+  try {
+    const response = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream'
+      },
+      body: 'x'.repeat(4 * 1024 * 1024 + 10)
+    });
+    if (response.status === 413) {
+      success('Oversized request body rejected with 413');
+    } else {
+      fail(`Oversized request body returned status ${response.status}`);
+    }
+  } catch (error) {
+    fail('Oversized body test failed', error.cause?.message || error.message);
+  }
+}
+
+async function testIdleSessionClosed() {
+  try {
+    // A client that initializes and then goes away without a DELETE
+    const response = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'idle-client', version: '1.0.0' } }
+      })
+    });
+    const sessionId = response.headers.get('mcp-session-id');
+    await response.text();
+
+    await new Promise(resolve => setTimeout(resolve, SESSION_TIMEOUT_MS * 2));
+    const followUp = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'mcp-session-id': sessionId
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    });
+
+    if (sessionId && followUp.status === 404) {
+      success('Idle Streamable HTTP session closed after the timeout');
+    } else {
+      fail(`Idle session still open (session: ${sessionId}, status ${followUp.status})`);
+    }
+  } catch (error) {
+    fail('Idle session test failed', error.message);
+  }
+}
+
+async function runTests() {
+  console.error('\n' + '='.repeat(60));
+  console.error('🌐 HTTP TRANSPORT TEST SUITE');
+  console.error('='.repeat(60) + '\n');
+
+  let server;
+  try {
+    info(`Starting server on ${BASE_URL}...`);
+    server = await startServer();
+    success('Server started in HTTP mode');
+
+    await testHealth();
+
+    const streamable = await testClient('Streamable HTTP', new StreamableHTTPClientTransport(new URL(`${BASE_URL}/mcp`)));
+    const sse = await testClient('SSE fallback', new SSEClientTransport(new URL(`${BASE_URL}/sse`)));
+
+    const health = await (await fetch(`${BASE_URL}/health`)).json();
+    if (health.sessions.streamable === 1 && health.sessions.sse === 1) {
+      success('Health endpoint reports one session per transport');
+    } else {
+      fail('Unexpected session counts', JSON.stringify(health.sessions));
+    }
+
+    await testRejectsUnknownSession();
+    await testRejectsForeignOrigin();
+    await testRejectsOversizedBody();
+    await testIdleSessionClosed();
+
+    await streamable?.close();
+    await sse?.close();
+
+    const exitCode = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve('timeout'), 10000);
+      server.once('exit', (code) => {
+        clearTimeout(timer);
+        resolve(code);
+      });
+      server.kill('SIGTERM');
+    });
+
+    if (exitCode === 0) {
+      success('Graceful shutdown on SIGTERM');
+    } else {
+      fail(`Shutdown did not complete cleanly (exit: ${exitCode})`);
+      server.kill('SIGKILL');
+    }
+  } catch (error) {
+    fail('Fatal error during testing', error.message);
+    if (server && server.exitCode === null) server.kill('SIGKILL');
+  }
+
+  console.error('\n' + '='.repeat(60));
+  console.error(`${GREEN}✓ Passed:${RESET} ${testsPassed}   ${RED}✗ Failed:${RESET} ${testsFailed}`);
+  console.error('='.repeat(60) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error(`${RED}Fatal error:${RESET}`, error);
+  process.exit(1);
+});
@@ -230,9 +230,9 @@ class MCPComplianceTester {
         `Got: ${typeof toolsList}`
       );
 
-      this.recordResult('Tools', 'All 13 tools registered',
-        toolsList.length === 13,
-        `Found ${toolsList.length} tools, expected 13`
+      this.recordResult('Tools', 'All 22 tools registered',
+        toolsList.length === 22,
+        `Found ${toolsList.length} tools, expected 22`
       );
     } catch (error) {
       this.recordResult('Tools', 'tools/list endpoint', false, error.message);
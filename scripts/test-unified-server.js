@@ -3,11 +3,19 @@
 /**
  * Comprehensive Test Suite for Unified MCP Server
  *
- * Tests all 13 tools, resource endpoints, and error handling
+ * Tests all 22 tools, resource endpoints, prompts, hot reload, error handling,
+ * and the data update helpers
  */
 
-import { spawn } from 'child_process';
-import { readFileSync } from 'fs';
+import { execFileSync, spawn } from 'child_process';
+import { cpSync, existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { diffSdkApis } from '../utils/api-diff.js';
+import { diffDocTree, summarizeDocChanges } from '../utils/docs-sync.js';
+import { prepareSdkSource } from '../utils/sdk-source.js';
+import { SNAPSHOT_FILES, findSnapshot, loadSnapshotIndex, resolveSnapshot, saveSnapshot } from '../utils/sdk-snapshots.js';
 
 const GREEN = '\x1b[32m';
 const RED = '\x1b[31m';
@@ -48,6 +56,7 @@ class MCPClient {
     this.process = null;
     this.messageId = 1;
     this.responses = new Map();
+    this.notifications = [];
     this.buffer = '';
   }
 
@@ -83,6 +92,8 @@ class MCPClient {
             resolver(response);
             this.responses.delete(response.id);
           }
+        } else if (response.method) {
+          this.notifications.push(response);
         }
       } catch (e) {
         // Ignore non-JSON lines (server logs)
@@ -112,6 +123,15 @@ class MCPClient {
     });
   }
 
+  async waitForNotification(method, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (this.notifications.some(n => n.method === method)) return true;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return false;
+  }
+
   async stop() {
     if (this.process) {
       this.process.kill();
@@ -159,12 +179,14 @@ async function testListTools(client) {
     if (response.result && response.result.tools) {
       const tools = response.result.tools;
       const expectedTools = [
-        // Documentation tools (4)
+        // Documentation tools (6)
         'list_push_chain_docs',
         'get_push_chain_doc',
+        'get_push_chain_doc_section',
         'search_push_chain_docs',
         'get_code_snippets',
-        // SDK tools (9)
+        'export_example_project',
+        // SDK tools (16)
         'get_sdk_api',
         'search_sdk',
         'get_package_info',
@@ -172,18 +194,25 @@ async function testListTools(client) {
         'get_source_file',
         'list_all_exports',
         'find_usage_examples',
+        'find_references',
+        'find_callers',
+        'get_dependencies',
         'get_core_classes',
-        'get_ui_components'
+        'get_class_members',
+        'get_ui_components',
+        'diff_sdk_versions',
+        'get_sdk_changelog',
+        'validate_doc_snippets'
       ];
 
       const foundTools = tools.map(t => t.name);
       const allFound = expectedTools.every(t => foundTools.includes(t));
 
-      if (allFound && tools.length === 13) {
-        success(`All 13 tools present: ${tools.length} tools found`);
+      if (allFound && tools.length === 22) {
+        success(`All 22 tools present: ${tools.length} tools found`);
         return true;
       } else {
-        fail(`Expected 13 tools, found ${tools.length}`);
+        fail(`Expected 22 tools, found ${tools.length}`);
         const missing = expectedTools.filter(t => !foundTools.includes(t));
         if (missing.length > 0) {
           console.error(`  Missing: ${missing.join(', ')}`);
@@ -201,7 +230,7 @@ async function testListTools(client) {
 }
 
 async function testDocumentationTools(client) {
-  info('\n📚 Testing Documentation Tools (4 tools)...');
+  info('\n📚 Testing Documentation Tools (6 tools)...');
   let passed = 0;
 
   // Test 1: list_push_chain_docs
@@ -230,12 +259,19 @@ async function testDocumentationTools(client) {
   try {
     const response = await client.sendRequest('tools/call', {
       name: 'search_push_chain_docs',
-      arguments: { query: 'intro', limit: 5 }
+      arguments: { query: 'universal signer solana', limit: 5, response_format: 'json' }
     });
 
     if (response.result && !response.error) {
-      success('search_push_chain_docs works');
-      passed++;
+      const data = JSON.parse(response.result.content[0].text);
+      const scores = data.results.map(r => r.score);
+      const ranked = scores.every((score, idx) => idx === 0 || scores[idx - 1] >= score);
+      if (data.results.length > 0 && typeof scores[0] === 'number' && ranked) {
+        success(`search_push_chain_docs works (top hit: ${data.results[0].name}, score ${scores[0]})`);
+        passed++;
+      } else {
+        fail('search_push_chain_docs - results missing scores or not ranked');
+      }
     } else {
       fail('search_push_chain_docs failed', response.error?.message);
     }
@@ -283,12 +319,135 @@ async function testDocumentationTools(client) {
     passed++;
   }
 
-  info(`  Documentation tools: ${passed}/4 passed`);
-  return passed === 4;
+  // Test 5: get_push_chain_doc_section (outline, then a single section)
+  try {
+    const path = 'docs/chain/03-build/05-Universal-Send-Transaction.mdx';
+    const outlineResponse = await client.sendRequest('tools/call', {
+      name: 'get_push_chain_doc_section',
+      arguments: { path, response_format: 'json' }
+    });
+    const outline = JSON.parse(outlineResponse.result.content[0].text);
+    const target = outline.sections.find(s => s.anchor === 'sending-universal-transaction');
+
+    const sectionResponse = await client.sendRequest('tools/call', {
+      name: 'get_push_chain_doc_section',
+      arguments: { path, heading_path: 'Sending Universal Transaction' }
+    });
+    const text = sectionResponse.result.content[0].text;
+
+    if (target && text.includes('## Sending Universal Transaction') && !text.includes('## Next Steps')) {
+      success(`get_push_chain_doc_section works (${outline.sections.length} sections in outline)`);
+      passed++;
+    } else {
+      fail('get_push_chain_doc_section - outline or section content incorrect');
+    }
+  } catch (error) {
+    fail('get_push_chain_doc_section failed', error.message);
+  }
+
+  // Test 6: snippets carry their MDX context and rendered pages drop imports and <head>
+  try {
+    const path = 'docs/chain/01-tutorials/02-power-features/01-Tutorial-Batch-Transactions.mdx';
+    const snippetsResponse = await client.sendRequest('tools/call', {
+      name: 'get_code_snippets',
+      arguments: { path }
+    });
+    const { snippets } = JSON.parse(snippetsResponse.result.content[0].text);
+    const docResponse = await client.sendRequest('tools/call', {
+      name: 'get_push_chain_doc',
+      arguments: { path }
+    });
+    const page = docResponse.result.content[0].text;
+
+    const live = snippets.find(s => s.language === 'jsx' && s.live);
+    const contract = snippets.find(s => s.language === 'solidity' && s.title === 'ERC20.sol');
+    if (live?.heading === 'Live Playground' && contract?.tabs.includes('Universal ERC-20') &&
+        !page.includes('<head>') && !page.includes("import Tabs from")) {
+      success('MDX parsing records tabs, live blocks, titles and headings');
+      passed++;
+    } else {
+      fail('MDX parsing - snippet context or rendered content incorrect');
+    }
+  } catch (error) {
+    fail('MDX snippet context check failed', error.message);
+  }
+
+  // Test 7: get_code_snippets filters by tab and code text, and treats 'ts' as 'typescript'
+  try {
+    const tabResponse = await client.sendRequest('tools/call', {
+      name: 'get_code_snippets',
+      arguments: { tab: 'viem', contains: 'PushChain.initialize' }
+    });
+    const byTab = JSON.parse(tabResponse.result.content[0].text).snippets;
+    const aliasResponse = await client.sendRequest('tools/call', {
+      name: 'get_code_snippets',
+      arguments: { language: 'typescript', title: 'hardhat.config' }
+    });
+    const byAlias = JSON.parse(aliasResponse.result.content[0].text).snippets;
+
+    if (byTab.length > 0 && byTab.every(s => s.tabs.includes('Viem') && s.code.includes('PushChain.initialize') && s.anchor && s.url) &&
+        byAlias.length === 1 && byAlias[0].language === 'ts') {
+      success(`get_code_snippets filters work (${byTab.length} viem snippets calling PushChain.initialize)`);
+      passed++;
+    } else {
+      fail('get_code_snippets filters - unexpected results');
+    }
+  } catch (error) {
+    fail('get_code_snippets filters failed', error.message);
+  }
+
+  // Test 8: export_example_project pins the SDK release and returns the files as embedded resources
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'export_example_project',
+      arguments: { path: 'docs/chain/03-build/02-Create-Universal-Signer.mdx', tab: 'viem' }
+    });
+    const [summaryItem, ...resources] = response.result.content;
+    const summary = JSON.parse(summaryItem.text);
+    const packageJson = JSON.parse(resources.find(item => item.resource.uri.endsWith('/package.json')).resource.text);
+    const entry = resources.find(item => item.resource.uri.endsWith('/src/index.ts'));
+    const placeholder = await client.sendRequest('tools/call', {
+      name: 'export_example_project',
+      arguments: { snippet_id: 'docs/chain/03-build/02-Create-Universal-Signer.mdx#0' }
+    });
+    const env = placeholder.result.content.find(item => item.resource?.uri.endsWith('/.env'));
+
+    if (summary.kind === 'node' && /^\d+\.\d+\.\d+/.test(packageJson.dependencies['@pushchain/core']) && packageJson.dependencies.viem &&
+        entry?.resource.text.includes('PushChain') && env?.resource.text.includes('PRIVATE_KEY=')) {
+      success(`export_example_project works (${summary.name}, ${resources.length} files)`);
+      passed++;
+    } else {
+      fail('export_example_project - unexpected project contents');
+    }
+  } catch (error) {
+    fail('export_example_project failed', error.message);
+  }
+
+  // Test 9: get_push_chain_doc lists the SDK APIs the page references
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_push_chain_doc',
+      arguments: { path: 'docs/chain/03-build/02-Create-Universal-Signer.mdx' }
+    });
+    const text = response.result.content[0].text;
+    const apiLine = text.split('\n').find(line => line.startsWith('Referenced SDK APIs:'));
+
+    if (apiLine?.includes('`PushChain.utils.signer.toUniversal` (@pushchain/core)') && !apiLine.includes('`PushChain.utils` ')) {
+      success('get_push_chain_doc lists referenced SDK APIs');
+      passed++;
+    } else {
+      fail('get_push_chain_doc - referenced SDK APIs missing');
+    }
+  } catch (error) {
+    fail('get_push_chain_doc referenced APIs test failed', error.message);
+  }
+
+  info(`  Documentation tools: ${passed}/9 passed`);
+  return passed === 9;
 }
 
 async function testSDKTools(client) {
-  info('\n🔧 Testing SDK Tools (9 tools)...');
+  info('\n🔧 Testing SDK Tools (13 tools)...');
   let passed = 0;
 
   // Test 1: get_package_info
@@ -330,6 +489,32 @@ async function testSDKTools(client) {
     fail('list_all_exports failed', error.message);
   }
 
+  // Test 2b: list_all_exports hides internal symbols unless include_internal is set
+  try {
+    const listFunctions = async (extra) => {
+      const response = await client.sendRequest('tools/call', {
+        name: 'list_all_exports',
+        arguments: { package: 'core', type: 'functions', ...extra }
+      });
+      return JSON.parse(response.result.content[0].text).functions;
+    };
+    const publicOnly = await listFunctions({});
+    const withInternal = await listFunctions({ include_internal: true });
+
+    const allPublic = publicOnly.every(e => e.visibility === 'public' && e.publicPath);
+    const hasInternal = withInternal.some(e => e.name === 'createUniversalSigner' && e.visibility === 'internal');
+    const hasHelper = publicOnly.some(e => e.publicPath === 'PushChain.utils.signer.toUniversal');
+
+    if (allPublic && hasInternal && hasHelper && withInternal.length > publicOnly.length) {
+      success(`list_all_exports public surface: ${publicOnly.length} of ${withInternal.length} core functions`);
+      passed++;
+    } else {
+      fail('list_all_exports visibility filtering incorrect');
+    }
+  } catch (error) {
+    fail('list_all_exports visibility test failed', error.message);
+  }
+
   // Test 3: get_core_classes
   try {
     const response = await client.sendRequest('tools/call', {
@@ -352,6 +537,70 @@ async function testSDKTools(client) {
     fail('get_core_classes failed', error.message);
   }
 
+  // Test 3b: get_class_members includes full signatures and inherited members
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_class_members',
+      arguments: { name: 'PushClient', package: 'core' }
+    });
+    const [described] = JSON.parse(response.result.content[0].text);
+    const inherited = described.members.filter(m => m.inheritedFrom === 'EvmClient');
+    const method = described.members.find(m => m.kind === 'method' && m.parameters && 'returnType' in m);
+
+    if (described.extends === 'EvmClient' && inherited.length > 0 && method && !described.members.some(m => m.name === 'if')) {
+      success(`get_class_members works (${described.memberCount} members, ${inherited.length} inherited)`);
+      passed++;
+    } else {
+      fail('get_class_members missing inherited members or method signatures');
+    }
+  } catch (error) {
+    fail('get_class_members failed', error.message);
+  }
+
+  // Test 3c: find_references resolves identifiers instead of matching substrings
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'find_references',
+      arguments: { name: 'PushChain', package: 'core', include_tests: true, limit: 40 }
+    });
+    const [definition] = JSON.parse(response.result.content[0].text).definitions;
+    const substringHit = definition.references.some(ref => /usePushChain|PushChainClient/.test(ref.text) && !/\bPushChain\b/.test(ref.text));
+
+    if (definition.totalReferences > 0 && definition.byKind.import > 0 && !substringHit) {
+      success(`find_references works (${definition.totalReferences} references to PushChain)`);
+      passed++;
+    } else {
+      fail('find_references returned substring matches or no references');
+    }
+  } catch (error) {
+    fail('find_references failed', error.message);
+  }
+
+  // Test 3d: find_callers follows public paths and get_dependencies lists imports/dependents
+  try {
+    const callersResponse = await client.sendRequest('tools/call', {
+      name: 'find_callers',
+      arguments: { name: 'PushChain.utils.signer.toUniversal', include_tests: true }
+    });
+    const [callees] = JSON.parse(callersResponse.result.content[0].text).definitions;
+
+    const depsResponse = await client.sendRequest('tools/call', {
+      name: 'get_dependencies',
+      arguments: { path: 'packages/core/src/lib/vm-client/evm-client.ts' }
+    });
+    const deps = JSON.parse(depsResponse.result.content[0].text);
+    const hasDependent = deps.dependents.some(dep => dep.file.endsWith('orchestrator/orchestrator.ts'));
+
+    if (callees.totalCallers > 0 && deps.imports.external.some(imp => imp.module === 'viem') && hasDependent) {
+      success(`find_callers and get_dependencies work (${callees.totalCallers} callers, ${deps.dependents.length} dependents)`);
+      passed++;
+    } else {
+      fail('find_callers/get_dependencies returned unexpected results');
+    }
+  } catch (error) {
+    fail('find_callers/get_dependencies failed', error.message);
+  }
+
   // Test 4: get_ui_components
   try {
     const response = await client.sendRequest('tools/call', {
@@ -413,6 +662,43 @@ async function testSDKTools(client) {
     passed++;
   }
 
+  // Test 6b: get_sdk_api returns analyzer metadata, including arrow-function exports
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_sdk_api',
+      arguments: { name: 'PushUniversalAccountButton', package: 'ui-kit' }
+    });
+    const [api] = JSON.parse(response.result.content[0].text);
+
+    if (api && api.kind === 'function' && api.signature.includes('PushUniversalAccountButtonProps') && api.range.startLine > 0) {
+      success('get_sdk_api returns kind, signature and range for const exports');
+      passed++;
+    } else {
+      fail('get_sdk_api missing analyzer metadata');
+    }
+  } catch (error) {
+    fail('get_sdk_api metadata test failed', error.message);
+  }
+
+  // Test 6c: get_sdk_api links the API to the doc sections that mention it
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_sdk_api',
+      arguments: { name: 'usePushChainClient', package: 'ui-kit' }
+    });
+    const [api] = JSON.parse(response.result.content[0].text);
+    const section = api?.documentedIn?.[0];
+
+    if (section && section.url.startsWith('http') && section.url.includes('#') && section.snippets.every(id => id.startsWith(`${section.doc}#`))) {
+      success(`get_sdk_api lists the doc sections using the API (${api.documentedIn.length})`);
+      passed++;
+    } else {
+      fail('get_sdk_api missing documentedIn');
+    }
+  } catch (error) {
+    fail('get_sdk_api documentedIn test failed', error.message);
+  }
+
   // Test 7: get_type_definition (test error handling)
   try {
     const response = await client.sendRequest('tools/call', {
@@ -435,6 +721,25 @@ async function testSDKTools(client) {
     passed++;
   }
 
+  // Test 7b: get_type_definition expands referenced types in dependency order
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_type_definition',
+      arguments: { name: 'UniversalSigner', expand_depth: 2 }
+    });
+    const [type] = JSON.parse(response.result.content[0].text);
+    const names = type.dependencies.map(dep => dep.name);
+
+    if (!type.fullSource && names.includes('UniversalAccount') && names.indexOf('CHAIN') < names.indexOf('UniversalAccount') && names.indexOf('CHAIN') !== -1) {
+      success(`get_type_definition expand_depth works (${names.join(' → ')} → ${type.name})`);
+      passed++;
+    } else {
+      fail('get_type_definition expand_depth returned unexpected dependencies');
+    }
+  } catch (error) {
+    fail('get_type_definition expand_depth failed', error.message);
+  }
+
   // Test 8: find_usage_examples
   try {
     const response = await client.sendRequest('tools/call', {
@@ -474,46 +779,444 @@ async function testSDKTools(client) {
     passed++;
   }
 
-  info(`  SDK tools: ${passed}/9 passed`);
-  return passed === 9;
+  // Test 10: version argument selects the latest data by its own version and rejects unknown versions
+  try {
+    const pinned = await client.sendRequest('tools/call', {
+      name: 'get_package_info',
+      arguments: { package: 'core', version: 'core@3.0.5' }
+    });
+    const unknown = await client.sendRequest('tools/call', {
+      name: 'list_all_exports',
+      arguments: { package: 'core', version: '0.0.1' }
+    });
+    const unknownText = unknown.result?.content?.[0]?.text || '';
+
+    if (!pinned.result?.isError && pinned.result?.content[0].text.includes('"version": "3.0.5"') &&
+        unknown.result?.isError && unknownText.includes('not found') && unknownText.includes('(latest)')) {
+      success('version argument pins queries and lists available versions');
+      passed++;
+    } else {
+      fail('version argument - unexpected response', unknownText);
+    }
+  } catch (error) {
+    fail('version argument failed', error.message);
+  }
+
+  // Test 11: diff_sdk_versions reports no changes between a release and itself
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'diff_sdk_versions',
+      arguments: { from: 'core@3.0.5', to: 'latest' }
+    });
+    const diff = JSON.parse(response.result.content[0].text);
+    const { added, removed, changed, breaking } = diff.summary;
+
+    if (!response.result.isError && diff.from.version === diff.to.version && added + removed + changed + breaking === 0) {
+      success(`diff_sdk_versions works (${diff.from.version} → ${diff.to.version}: no changes)`);
+      passed++;
+    } else {
+      fail('diff_sdk_versions - unexpected changes between identical versions');
+    }
+  } catch (error) {
+    fail('diff_sdk_versions failed', error.message);
+  }
+
+  // Test 11b: diffSdkApis compares declarations and flags breaking changes
+  try {
+    const file = 'packages/core/src/index.ts';
+    const record = (name, kind) => ({ name, kind, file, visibility: 'public', signature: name });
+    const from = {
+      exportsData: {
+        functions: [record('send', 'function'), record('balanceOf', 'function'), record('relay', 'function'), record('legacyConnect', 'function')],
+        interfaces: [record('TxOptions', 'interface')]
+      },
+      fileContents: {
+        [file]: [
+          'export function send(to: string): Promise<string> { return Promise.resolve(to); }',
+          'export function balanceOf(address: string): number { return 0; }',
+          'export function relay(): void {}',
+          'export function legacyConnect(): void {}',
+          'export interface TxOptions { chain: string; }'
+        ].join('\n')
+      }
+    };
+    const to = {
+      exportsData: {
+        functions: [record('send', 'function'), record('balanceOf', 'function'), record('relay', 'function')],
+        interfaces: [record('TxOptions', 'interface')]
+      },
+      fileContents: {
+        [file]: [
+          'export function send(to: string, amount: bigint): Promise<string> { return Promise.resolve(to); }',
+          'export function balanceOf(address: string): bigint { return 0n; }',
+          'export interface TxOptions { chain: string; memo?: string; }',
+          // relay is no longer declared here, so only its signature text is known
+          'export { relay } from "./relay";'
+        ].join('\n')
+      }
+    };
+
+    const diff = diffSdkApis(from, to);
+    const entry = name => diff.changed.find(e => e.name === name);
+    const changeOf = (name, text) => entry(name)?.changes.find(change => change.change.includes(text));
+    const breakingOnly = diffSdkApis(from, to, { breakingOnly: true });
+
+    if (diff.removed.length === 1 && diff.removed[0].name === 'legacyConnect' && diff.removed[0].breaking &&
+        changeOf('send', "required parameter 'amount' added")?.breaking && entry('send').breaking &&
+        changeOf('balanceOf', 'return type changed: number → bigint')?.breaking &&
+        changeOf('TxOptions', "member 'memo' added")?.breaking === false && entry('TxOptions').breaking === false &&
+        changeOf('relay', 'type definition restructured')?.breaking &&
+        diff.summary.breaking === 4 &&
+        breakingOnly.changed.length === 3 && breakingOnly.summary.changed === 3 && breakingOnly.summary.total.changed === 4) {
+      success('diffSdkApis flags removed exports, new required parameters and return types as breaking');
+      passed++;
+    } else {
+      fail('diffSdkApis - unexpected diff', JSON.stringify(diff.changed.map(e => [e.name, e.changes])));
+    }
+  } catch (error) {
+    fail('diffSdkApis test failed', error.message);
+  }
+
+  // Test 12: get_sdk_changelog filters by date and rejects malformed dates
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_sdk_changelog',
+      arguments: { since: '2020-01-01', until: new Date().toISOString(), limit: 5 }
+    });
+    const invalid = await client.sendRequest('tools/call', {
+      name: 'get_sdk_changelog',
+      arguments: { since: 'last tuesday' }
+    });
+    const changelog = JSON.parse(response.result.content[0].text);
+
+    if (!response.result.isError && Array.isArray(changelog.entries) && changelog.returned <= 5 && invalid.error) {
+      success(`get_sdk_changelog works (${changelog.totalEntries} updates recorded)`);
+      passed++;
+    } else {
+      fail('get_sdk_changelog - unexpected response');
+    }
+  } catch (error) {
+    fail('get_sdk_changelog failed', error.message);
+  }
+
+  // Test 13: validate_doc_snippets type-checks a page's snippets and names the missing SDK symbol
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'validate_doc_snippets',
+      arguments: { path: 'docs/chain/02-Quickstart-Push-Chain.mdx' }
+    });
+    const report = JSON.parse(response.result.content[0].text);
+    const drift = report.snippets.find(snippet => snippet.status === 'drift');
+    const diagnostic = drift?.diagnostics.find(d => d.category === 'missing-symbol');
+
+    if (!response.result.isError && report.summary.checked > 0 && drift?.heading &&
+        diagnostic?.symbol === 'pushChainClient.universal.account.address' && diagnostic.package === '@pushchain/core') {
+      success(`validate_doc_snippets works (${report.summary.checked} snippets checked, ${drift.id} uses ${diagnostic.symbol})`);
+      passed++;
+    } else {
+      fail('validate_doc_snippets - missing-symbol diagnostic not reported');
+    }
+  } catch (error) {
+    fail('validate_doc_snippets failed', error.message);
+  }
+
+  info(`  SDK tools: ${passed}/21 passed`);
+  return passed === 21;
+}
+
+async function testContinuationCursors(client) {
+  info('\n📄 Testing Continuation Cursors...');
+  let passed = 0;
+
+  // Test 1: follow cursors through a large source file until the last page
+  try {
+    const args = { path: 'packages/core/src/lib/orchestrator/orchestrator.ts' };
+    let cursor;
+    let pages = 0;
+    let lastText = '';
+
+    do {
+      const response = await client.sendRequest('tools/call', {
+        name: 'get_source_file',
+        arguments: cursor ? { ...args, cursor } : args
+      });
+      lastText = response.result.content[0].text;
+      const match = lastText.match(/cursor: "([^"]+)"/);
+      cursor = match ? match[1] : undefined;
+      pages++;
+    } while (cursor && pages < 20);
+
+    if (pages > 1 && lastText.includes('This is the final page')) {
+      success(`get_source_file pagination works (${pages} pages)`);
+      passed++;
+    } else {
+      fail(`get_source_file pagination incomplete after ${pages} pages`);
+    }
+  } catch (error) {
+    fail('get_source_file pagination failed', error.message);
+  }
+
+  // Test 2: a cursor cannot be replayed against different arguments
+  try {
+    const first = await client.sendRequest('tools/call', {
+      name: 'get_source_file',
+      arguments: { path: 'packages/core/src/lib/orchestrator/orchestrator.ts' }
+    });
+    const cursor = first.result.content[0].text.match(/cursor: "([^"]+)"/)[1];
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_source_file',
+      arguments: { path: 'packages/core/src/lib/utils.ts', cursor }
+    });
+
+    if (response.result && response.result.isError) {
+      success('Mismatched cursor rejected');
+      passed++;
+    } else {
+      fail('Mismatched cursor was accepted');
+    }
+  } catch (error) {
+    fail('Mismatched cursor test failed', error.message);
+  }
+
+  info(`  Continuation cursors: ${passed}/2 passed`);
+  return passed === 2;
 }
 
 async function testResourceEndpoints(client) {
   info('\n📦 Testing Resource Endpoints...');
   let passed = 0;
 
-  // Test resources/list
+  // Test resources/list pagination: follow nextCursor until the last page
   try {
-    const response = await client.sendRequest('resources/list');
+    const resources = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const response = await client.sendRequest('resources/list', cursor ? { cursor } : {});
+      resources.push(...response.result.resources);
+      cursor = response.result.nextCursor;
+      pages++;
+    } while (cursor && pages < 20);
+
+    const uris = resources.map(r => r.uri);
+    const sorted = [...uris].sort();
+    if (pages > 1 && new Set(uris).size === uris.length && uris.every((uri, i) => uri === sorted[i])) {
+      success(`resources/list pagination works (${resources.length} resources in ${pages} pages)`);
+      passed++;
+    } else {
+      fail(`resources/list pagination returned ${resources.length} resources in ${pages} pages (duplicates or unsorted)`);
+    }
 
-    if (response.result && response.result.resources) {
-      const resources = response.result.resources;
-      if (resources.length > 0) {
-        success(`resources/list works (${resources.length} resources)`);
-        passed++;
+    const hasDocResources = uris.some(uri => uri.startsWith('pushchain://docs/'));
+    const hasSdkResources = uris.some(uri => uri.startsWith('pushchain://sdk/'));
+    if (hasDocResources && hasSdkResources) {
+      success('Both doc and SDK resources present');
+      passed++;
+    } else {
+      fail('Missing doc or SDK resources');
+    }
+  } catch (error) {
+    fail('resources/list failed', error.message);
+  }
 
-        // Check for both doc and SDK resources
-        const hasDocResources = resources.some(r => r.uri.startsWith('pushchain://docs/'));
-        const hasSdkResources = resources.some(r => r.uri.startsWith('pushchain://sdk/'));
+  // Test resources/list filtering and cursor validation
+  try {
+    const response = await client.sendRequest('resources/list', { category: 'sdk', package: 'ui-kit' });
+    const resources = response.result?.resources || [];
+    const invalid = await client.sendRequest('resources/list', { cursor: 'not-a-cursor' });
 
-        if (hasDocResources && hasSdkResources) {
-          success('Both doc and SDK resources present');
-          passed++;
-        } else {
-          fail('Missing doc or SDK resources');
-        }
+    if (resources.length > 0 && resources.every(r => r._meta.package === 'ui-kit') && invalid.error) {
+      success(`resources/list filters by package (${resources.length} ui-kit files) and rejects bad cursors`);
+      passed++;
+    } else {
+      fail('resources/list filtering or cursor validation failed');
+    }
+  } catch (error) {
+    fail('resources/list filtering failed', error.message);
+  }
+
+  // Test resources/templates/list
+  try {
+    const response = await client.sendRequest('resources/templates/list');
+    const templates = (response.result?.resourceTemplates || []).map(t => t.uriTemplate);
+
+    if (templates.includes('pushchain://sdk/symbol/{name}') && templates.length === 3) {
+      success(`resources/templates/list works (${templates.length} templates)`);
+      passed++;
+    } else {
+      fail('resources/templates/list returned unexpected templates', templates.join(', '));
+    }
+  } catch (error) {
+    fail('resources/templates/list failed', error.message);
+  }
+
+  // Test reading each template form
+  const templateReads = [
+    ['symbol', 'pushchain://sdk/symbol/createUniversalSigner', text => text.includes('createUniversalSigner')],
+    ['doc section', 'pushchain://docs/section/docs/chain/03-build/05-Universal-Send-Transaction.mdx#send-transaction-with-funds',
+      text => text.startsWith('#') && !text.includes('## Next Steps')],
+    ['line range', 'pushchain://sdk/core/packages/core/src/lib/orchestrator/orchestrator.ts?lines=1-5', text => text.split('\n').length === 5]
+  ];
+  for (const [label, uri, check] of templateReads) {
+    try {
+      const response = await client.sendRequest('resources/read', { uri });
+      const text = response.result?.contents?.[0]?.text || '';
+      if (check(text)) {
+        success(`resources/read resolves ${label} URI`);
+        passed++;
       } else {
-        fail('resources/list returned empty array');
+        fail(`resources/read returned unexpected ${label} content`, response.error?.message);
       }
+    } catch (error) {
+      fail(`resources/read ${label} failed`, error.message);
+    }
+  }
+
+  info(`  Resource endpoints: ${passed}/7 passed`);
+  return passed === 7;
+}
+
+async function testPrompts(client) {
+  info('\n💬 Testing Prompts...');
+  let passed = 0;
+
+  // Test prompts/list
+  try {
+    const response = await client.sendRequest('prompts/list');
+    const prompts = response.result?.prompts || [];
+    const names = prompts.map(p => p.name);
+
+    if (names.includes('integrate-universal-wallet-react') && names.includes('debug-send-tx-progress')) {
+      success(`prompts/list works (${prompts.length} prompts)`);
+      passed++;
     } else {
-      fail('resources/list failed - invalid response');
+      fail('prompts/list missing expected prompts', names.join(', '));
     }
   } catch (error) {
-    fail('resources/list failed', error.message);
+    fail('prompts/list failed', error.message);
   }
 
-  info(`  Resource endpoints: ${passed}/2 passed`);
-  return passed === 2;
+  // Test prompts/get assembles doc sections and SDK source
+  try {
+    const response = await client.sendRequest('prompts/get', {
+      name: 'debug-send-tx-progress',
+      arguments: { event_id: 'SEND-TX-99-02', error_message: 'Transaction reverted' }
+    });
+    const text = (response.result?.messages || []).map(m => m.content.text).join('\n');
+
+    if (text.includes('PROGRESS_HOOK.SEND_TX_99_02') && text.includes('`SEND-TX-01`') && text.includes('Transaction reverted')) {
+      success('prompts/get builds debug-send-tx-progress with docs and SDK source');
+      passed++;
+    } else {
+      fail('prompts/get returned incomplete context');
+    }
+  } catch (error) {
+    fail('prompts/get failed', error.message);
+  }
+
+  // Test missing required argument
+  try {
+    const response = await client.sendRequest('prompts/get', { name: 'explain-sdk-api', arguments: {} });
+    if (response.error) {
+      success('Missing required prompt argument rejected');
+      passed++;
+    } else {
+      fail('Missing required prompt argument was accepted');
+    }
+  } catch (error) {
+    success('Missing required prompt argument rejected (threw error)');
+    passed++;
+  }
+
+  // Test malformed argument is rejected instead of failing while building the prompt
+  try {
+    const response = await client.sendRequest('prompts/get', { name: 'debug-send-tx-progress', arguments: { event_id: 'SEND-TX(' } });
+    if (response.error?.code === -32602) {
+      success('Malformed prompt argument rejected as invalid params');
+      passed++;
+    } else {
+      fail('Malformed prompt argument was not rejected as invalid params', JSON.stringify(response.error || response.result?.description));
+    }
+  } catch (error) {
+    fail('Malformed prompt argument test failed', error.message);
+  }
+
+  info(`  Prompts: ${passed}/4 passed`);
+  return passed === 4;
+}
+
+async function testHotReload(client) {
+  info('\n🔄 Testing Hot Reload...');
+  let passed = 0;
+
+  // Rewriting a data file (same content) reloads it and notifies the client
+  try {
+    const docsCachePath = new URL('../data/docs_cache.json', import.meta.url);
+    client.notifications = [];
+    writeFileSync(docsCachePath, readFileSync(docsCachePath));
+
+    const resourcesChanged = await client.waitForNotification('notifications/resources/list_changed');
+    const toolsChanged = await client.waitForNotification('notifications/tools/list_changed', 1000);
+    if (resourcesChanged && toolsChanged) {
+      success('Data file change sends resources and tools list_changed notifications');
+      passed++;
+    } else {
+      fail('No list_changed notifications after data file change');
+    }
+  } catch (error) {
+    fail('Hot reload notification test failed', error.message);
+  }
+
+  // The reloaded cache keeps serving documentation
+  try {
+    const response = await client.sendRequest('tools/call', {
+      name: 'list_push_chain_docs',
+      arguments: {}
+    });
+    const text = response.result?.content?.[0]?.text || '';
+
+    if (!response.result?.isError && text.includes('.mdx')) {
+      success('Documentation served after reload');
+      passed++;
+    } else {
+      fail('Documentation unavailable after reload');
+    }
+  } catch (error) {
+    fail('Reloaded documentation test failed', error.message);
+  }
+
+  // A data file that fails its manifest checksum is not loaded; the previous data stays in place
+  const docsCachePath = new URL('../data/docs_cache.json', import.meta.url);
+  const original = readFileSync(docsCachePath);
+  try {
+    const tampered = JSON.parse(original.toString());
+    tampered.docs = tampered.docs.slice(1);
+    client.notifications = [];
+    writeFileSync(docsCachePath, JSON.stringify(tampered, null, 2));
+
+    const reloaded = await client.waitForNotification('notifications/resources/list_changed', 3000);
+    // The page dropped from the tampered file is still served from the previous data
+    const response = await client.sendRequest('tools/call', {
+      name: 'get_push_chain_doc',
+      arguments: { path: JSON.parse(original.toString()).docs[0].path }
+    });
+
+    if (!reloaded && response.result && !response.result.isError) {
+      success('Data failing verification is rejected and the previous data kept');
+      passed++;
+    } else {
+      fail('Tampered data file was loaded');
+    }
+  } catch (error) {
+    fail('Data verification test failed', error.message);
+  } finally {
+    client.notifications = [];
+    writeFileSync(docsCachePath, original);
+    await client.waitForNotification('notifications/resources/list_changed');
+  }
+
+  info(`  Hot reload: ${passed}/3 passed`);
+  return passed === 3;
 }
 
 async function testErrorHandling(client) {
@@ -560,6 +1263,211 @@ async function testErrorHandling(client) {
   return passed === 2;
 }
 
+async function testDataUpdates() {
+  info('\n📥 Testing Data Updates...');
+  let passed = 0;
+
+  // Test 1: diffDocTree classifies pages by blob SHA; the summary leaves out failed downloads
+  try {
+    const remote = [
+      { path: 'docs/chain/a.mdx', sha: '1' },
+      { path: 'docs/chain/b.mdx', sha: '2-new' },
+      { path: 'docs/chain/c.mdx', sha: '3' },
+      { path: 'docs/chain/e.mdx', sha: '5' }
+    ];
+    const cached = [
+      { path: 'docs/chain/a.mdx', sha: '1', content: 'a' },
+      { path: 'docs/chain/b.mdx', sha: '2', content: 'b' },
+      { path: 'docs/chain/d.mdx', sha: '4', content: 'd' },
+      // Cached without content (e.g. a failed download), so fetched again
+      { path: 'docs/chain/e.mdx', sha: '5' }
+    ];
+    const diff = diffDocTree(remote, cached);
+    const paths = files => files.map(file => file.path).join(',');
+    const summary = summarizeDocChanges(diff, { generatedAt: 'now', failed: [{ path: 'docs/chain/c.mdx' }] });
+
+    if (paths(diff.added) === 'docs/chain/c.mdx' && paths(diff.modified) === 'docs/chain/b.mdx,docs/chain/e.mdx' &&
+        paths(diff.removed) === 'docs/chain/d.mdx' && paths(diff.unchanged) === 'docs/chain/a.mdx' &&
+        summary.added.length === 0 && summary.failed.join() === 'docs/chain/c.mdx' && summary.unchanged === 1 && summary.mode === 'incremental') {
+      success('diffDocTree finds added, modified and removed pages by blob SHA');
+      passed++;
+    } else {
+      fail('diffDocTree - unexpected classification', JSON.stringify({ diff: Object.fromEntries(Object.entries(diff).map(([key, files]) => [key, paths(files)])), summary }));
+    }
+  } catch (error) {
+    fail('diffDocTree test failed', error.message);
+  }
+
+  // Test 2: the docs updater records new commits without regenerating when docs/chain is untouched
+  const metadataPath = new URL('../.docs-update-metadata.json', import.meta.url);
+  const originalMetadata = existsSync(metadataPath) ? readFileSync(metadataPath) : null;
+  const previousEnv = { GITHUB_API_URL: process.env.GITHUB_API_URL, GITHUB_TOKEN: process.env.GITHUB_TOKEN };
+  const requests = [];
+  const github = createServer((req, res) => {
+    requests.push(req.url);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const repo = '/repos/pushchain/push-chain-website';
+    if (req.url === `${repo}/commits/main`) {
+      return send(200, { sha: 'bbbbbbb2', commit: { committer: { date: '2026-01-02T00:00:00Z' }, message: 'Update landing page' } });
+    }
+    if (req.url === `${repo}/compare/aaaaaaa1...main`) return send(200, { files: [{ filename: 'src/pages/index.js' }] });
+    if (req.url === `${repo}/compare/ccccccc3...main`) return send(200, { files: [{ filename: 'docs/chain/01-Intro-Push-Chain.mdx' }] });
+    send(404, { message: 'Not Found' });
+  });
+
+  try {
+    await new Promise(resolve => github.listen(0, '127.0.0.1', resolve));
+    // Read when the updater modules are first imported
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${github.address().port}`;
+    process.env.GITHUB_TOKEN = 'test-token';
+    const { checkAndUpdateDocs } = await import('../docs-updater.js');
+    const { pathsModifiedSince } = await import('../utils/github-updates.js');
+
+    writeFileSync(metadataPath, JSON.stringify({ lastCheck: null, lastUpdate: null, lastCommitSha: 'aaaaaaa1', updateInterval: 0 }));
+    const updated = await checkAndUpdateDocs();
+    const metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'));
+    const checkRequests = requests.length;
+    // Checked moments ago, so the interval skips GitHub entirely
+    const rechecked = await checkAndUpdateDocs();
+    const docsTouched = await pathsModifiedSince('pushchain/push-chain-website', 'main', 'ccccccc3', ['docs/chain/'], 'test');
+    const unknownCommit = await pathsModifiedSince('pushchain/push-chain-website', 'main', 'deadbeef', ['docs/chain/'], 'test');
+
+    if (updated === false && metadata.lastCommitSha === 'bbbbbbb2' && metadata.lastCheck > 0 && metadata.lastUpdate === null &&
+        checkRequests === 2 && rechecked === false && requests.length === checkRequests + 2 && docsTouched && unknownCommit) {
+      success('Docs updater tracks the latest commit and only regenerates when docs/chain changed');
+      passed++;
+    } else {
+      fail('Docs updater commit tracking - unexpected result', JSON.stringify({ updated, metadata, requests, docsTouched, unknownCommit }));
+    }
+  } catch (error) {
+    fail('Docs updater commit tracking test failed', error.message);
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    if (originalMetadata) writeFileSync(metadataPath, originalMetadata);
+    else if (existsSync(metadataPath)) unlinkSync(metadataPath);
+    await new Promise(resolve => github.close(resolve));
+  }
+
+  // Tests 3-4: prepareSdkSource accepts checkouts, tarballs and packages, and the analysis does not depend on which
+  const scratch = mkdtempSync(join(tmpdir(), 'pushchain-sdk-test-'));
+  try {
+    const checkout = join(scratch, 'push-chain-sdk-main');
+    const writeFile = (path, content) => {
+      mkdirSync(join(path, '..'), { recursive: true });
+      writeFileSync(path, content);
+    };
+    writeFile(join(checkout, 'packages/core/package.json'), JSON.stringify({ name: '@pushchain/core', version: '1.2.3', main: 'src/index.ts' }));
+    writeFile(join(checkout, 'packages/core/src/index.ts'), "export { createClient } from './client';\nexport type { ClientOptions } from './client';\n");
+    writeFile(join(checkout, 'packages/core/src/client.ts'), 'export interface ClientOptions { network: string; }\nexport function createClient(options: ClientOptions): string { return options.network; }\n');
+    writeFile(join(checkout, 'packages/ui-kit/package.json'), JSON.stringify({ name: '@pushchain/ui-kit', version: '4.5.6', main: 'src/index.ts' }));
+    writeFile(join(checkout, 'packages/ui-kit/src/index.ts'), "import { createClient } from '@pushchain/core';\nexport const useClient = () => createClient({ network: 'testnet' });\n");
+
+    const repoTarball = join(scratch, 'push-chain-sdk-main.tar.gz');
+    execFileSync('tar', ['-czf', repoTarball, '-C', scratch, 'push-chain-sdk-main']);
+    // npm packs hold the package under package/
+    cpSync(join(checkout, 'packages/core'), join(scratch, 'pack/package'), { recursive: true });
+    const corePack = join(scratch, 'pushchain-core-1.2.3.tgz');
+    execFileSync('tar', ['-czf', corePack, '-C', join(scratch, 'pack'), 'package']);
+
+    const workDir = name => mkdtempSync(join(scratch, `${name}-`));
+    const fileIn = (dir, path) => existsSync(join(dir, path)) ? readFileSync(join(dir, path), 'utf-8') : null;
+    const client = readFileSync(join(checkout, 'packages/core/src/client.ts'), 'utf-8');
+
+    const inPlace = prepareSdkSource([checkout], workDir('checkout'));
+    const fromRepoTarball = prepareSdkSource([repoTarball], workDir('tarball'));
+    const fromPackages = prepareSdkSource([corePack, join(checkout, 'packages/ui-kit')], workDir('packages'));
+    let duplicateError = null;
+    try {
+      prepareSdkSource([checkout, corePack], workDir('duplicate'));
+    } catch (error) {
+      duplicateError = error.message;
+    }
+
+    if (inPlace === checkout && fileIn(fromRepoTarball, 'packages/core/src/client.ts') === client &&
+        fileIn(fromPackages, 'packages/core/src/client.ts') === client && fileIn(fromPackages, 'packages/ui-kit/src/index.ts') !== null &&
+        duplicateError?.includes('packages/core is provided by more than one source')) {
+      success('prepareSdkSource lays out checkouts, tarballs and npm packs, and rejects duplicate packages');
+      passed++;
+    } else {
+      fail('prepareSdkSource - unexpected layout', JSON.stringify({ inPlace, fromRepoTarball, fromPackages, duplicateError }));
+    }
+
+    // Analyzing the checkout and the separate packages must produce the same data files
+    const analyze = (sources, outputDir) => execFileSync(process.execPath, [
+      new URL('./analyze-sdk.js', import.meta.url).pathname,
+      ...sources.flatMap(source => ['--source', source]),
+      outputDir
+    ], { stdio: 'ignore', timeout: 60000 });
+    const fromCheckout = join(scratch, 'out-checkout');
+    const fromSources = join(scratch, 'out-packages');
+    mkdirSync(fromCheckout);
+    mkdirSync(fromSources);
+    analyze([checkout], fromCheckout);
+    analyze([corePack, join(checkout, 'packages/ui-kit')], fromSources);
+
+    const dataFiles = ['sdk_file_contents.json', 'sdk_complete_exports.json', 'sdk_packages_complete.json', 'sdk_reference_graph.json'];
+    const differing = dataFiles.filter(file => fileIn(fromCheckout, file) === null || fileIn(fromCheckout, file) !== fileIn(fromSources, file));
+    if (differing.length === 0) {
+      success('analyze-sdk writes identical data from a checkout and from separate package sources');
+      passed++;
+    } else {
+      fail('analyze-sdk output depends on the source layout', differing.join(', '));
+    }
+  } catch (error) {
+    fail('SDK source preparation test failed', error.message);
+  } finally {
+    rmSync(scratch, { recursive: true, force: true });
+  }
+
+  // Test 5: snapshots of two commits with the same package versions are both kept and resolvable
+  const snapshotDir = mkdtempSync(join(tmpdir(), 'pushchain-snapshots-test-'));
+  try {
+    const packages = [{ name: '@pushchain/core', version: '3.0.5' }, { name: '@pushchain/ui-kit', version: '2.1.5' }];
+    const writeRelease = (generatedAt, source) => {
+      for (const file of SNAPSHOT_FILES) writeFileSync(join(snapshotDir, file), '{}');
+      writeFileSync(join(snapshotDir, 'sdk_packages_complete.json'), JSON.stringify({ packages }));
+      writeFileSync(join(snapshotDir, 'sdk_complete_analysis.json'), JSON.stringify({ generatedAt }));
+      writeFileSync(join(snapshotDir, 'sdk_file_contents.json'), JSON.stringify({ 'packages/core/src/index.ts': source }));
+    };
+    const sourceIn = snapshot => JSON.parse(readFileSync(join(snapshot.dir, 'sdk_file_contents.json'), 'utf-8'))['packages/core/src/index.ts'];
+
+    writeRelease('2026-01-01T00:00:00.000Z', 'first');
+    const first = saveSnapshot(snapshotDir, { commit: '1111111aaaa' });
+    writeRelease('2026-01-02T00:00:00.000Z', 'second');
+    const second = saveSnapshot(snapshotDir, { commit: '2222222bbbb' });
+    // Archiving the same data again without its commit keeps the existing snapshot
+    const again = saveSnapshot(snapshotDir, { replace: false });
+
+    const { snapshots } = loadSnapshotIndex(snapshotDir);
+    const latestPackages = [{ name: '@pushchain/core', version: '3.0.6' }, { name: '@pushchain/ui-kit', version: '2.1.5' }];
+    const byFirstCommit = resolveSnapshot(snapshotDir, '1111111', latestPackages);
+    const bySecondCommit = resolveSnapshot(snapshotDir, '2222222', latestPackages);
+
+    if (first.id === 'core-3.0.5_ui-kit-2.1.5_1111111' && second.id === 'core-3.0.5_ui-kit-2.1.5_2222222' &&
+        again.id === second.id && snapshots.length === 2 &&
+        sourceIn(byFirstCommit) === 'first' && sourceIn(bySecondCommit) === 'second' &&
+        findSnapshot(snapshots, 'core@3.0.5').id === second.id && findSnapshot(snapshots, 'core-3.0.5_ui-kit-2.1.5').id === second.id) {
+      success('Snapshots of two commits with the same versions are both kept and resolvable by commit');
+      passed++;
+    } else {
+      fail('Snapshots by commit - unexpected index', JSON.stringify({ snapshots, byFirstCommit, bySecondCommit }));
+    }
+  } catch (error) {
+    fail('Snapshots by commit test failed', error.message);
+  } finally {
+    rmSync(snapshotDir, { recursive: true, force: true });
+  }
+
+  info(`  Data updates: ${passed}/5 passed`);
+  return passed === 5;
+}
+
 // ============================================================================
 // MAIN TEST RUNNER
 // ============================================================================
@@ -581,8 +1489,12 @@ async function runTests() {
     await testListTools(client);
     await testDocumentationTools(client);
     await testSDKTools(client);
+    await testContinuationCursors(client);
     await testResourceEndpoints(client);
+    await testPrompts(client);
+    await testHotReload(client);
     await testErrorHandling(client);
+    await testDataUpdates();
 
   } catch (error) {
     fail('Fatal error during testing', error.message);
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Snippet Validation
+ *
+ * Type-checks every TypeScript/TSX snippet in docs_cache.json against the SDK
+ * sources in sdk_file_contents.json, in memory and without network access,
+ * and reports the snippets whose code no longer matches the SDK.
+ *
+ * Usage:
+ *   node scripts/validate-snippets.js [options]
+ *
+ * Options:
+ *   --path <doc-path>   Only check the snippets of this page
+ *   --all               Also list snippets that pass or were skipped
+ *   --json              Print the report as JSON
+ *   --data-dir <dir>    Data directory (default: ../data)
+ *
+ * Exits with code 2 when a snippet uses an SDK symbol that no longer exists
+ * or calls an SDK API with arguments it does not accept.
+ */
+
+import { readFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { checkDocSnippets } from "../utils/snippet-checker.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const options = { path: undefined, all: false, json: false, dataDir: resolve(__dirname, "../data") };
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--path") options.path = args[++i];
+  else if (args[i] === "--all") options.all = true;
+  else if (args[i] === "--json") options.json = true;
+  else if (args[i] === "--data-dir") options.dataDir = resolve(args[++i]);
+}
+
+const STATUS_ICONS = { ok: "✅", drift: "❌", error: "⚠️ ", skipped: "⏭️ " };
+
+function main() {
+  const { docs } = JSON.parse(readFileSync(resolve(options.dataDir, "docs_cache.json"), "utf-8"));
+  const fileContents = JSON.parse(readFileSync(resolve(options.dataDir, "sdk_file_contents.json"), "utf-8"));
+  if (options.path && !docs.some(doc => doc.path === options.path)) {
+    throw new Error(`Documentation file not found: ${options.path}`);
+  }
+
+  const report = checkDocSnippets(docs, fileContents, { path: options.path });
+  if (report.summary.drift > 0) process.exitCode = 2;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const listed = report.snippets.filter(snippet => options.all || snippet.status === "drift" || snippet.status === "error");
+  for (const snippet of listed) {
+    console.log(`${STATUS_ICONS[snippet.status]} ${snippet.id}${snippet.heading ? ` (${snippet.heading})` : ""}`);
+    if (snippet.reason) console.log(`   ${snippet.reason}`);
+    for (const diagnostic of snippet.diagnostics) {
+      const position = diagnostic.line ? `${diagnostic.line}:${diagnostic.column}` : "context";
+      const symbol = diagnostic.symbol ? ` ${diagnostic.symbol}${diagnostic.suggestion ? ` (did you mean ${diagnostic.suggestion}?)` : ""}:` : "";
+      console.log(`   ${position} [${diagnostic.category}]${symbol} ${diagnostic.message}`);
+    }
+  }
+
+  const { checked, ok, drift, error, skipped, missingSymbols } = report.summary;
+  if (listed.length > 0) console.log("");
+  console.log(`📊 ${checked} snippets checked: ${ok} ok, ${drift} out of sync with the SDK, ${error} with other errors (${skipped} skipped)`);
+  if (missingSymbols.length > 0) console.log(`   Missing SDK symbols: ${missingSymbols.join(", ")}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Validation failed:", error.message);
+  process.exitCode = 1;
+}
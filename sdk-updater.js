@@ -5,14 +5,28 @@
  *
  * Checks Push Chain SDK repository for updates and regenerates SDK data files
  * only when changes are detected. Uses Git commit SHA tracking for efficiency.
+ *
+ * With --source, data is regenerated from local sources (a checkout, a
+ * repository tarball or npm packs) without contacting GitHub.
  */
 
 import "dotenv/config";
-import { execSync } from "child_process";
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from "fs";
-import { resolve, dirname } from "path";
+import { execFileSync, execSync } from "child_process";
+import { existsSync } from "fs";
+import { resolve, dirname, join } from "path";
 import { fileURLToPath } from "url";
-import fetch from "node-fetch";
+import {
+  resolveUpdateInterval,
+  loadUpdateMetadata,
+  saveUpdateMetadata,
+  fetchLatestCommit,
+  fetchCommitsSince,
+  pathsModifiedSince
+} from "./utils/github-updates.js";
+import { SNAPSHOT_FILES, restoreLastGoodData, saveSnapshot } from "./utils/sdk-snapshots.js";
+import { verifyDataGroup } from "./utils/data-integrity.js";
+import { diffSdkApis, formatApiDiff } from "./utils/api-diff.js";
+import { appendChangelogEntry, createChangelogEntry, diffFileContents } from "./utils/sdk-changelog.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,135 +37,153 @@ const GITHUB_REPO = "pushchain/push-chain-sdk";
 const GITHUB_BRANCH = "main";
 const SDK_PACKAGES = ["packages/core", "packages/ui-kit"];
 const UPDATE_METADATA_FILE = resolve(__dirname, ".sdk-update-metadata.json");
+const USER_AGENT = "Push-Chain-MCP-SDK-Updater";
 
-// Update intervals (in milliseconds)
-const UPDATE_INTERVALS = {
-  aggressive: 1 * 60 * 60 * 1000,      // 1 hour
-  moderate: 6 * 60 * 60 * 1000,        // 6 hours
-  conservative: 24 * 60 * 60 * 1000,   // 24 hours (recommended)
-  weekly: 7 * 24 * 60 * 60 * 1000      // 7 days
-};
-
-const UPDATE_INTERVAL = UPDATE_INTERVALS[process.env.SDK_UPDATE_INTERVAL || "conservative"];
+const UPDATE_INTERVAL = resolveUpdateInterval(process.env.SDK_UPDATE_INTERVAL);
 
 /**
  * Load update metadata
  */
 function loadMetadata() {
-  if (!existsSync(UPDATE_METADATA_FILE)) {
-    return {
-      lastCheck: null,
-      lastUpdate: null,
-      lastCommitSha: null,
-      updateInterval: UPDATE_INTERVAL
-    };
-  }
-
-  try {
-    return JSON.parse(readFileSync(UPDATE_METADATA_FILE, "utf-8"));
-  } catch (error) {
-    console.error("Error reading metadata:", error.message);
-    return {
-      lastCheck: null,
-      lastUpdate: null,
-      lastCommitSha: null,
-      updateInterval: UPDATE_INTERVAL
-    };
-  }
+  return loadUpdateMetadata(UPDATE_METADATA_FILE, UPDATE_INTERVAL);
 }
 
 /**
  * Save update metadata
  */
 function saveMetadata(metadata) {
-  try {
-    writeFileSync(UPDATE_METADATA_FILE, JSON.stringify(metadata, null, 2));
-  } catch (error) {
-    console.error("Error saving metadata:", error.message);
-  }
+  saveUpdateMetadata(UPDATE_METADATA_FILE, metadata);
 }
 
 /**
  * Get latest commit SHA from GitHub
  */
 async function getLatestCommitSha() {
-  const url = `https://api.github.com/repos/${GITHUB_REPO}/commits/${GITHUB_BRANCH}`;
-
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'User-Agent': 'Push-Chain-MCP-SDK-Updater'
-  };
-
-  if (GITHUB_TOKEN) {
-    headers['Authorization'] = `Bearer ${GITHUB_TOKEN}`;
-  }
-
-  try {
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return {
-      sha: data.sha,
-      date: data.commit.committer.date,
-      message: data.commit.message
-    };
-  } catch (error) {
-    console.error("Error fetching commit info:", error.message);
-    throw error;
-  }
+  return fetchLatestCommit(GITHUB_REPO, GITHUB_BRANCH, USER_AGENT);
 }
 
 /**
  * Check if SDK packages were modified in recent commits
  */
 async function checkSDKPackagesModified(sinceSha) {
-  if (!sinceSha) return true; // First time, assume modified
-
-  const url = `https://api.github.com/repos/${GITHUB_REPO}/compare/${sinceSha}...${GITHUB_BRANCH}`;
+  return pathsModifiedSince(GITHUB_REPO, GITHUB_BRANCH, sinceSha, SDK_PACKAGES, USER_AGENT);
+}
 
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'User-Agent': 'Push-Chain-MCP-SDK-Updater'
+/**
+ * Picks the exports, sources and packages out of verified SDK data
+ */
+function apiOf(data) {
+  return {
+    exportsData: data["sdk_complete_exports.json"],
+    fileContents: data["sdk_file_contents.json"],
+    packages: data["sdk_packages_complete.json"].packages
   };
+}
 
-  if (GITHUB_TOKEN) {
-    headers['Authorization'] = `Bearer ${GITHUB_TOKEN}`;
-  }
+/**
+ * Run the SDK analysis on repository-shaped sources and write data/, keeping
+ * the previous and the new release as versioned snapshots and recording the
+ * update in the changelog. If the new data fails verification, the last
+ * known-good snapshot is restored.
+ *
+ * @param {Array<string>} sources - Checkouts, repository tarballs or npm packs
+ * @param {Object} release - `{ commit, previousCommit, commits }`: the commit the
+ *   sources were taken from, the last analyzed commit and the commits in between
+ *   that touched the SDK packages, when known
+ * @throws {Error} If the analysis fails or its output does not verify
+ */
+function analyzeSources(sources, { commit = null, previousCommit = null, commits = null } = {}) {
+  console.error("\n🔍 Analyzing SDK packages...");
 
-  try {
-    const response = await fetch(url, { headers });
+  const analyzeScript = resolve(__dirname, "scripts", "analyze-sdk.js");
+  const dataDir = resolve(__dirname, "data");
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        // Commit not found, might be force push or old commit
-        return true;
-      }
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
+  if (!existsSync(analyzeScript)) {
+    throw new Error("SDK analysis script not found. Please create scripts/analyze-sdk.js");
+  }
 
-    const data = await response.json();
+  // Archive the data being replaced (if it is valid), unless that release was archived already
+  let before = null;
+  let previous = null;
+  if (SNAPSHOT_FILES.every(file => existsSync(join(dataDir, file)))) {
+    try {
+      before = apiOf(verifyDataGroup(dataDir, "sdk"));
+      previous = saveSnapshot(dataDir, { commit: previousCommit, replace: false });
+      console.error(`✓ Previous data kept as snapshot ${previous.id}`);
+    } catch (error) {
+      console.error(`⚠️  Current SDK data failed validation and is not archived: ${error.message}`);
+    }
+  }
 
-    // Check if any files in SDK packages were modified
-    const sdkModified = data.files?.some(file =>
-      SDK_PACKAGES.some(pkg => file.filename.startsWith(pkg))
-    ) || false;
+  // Analysis is static, so the sources never need their dependencies installed
+  // Its stdout is forwarded to stderr, which keeps the MCP stdio channel clean
+  let analysisError = null;
+  try {
+    const output = execFileSync(
+      process.execPath,
+      [analyzeScript, ...sources.flatMap(source => ["--source", source]), dataDir],
+      { stdio: ["ignore", "pipe", "inherit"] }
+    );
+    process.stderr.write(output);
+  } catch (error) {
+    if (error.stdout) process.stderr.write(error.stdout);
+    analysisError = error;
+  }
 
-    return sdkModified;
+  // Verified even after a failed run, which may have stopped partway through writing
+  let after;
+  try {
+    after = apiOf(verifyDataGroup(dataDir, "sdk"));
   } catch (error) {
-    console.error("Error checking modifications:", error.message);
-    // On error, assume modified to be safe
-    return true;
+    const restored = restoreLastGoodData(dataDir, "sdk");
+    throw new Error(`SDK data failed validation (${error.message}); ${restored ? `restored snapshot ${restored}` : "no valid snapshot to restore"}`);
   }
+  if (analysisError) throw analysisError;
+
+  let apiDiff = null;
+  if (before) {
+    try {
+      apiDiff = diffSdkApis(before, after);
+      console.error(`\n📊 API changes since ${previous.id}: ${formatApiDiff(apiDiff)}`);
+    } catch (error) {
+      console.error("⚠️  Could not compare with the previous SDK data:", error.message);
+    }
+  }
+
+  const snapshot = saveSnapshot(dataDir, { commit });
+  console.error(`✓ SDK data updated (snapshot ${snapshot.id})`);
+
+  appendChangelogEntry(dataDir, createChangelogEntry({
+    fromPackages: before?.packages,
+    toPackages: after.packages,
+    fromCommit: previousCommit || previous?.commit || null,
+    toCommit: commit,
+    commits,
+    files: diffFileContents(before?.fileContents || {}, after.fileContents),
+    apiDiff
+  }));
+  console.error("✓ Changelog entry recorded");
 }
 
 /**
- * Clone and analyze SDK repository
+ * Regenerate SDK data, from local sources when given, otherwise from a fresh clone
+ *
+ * @param {Array<string>} sources - Local checkouts, repository tarballs or npm packs
+ * @param {Object} release - Commit information recorded with the snapshot and changelog (see analyzeSources)
+ * @returns {Promise<boolean>} True on success
  */
-async function updateSDKData() {
+async function updateSDKData(sources = [], release = {}) {
+  if (sources.length > 0) {
+    try {
+      console.error(`\n📂 Using local SDK sources: ${sources.join(", ")}`);
+      analyzeSources(sources, release);
+      return true;
+    } catch (error) {
+      console.error("❌ Error updating SDK data:", error.message);
+      return false;
+    }
+  }
+
   const tmpDir = resolve(__dirname, ".tmp-sdk-clone");
 
   try {
@@ -173,28 +205,8 @@ async function updateSDKData() {
     );
 
     console.log("✓ Repository cloned");
-    console.log("\n📦 Installing dependencies...");
-
-    // Install dependencies in cloned repo
-    execSync(`cd "${tmpDir}" && npm install --legacy-peer-deps`, { stdio: 'inherit' });
 
-    console.log("✓ Dependencies installed");
-    console.log("\n🔍 Analyzing SDK packages...");
-
-    // Run SDK analysis script (you'll need to create this based on your existing analysis logic)
-    // For now, we'll assume you have a script that generates the JSON files
-    const analyzeScript = resolve(__dirname, "scripts", "analyze-sdk.js");
-    const dataDir = resolve(__dirname, "data");
-
-    if (existsSync(analyzeScript)) {
-      execSync(`node "${analyzeScript}" "${tmpDir}" "${dataDir}"`, { stdio: 'inherit' });
-    } else {
-      console.warn("⚠️  SDK analysis script not found. Please create scripts/analyze-sdk.js");
-      console.log("   For now, manually regenerate SDK JSON files from the cloned repo at:");
-      console.log(`   ${tmpDir}`);
-    }
-
-    console.log("✓ SDK data updated");
+    analyzeSources([tmpDir], release);
 
     // Clean up
     console.log("\n🧹 Cleaning up...");
@@ -271,9 +283,23 @@ async function checkAndUpdate(forceUpdate = false) {
       console.log("⚠️  SDK packages modified - update required");
     }
 
+    // Commits since the last update that touched the SDK packages, for the changelog
+    let commits = null;
+    if (metadata.lastCommitSha && latestCommit.sha !== metadata.lastCommitSha) {
+      try {
+        commits = await fetchCommitsSince(GITHUB_REPO, GITHUB_BRANCH, metadata.lastCommitSha, SDK_PACKAGES, USER_AGENT);
+      } catch (error) {
+        console.warn("⚠️  Could not list commits for the changelog:", error.message);
+      }
+    }
+
     // Update SDK data
     console.log(forceUpdate ? "\n🔄 Force updating SDK data..." : "\n🔄 Updating SDK data...");
-    const success = await updateSDKData();
+    const success = await updateSDKData([], {
+      commit: latestCommit.sha,
+      previousCommit: metadata.lastCommitSha,
+      commits
+    });
 
     if (success) {
       metadata.lastUpdate = now;
@@ -306,6 +332,7 @@ async function main() {
   const args = process.argv.slice(2);
   const forceUpdate = args.includes("--force") || args.includes("-f");
   const showHelp = args.includes("--help") || args.includes("-h");
+  const sources = args.flatMap((arg, i) => (arg === "--source" || arg === "-s") && args[i + 1] ? [args[i + 1]] : []);
 
   if (showHelp) {
     console.log(`
@@ -315,8 +342,10 @@ Usage:
   node sdk-updater.js [options]
 
 Options:
-  --force, -f     Force update regardless of last check time
-  --help, -h      Show this help message
+  --force, -f           Force update regardless of last check time
+  --source, -s <path>   Regenerate from a local checkout, repository tarball or
+                        npm pack (repeatable; no GitHub access or npm install)
+  --help, -h            Show this help message
 
 Environment Variables:
   GITHUB_TOKEN              GitHub personal access token (optional, but recommended)
@@ -332,11 +361,20 @@ Update Intervals:
 Examples:
   node sdk-updater.js                    # Check for updates (respects interval)
   node sdk-updater.js --force            # Force update immediately
+  node sdk-updater.js --source ../push-chain-sdk            # Offline, from a local checkout
+  node sdk-updater.js -s pushchain-core-6.0.6.tgz -s pushchain-ui-kit-2.1.5.tgz
   SDK_UPDATE_INTERVAL=weekly node sdk-updater.js   # Use weekly check interval
 `);
     process.exit(0);
   }
 
+  if (sources.length > 0) {
+    // Offline: no commit to compare against, so always regenerate
+    const success = await updateSDKData(sources);
+    if (!success) process.exitCode = 1;
+    return;
+  }
+
   console.log(`Update interval: ${process.env.SDK_UPDATE_INTERVAL || "conservative"} (${UPDATE_INTERVAL / 1000 / 60 / 60} hours)\n`);
 
   await checkAndUpdate(forceUpdate);
@@ -0,0 +1,297 @@
+/**
+ * API-level comparison of two SDK data snapshots
+ *
+ * Exports are matched by package and public path (or file and name for
+ * internal symbols), and their declarations are compared structurally:
+ * parameters and return types of functions, members of interfaces, object
+ * types, enums and classes, and union members. Each change is flagged as
+ * likely breaking when code written against the older release could stop
+ * compiling or behave differently (removed exports or members, new required
+ * parameters or properties, changed types).
+ */
+
+import { EXPORT_CATEGORIES, extractDeclarationShape } from "./ts-analyzer.js";
+
+/**
+ * Returns "core" or "ui-kit" for a file under packages/, otherwise null
+ */
+function packageOf(file) {
+  return file.match(/^packages\/([^/]+)\//)?.[1] || null;
+}
+
+/**
+ * Returns the key an export is matched by across versions
+ */
+function exportKey(record) {
+  const pkg = packageOf(record.file);
+  return record.publicPath ? `${pkg}:${record.publicPath}` : `${pkg}:${record.file}#${record.name}`;
+}
+
+/**
+ * Collects the exports to compare, keyed by exportKey
+ */
+function collectExports(data, { packages, includeInternal }) {
+  const byKey = new Map();
+  for (const category of EXPORT_CATEGORIES) {
+    for (const record of data.exportsData[category] || []) {
+      if (!packages.includes(packageOf(record.file))) continue;
+      if (!includeInternal && record.visibility && record.visibility !== "public") continue;
+      if (!byKey.has(exportKey(record))) byKey.set(exportKey(record), { ...record, exportType: category });
+    }
+  }
+  return byKey;
+}
+
+/**
+ * Summarizes an export for diff results
+ */
+function describeExport(record) {
+  return {
+    name: record.name,
+    publicPath: record.publicPath,
+    package: `@pushchain/${packageOf(record.file)}`,
+    kind: record.kind,
+    file: record.file,
+    visibility: record.visibility,
+    signature: record.signature
+  };
+}
+
+/**
+ * Returns true if a parameter may be left out by callers
+ */
+function isOptionalParameter(param) {
+  return Boolean(param.optional || param.rest || param.defaultValue !== undefined);
+}
+
+/**
+ * Compares two call signatures
+ */
+function compareSignatures(before, after, label, changes) {
+  const count = Math.max(before.parameters.length, after.parameters.length);
+  for (let i = 0; i < count; i++) {
+    const old = before.parameters[i];
+    const now = after.parameters[i];
+
+    if (!now) {
+      changes.push({ change: `${label}parameter '${old.name}' removed`, breaking: true });
+    } else if (!old) {
+      const optional = isOptionalParameter(now);
+      changes.push({ change: `${label}${optional ? "optional" : "required"} parameter '${now.name}' added`, breaking: !optional });
+    } else {
+      if (old.type !== now.type) {
+        changes.push({ change: `${label}parameter '${now.name}' type changed: ${old.type ?? "any"} → ${now.type ?? "any"}`, breaking: true });
+      }
+      if (isOptionalParameter(old) && !isOptionalParameter(now)) {
+        changes.push({ change: `${label}parameter '${now.name}' is now required`, breaking: true });
+      } else if (!isOptionalParameter(old) && isOptionalParameter(now)) {
+        changes.push({ change: `${label}parameter '${now.name}' is now optional`, breaking: false });
+      }
+      if (old.name !== now.name && old.type === now.type) {
+        changes.push({ change: `${label}parameter '${old.name}' renamed to '${now.name}'`, breaking: false });
+      }
+    }
+  }
+
+  if (before.returnType !== after.returnType) {
+    changes.push({ change: `${label}return type changed: ${before.returnType ?? "inferred"} → ${after.returnType ?? "inferred"}`, breaking: true });
+  }
+}
+
+/**
+ * Compares members of interfaces, object types, enums and classes
+ */
+function compareMembers(before, after, { isClass = false, isEnum = false } = {}, changes) {
+  for (const [name, old] of Object.entries(before)) {
+    const now = after[name];
+    if (!now) {
+      changes.push({ change: `member '${name}' removed`, breaking: true });
+      continue;
+    }
+    if (old.type !== now.type) {
+      changes.push({ change: `member '${name}' ${isEnum ? "value" : "type"} changed: ${old.type || "(none)"} → ${now.type || "(none)"}`, breaking: true });
+    }
+    if (old.optional && !now.optional) changes.push({ change: `member '${name}' is now required`, breaking: true });
+    if (!old.optional && now.optional) changes.push({ change: `member '${name}' is now optional`, breaking: false });
+  }
+
+  for (const [name, now] of Object.entries(after)) {
+    if (before[name]) continue;
+    // New required properties break object literals typed against an interface;
+    // new class members only break subclasses when abstract
+    const breaking = isClass ? Boolean(now.abstract) : !isEnum && !now.optional;
+    changes.push({ change: `${!isClass && !isEnum && !now.optional ? "required " : ""}member '${name}' added`, breaking });
+  }
+}
+
+/**
+ * Compares the declared shapes of one export in two versions
+ *
+ * @returns {Array<Object>} `[{ change, breaking }]`
+ */
+function compareShapes(before, after) {
+  const changes = [];
+
+  if (before.kind !== after.kind) {
+    changes.push({ change: `kind changed: ${before.kind} → ${after.kind}`, breaking: true });
+    return changes;
+  }
+
+  // One side fell back to its signature text (declaration not found in that release)
+  if (Boolean(before.signatures) !== Boolean(after.signatures)) {
+    changes.push({ change: "type definition restructured", breaking: true });
+    return changes;
+  }
+
+  if (before.signatures) {
+    if (after.signatures.length < before.signatures.length) {
+      changes.push({ change: `overloads reduced from ${before.signatures.length} to ${after.signatures.length}`, breaking: true });
+    }
+    after.signatures.forEach((signature, i) => {
+      if (!before.signatures[i]) {
+        changes.push({ change: `overload ${i + 1} added`, breaking: false });
+      } else {
+        compareSignatures(before.signatures[i], signature, after.signatures.length > 1 ? `overload ${i + 1}: ` : "", changes);
+      }
+    });
+  }
+
+  if (before.extends !== undefined && JSON.stringify(before.extends) !== JSON.stringify(after.extends)) {
+    changes.push({ change: `extends changed: ${[before.extends].flat().join(", ") || "(none)"} → ${[after.extends].flat().join(", ") || "(none)"}`, breaking: true });
+  }
+
+  if (before.members && after.members) {
+    compareMembers(before.members, after.members, { isClass: before.kind === "class", isEnum: before.kind === "enum" }, changes);
+  } else if (before.union && after.union) {
+    before.union.filter(member => !after.union.includes(member))
+      .forEach(member => changes.push({ change: `union member ${member} removed`, breaking: true }));
+    after.union.filter(member => !before.union.includes(member))
+      .forEach(member => changes.push({ change: `union member ${member} added (exhaustive checks may need updating)`, breaking: false }));
+  } else if (before.members || after.members || before.union || after.union) {
+    changes.push({ change: "type definition restructured", breaking: true });
+  }
+
+  if (before.kind === "variable") {
+    if (before.type !== after.type) {
+      changes.push({ change: `declared type changed: ${before.type || "inferred"} → ${after.type || "inferred"}`, breaking: true });
+    } else if (before.text !== after.text) {
+      changes.push({ change: "value changed", breaking: false });
+    }
+  } else if (before.text !== undefined && before.text !== after.text) {
+    changes.push({ change: "type definition changed", breaking: true });
+  }
+
+  return changes;
+}
+
+/**
+ * Describes the declaration behind an export record, falling back to its
+ * signature text when the declaration cannot be found
+ */
+function shapeOf(data, record) {
+  const content = data.fileContents[record.file];
+  const shape = content !== undefined
+    ? extractDeclarationShape(content, record.file, record.localName || record.name)
+    : null;
+  return shape || { kind: record.kind, text: (record.signature || "").replace(/\s+/g, " ").trim() };
+}
+
+/**
+ * Counts the entries of a diff
+ */
+function summarizeDiff({ added, removed, changed }) {
+  return {
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length,
+    breaking: removed.filter(entry => entry.breaking).length + changed.filter(entry => entry.breaking).length
+  };
+}
+
+/**
+ * Compares the exported API of two SDK snapshots
+ *
+ * @param {Object} from - Older data: `{ exportsData, fileContents }`
+ * @param {Object} to - Newer data: `{ exportsData, fileContents }`
+ * @param {Object} options - `{ packages, includeInternal, breakingOnly }`; packages
+ *   defaults to ["core", "ui-kit"]; breakingOnly keeps only likely breaking entries
+ * @returns {Object} `{ summary, added, removed, changed }`; changed entries list
+ *   `changes: [{ change, breaking }]` and `breaking` is true if any change is.
+ *   The summary counts the returned entries; with breakingOnly, `total` holds
+ *   the counts before filtering
+ */
+export function diffSdkApis(from, to, { packages = ["core", "ui-kit"], includeInternal = false, breakingOnly = false } = {}) {
+  const before = collectExports(from, { packages, includeInternal });
+  const after = collectExports(to, { packages, includeInternal });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, record] of before) {
+    if (!after.has(key)) {
+      removed.push({ ...describeExport(record), breaking: !record.visibility || record.visibility === "public" });
+    }
+  }
+
+  for (const [key, record] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push(describeExport(record));
+      continue;
+    }
+
+    // Shapes are read from the declaring file only, so an unchanged file means an unchanged export
+    const unchanged = old.file === record.file &&
+      (old.localName || old.name) === (record.localName || record.name) &&
+      from.fileContents[old.file] !== undefined &&
+      from.fileContents[old.file] === to.fileContents[record.file];
+    const changes = unchanged ? [] : compareShapes(shapeOf(from, old), shapeOf(to, record));
+    if (changes.length > 0) {
+      changed.push({
+        ...describeExport(record),
+        breaking: changes.some(change => change.breaking),
+        changes,
+        previousSignature: old.signature !== record.signature ? old.signature : undefined
+      });
+    }
+  }
+
+  const byName = (a, b) => (a.publicPath || a.name).localeCompare(b.publicPath || b.name);
+  added.sort(byName);
+  removed.sort(byName);
+  changed.sort(byName);
+
+  if (!breakingOnly) {
+    return { summary: summarizeDiff({ added, removed, changed }), added, removed, changed };
+  }
+
+  const filtered = {
+    added: [],
+    removed: removed.filter(entry => entry.breaking),
+    changed: changed.filter(entry => entry.breaking)
+  };
+  return { summary: { ...summarizeDiff(filtered), total: summarizeDiff({ added, removed, changed }) }, ...filtered };
+}
+
+/**
+ * Formats a diff as short plain-text lines for logs and the CLI
+ *
+ * @param {Object} diff - Result of diffSdkApis
+ * @returns {string}
+ */
+export function formatApiDiff(diff) {
+  const lines = [
+    `${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed (${diff.summary.breaking} likely breaking)`
+  ];
+  const nameOf = entry => `${entry.package} ${entry.publicPath || entry.name}`;
+
+  diff.removed.forEach(entry => lines.push(`  - ${nameOf(entry)}${entry.breaking ? "  [BREAKING]" : ""}`));
+  diff.added.forEach(entry => lines.push(`  + ${nameOf(entry)}`));
+  diff.changed.forEach(entry => {
+    lines.push(`  ~ ${nameOf(entry)}${entry.breaking ? "  [BREAKING]" : ""}`);
+    entry.changes.forEach(({ change, breaking }) => lines.push(`      ${breaking ? "!" : "·"} ${change}`));
+  });
+
+  return lines.join("\n");
+}
@@ -0,0 +1,298 @@
+/**
+ * Public API surface resolution for Push Chain SDK packages
+ *
+ * Starting from each package entry point (`packages/<pkg>/src/index.ts`),
+ * follows `export *` / `export { a as b } from` chains to find the symbols a
+ * consumer can import, then follows public static members of exported
+ * classes (e.g. `PushChain.utils.signer.toUniversal`) to the symbols they
+ * expose. Every export record is then marked `public`, `internal` or
+ * `test-only`.
+ */
+
+import ts from "typescript";
+import { posix } from "path";
+import { EXPORT_CATEGORIES } from "./ts-analyzer.js";
+
+/**
+ * Files that only exist for tests (specs, e2e suites, jest config, mocks)
+ */
+const TEST_FILE_PATTERN = /(?:\.(?:spec|test)\.[jt]sx?$|\/__(?:tests|e2e|mocks)__\/|\/jest\.config\.[jt]s$)/;
+
+/**
+ * Extensions tried, in order, when resolving a relative module specifier
+ * (.d.ts covers npm packs, which ship declarations instead of sources)
+ */
+const MODULE_CANDIDATES = ["", ".ts", ".tsx", ".d.ts", ".js", ".jsx", "/index.ts", "/index.tsx", "/index.d.ts", "/index.js"];
+
+/**
+ * Returns true if a file only exists for tests
+ *
+ * @param {string} filePath - Path relative to the SDK repository root
+ * @returns {boolean}
+ */
+export function isTestFile(filePath) {
+  return TEST_FILE_PATTERN.test(filePath);
+}
+
+/**
+ * Resolves a relative import to a file present in the source map
+ *
+ * @param {string} fromFile - Importing file
+ * @param {string} specifier - Module specifier (e.g. './lib', '../utils.js')
+ * @param {Object} fileContents - Path to source map
+ * @returns {string|null} Resolved path, or null for packages and missing files
+ */
+export function resolveModule(fromFile, specifier, fileContents) {
+  if (!specifier.startsWith(".")) return null;
+
+  const base = posix.normalize(posix.join(posix.dirname(fromFile), specifier)).replace(/\.[jt]sx?$/, "");
+  for (const suffix of MODULE_CANDIDATES) {
+    if (fileContents[base + suffix] !== undefined) return base + suffix;
+  }
+  return fileContents[posix.join(posix.dirname(fromFile), specifier)] !== undefined
+    ? posix.join(posix.dirname(fromFile), specifier)
+    : null;
+}
+
+/**
+ * Returns the package entry point for a package directory, if present
+ */
+function findEntryPoint(packageDir, fileContents) {
+  return ["src/index.ts", "src/index.tsx", "src/index.d.ts"]
+    .map(name => `${packageDir}/${name}`)
+    .find(path => fileContents[path] !== undefined) || null;
+}
+
+/**
+ * Builds a resolver for "what does module X export under name Y", following re-exports
+ *
+ * @param {Object} exportsData - Export categories plus `reexports` (from extractExports)
+ * @param {Object} fileContents - Path to source map
+ * @returns {Object} `{ moduleExports(file), recordsByFile }`; moduleExports maps exported names to records
+ */
+export function createModuleExportResolver(exportsData, fileContents) {
+  const recordsByFile = new Map();
+  for (const category of EXPORT_CATEGORIES) {
+    for (const record of exportsData[category] || []) {
+      if (!recordsByFile.has(record.file)) recordsByFile.set(record.file, []);
+      recordsByFile.get(record.file).push(record);
+    }
+  }
+
+  const reexportsByFile = new Map();
+  for (const reexport of exportsData.reexports || []) {
+    if (!reexportsByFile.has(reexport.file)) reexportsByFile.set(reexport.file, []);
+    reexportsByFile.get(reexport.file).push(reexport);
+  }
+
+  const cache = new Map();
+
+  /**
+   * @returns {Map<string, Array<Object>>} Exported name to the records it refers to
+   */
+  function moduleExports(file, visiting = new Set()) {
+    if (cache.has(file)) return cache.get(file);
+    if (visiting.has(file)) return new Map();
+    visiting.add(file);
+
+    const result = new Map();
+    const add = (name, records) => {
+      if (records.length === 0) return;
+      result.set(name, [...(result.get(name) || []), ...records]);
+    };
+
+    for (const record of recordsByFile.get(file) || []) {
+      add(record.name, [record]);
+      if (record.isDefault && record.name !== "default") add("default", [record]);
+    }
+
+    for (const reexport of reexportsByFile.get(file) || []) {
+      const target = resolveModule(file, reexport.from, fileContents);
+      if (!target) continue;
+      const targetExports = moduleExports(target, visiting);
+
+      if (reexport.names === null) {
+        // export * forwards every named export except default
+        for (const [name, records] of targetExports) {
+          if (name !== "default" && !result.has(name)) add(name, records);
+        }
+      } else {
+        for (const { name, exportedAs } of reexport.names) {
+          if (name === "*") continue;
+          add(exportedAs, targetExports.get(name) || []);
+        }
+      }
+    }
+
+    visiting.delete(file);
+    cache.set(file, result);
+    return result;
+  }
+
+  return { moduleExports, recordsByFile };
+}
+
+/**
+ * Collects identifiers exposed by an initializer, with the property path
+ * leading to each one. Function bodies are skipped: code that runs inside a
+ * public method does not make the symbols it uses part of the API.
+ */
+function collectExposedIdentifiers(node, path, found) {
+  if (ts.isArrowFunction(node) || ts.isFunctionExpression(node) || ts.isMethodDeclaration(node) ||
+      ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node) || ts.isTypeNode(node)) {
+    return;
+  }
+  if (ts.isShorthandPropertyAssignment(node)) {
+    found.push({ name: node.name.text, path: [...path, node.name.text] });
+    return;
+  }
+  if (ts.isPropertyAssignment(node)) {
+    // Computed keys (e.g. [CHAIN.SOLANA_MAINNET]) keep the parent path
+    const key = ts.isIdentifier(node.name) ? node.name.text
+      : ts.isStringLiteral(node.name) ? `[${JSON.stringify(node.name.text)}]`
+      : null;
+    collectExposedIdentifiers(node.initializer, key ? [...path, key] : path, found);
+    return;
+  }
+  if (ts.isIdentifier(node)) {
+    found.push({ name: node.text, path });
+    return;
+  }
+  if (ts.isPropertyAccessExpression(node)) {
+    collectExposedIdentifiers(node.expression, path, found);
+    return;
+  }
+  ts.forEachChild(node, child => collectExposedIdentifiers(child, path, found));
+}
+
+/**
+ * Returns the initializers a public symbol exposes: public static properties
+ * of a class, or the initializer of a variable
+ *
+ * @returns {Array<Object>} `{ node, path }` pairs, path relative to the symbol
+ */
+function exposedInitializers(record, sourceFile) {
+  const results = [];
+
+  for (const statement of sourceFile.statements) {
+    if (record.kind === "class" && ts.isClassDeclaration(statement) && statement.name?.text === (record.localName || record.name)) {
+      for (const member of statement.members) {
+        const modifiers = ts.getModifiers(member) || [];
+        const isStatic = modifiers.some(m => m.kind === ts.SyntaxKind.StaticKeyword);
+        const isHidden = modifiers.some(m => m.kind === ts.SyntaxKind.PrivateKeyword || m.kind === ts.SyntaxKind.ProtectedKeyword);
+        if (ts.isPropertyDeclaration(member) && isStatic && !isHidden && member.initializer && ts.isIdentifier(member.name)) {
+          results.push({ node: member.initializer, path: [member.name.text] });
+        }
+      }
+    }
+
+    if (record.kind === "variable" && ts.isVariableStatement(statement)) {
+      for (const decl of statement.declarationList.declarations) {
+        if (ts.isIdentifier(decl.name) && decl.name.text === (record.localName || record.name) && decl.initializer) {
+          results.push({ node: decl.initializer, path: [] });
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Maps local names in a file to the records they refer to (imports and top-level exports)
+ */
+function createLocalResolver(file, sourceFile, fileContents, resolver) {
+  const imports = new Map();
+  for (const statement of sourceFile.statements) {
+    if (!ts.isImportDeclaration(statement) || !statement.importClause || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+    const from = statement.moduleSpecifier.text;
+    const clause = statement.importClause;
+    if (clause.name) imports.set(clause.name.text, { from, name: "default" });
+    if (clause.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+      for (const element of clause.namedBindings.elements) {
+        imports.set(element.name.text, { from, name: (element.propertyName || element.name).text });
+      }
+    }
+  }
+
+  return name => {
+    const imported = imports.get(name);
+    if (imported) {
+      const target = resolveModule(file, imported.from, fileContents);
+      return target ? resolver.moduleExports(target).get(imported.name) || [] : [];
+    }
+    return (resolver.recordsByFile.get(file) || []).filter(record => (record.localName || record.name) === name);
+  };
+}
+
+/**
+ * Marks every export record with `visibility` ("public", "internal" or
+ * "test-only"); public records also get `publicPath`, the name consumers use
+ * (e.g. "PushChain" or "PushChain.utils.signer.toUniversal"). Records are
+ * updated in place.
+ *
+ * @param {Object} exportsData - Export categories plus `reexports` (from extractExports)
+ * @param {Object} fileContents - Path to source map
+ * @param {Array<string>} packageDirs - Package directories (e.g. ["packages/core", "packages/ui-kit"])
+ * @returns {Object} The same exportsData
+ */
+export function markApiVisibility(exportsData, fileContents, packageDirs) {
+  const resolver = createModuleExportResolver(exportsData, fileContents);
+  const publicPaths = new Map();
+  const queue = [];
+
+  const markPublic = (record, path) => {
+    if (publicPaths.has(record) || isTestFile(record.file)) return;
+    publicPaths.set(record, path);
+    queue.push(record);
+  };
+
+  // Symbols importable from each package entry point
+  for (const packageDir of packageDirs) {
+    const entry = findEntryPoint(packageDir, fileContents);
+    if (!entry) continue;
+    for (const [name, records] of resolver.moduleExports(entry)) {
+      records.forEach(record => markPublic(record, name));
+    }
+  }
+
+  // Symbols exposed through public static members and exported objects
+  const sourceFiles = new Map();
+  while (queue.length > 0) {
+    const record = queue.shift();
+    if (record.kind !== "class" && record.kind !== "variable") continue;
+
+    if (!sourceFiles.has(record.file)) {
+      sourceFiles.set(record.file, ts.createSourceFile(record.file, fileContents[record.file] || "", ts.ScriptTarget.Latest, true,
+        record.file.endsWith(".tsx") ? ts.ScriptKind.TSX : ts.ScriptKind.TS));
+    }
+    const sourceFile = sourceFiles.get(record.file);
+    const resolveLocal = createLocalResolver(record.file, sourceFile, fileContents, resolver);
+
+    for (const { node, path } of exposedInitializers(record, sourceFile)) {
+      const found = [];
+      collectExposedIdentifiers(node, path, found);
+      for (const { name, path: memberPath } of found) {
+        const publicPath = [publicPaths.get(record), ...memberPath].join(".").replace(/\.\[/g, "[");
+        resolveLocal(name).forEach(target => markPublic(target, publicPath));
+      }
+    }
+  }
+
+  for (const category of EXPORT_CATEGORIES) {
+    for (const record of exportsData[category] || []) {
+      if (isTestFile(record.file)) {
+        record.visibility = "test-only";
+        delete record.publicPath;
+      } else if (publicPaths.has(record)) {
+        record.visibility = "public";
+        record.publicPath = publicPaths.get(record);
+      } else {
+        record.visibility = "internal";
+        delete record.publicPath;
+      }
+    }
+  }
+
+  return exportsData;
+}
@@ -2,26 +2,116 @@
  * Constants for Push Chain MCP Servers
  */
 
+/**
+ * Reads an integer setting from the environment, falling back (with a
+ * warning) when it is not a number; out-of-range values are clamped when
+ * `clamp` is set and fall back otherwise
+ */
+function integerFromEnv(name, fallback, { min = -Infinity, max = Infinity, clamp = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+
+  const value = Number(raw);
+  const range = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+  if (!Number.isFinite(value) || (!clamp && (!Number.isInteger(value) || value < min || value > max))) {
+    console.error(`⚠️  Ignoring ${name}=${raw}: expected an integer ${range}; using ${fallback}`);
+    return fallback;
+  }
+
+  const clamped = Math.min(max, Math.max(min, Math.floor(value)));
+  if (clamped !== value) console.error(`⚠️  ${name}=${raw} is not an integer ${range}; using ${clamped}`);
+  return clamped;
+}
+
+/**
+ * Reads a comma-separated list from the environment
+ */
+function listFromEnv(name) {
+  return (process.env[name] || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
 /**
  * Maximum character limit for responses to prevent overwhelming LLM context
  * Set to 25,000 characters as per MCP best practices
  */
 export const CHARACTER_LIMIT = 25000;
 
+/**
+ * Format version of continuation cursors returned for truncated responses
+ * Bump when the cursor payload changes so stale cursors are rejected
+ */
+export const CURSOR_VERSION = 1;
+
+/**
+ * Number of resources returned per resources/list page (at least 1)
+ * Override with MCP_RESOURCES_PAGE_SIZE
+ */
+export const RESOURCES_PAGE_SIZE = integerFromEnv("MCP_RESOURCES_PAGE_SIZE", 50, { min: 1, clamp: true });
+
 /**
  * Cache TTL for GitHub API responses (in milliseconds)
  * 30 minutes to minimize API rate limiting
  */
 export const CACHE_TTL = 1000 * 60 * 30;
 
+/**
+ * Quiet period after a data file changes before the caches are reloaded
+ * (in milliseconds), so a generator's consecutive writes cause one reload
+ */
+export const DATA_RELOAD_DEBOUNCE_MS = 1000;
+
+/**
+ * Number of older SDK snapshots kept in memory for version-pinned queries
+ */
+export const SNAPSHOT_CACHE_SIZE = 2;
+
 /**
  * GitHub API configuration
+ * Set GITHUB_API_URL to use another API endpoint (e.g. a proxy)
  */
 export const GITHUB_CONFIG = {
   owner: "pushchain",
   repo: "push-chain-website",
   branch: "main",
   basePath: "docs/chain",
-  apiBase: "https://api.github.com",
+  apiBase: process.env.GITHUB_API_URL || "https://api.github.com",
   rawBase: "https://raw.githubusercontent.com"
 };
+
+/**
+ * HTTP transport configuration (used when MCP_TRANSPORT=http)
+ * Binds to localhost by default; set MCP_HTTP_HOST=0.0.0.0 to share the
+ * server with other machines. Host headers are checked against
+ * MCP_HTTP_ALLOWED_HOSTS (localhost names by default on a loopback address),
+ * and browser requests are only accepted from those hosts or from
+ * MCP_HTTP_ALLOWED_ORIGINS, to guard against DNS rebinding
+ */
+export const HTTP_CONFIG = {
+  host: process.env.MCP_HTTP_HOST || "127.0.0.1",
+  port: integerFromEnv("MCP_HTTP_PORT", 3000, { min: 0, max: 65535 }),
+  allowedHosts: listFromEnv("MCP_HTTP_ALLOWED_HOSTS"),
+  allowedOrigins: listFromEnv("MCP_HTTP_ALLOWED_ORIGINS"),
+  // Streamable HTTP sessions without requests for this long are closed
+  sessionIdleTimeoutMs: integerFromEnv("MCP_HTTP_SESSION_TIMEOUT_MS", 30 * 60 * 1000, { min: 1000 }),
+  mcpPath: "/mcp",
+  ssePath: "/sse",
+  ssePostPath: "/messages",
+  healthPath: "/health",
+  maxBodyBytes: 4 * 1024 * 1024
+};
+
+/**
+ * Versions of the tooling added to exported example projects; SDK packages
+ * and their dependencies are pinned from sdk_packages_complete.json instead
+ */
+export const EXAMPLE_PROJECT_TOOLING = {
+  typescript: "^5.6.3",
+  tsx: "^4.19.2",
+  "@types/node": "^20.17.0",
+  dotenv: "^16.4.5",
+  react: "^18.3.1",
+  "react-dom": "^18.3.1",
+  "@types/react": "^18.3.12",
+  "@types/react-dom": "^18.3.1",
+  vite: "^5.4.11"
+};
@@ -0,0 +1,239 @@
+/**
+ * Integrity checks for the cached data files
+ *
+ * Generators write data through writeDataFiles, which validates each file
+ * against its schema and records a SHA-256 checksum and the expected record
+ * counts in data/manifest.json before the files themselves are written. On
+ * load, a file must parse, match its schema, match its checksum and match
+ * the recorded counts. Snapshots (see sdk-snapshots.js) carry their own
+ * manifest so they can be verified before being restored.
+ */
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { createHash } from "crypto";
+import { join } from "path";
+import { DATA_FILE_SCHEMAS } from "../schemas/data-schemas.js";
+
+/**
+ * Manifest file name, in the data directory and in each snapshot
+ */
+export const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Data files verified and restored together
+ */
+export const DATA_GROUPS = {
+  docs: ["docs_cache.json"],
+  sdk: [
+    "sdk_file_contents.json",
+    "sdk_complete_exports.json",
+    "sdk_packages_complete.json",
+    "sdk_reference_graph.json",
+    "sdk_complete_analysis.json"
+  ]
+};
+
+/**
+ * Returns the SHA-256 checksum of serialized data
+ *
+ * @param {string} text - File contents
+ * @returns {string} Hex digest
+ */
+export function checksum(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Counts the records in a data file, for the manifest
+ *
+ * @param {string} file - Data file name
+ * @param {Object} data - Parsed contents
+ * @returns {Object} Record counts by kind
+ */
+export function countRecords(file, data) {
+  switch (file) {
+    case "docs_cache.json":
+      return { docs: data.docs.length };
+    case "sdk_file_contents.json":
+      return { files: Object.keys(data).length };
+    case "sdk_complete_exports.json":
+      return Object.fromEntries(
+        ["functions", "classes", "types", "interfaces", "constants", "reexports"].map(category => [category, (data[category] || []).length])
+      );
+    case "sdk_packages_complete.json":
+      return { packages: data.packages.length };
+    case "sdk_reference_graph.json":
+      return { imports: data.imports.length, references: data.references.length };
+    case "sdk_complete_analysis.json":
+      return { totalFiles: data.statistics.totalFiles, totalExports: data.statistics.totalExports };
+    case "docs_sdk_links.json":
+      return { links: data.links.length };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Loads a manifest, or an empty one if there is none
+ *
+ * @param {string} dir - Data or snapshot directory
+ * @returns {Object} `{ files: { [file]: { sha256, bytes, counts, recordedAt } } }`
+ */
+export function loadManifest(dir) {
+  const file = join(dir, MANIFEST_FILE);
+  if (!existsSync(file)) return { files: {} };
+
+  try {
+    const manifest = JSON.parse(readFileSync(file, "utf-8"));
+    return manifest.files && typeof manifest.files === "object" ? manifest : { files: {} };
+  } catch (error) {
+    console.error("Error reading data manifest:", error.message);
+    return { files: {} };
+  }
+}
+
+/**
+ * Merges entries into a manifest; written to a temporary file and renamed so
+ * readers never see a partial manifest
+ *
+ * @param {string} dir - Data or snapshot directory
+ * @param {Object} entries - Data file name to manifest entry
+ */
+export function updateManifest(dir, entries) {
+  const manifest = loadManifest(dir);
+  manifest.files = { ...manifest.files, ...entries };
+  const tmpFile = join(dir, `${MANIFEST_FILE}.tmp`);
+  writeFileSync(tmpFile, JSON.stringify(manifest, null, 2));
+  renameSync(tmpFile, join(dir, MANIFEST_FILE));
+}
+
+/**
+ * Validates data against the schema for its file
+ *
+ * @throws {Error} Naming the file and the first few schema violations
+ */
+function validateSchema(file, data) {
+  const schema = DATA_FILE_SCHEMAS[file];
+  if (!schema) return;
+
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.issues.slice(0, 3)
+      .map(issue => issue.path.length > 0 ? `${issue.path.join(".")}: ${issue.message}` : issue.message);
+    throw new Error(`${file} failed validation: ${issues.join("; ")}`);
+  }
+}
+
+/**
+ * Builds the manifest entry of a data file
+ *
+ * @param {string} file - Data file name
+ * @param {Object} data - Parsed contents
+ * @param {string} text - Serialized contents as written
+ * @returns {Object} `{ sha256, bytes, counts, recordedAt }`
+ */
+export function manifestEntry(file, data, text) {
+  return {
+    sha256: checksum(text),
+    bytes: Buffer.byteLength(text),
+    counts: countRecords(file, data),
+    recordedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validates data files and writes them, recording checksums and counts in
+ * the manifest first. Nothing is written if any file is invalid.
+ *
+ * @param {string} dir - Data directory
+ * @param {Object} files - Data file name to parsed contents
+ * @returns {Object} Data file name to manifest entry
+ * @throws {Error} If a file fails validation
+ */
+export function writeDataFiles(dir, files) {
+  const serialized = Object.entries(files).map(([file, data]) => {
+    validateSchema(file, data);
+    return [file, data, JSON.stringify(data, null, 2)];
+  });
+
+  const entries = Object.fromEntries(serialized.map(([file, data, text]) => [file, manifestEntry(file, data, text)]));
+
+  // The manifest goes first: a write that stops midway leaves files that fail their checksum
+  updateManifest(dir, entries);
+  for (const [file, , text] of serialized) {
+    writeFileSync(join(dir, file), text);
+  }
+  return entries;
+}
+
+/**
+ * Reads a data file and checks it against its schema and manifest entry
+ *
+ * Files without a manifest entry (written before manifests existed, or by
+ * hand) are only schema-checked.
+ *
+ * @param {string} dir - Data or snapshot directory
+ * @param {string} file - Data file name
+ * @param {Object} manifest - Manifest from loadManifest(dir)
+ * @returns {Object} Parsed contents
+ * @throws {Error} If the file is unreadable or fails any check
+ */
+export function readVerifiedDataFile(dir, file, manifest = loadManifest(dir)) {
+  const text = readFileSync(join(dir, file), "utf-8");
+  const expected = manifest.files[file];
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  validateSchema(file, data);
+
+  if (expected?.counts) {
+    const actual = countRecords(file, data);
+    const mismatches = Object.entries(expected.counts)
+      .filter(([kind, count]) => actual[kind] !== count)
+      .map(([kind, count]) => `${kind} ${actual[kind]} (expected ${count})`);
+    if (mismatches.length > 0) {
+      throw new Error(`${file} record counts differ from ${MANIFEST_FILE}: ${mismatches.join(", ")}`);
+    }
+  }
+
+  if (expected?.sha256 && checksum(text) !== expected.sha256) {
+    throw new Error(`${file} does not match its checksum in ${MANIFEST_FILE} (incomplete or modified write)`);
+  }
+
+  return data;
+}
+
+/**
+ * Verifies every file of a data group, including cross-file consistency
+ *
+ * @param {string} dir - Data or snapshot directory
+ * @param {string} group - Key of DATA_GROUPS
+ * @returns {Object} Data file name to parsed contents
+ * @throws {Error} Listing every failed file
+ */
+export function verifyDataGroup(dir, group) {
+  const manifest = loadManifest(dir);
+  const data = {};
+  const errors = [];
+
+  for (const file of DATA_GROUPS[group]) {
+    try {
+      data[file] = readVerifiedDataFile(dir, file, manifest);
+    } catch (error) {
+      errors.push(error.code === "ENOENT" ? `${file} is missing` : error.message);
+    }
+  }
+
+  const analysis = data["sdk_complete_analysis.json"];
+  const fileContents = data["sdk_file_contents.json"];
+  if (analysis && fileContents && analysis.statistics.totalFiles !== Object.keys(fileContents).length) {
+    errors.push(`sdk_complete_analysis.json reports ${analysis.statistics.totalFiles} files but sdk_file_contents.json has ${Object.keys(fileContents).length}`);
+  }
+
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return data;
+}
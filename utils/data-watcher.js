@@ -0,0 +1,48 @@
+/**
+ * Watches the data directory so regenerated caches can be reloaded in place
+ *
+ * Generators write several files in a row (and a single write can emit more
+ * than one event), so changes are debounced per group of files and the
+ * group's callback runs once the writes have settled.
+ */
+
+import { watch } from "fs";
+
+/**
+ * Watches a directory and calls `onChange(group)` after files of a group change
+ *
+ * @param {string} dir - Directory to watch
+ * @param {Object} groups - Group name to list of watched file names
+ * @param {Function} onChange - Called with the group name; may return a promise
+ * @param {number} debounceMs - Quiet period before a group is reloaded
+ * @returns {Function} Stops watching
+ */
+export function watchDataFiles(dir, groups, onChange, debounceMs) {
+  const groupOf = new Map(Object.entries(groups).flatMap(([group, files]) => files.map(file => [file, group])));
+  const timers = new Map();
+
+  const watcher = watch(dir, (eventType, filename) => {
+    const group = filename && groupOf.get(filename.toString());
+    if (!group) return;
+
+    clearTimeout(timers.get(group));
+    timers.set(group, setTimeout(() => {
+      timers.delete(group);
+      Promise.resolve(onChange(group)).catch(error => {
+        console.error(`Error reloading ${group} data:`, error.message);
+      });
+    }, debounceMs));
+  });
+
+  watcher.on("error", error => {
+    console.error("Data directory watcher stopped:", error.message);
+  });
+  // Watching must not keep a finished process alive
+  watcher.unref();
+
+  return () => {
+    watcher.close();
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Heading outline utilities for Push Chain documentation
+ *
+ * Parses MDX pages into a tree of H1–H4 sections with Docusaurus-compatible
+ * anchors and character offsets, so a single section can be sliced out of
+ * the cached page content.
+ */
+
+/**
+ * Deepest heading level included in the outline
+ */
+export const MAX_OUTLINE_LEVEL = 4;
+
+/**
+ * Separator used when addressing a section by its heading path
+ * (e.g. "Sending Universal Transaction > Advanced Arguments")
+ */
+export const HEADING_PATH_SEPARATOR = " > ";
+
+/**
+ * Strips inline markdown/MDX formatting from heading text
+ *
+ * @param {string} text - Raw heading text
+ * @returns {string} Plain heading title
+ */
+function cleanHeadingText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Converts heading text to an anchor the same way Docusaurus (github-slugger) does
+ *
+ * @param {string} text - Plain heading title
+ * @returns {string} Anchor slug
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+/**
+ * Parses a documentation page into a heading tree.
+ * Headings inside fenced code blocks and frontmatter are ignored. Explicit
+ * Docusaurus ids (`## Title {#custom-id}`) take precedence over generated slugs.
+ *
+ * Each node has `level`, `title`, `anchor`, `start` (offset of the heading
+ * line), `end` (offset where the section, including subsections, stops) and
+ * `children`.
+ *
+ * @param {string} content - Raw MDX content
+ * @returns {Array<Object>} Root-level heading nodes
+ */
+export function extractOutline(content) {
+  if (!content) return [];
+
+  const flat = [];
+  const seenAnchors = new Map();
+  let offset = 0;
+  let fence = null;
+  let inFrontmatter = false;
+
+  const lines = content.split("\n");
+  lines.forEach((line, idx) => {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    if (idx === 0 && line.trim() === "---") {
+      inFrontmatter = true;
+      return;
+    }
+    if (inFrontmatter) {
+      if (line.trim() === "---") inFrontmatter = false;
+      return;
+    }
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1].startsWith(fence)) fence = null;
+      return;
+    }
+    if (fence) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading || heading[1].length > MAX_OUTLINE_LEVEL) return;
+
+    let rawText = heading[2];
+    let anchor = null;
+    const explicitId = rawText.match(/\s*\{#([\w-]+)\}\s*$/);
+    if (explicitId) {
+      anchor = explicitId[1];
+      rawText = rawText.slice(0, explicitId.index);
+    }
+
+    const title = cleanHeadingText(rawText);
+    if (!anchor) {
+      const base = slugify(title);
+      const count = seenAnchors.get(base) || 0;
+      anchor = count === 0 ? base : `${base}-${count}`;
+      seenAnchors.set(base, count + 1);
+    }
+
+    flat.push({ level: heading[1].length, title, anchor, start: lineStart, end: content.length, children: [] });
+  });
+
+  // A section ends where the next heading of the same or higher level begins
+  flat.forEach((node, idx) => {
+    const next = flat.slice(idx + 1).find(other => other.level <= node.level);
+    if (next) node.end = next.start;
+  });
+
+  const roots = [];
+  const stack = [];
+  for (const node of flat) {
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) stack.pop();
+    if (stack.length === 0) roots.push(node);
+    else stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Flattens a heading tree into a list, attaching each node's heading path
+ *
+ * @param {Array<Object>} outline - Tree from extractOutline
+ * @param {Array<string>} parents - Ancestor titles (internal)
+ * @returns {Array<Object>} Nodes in document order with a `path` array
+ */
+export function flattenOutline(outline, parents = []) {
+  const result = [];
+  for (const node of outline) {
+    const path = [...parents, node.title];
+    result.push({ ...node, path });
+    result.push(...flattenOutline(node.children, path));
+  }
+  return result;
+}
+
+/**
+ * Finds a section by anchor or heading path.
+ * Heading paths are matched case-insensitively; a path that matches only the
+ * trailing headings (e.g. omitting the page's H1) is accepted when unambiguous.
+ *
+ * @param {Array<Object>} outline - Tree from extractOutline
+ * @param {Object} query - `{ anchor }` or `{ headingPath }` (string using HEADING_PATH_SEPARATOR)
+ * @returns {Object|null} Matching flattened node, or null
+ */
+export function findSection(outline, { anchor, headingPath }) {
+  const nodes = flattenOutline(outline);
+
+  if (anchor) {
+    const normalized = anchor.replace(/^#/, "");
+    return nodes.find(node => node.anchor === normalized) || null;
+  }
+
+  if (headingPath) {
+    const wanted = headingPath
+      .split(HEADING_PATH_SEPARATOR.trim())
+      .map(part => part.trim().toLowerCase())
+      .filter(Boolean);
+    const lowerPath = node => node.path.map(title => title.toLowerCase());
+
+    const exact = nodes.find(node => {
+      const path = lowerPath(node);
+      return path.length === wanted.length && path.every((title, i) => title === wanted[i]);
+    });
+    if (exact) return exact;
+
+    const suffixMatches = nodes.filter(node => {
+      const path = lowerPath(node);
+      if (path.length < wanted.length) return false;
+      const tail = path.slice(path.length - wanted.length);
+      return tail.every((title, i) => title === wanted[i]);
+    });
+    return suffixMatches.length === 1 ? suffixMatches[0] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Renders an outline as an indented markdown list
+ *
+ * @param {Array<Object>} outline - Tree from extractOutline
+ * @returns {string} Markdown outline
+ */
+export function formatOutline(outline) {
+  return flattenOutline(outline)
+    .map(node => `${"  ".repeat(node.path.length - 1)}- ${node.title} (#${node.anchor})`)
+    .join("\n");
+}
@@ -0,0 +1,90 @@
+/**
+ * Querying code snippets extracted from documentation pages
+ *
+ * Snippets are produced by parseDocumentation (see mdx-parser.js) and carry
+ * their language, live flag, title, tabs and section; these helpers match
+ * them against get_code_snippets filters.
+ */
+
+/**
+ * Alternate names of fence languages, mapped to one canonical name
+ */
+export const LANGUAGE_ALIASES = {
+  ts: "typescript",
+  js: "javascript",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  sol: "solidity",
+  yml: "yaml",
+  md: "markdown"
+};
+
+/**
+ * Returns the canonical name of a language, so aliases compare equal
+ *
+ * @param {string} language - Language name, e.g. "ts"
+ * @returns {string} Lower-case canonical name, e.g. "typescript"
+ */
+export function normalizeLanguage(language) {
+  const lower = (language || "").toLowerCase();
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+/**
+ * Returns true if `text` contains `query`, ignoring case
+ */
+function includesText(text, query) {
+  return typeof text === "string" && text.toLowerCase().includes(query.toLowerCase());
+}
+
+/**
+ * Filters a page's snippets
+ *
+ * @param {Array<Object>} snippets - Snippets from parseDocumentation
+ * @param {Object} filters - `{ language, live, tab, title, heading, contains }`, all optional;
+ *   `language` may end in " live" (e.g. "jsx live") to also require live blocks
+ * @returns {Array<Object>} Matching snippets in page order
+ */
+export function filterSnippets(snippets, { language, live, tab, title, heading, contains } = {}) {
+  const [languageName, liveSuffix] = (language || "").trim().split(/\s+/);
+  const wantLanguage = languageName ? normalizeLanguage(languageName) : null;
+  const wantLive = live ?? (liveSuffix ? true : undefined);
+
+  return snippets.filter(snippet =>
+    (!wantLanguage || normalizeLanguage(snippet.language) === wantLanguage) &&
+    (wantLive === undefined || Boolean(snippet.live) === wantLive) &&
+    (!tab || (snippet.tabs || []).some(label => includesText(label, tab))) &&
+    (!title || includesText(snippet.title, title)) &&
+    (!heading || includesText(snippet.headingPath, heading) || snippet.anchor === heading.replace(/^#/, "").toLowerCase()) &&
+    (!contains || includesText(snippet.code, contains))
+  );
+}
+
+/**
+ * Returns the id of a snippet: the page path and the snippet's position on the page
+ *
+ * @param {string} path - Documentation page path
+ * @param {number} index - Index in the page's codeSnippets
+ * @returns {string} e.g. "docs/chain/01-Intro-Push-Chain.mdx#2"
+ */
+export function snippetId(path, index) {
+  return `${path}#${index}`;
+}
+
+/**
+ * Finds a snippet by id
+ *
+ * @param {Array<Object>} docs - Cached documentation pages
+ * @param {string} id - Id from snippetId
+ * @returns {Object|null} `{ doc, snippet, index }`, or null if there is no such snippet
+ */
+export function findSnippet(docs, id) {
+  const match = id.match(/^(.+)#(\d+)$/);
+  if (!match) return null;
+
+  const doc = docs.find(candidate => candidate.path === match[1]);
+  const index = parseInt(match[2], 10);
+  const snippet = doc?.codeSnippets?.[index];
+  return snippet ? { doc, snippet, index } : null;
+}
@@ -0,0 +1,210 @@
+/**
+ * Links between documentation sections and the SDK exports they mention
+ *
+ * Each public export of @pushchain/core and @pushchain/ui-kit is looked up
+ * in every page by the name consumers write: its public path when it is
+ * reached through a class (`PushChain.utils.signer.toUniversal`), otherwise
+ * its export name (`usePushChainClient`); a mention of a longer public path
+ * counts for that export only. Matches count in code snippets and in the page
+ * prose (outside code blocks), and are recorded per section. The
+ * generators write the result to docs_sdk_links.json whenever the docs cache
+ * or the SDK exports change; it records the checksums of both so a stale
+ * file is rebuilt on load instead.
+ */
+
+import { existsSync } from "fs";
+import { join } from "path";
+import { loadManifest, readVerifiedDataFile, writeDataFiles } from "./data-integrity.js";
+import { flattenOutline } from "./doc-sections.js";
+import { snippetId } from "./doc-snippets.js";
+import { symbolKey } from "./reference-graph.js";
+import { EXPORT_CATEGORIES } from "./ts-analyzer.js";
+
+/**
+ * File name of the link index, next to docs_cache.json
+ */
+export const DOCS_SDK_LINKS_FILE = "docs_sdk_links.json";
+
+/**
+ * Data files the link index is derived from
+ */
+const SOURCE_FILES = { docs: "docs_cache.json", sdk: "sdk_complete_exports.json" };
+
+/**
+ * Returns the name docs use for an export: its public path when that ends in
+ * the export itself (`PushChain.utils` for `Utils`), else the export name
+ */
+function referenceName(record) {
+  const lastSegment = record.publicPath?.split(".").pop();
+  return lastSegment?.toLowerCase() === record.name.toLowerCase() ? record.publicPath : record.name;
+}
+
+/**
+ * Blanks out frontmatter and code (fences and JSX template literals) so only
+ * prose is searched; offsets stay aligned with the page content
+ */
+function maskCode(content) {
+  const blank = text => text.replace(/[^\n]/g, " ");
+  return content
+    .replace(/^---\n[\s\S]*?\n---/, blank)
+    .replace(/^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n[ \t]*\1[ \t]*$/gm, blank)
+    .replace(/\{`[\s\S]*?`\}/g, blank);
+}
+
+/**
+ * Returns the innermost section containing a content offset
+ */
+function sectionAt(sections, offset) {
+  let found = null;
+  for (const section of sections) {
+    if (section.start <= offset && offset < section.end) found = section;
+  }
+  return found;
+}
+
+/**
+ * Builds the link index from the docs cache and the SDK exports
+ *
+ * @param {Array<Object>} docs - Pages from docs_cache.json (with outline and codeSnippets)
+ * @param {Object} exportsData - Export categories from sdk_complete_exports.json
+ * @returns {Array<Object>} Links `{ api, publicPath, package, file, type, doc, anchor,
+ *   heading, snippets, inText }`, one per export and page section, in page order
+ */
+export function buildDocsSdkLinks(docs, exportsData) {
+  const apis = EXPORT_CATEGORIES.flatMap(type => (exportsData[type] || [])
+    .filter(record => record.visibility === "public" && /^packages\/(core|ui-kit)\//.test(record.file))
+    .map(record => {
+      const reference = referenceName(record);
+      const escaped = reference.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return {
+        record,
+        type,
+        reference,
+        pattern: new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`, "g"),
+        sticky: new RegExp(`${escaped}(?![\\w$])`, "y"),
+        package: `@pushchain/${record.file.split("/")[1]}`
+      };
+    }));
+
+  // `PushChain.utils.signer.toUniversal` mentions that function, not `PushChain.utils` as well
+  for (const api of apis) {
+    api.longer = apis.filter(other => other.reference.startsWith(`${api.reference}.`));
+  }
+  const matchesAt = (api, text, index) => api.longer.every(longer => {
+    longer.sticky.lastIndex = index;
+    return !longer.sticky.test(text);
+  });
+  const mentions = (api, text) => [...text.matchAll(api.pattern)].filter(match => matchesAt(api, text, match.index));
+
+  const links = [];
+  for (const doc of docs) {
+    const sections = flattenOutline(doc.outline || []);
+    const prose = maskCode(doc.content || "");
+    const bySection = new Map();
+    const linkFor = (api, section) => {
+      const key = `${symbolKey(api.record)}|${section?.anchor ?? ""}`;
+      if (!bySection.has(key)) {
+        bySection.set(key, {
+          api: api.record.name,
+          publicPath: api.record.publicPath || api.record.name,
+          package: api.package,
+          file: api.record.file,
+          type: api.type,
+          doc: doc.path,
+          anchor: section?.anchor ?? null,
+          heading: section ? section.path.join(" > ") : null,
+          snippets: [],
+          inText: false,
+          position: section?.start ?? -1
+        });
+      }
+      return bySection.get(key);
+    };
+
+    for (const api of apis) {
+      for (const match of mentions(api, prose)) {
+        linkFor(api, sectionAt(sections, match.index)).inText = true;
+      }
+      (doc.codeSnippets || []).forEach((snippet, index) => {
+        if (mentions(api, snippet.code).length === 0) return;
+        const section = sections.find(candidate => candidate.anchor === snippet.anchor) || null;
+        const link = linkFor(api, section);
+        link.snippets.push(snippetId(doc.path, index));
+      });
+    }
+
+    links.push(...[...bySection.values()]
+      .sort((a, b) => a.position - b.position || a.publicPath.localeCompare(b.publicPath))
+      .map(({ position, ...link }) => link));
+  }
+  return links;
+}
+
+/**
+ * Groups links by export (symbolKey, "<file>#<name>") and by documentation page
+ *
+ * @param {Array<Object>} links - Links from buildDocsSdkLinks
+ * @returns {Object} `{ links, byApi: Map, byDoc: Map }`
+ */
+export function indexDocsSdkLinks(links) {
+  const byApi = new Map();
+  const byDoc = new Map();
+  for (const link of links) {
+    const key = symbolKey({ file: link.file, name: link.api });
+    if (!byApi.has(key)) byApi.set(key, []);
+    byApi.get(key).push(link);
+    if (!byDoc.has(link.doc)) byDoc.set(link.doc, []);
+    byDoc.get(link.doc).push(link);
+  }
+  return { links, byApi, byDoc };
+}
+
+/**
+ * Returns the checksums of the source files as recorded in the manifest
+ */
+function sourceChecksums(manifest) {
+  return Object.fromEntries(Object.entries(SOURCE_FILES).map(([kind, file]) => [kind, manifest.files[file]?.sha256 ?? null]));
+}
+
+/**
+ * Regenerates docs_sdk_links.json from the data files in a directory
+ *
+ * @param {string} dataDir - Data directory holding the docs cache and SDK exports
+ * @returns {number|null} Number of links written, or null if either source file is missing
+ * @throws {Error} If a source file fails verification
+ */
+export function writeDocsSdkLinks(dataDir) {
+  if (!Object.values(SOURCE_FILES).every(file => existsSync(join(dataDir, file)))) return null;
+
+  const manifest = loadManifest(dataDir);
+  const { docs } = readVerifiedDataFile(dataDir, SOURCE_FILES.docs, manifest);
+  const exportsData = readVerifiedDataFile(dataDir, SOURCE_FILES.sdk, manifest);
+  const links = buildDocsSdkLinks(docs, exportsData);
+
+  writeDataFiles(dataDir, {
+    [DOCS_SDK_LINKS_FILE]: { generatedAt: new Date().toISOString(), sources: sourceChecksums(manifest), links }
+  });
+  return links.length;
+}
+
+/**
+ * Reads docs_sdk_links.json if it was generated from the current docs cache
+ * and SDK exports
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {Array<Object>|null} Links, or null if the file is missing, invalid or stale
+ */
+export function readDocsSdkLinks(dataDir) {
+  if (!existsSync(join(dataDir, DOCS_SDK_LINKS_FILE))) return null;
+
+  const manifest = loadManifest(dataDir);
+  try {
+    const data = readVerifiedDataFile(dataDir, DOCS_SDK_LINKS_FILE, manifest);
+    const current = sourceChecksums(manifest);
+    const fresh = Object.keys(SOURCE_FILES).every(kind => current[kind] && data.sources[kind] === current[kind]);
+    return fresh ? data.links : null;
+  } catch (error) {
+    console.error(`⚠️  Ignoring ${DOCS_SDK_LINKS_FILE}: ${error.message}`);
+    return null;
+  }
+}
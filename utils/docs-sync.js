@@ -0,0 +1,59 @@
+/**
+ * Incremental documentation sync helpers
+ *
+ * Compares the documentation files currently on GitHub (path + blob SHA)
+ * with the cached docs so only added and modified pages are downloaded,
+ * and records what changed between two caches.
+ */
+
+/**
+ * File name of the change summary written next to docs_cache.json
+ */
+export const DOCS_CHANGES_FILE = "docs_changes.json";
+
+/**
+ * Classifies remote documentation files against the cached docs by path and blob SHA
+ *
+ * @param {Array<Object>} remoteFiles - Files from the repository tree ({ path, sha, ... })
+ * @param {Array<Object>} cachedDocs - Docs from the existing docs_cache.json
+ * @returns {Object} `{ added, modified, removed, unchanged }`; added/modified hold
+ *   remote files, removed/unchanged hold cached docs
+ */
+export function diffDocTree(remoteFiles, cachedDocs) {
+  const cachedByPath = new Map(cachedDocs.map(doc => [doc.path, doc]));
+  const remotePaths = new Set(remoteFiles.map(file => file.path));
+  const result = { added: [], modified: [], removed: [], unchanged: [] };
+
+  for (const file of remoteFiles) {
+    const cached = cachedByPath.get(file.path);
+    if (!cached) result.added.push(file);
+    else if (cached.sha !== file.sha || typeof cached.content !== "string") result.modified.push(file);
+    else result.unchanged.push(cached);
+  }
+  result.removed = cachedDocs.filter(doc => !remotePaths.has(doc.path));
+
+  return result;
+}
+
+/**
+ * Builds the change summary stored in docs_changes.json
+ *
+ * @param {Object} diff - Result of diffDocTree
+ * @param {Object} options - `{ generatedAt, previousGeneratedAt, failed, full }`
+ * @returns {Object} Summary listing added, modified and removed page paths
+ */
+export function summarizeDocChanges(diff, { generatedAt, previousGeneratedAt = null, failed = [], full = false }) {
+  const failedPaths = new Set(failed.map(file => file.path));
+  const pathsOf = files => files.map(file => file.path).filter(path => !failedPaths.has(path)).sort();
+
+  return {
+    generatedAt,
+    previousGeneratedAt,
+    mode: full ? "full" : "incremental",
+    added: pathsOf(diff.added),
+    modified: pathsOf(diff.modified),
+    removed: diff.removed.map(doc => doc.path).sort(),
+    unchanged: diff.unchanged.length,
+    failed: [...failedPaths].sort()
+  };
+}
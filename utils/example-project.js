@@ -0,0 +1,266 @@
+/**
+ * Turns a documentation snippet into a ready-to-run example project
+ *
+ * TypeScript and JavaScript snippets become a Node project run with tsx;
+ * JSX and TSX snippets (the live playgrounds) become a Vite React app.
+ * @pushchain packages are pinned to the analyzed SDK release, third-party
+ * imports to the ranges the SDK itself depends on, and placeholders such as
+ * '<PRIVATE_KEY>' are read from a generated .env file.
+ */
+
+import { builtinModules } from "module";
+import { EXAMPLE_PROJECT_TOOLING } from "./constants.js";
+import { filterSnippets, normalizeLanguage } from "./doc-snippets.js";
+import { slugify } from "./doc-sections.js";
+
+/**
+ * Snippet languages that can be exported, by project kind
+ */
+const PROJECT_KINDS = {
+  typescript: "node",
+  javascript: "node",
+  tsx: "react",
+  jsx: "react"
+};
+
+/**
+ * Quoted placeholders the docs use for values readers fill in: '<PRIVATE_KEY>' or 'YOUR_PRIVATE_KEY'
+ */
+const PLACEHOLDER_PATTERN = /(["'])(?:<([A-Z][A-Z0-9_]*)>|YOUR_([A-Z][A-Z0-9_]*))\1/g;
+
+/**
+ * Imports added when a snippet uses these identifiers without importing them
+ */
+const IMPLIED_IMPORTS = {
+  PushChain: "import { PushChain } from '@pushchain/core';",
+  ethers: "import { ethers } from 'ethers';"
+};
+
+/**
+ * Returns true if a snippet can be exported as a project
+ *
+ * @param {Object} snippet - Snippet from parseDocumentation
+ * @returns {boolean}
+ */
+export function isRunnableSnippet(snippet) {
+  return normalizeLanguage(snippet.language) in PROJECT_KINDS;
+}
+
+/**
+ * Picks the example to export from a page: the first runnable snippet that
+ * imports an @pushchain package (a complete example), else the first runnable one
+ *
+ * @param {Object} doc - Cached documentation page
+ * @param {Object} options - `{ tab }` to pick a variant, e.g. "viem"
+ * @returns {Object|null} `{ snippet, index }`, or null if the page has no runnable snippet
+ */
+export function selectExampleSnippet(doc, { tab } = {}) {
+  const candidates = (doc.codeSnippets || [])
+    .map((snippet, index) => ({ snippet, index }))
+    .filter(({ snippet }) => isRunnableSnippet(snippet) && filterSnippets([snippet], { tab }).length > 0);
+
+  return candidates.find(({ snippet }) => /from\s+["']@pushchain\//.test(snippet.code)) || candidates[0] || null;
+}
+
+/**
+ * Lists the npm packages a snippet imports, excluding relative paths and Node built-ins
+ */
+function importedPackages(code) {
+  const specifiers = [...code.matchAll(/(?:\bfrom\s+|\bimport\s+|\brequire\()\s*["']([^"']+)["']/g)].map(match => match[1]);
+  const packages = specifiers
+    .filter(specifier => !specifier.startsWith(".") && !specifier.startsWith("/") && !specifier.startsWith("node:"))
+    .map(specifier => specifier.split("/").slice(0, specifier.startsWith("@") ? 2 : 1).join("/"))
+    .filter(name => !builtinModules.includes(name));
+  return [...new Set(packages)];
+}
+
+/**
+ * Resolves the version range of each package: @pushchain packages exactly at
+ * the analyzed release, others from the SDK's own dependencies or the tooling list
+ *
+ * @returns {Object} `{ versions, unpinned }`
+ */
+function resolveVersions(names, sdkPackages) {
+  const versions = {};
+  const unpinned = [];
+
+  for (const name of names) {
+    const sdkPackage = sdkPackages.find(pkg => pkg.name === name);
+    const sdkDependency = sdkPackages.map(pkg => pkg.dependencies?.[name]).find(Boolean);
+    versions[name] = sdkPackage?.version || sdkDependency || EXAMPLE_PROJECT_TOOLING[name];
+    if (!versions[name]) {
+      versions[name] = "latest";
+      unpinned.push(name);
+    }
+  }
+  return { versions, unpinned };
+}
+
+/**
+ * Rewrites placeholders to environment lookups and collects the variables read
+ */
+function wireEnvironment(code, kind) {
+  const prefix = kind === "react" ? "VITE_" : "";
+  const lookup = name => kind === "react" ? `import.meta.env.${prefix}${name}` : `process.env.${name}`;
+
+  const rewritten = code.replace(PLACEHOLDER_PATTERN, (_, quote, bracketed, prefixed) => lookup(bracketed || prefixed));
+  const pattern = kind === "react" ? /import\.meta\.env\.(\w+)/g : /process\.env\.(\w+)/g;
+  const env = [...new Set([...rewritten.matchAll(pattern)].map(match => match[1]))];
+  return { code: rewritten, env };
+}
+
+/**
+ * Returns the name of the component a React snippet defines last
+ */
+function componentName(code) {
+  const names = [...code.matchAll(/^(?:export\s+)?(?:function\s+([A-Z]\w*)\s*\(|const\s+([A-Z]\w*)\s*=\s*(?:\([^)]*\)|\w+)\s*=>)/gm)]
+    .map(match => match[1] || match[2]);
+  return names[names.length - 1] || null;
+}
+
+/**
+ * Builds the files of an example project
+ *
+ * @param {Object} source - `{ doc, snippet, index }`
+ * @param {Array<Object>} sdkPackages - Packages from sdk_packages_complete.json
+ * @returns {Object} `{ name, kind, entry, source, files: [{ path, content }], env, dependencies, unpinned }`
+ * @throws {Error} If the snippet's language cannot be run, or a React snippet defines no component
+ */
+export function buildExampleProject({ doc, snippet, index }, sdkPackages) {
+  const kind = PROJECT_KINDS[normalizeLanguage(snippet.language)];
+  if (!kind) {
+    throw new Error(`Snippet ${index} of ${doc.path} is ${snippet.language}; only TypeScript, JavaScript, JSX and TSX snippets can be exported`);
+  }
+
+  const pageName = doc.name.replace(/\.mdx$/, "").replace(/^\d+-/, "");
+  const name = slugify(`${pageName} ${snippet.tabs?.[snippet.tabs.length - 1] || ""} ${index}`.replace(/[^\w\s-]/g, " ").trim()).replace(/-+/g, "-");
+  let { code, env } = wireEnvironment(snippet.code, kind);
+
+  // Short snippets use the SDK and ethers without showing their imports
+  const missingImports = Object.entries(IMPLIED_IMPORTS)
+    .filter(([identifier]) => new RegExp(`\\b${identifier}\\.`).test(code) && !new RegExp(`import\\s*(\\{[^}]*\\b${identifier}\\b[^}]*\\}|\\*\\s*as\\s+${identifier}\\b|${identifier}\\b)`).test(code))
+    .map(([, statement]) => statement);
+  if (missingImports.length > 0) code = `${missingImports.join("\n")}\n\n${code}`;
+  if (kind === "node" && env.length > 0 && !/["']dotenv(\/config)?["']/.test(code)) {
+    code = `import 'dotenv/config';\n${code}`;
+  }
+
+  const imports = importedPackages(code);
+  const runtime = kind === "react" ? ["react", "react-dom"] : [];
+  const { versions: dependencies, unpinned } = resolveVersions([...new Set([...imports, ...runtime])].sort(), sdkPackages);
+  const devDependencies = resolveVersions(
+    kind === "react" ? ["@types/react", "@types/react-dom", "typescript", "vite"] : ["@types/node", "tsx", "typescript"],
+    []
+  ).versions;
+
+  const sourceUrl = `${doc.htmlUrl}${snippet.anchor ? `#${snippet.anchor}` : ""}`;
+  const files = [];
+  const file = (path, content) => files.push({ path, content });
+
+  file("package.json", JSON.stringify({
+    name,
+    version: "0.1.0",
+    private: true,
+    type: "module",
+    description: `Example from ${doc.path}${snippet.headingPath ? ` (${snippet.headingPath})` : ""}`,
+    scripts: kind === "react"
+      ? { dev: "vite", build: "tsc --noEmit && vite build" }
+      : { start: "tsx src/index.ts", typecheck: "tsc --noEmit" },
+    dependencies,
+    devDependencies
+  }, null, 2) + "\n");
+
+  file("tsconfig.json", JSON.stringify({
+    compilerOptions: {
+      target: "ES2022",
+      module: "ESNext",
+      moduleResolution: "Bundler",
+      lib: kind === "react" ? ["ES2022", "DOM", "DOM.Iterable"] : ["ES2022"],
+      ...(kind === "react" ? { jsx: "react-jsx", types: ["vite/client"] } : { types: ["node"] }),
+      // Documentation snippets are not written against strict mode
+      strict: false,
+      esModuleInterop: true,
+      resolveJsonModule: true,
+      skipLibCheck: true,
+      noEmit: true
+    },
+    include: ["src"]
+  }, null, 2) + "\n");
+
+  let entry;
+  if (kind === "react") {
+    const hasDefaultExport = /export\s+default\b/.test(code);
+    const component = hasDefaultExport ? null : componentName(code);
+    if (!hasDefaultExport && !component) {
+      throw new Error(`Snippet ${index} of ${doc.path} does not define a React component to render`);
+    }
+    entry = "src/App.tsx";
+    file(entry, component ? `${code.trimEnd()}\n\nexport default ${component};\n` : code);
+    file("src/main.tsx", [
+      "import { createRoot } from 'react-dom/client';",
+      "import App from './App';",
+      "",
+      "createRoot(document.getElementById('root')!).render(<App />);",
+      ""
+    ].join("\n"));
+    file("index.html", [
+      "<!doctype html>",
+      "<html lang=\"en\">",
+      "  <head>",
+      "    <meta charset=\"UTF-8\" />",
+      `    <title>${name}</title>`,
+      "  </head>",
+      "  <body>",
+      "    <div id=\"root\"></div>",
+      "    <script type=\"module\" src=\"/src/main.tsx\"></script>",
+      "  </body>",
+      "</html>",
+      ""
+    ].join("\n"));
+  } else {
+    entry = "src/index.ts";
+    file(entry, code);
+  }
+
+  file(".env", [
+    "# Values the example reads; fill these in before running (never commit real keys)",
+    ...env.map(variable => `${variable}=`),
+    ""
+  ].join("\n"));
+  file(".gitignore", "node_modules\ndist\n.env\n");
+
+  const run = kind === "react" ? "npm install\nnpm run dev" : "npm install\nnpm start";
+  file("README.md", [
+    `# ${name}`,
+    "",
+    `Exported from [${doc.path}](${sourceUrl})${snippet.headingPath ? `, section "${snippet.headingPath}"` : ""}${snippet.tabs?.length ? `, tab "${snippet.tabs.join(" > ")}"` : ""}.`,
+    "",
+    "## Run",
+    "",
+    "```bash",
+    run,
+    "```",
+    "",
+    env.length > 0
+      ? `Set ${env.map(variable => `\`${variable}\``).join(", ")} in \`.env\` first.`
+      : "The example reads no environment variables.",
+    ...(unpinned.length > 0 ? ["", `Not pinned (not an SDK dependency): ${unpinned.map(pkg => `\`${pkg}\``).join(", ")}.`] : []),
+    ""
+  ].join("\n"));
+
+  return { name, kind, entry, source: sourceUrl, files, env, dependencies, unpinned };
+}
+
+/**
+ * Returns the MIME type of an example project file
+ *
+ * @param {string} path - File path inside the project
+ * @returns {string}
+ */
+export function exampleFileMimeType(path) {
+  if (path.endsWith(".json")) return "application/json";
+  if (/\.tsx?$/.test(path)) return "text/typescript";
+  if (path.endsWith(".html")) return "text/html";
+  if (path.endsWith(".md")) return "text/markdown";
+  return "text/plain";
+}
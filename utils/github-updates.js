@@ -0,0 +1,200 @@
+/**
+ * Shared helpers for the SDK and documentation auto-updaters
+ *
+ * Both updaters track the last seen commit of a GitHub repository in a small
+ * metadata file ({ lastCheck, lastUpdate, lastCommitSha, updateInterval })
+ * and only regenerate data when commits since then touched the paths they
+ * care about.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import fetch from "node-fetch";
+import { GITHUB_CONFIG } from "./constants.js";
+
+/**
+ * Update check intervals (in milliseconds)
+ */
+export const UPDATE_INTERVALS = {
+  aggressive: 1 * 60 * 60 * 1000,      // 1 hour
+  moderate: 6 * 60 * 60 * 1000,        // 6 hours
+  conservative: 24 * 60 * 60 * 1000,   // 24 hours (recommended)
+  weekly: 7 * 24 * 60 * 60 * 1000      // 7 days
+};
+
+/**
+ * Resolves an interval name (e.g. from SDK_UPDATE_INTERVAL) to milliseconds
+ *
+ * @param {string|undefined} name - aggressive | moderate | conservative | weekly
+ * @returns {number} Interval in milliseconds (conservative when unset or unknown)
+ */
+export function resolveUpdateInterval(name) {
+  return UPDATE_INTERVALS[name || "conservative"] || UPDATE_INTERVALS.conservative;
+}
+
+/**
+ * Loads update metadata, or a fresh record if the file is missing or unreadable
+ *
+ * @param {string} file - Metadata file path
+ * @param {number} updateInterval - Interval stored in a fresh record
+ * @returns {Object} `{ lastCheck, lastUpdate, lastCommitSha, updateInterval }`
+ */
+export function loadUpdateMetadata(file, updateInterval) {
+  const fresh = {
+    lastCheck: null,
+    lastUpdate: null,
+    lastCommitSha: null,
+    updateInterval
+  };
+
+  if (!existsSync(file)) return fresh;
+
+  try {
+    return JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    console.error("Error reading metadata:", error.message);
+    return fresh;
+  }
+}
+
+/**
+ * Saves update metadata
+ *
+ * @param {string} file - Metadata file path
+ * @param {Object} metadata - Record from loadUpdateMetadata
+ */
+export function saveUpdateMetadata(file, metadata) {
+  try {
+    writeFileSync(file, JSON.stringify(metadata, null, 2));
+  } catch (error) {
+    console.error("Error saving metadata:", error.message);
+  }
+}
+
+/**
+ * Builds GitHub API headers, authenticated when GITHUB_TOKEN is set
+ */
+function githubHeaders(userAgent) {
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': userAgent
+  };
+
+  if (process.env.GITHUB_TOKEN) {
+    headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+  return headers;
+}
+
+/**
+ * Gets the latest commit on a branch
+ *
+ * @param {string} repo - "owner/name"
+ * @param {string} branch - Branch name
+ * @param {string} userAgent - User-Agent sent to GitHub
+ * @returns {Promise<Object>} `{ sha, date, message }`
+ */
+export async function fetchLatestCommit(repo, branch, userAgent) {
+  const url = `${GITHUB_CONFIG.apiBase}/repos/${repo}/commits/${branch}`;
+
+  try {
+    const response = await fetch(url, { headers: githubHeaders(userAgent) });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return {
+      sha: data.sha,
+      date: data.commit.committer.date,
+      message: data.commit.message
+    };
+  } catch (error) {
+    console.error("Error fetching commit info:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Checks whether commits since `sinceSha` modified any file under the given paths
+ *
+ * @param {string} repo - "owner/name"
+ * @param {string} branch - Branch name
+ * @param {string|null} sinceSha - Last processed commit (null on first run)
+ * @param {Array<string>} pathPrefixes - Paths to watch (e.g. ["packages/core"])
+ * @param {string} userAgent - User-Agent sent to GitHub
+ * @returns {Promise<boolean>} True when modified, or when it cannot be determined
+ */
+export async function pathsModifiedSince(repo, branch, sinceSha, pathPrefixes, userAgent) {
+  if (!sinceSha) return true; // First time, assume modified
+
+  const url = `${GITHUB_CONFIG.apiBase}/repos/${repo}/compare/${sinceSha}...${branch}`;
+
+  try {
+    const response = await fetch(url, { headers: githubHeaders(userAgent) });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        // Commit not found, might be force push or old commit
+        return true;
+      }
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    return data.files?.some(file =>
+      pathPrefixes.some(prefix => file.filename.startsWith(prefix))
+    ) || false;
+  } catch (error) {
+    console.error("Error checking modifications:", error.message);
+    // On error, assume modified to be safe
+    return true;
+  }
+}
+
+/**
+ * Lists the commits after `sinceSha` on a branch that touched the given paths
+ *
+ * @param {string} repo - "owner/name"
+ * @param {string} branch - Branch name
+ * @param {string} sinceSha - Last processed commit
+ * @param {Array<string>} pathPrefixes - Paths to watch (e.g. ["packages/core"])
+ * @param {string} userAgent - User-Agent sent to GitHub
+ * @returns {Promise<Array<Object>>} `[{ sha, date, author, message }]`, newest first
+ */
+export async function fetchCommitsSince(repo, branch, sinceSha, pathPrefixes, userAgent) {
+  const headers = githubHeaders(userAgent);
+
+  // The compare range bounds the commits; per-path listings say which touched the packages
+  const compareResponse = await fetch(`${GITHUB_CONFIG.apiBase}/repos/${repo}/compare/${sinceSha}...${branch}`, { headers });
+  if (!compareResponse.ok) {
+    throw new Error(`GitHub API error: ${compareResponse.status} ${compareResponse.statusText}`);
+  }
+  const compare = await compareResponse.json();
+  const inRange = new Set((compare.commits || []).map(commit => commit.sha));
+  const since = compare.merge_base_commit?.commit?.committer?.date;
+
+  const commits = new Map();
+  for (const prefix of pathPrefixes) {
+    const params = new URLSearchParams({ sha: branch, path: prefix, per_page: "100" });
+    if (since) params.set("since", since);
+
+    const response = await fetch(`${GITHUB_CONFIG.apiBase}/repos/${repo}/commits?${params}`, { headers });
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    for (const data of await response.json()) {
+      if (!inRange.has(data.sha) || commits.has(data.sha)) continue;
+      commits.set(data.sha, {
+        sha: data.sha,
+        date: data.commit.committer.date,
+        author: data.commit.author?.name || data.author?.login || null,
+        message: data.commit.message
+      });
+    }
+  }
+
+  return [...commits.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
@@ -0,0 +1,277 @@
+/**
+ * HTTP transport for Push Chain MCP Server
+ *
+ * Serves MCP over Streamable HTTP (with the legacy HTTP+SSE transport as a
+ * fallback for older clients) so a single server process can be shared by
+ * many clients. Every session gets its own MCP Server instance, while the
+ * cached documentation and SDK data are shared across all of them.
+ * Streamable HTTP sessions that stay idle are closed, since clients that go
+ * away without a DELETE would otherwise keep theirs for the life of the process.
+ */
+
+import { createServer as createHttpServer } from "http";
+import { randomUUID } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { HTTP_CONFIG } from "./constants.js";
+
+/**
+ * Loopback addresses, for which the localhost Host names are allowed by default
+ */
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+/**
+ * Returns the Host header values the server accepts: the configured list, or
+ * the localhost names when bound to a loopback address (null accepts any host)
+ */
+function resolveAllowedHosts(host, port) {
+  if (HTTP_CONFIG.allowedHosts.length > 0) return HTTP_CONFIG.allowedHosts;
+  if (!LOOPBACK_HOSTS.includes(host)) return null;
+  return ["127.0.0.1", "localhost", "[::1]"].flatMap(name => [name, `${name}:${port}`]);
+}
+
+/**
+ * Checks the Host and Origin headers against DNS rebinding. Requests without
+ * an Origin header come from non-browser clients and only need a valid Host
+ *
+ * @returns {string|null} Reason the request is rejected, or null if allowed
+ */
+function checkRequestOrigin(req, allowedHosts) {
+  if (allowedHosts && !allowedHosts.includes(req.headers.host)) {
+    return `Invalid Host header: ${req.headers.host}`;
+  }
+
+  const origin = req.headers.origin;
+  if (!origin || HTTP_CONFIG.allowedOrigins.includes(origin)) return null;
+  let originHost = null;
+  try {
+    originHost = new URL(origin).host;
+  } catch {
+    // Not a URL (e.g. "null" from sandboxed pages): never allowed
+  }
+  return originHost && allowedHosts?.includes(originHost) ? null : `Origin not allowed: ${origin}`;
+}
+
+/**
+ * Writes a JSON body with the given status code
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Writes a JSON-RPC error response (used before a request reaches a transport)
+ */
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+/**
+ * Reads and parses a JSON request body, enforcing the configured size limit
+ *
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @returns {Promise<any>} Parsed body (undefined for an empty body)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > HTTP_CONFIG.maxBodyBytes) {
+        // Stop reading but keep the socket open so the 413 reaches the client
+        req.removeAllListeners("data");
+        req.pause();
+        reject(Object.assign(new Error("Request body too large"), { status: 413, closeConnection: true }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON body"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Starts the HTTP server
+ *
+ * @param {Function} createMcpServer - Factory returning a new, unconnected MCP Server
+ * @param {Object} options - Server options
+ * @param {string} options.host - Interface to bind (default from HTTP_CONFIG)
+ * @param {number} options.port - Port to listen on (default from HTTP_CONFIG)
+ * @param {Function} options.getHealth - Optional callback returning extra health details
+ * @returns {Promise<Object>} Handle with `url`, `sessions` and an async `close()`
+ */
+export async function startHttpServer(createMcpServer, { host = HTTP_CONFIG.host, port = HTTP_CONFIG.port, getHealth } = {}) {
+  // Session ID -> { transport, server, type, lastActivity, openRequests }
+  const sessions = new Map();
+  const startedAt = Date.now();
+  // Set once listening, when the port is known
+  let allowedHosts = null;
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Error closing session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Marks a session active for as long as one of its requests (or its GET stream) is open
+   */
+  function trackActivity(session, res) {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on("close", () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.type !== "streamable") {
+        return sendJsonRpcError(res, 404, -32001, "Session not found. Start a new session with an initialize request.");
+      }
+      trackActivity(session, res);
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      return sendJsonRpcError(res, 400, -32000, "Bad Request: missing mcp-session-id header or initialize request.");
+    }
+
+    const server = createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        sessions.set(id, { transport, server, type: "streamable", lastActivity: Date.now(), openRequests: 0 });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseConnect(req, res) {
+    const server = createMcpServer();
+    const transport = new SSEServerTransport(HTTP_CONFIG.ssePostPath, res);
+    sessions.set(transport.sessionId, { transport, server, type: "sse" });
+
+    res.on("close", () => {
+      closeSession(transport.sessionId);
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSsePost(req, res, url) {
+    const sessionId = url.searchParams.get("sessionId");
+    const session = sessionId && sessions.get(sessionId);
+    if (!session || session.type !== "sse") {
+      return sendJsonRpcError(res, 404, -32001, "Session not found. Open a new SSE stream first.");
+    }
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  function handleHealth(res) {
+    const counts = { streamable: 0, sse: 0 };
+    for (const session of sessions.values()) counts[session.type]++;
+
+    sendJson(res, 200, {
+      status: "ok",
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      sessions: counts,
+      ...(getHealth ? getHealth() : {})
+    });
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    const rejection = checkRequestOrigin(req, allowedHosts);
+    if (rejection) {
+      return sendJsonRpcError(res, 403, -32000, `Forbidden: ${rejection}`);
+    }
+
+    try {
+      if (url.pathname === HTTP_CONFIG.mcpPath && ["GET", "POST", "DELETE"].includes(req.method)) {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === HTTP_CONFIG.ssePath && req.method === "GET") {
+        await handleSseConnect(req, res);
+      } else if (url.pathname === HTTP_CONFIG.ssePostPath && req.method === "POST") {
+        await handleSsePost(req, res, url);
+      } else if (url.pathname === HTTP_CONFIG.healthPath && req.method === "GET") {
+        handleHealth(res);
+      } else {
+        sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error(`HTTP ${req.method} ${url.pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        if (error.closeConnection) {
+          // The rest of the body is never read, so the connection cannot be reused
+          res.setHeader("Connection", "close");
+          res.once("finish", () => req.socket.destroy());
+        }
+        sendJsonRpcError(res, error.status || 500, -32603, error.status ? error.message : "Internal server error");
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+  allowedHosts = resolveAllowedHosts(host, address.port);
+
+  // SSE sessions end with their stream, so only Streamable HTTP sessions can go stale
+  const idleTimer = setInterval(() => {
+    const cutoff = Date.now() - HTTP_CONFIG.sessionIdleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.type === "streamable" && session.openRequests === 0 && session.lastActivity < cutoff) {
+        console.error(`Closing idle session ${sessionId}`);
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(HTTP_CONFIG.sessionIdleTimeoutMs / 2, 60 * 1000));
+  idleTimer.unref();
+
+  return {
+    url: `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`,
+    sessions,
+    async close() {
+      clearInterval(idleTimer);
+      await Promise.all([...sessions.keys()].map(closeSession));
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        // Drop idle keep-alive sockets so close() does not wait on them (Node 18.2+)
+        httpServer.closeAllConnections?.();
+      });
+    }
+  };
+}
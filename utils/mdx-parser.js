@@ -0,0 +1,412 @@
+/**
+ * MDX parsing for Push Chain documentation pages
+ *
+ * Docusaurus pages wrap much of their code in JSX: <Tabs>/<TabItem> switch
+ * between ethers, viem and Solana variants, <Details> collapses optional
+ * material, <SolidityCode> names the contract file and <NodeJSVirtualIDE>
+ * embeds runnable examples as template literals. Pages are walked once,
+ * tracking those components and the heading outline, so every snippet
+ * records the tabs, collapsible and section it appears in.
+ */
+
+import { extractOutline, flattenOutline, HEADING_PATH_SEPARATOR } from "./doc-sections.js";
+
+/**
+ * JSX components tracked while walking a page
+ */
+const TRACKED_TAGS = ["Tabs", "TabItem", "Details", "details", "SolidityCode", "NodeJSVirtualIDE"];
+
+/**
+ * Opening or closing tracked tag; attribute values may contain `>`
+ */
+const TAG_PATTERN = new RegExp(`<(/?)(${TRACKED_TAGS.join("|")})\\b((?:[^>"']|"[^"]*"|'[^']*')*?)(/?)>`, "g");
+
+/**
+ * An opening tag whose attributes continue on the next line
+ */
+const UNCLOSED_TAG_PATTERN = new RegExp(`<(${TRACKED_TAGS.join("|")})\\b(?:[^>"']|"[^"]*"|'[^']*')*$`);
+
+/**
+ * Comment lines the virtual IDE reads as highlight directives
+ */
+const IDE_DIRECTIVE_PATTERN = /^\s*\/\/\s*customProp\w*=/;
+
+/**
+ * Parses frontmatter `key: value` pairs
+ *
+ * @param {Array<string>} lines - Page lines
+ * @returns {Object} Metadata; values are strings with surrounding quotes removed
+ */
+function parseFrontmatter(lines) {
+  const metadata = {};
+  if (lines[0]?.trim() !== "---") return metadata;
+
+  for (let i = 1; i < lines.length && lines[i].trim() !== "---"; i++) {
+    const match = lines[i].match(/^(\w+):\s*(.+)$/);
+    if (match) metadata[match[1]] = match[2].replace(/^["']|["']$/g, "");
+  }
+  return metadata;
+}
+
+/**
+ * Returns the number of lines the frontmatter block occupies (0 if none)
+ */
+function frontmatterLength(lines) {
+  if (lines[0]?.trim() !== "---") return 0;
+  const end = lines.findIndex((line, i) => i > 0 && line.trim() === "---");
+  return end === -1 ? 0 : end + 1;
+}
+
+/**
+ * Matches the opening line of a fenced code block
+ */
+function matchFence(line) {
+  const match = line.match(/^(\s*)(`{3,}|~{3,})(.*)$/);
+  return match && { indent: match[1].length, marker: match[2], info: match[3].trim() };
+}
+
+/**
+ * Returns true if a line closes the fence opened with `marker`
+ */
+function closesFence(line, marker) {
+  const match = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+  return Boolean(match && match[1][0] === marker[0] && match[1].length >= marker.length);
+}
+
+/**
+ * Parses a fence info string such as `jsx live` or `solidity title="Counter.sol"`
+ *
+ * @param {string} info - Text after the opening fence
+ * @returns {Object} `{ language, live, title, meta }`; `meta` holds the remaining
+ *   attributes and flags (e.g. `{ showLineNumbers: true }`)
+ */
+export function parseInfoString(info) {
+  const [, rawLanguage = "", rest = ""] = info.trim().match(/^([^\s{]*)\s*(.*)$/) || [];
+  const meta = {};
+
+  // Line highlight ranges: ```ts {1,4-6}
+  const highlight = rest.match(/\{([\d,\s-]+)\}/);
+  if (highlight) meta.highlight = highlight[1].replace(/\s+/g, "");
+
+  for (const [, key, doubleQuoted, singleQuoted, bare] of rest.replace(/\{[\d,\s-]+\}/, "").matchAll(/([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?/g)) {
+    meta[key] = doubleQuoted ?? singleQuoted ?? bare ?? true;
+  }
+
+  const { live = false, title = null, ...others } = meta;
+  return {
+    language: rawLanguage.toLowerCase() || "text",
+    live: live === true || live === "true",
+    title: typeof title === "string" ? title : null,
+    meta: others
+  };
+}
+
+/**
+ * Parses JSX attributes into an object; expression values are kept as source text
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, key, doubleQuoted, singleQuoted, expression] of text.matchAll(/([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|\{((?:[^{}]|\{[^{}]*\})*)\}))?/g)) {
+    attributes[key] = doubleQuoted ?? singleQuoted ?? expression ?? true;
+  }
+  return attributes;
+}
+
+/**
+ * Strips inline markdown and HTML from a label or summary
+ */
+function plainText(text) {
+  return text.replace(/<[^>]+>/g, "").replace(/[*_`]/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Removes MDX boilerplate that is not part of the rendered page: ESM
+ * `import` statements (including multi-line ones) and `<head>` blocks.
+ * Frontmatter, code blocks and embedded template literals are left as is.
+ *
+ * @param {string} content - Raw MDX content
+ * @returns {string} Content as rendered to readers
+ */
+export function stripMdxBoilerplate(content) {
+  const lines = content.split("\n");
+  const kept = lines.slice(0, frontmatterLength(lines));
+  let fence = null;
+  let inLiteral = false;
+  let inHead = false;
+  let importText = null;
+
+  for (const line of lines.slice(kept.length)) {
+    if (fence) {
+      if (closesFence(line, fence)) fence = null;
+      kept.push(line);
+      continue;
+    }
+    if (inLiteral) {
+      if (line.includes("`}")) inLiteral = false;
+      kept.push(line);
+      continue;
+    }
+
+    if (importText !== null) {
+      importText += ` ${line.trim()}`;
+      if (/\bfrom\s*["'][^"']+["']\s*;?\s*$/.test(importText)) importText = null;
+      continue;
+    }
+    if (inHead) {
+      if (/<\/head>/.test(line)) inHead = false;
+      continue;
+    }
+    if (/^<head>/.test(line.trim())) {
+      inHead = !/<\/head>/.test(line);
+      continue;
+    }
+    if (/^import\s/.test(line)) {
+      // `import x from "y"` and `import "y"` end on this line; `import {` continues
+      if (!/(\bfrom\s*|^import\s*)["'][^"']+["']\s*;?\s*$/.test(line)) importText = line;
+      continue;
+    }
+
+    // Drop the blank lines left behind by removed blocks
+    if (line.trim() === "" && kept.length > 0 && kept[kept.length - 1].trim() === "") continue;
+
+    const opened = matchFence(line);
+    if (opened) fence = opened.marker;
+    else if (/^\s*\{`/.test(line) && !/`\}\s*$/.test(line.trim().slice(2))) inLiteral = true;
+    kept.push(line);
+  }
+
+  return kept.join("\n");
+}
+
+/**
+ * Decodes escape sequences in a template literal body
+ */
+function cookTemplateLiteral(text) {
+  const simple = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+  return text.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, escape) => {
+    if (/^[ux]/.test(escape) && escape.length > 1) {
+      return String.fromCodePoint(parseInt(escape.replace(/^u\{?|^x|\}$/g, ""), 16));
+    }
+    return simple[escape] ?? escape;
+  });
+}
+
+/**
+ * Removes the common leading indentation and surrounding blank lines
+ */
+function dedent(code) {
+  const lines = code.split("\n");
+  while (lines.length > 0 && lines[0].trim() === "") lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join("\n") + "\n";
+}
+
+/**
+ * Finds the innermost outline section containing an offset
+ */
+function sectionAt(sections, offset) {
+  let found = null;
+  for (const section of sections) {
+    if (section.start > offset) break;
+    if (offset < section.end) found = section;
+  }
+  return found;
+}
+
+/**
+ * Extracts the first prose line of a rendered page
+ */
+function extractDescription(lines) {
+  let fence = null;
+  let inLiteral = false;
+  let inComment = false;
+
+  for (const line of lines.slice(frontmatterLength(lines))) {
+    const text = line.trim();
+    if (fence) {
+      if (closesFence(line, fence)) fence = null;
+      continue;
+    }
+    if (inLiteral) {
+      if (text.includes("`}")) inLiteral = false;
+      continue;
+    }
+    if (inComment) {
+      if (text.includes("-->")) inComment = false;
+      continue;
+    }
+
+    const opened = matchFence(line);
+    if (opened) {
+      fence = opened.marker;
+      continue;
+    }
+    if (text.startsWith("{`")) {
+      inLiteral = !text.slice(2).includes("`}");
+      continue;
+    }
+    if (text.startsWith("<!--")) {
+      inComment = !text.includes("-->");
+      continue;
+    }
+    if (!text || /^(#|<|\{|\}|:::|import\s|export\s|\/>|>$)/.test(text)) continue;
+    return text;
+  }
+  return "";
+}
+
+/**
+ * Parses an MDX documentation page
+ *
+ * Each code snippet is `{ language, code, live, title, meta, tabs, details,
+ * heading, headingPath, anchor }`: the fence's language without its attributes,
+ * whether it is a live playground block, its `title` (or the enclosing
+ * <SolidityCode> file name), the labels of enclosing <TabItem>s (outermost
+ * first), the summary of the enclosing <Details> and the section it sits in.
+ * Examples embedded in <NodeJSVirtualIDE> are included as live JavaScript
+ * snippets with `component` and `repoUrl` set.
+ *
+ * @param {string} content - Raw MDX content
+ * @param {string} path - Repository path of the page
+ * @returns {Object} `{ metadata, description, content, outline, codeSnippets }`
+ *   where `content` has imports and `<head>` blocks removed and the outline is
+ *   computed from it
+ */
+export function parseDocumentation(content, path) {
+  const rendered = stripMdxBoilerplate(content);
+  const lines = rendered.split("\n");
+  const metadata = parseFrontmatter(lines);
+  const outline = extractOutline(rendered);
+  const sections = flattenOutline(outline);
+  const codeSnippets = [];
+
+  const stack = [];
+  let block = null;
+  let pendingTag = null;
+  let offset = 0;
+
+  const context = start => {
+    const section = sectionAt(sections, start);
+    const tabs = stack.filter(entry => entry.tag === "TabItem")
+      .map(entry => plainText(String(entry.attributes.label ?? entry.attributes.value ?? "")));
+    const details = [...stack].reverse().find(entry => /^details$/i.test(entry.tag));
+    const solidity = [...stack].reverse().find(entry => entry.tag === "SolidityCode");
+    return {
+      tabs,
+      details: details ? details.summary : null,
+      heading: section ? section.title : null,
+      headingPath: section ? section.path.join(HEADING_PATH_SEPARATOR) : null,
+      anchor: section ? section.anchor : null,
+      fileName: solidity && typeof solidity.attributes.fileName === "string" ? solidity.attributes.fileName : null
+    };
+  };
+
+  const handleTags = text => {
+    for (const [, closing, tag, attributeText, selfClosing] of text.matchAll(TAG_PATTERN)) {
+      if (closing) {
+        const index = stack.map(entry => entry.tag).lastIndexOf(tag);
+        if (index !== -1) stack.splice(index);
+      } else if (!selfClosing) {
+        const attributes = parseAttributes(attributeText);
+        stack.push({ tag, attributes, summary: typeof attributes.summary === "string" ? plainText(attributes.summary) : null });
+      }
+    }
+    // HTML collapsibles name themselves with a <summary> element
+    const summary = text.match(/<summary>([\s\S]*?)<\/summary>/);
+    const details = [...stack].reverse().find(entry => entry.tag === "details");
+    if (summary && details && details.summary === null) details.summary = plainText(summary[1]);
+  };
+
+  // Collects a line of a <NodeJSVirtualIDE> template literal, emitting the snippet at "`}"
+  const addLiteralLine = line => {
+    const end = line.indexOf("`}");
+    block.lines.push(end === -1 ? line : line.slice(0, end));
+    if (end === -1) return;
+
+    const { fileName, ...where } = context(block.start);
+    const ide = [...stack].reverse().find(entry => entry.tag === "NodeJSVirtualIDE");
+    const code = cookTemplateLiteral(block.lines.join("\n"))
+      .split("\n")
+      .filter(codeLine => !IDE_DIRECTIVE_PATTERN.test(codeLine))
+      .join("\n");
+    codeSnippets.push({
+      language: "javascript",
+      code: dedent(code),
+      live: true,
+      title: fileName,
+      meta: {},
+      ...where,
+      component: "NodeJSVirtualIDE",
+      repoUrl: String(ide.attributes.repo ?? "").match(/url:\s*["']([^"']+)["']/)?.[1] ?? null
+    });
+    block = null;
+    handleTags(line.slice(end + 2));
+  };
+
+  for (const line of lines) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    if (block?.type === "fence") {
+      if (closesFence(line, block.marker)) {
+        const { fileName, ...where } = context(block.start);
+        const info = parseInfoString(block.info);
+        codeSnippets.push({
+          language: info.language,
+          code: block.lines.map(codeLine => codeLine.replace(new RegExp(`^ {0,${block.indent}}`), "") + "\n").join(""),
+          live: info.live,
+          title: info.title ?? fileName,
+          meta: info.meta,
+          ...where
+        });
+        block = null;
+      } else {
+        block.lines.push(line);
+      }
+      continue;
+    }
+
+    if (block?.type === "literal") {
+      addLiteralLine(line);
+      continue;
+    }
+
+    if (pendingTag !== null) {
+      pendingTag += `\n${line}`;
+      if (UNCLOSED_TAG_PATTERN.test(pendingTag)) continue;
+      handleTags(pendingTag);
+      pendingTag = null;
+      continue;
+    }
+
+    const fence = matchFence(line);
+    if (fence) {
+      block = { type: "fence", ...fence, start: lineStart, lines: [] };
+      continue;
+    }
+
+    const literalStart = line.indexOf("{`");
+    if (literalStart !== -1 && stack.some(entry => entry.tag === "NodeJSVirtualIDE")) {
+      handleTags(line.slice(0, literalStart));
+      block = { type: "literal", start: lineStart, lines: [] };
+      addLiteralLine(line.slice(literalStart + 2));
+      continue;
+    }
+
+    if (UNCLOSED_TAG_PATTERN.test(line)) {
+      pendingTag = line;
+      continue;
+    }
+    handleTags(line);
+  }
+
+  return {
+    metadata,
+    description: extractDescription(lines) || metadata.title || path,
+    content: rendered,
+    outline,
+    codeSnippets
+  };
+}
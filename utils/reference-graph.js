@@ -0,0 +1,245 @@
+/**
+ * Cross-reference graph for Push Chain SDK sources
+ *
+ * Resolves every identifier that refers to an exported SDK symbol, through
+ * the file's imports (named, default and namespace) or its own top-level
+ * exports, and classifies the use as an import, call, type reference,
+ * extends or implements clause, or any other value reference. Property
+ * chains are followed through public paths, so
+ * `PushChain.utils.signer.toUniversal(...)` counts as a call of
+ * `toUniversal`. Matching is by resolved identifier, never by substring.
+ */
+
+import ts from "typescript";
+import { EXPORT_CATEGORIES, parseSource } from "./ts-analyzer.js";
+import { createModuleExportResolver, resolveModule } from "./api-surface.js";
+
+/**
+ * Reference kinds, in the order they are reported
+ */
+export const REFERENCE_KINDS = ["import", "call", "type", "extends", "implements", "reference"];
+
+/**
+ * Returns the key identifying an export record in the graph ("<file>#<name>")
+ *
+ * @param {Object} record - Export record
+ * @returns {string}
+ */
+export function symbolKey(record) {
+  return `${record.file}#${record.name}`;
+}
+
+/**
+ * Returns true if an initializer is an arrow function or function expression
+ */
+function isFunctionValue(node) {
+  return Boolean(node && (ts.isArrowFunction(node) || ts.isFunctionExpression(node)));
+}
+
+/**
+ * Returns a readable name for the function, method or class enclosing a node
+ * (e.g. "Orchestrator.execute"), or "<module>" at the top level
+ */
+function enclosingName(node, sourceFile) {
+  const names = [];
+  for (let current = node.parent; current && current !== sourceFile; current = current.parent) {
+    const isNamed = ts.isFunctionDeclaration(current) || ts.isClassDeclaration(current) ||
+      ts.isMethodDeclaration(current) || ts.isGetAccessorDeclaration(current) || ts.isSetAccessorDeclaration(current) ||
+      ts.isConstructorDeclaration(current) || ts.isPropertyDeclaration(current) || ts.isInterfaceDeclaration(current) ||
+      ts.isTypeAliasDeclaration(current) ||
+      (ts.isVariableDeclaration(current) && ts.isIdentifier(current.name) && isFunctionValue(current.initializer));
+
+    if (ts.isConstructorDeclaration(current)) names.unshift("constructor");
+    else if (isNamed && current.name) names.unshift(current.name.getText(sourceFile));
+  }
+  return names.length > 0 ? names.join(".") : "<module>";
+}
+
+/**
+ * Classifies how the outermost node of a reference is used
+ */
+function classifyUse(node) {
+  const parent = node.parent;
+
+  if ((ts.isCallExpression(parent) || ts.isNewExpression(parent)) && parent.expression === node) return "call";
+  if ((ts.isJsxOpeningElement(parent) || ts.isJsxSelfClosingElement(parent)) && parent.tagName === node) return "call";
+
+  if (ts.isExpressionWithTypeArguments(parent) && ts.isHeritageClause(parent.parent)) {
+    return parent.parent.token === ts.SyntaxKind.ImplementsKeyword ? "implements" : "extends";
+  }
+
+  for (let current = parent; current && !ts.isSourceFile(current); current = current.parent) {
+    if (ts.isTypeNode(current)) return "type";
+    if (ts.isStatement(current) || ts.isBlock(current)) break;
+  }
+  return "reference";
+}
+
+/**
+ * Returns the kind recorded for a symbol used through a member chain: calling
+ * the symbol or one of its own members (`PushChain.initialize()`) is a call,
+ * calling something nested deeper is only a reference to the symbol
+ */
+function memberUseKind(kind, members) {
+  return kind === "call" && members.length > 1 ? "reference" : kind;
+}
+
+/**
+ * Returns true if an identifier only names something (a declaration, a
+ * property key or an accessed member) rather than referring to a symbol
+ */
+function isNameOnly(node) {
+  const parent = node.parent;
+  if (!parent) return true;
+  if (ts.isPropertyAccessExpression(parent) && parent.name === node) return true;
+  if (ts.isQualifiedName(parent) && parent.right === node) return true;
+  if (ts.isShorthandPropertyAssignment(parent)) return false;
+  if (ts.isExportSpecifier(parent)) return true;
+  return parent.name === node || parent.propertyName === node;
+}
+
+/**
+ * Collects the property names accessed after an identifier (`a.b.c` gives
+ * ["b", "c"]) and the outermost access node
+ */
+function propertyChain(node) {
+  const chain = [];
+  let outer = node;
+  while ((ts.isPropertyAccessExpression(outer.parent) && outer.parent.expression === outer) ||
+         (ts.isQualifiedName(outer.parent) && outer.parent.left === outer)) {
+    outer = outer.parent;
+    chain.push((outer.name || outer.right).text);
+  }
+  return { chain, outer };
+}
+
+/**
+ * Builds the import, call and reference graph for all analyzed files
+ *
+ * @param {Object} fileContents - Path to source map
+ * @param {Object} exportsData - Export categories plus `reexports` (from extractExports),
+ *   with `publicPath` set by markApiVisibility
+ * @returns {Object} `{ imports, references }`. Each import is
+ *   `{ file, from, resolved, names, isTypeOnly, line }` (resolved is null for
+ *   external packages); each reference is
+ *   `{ target, file, line, column, kind, caller, member?, via? }` where target
+ *   is a symbolKey
+ */
+export function buildReferenceGraph(fileContents, exportsData) {
+  const resolver = createModuleExportResolver(exportsData, fileContents);
+  const byPublicPath = new Map();
+  for (const category of EXPORT_CATEGORIES) {
+    for (const record of exportsData[category] || []) {
+      if (record.publicPath) byPublicPath.set(record.publicPath, [...(byPublicPath.get(record.publicPath) || []), record]);
+    }
+  }
+
+  const imports = [];
+  const references = [];
+
+  for (const [file, content] of Object.entries(fileContents)) {
+    if (!/\.[jt]sx?$/.test(file)) continue;
+    const sourceFile = parseSource(content, file);
+    const lineOf = node => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+
+    // Local name -> records, and namespace import name -> module file
+    const locals = new Map();
+    const namespaces = new Map();
+    for (const record of resolver.recordsByFile.get(file) || []) {
+      const local = record.localName || record.name;
+      locals.set(local, [...(locals.get(local) || []), record]);
+    }
+
+    for (const statement of sourceFile.statements) {
+      if (!ts.isImportDeclaration(statement) || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+      const from = statement.moduleSpecifier.text;
+      const resolved = resolveModule(file, from, fileContents);
+      const clause = statement.importClause;
+      const names = [];
+
+      if (clause?.name) names.push({ name: "default", local: clause.name.text });
+      if (clause?.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+        for (const element of clause.namedBindings.elements) {
+          names.push({ name: (element.propertyName || element.name).text, local: element.name.text });
+        }
+      }
+      if (clause?.namedBindings && ts.isNamespaceImport(clause.namedBindings)) {
+        names.push({ name: "*", local: clause.namedBindings.name.text });
+        if (resolved) namespaces.set(clause.namedBindings.name.text, resolved);
+      }
+
+      imports.push({ file, from, resolved, names, isTypeOnly: Boolean(clause?.isTypeOnly), line: lineOf(statement).line + 1 });
+
+      if (!resolved) continue;
+      const targetExports = resolver.moduleExports(resolved);
+      for (const { name, local } of names) {
+        if (name === "*") continue;
+        const records = targetExports.get(name) || [];
+        if (records.length > 0) locals.set(local, records);
+      }
+    }
+
+    const addReference = (record, node, kind, extra = {}) => {
+      const { line, character } = lineOf(node);
+      references.push({
+        target: symbolKey(record),
+        file,
+        line: line + 1,
+        column: character + 1,
+        kind,
+        caller: enclosingName(node, sourceFile),
+        ...extra
+      });
+    };
+
+    const visit = node => {
+      if (ts.isImportDeclaration(node)) {
+        const clause = node.importClause;
+        const bindings = [
+          clause?.name,
+          ...(clause?.namedBindings && ts.isNamedImports(clause.namedBindings)
+            ? clause.namedBindings.elements.map(element => element.name)
+            : [])
+        ].filter(Boolean);
+        for (const binding of bindings) {
+          for (const record of locals.get(binding.text) || []) addReference(record, binding, "import");
+        }
+        return;
+      }
+
+      if (ts.isIdentifier(node) && !isNameOnly(node)) {
+        const { chain, outer } = propertyChain(node);
+        const kind = classifyUse(outer);
+        let targets = locals.get(node.text) || [];
+        let rootChain = chain;
+
+        // ns.foo where ns is `import * as ns`
+        if (targets.length === 0 && namespaces.has(node.text) && chain.length > 0) {
+          targets = resolver.moduleExports(namespaces.get(node.text)).get(chain[0]) || [];
+          rootChain = chain.slice(1);
+        }
+
+        for (const record of targets) {
+          addReference(record, node, memberUseKind(kind, rootChain), rootChain.length > 0 ? { member: rootChain.join(".") } : {});
+
+          // PushChain.utils.signer.toUniversal: also a use of the deepest public symbol on the chain
+          if (!record.publicPath) continue;
+          for (let depth = rootChain.length; depth > 0; depth--) {
+            const via = [record.publicPath, ...rootChain.slice(0, depth)].join(".");
+            const nested = (byPublicPath.get(via) || []).filter(target => target !== record);
+            if (nested.length === 0) continue;
+            const rest = rootChain.slice(depth);
+            nested.forEach(target => addReference(target, node, memberUseKind(kind, rest),
+              rest.length > 0 ? { via, member: rest.join(".") } : { via }));
+            break;
+          }
+        }
+      }
+
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+  }
+
+  return { imports, references };
+}
@@ -0,0 +1,99 @@
+/**
+ * Resource URI scheme for Push Chain MCP Server
+ *
+ * Besides the concrete `pushchain://docs/<path>` and `pushchain://sdk/<pkg>/<path>`
+ * resources, clients can address individual SDK symbols, documentation
+ * sections and source line ranges through URI templates.
+ */
+
+/**
+ * URI templates advertised through resources/templates/list
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "pushchain://sdk/symbol/{name}",
+    name: "SDK symbol",
+    description: "Source definition of an exported @pushchain/core or @pushchain/ui-kit symbol (e.g. pushchain://sdk/symbol/createUniversalSigner)",
+    mimeType: "text/typescript"
+  },
+  {
+    uriTemplate: "pushchain://docs/section/{path}#{anchor}",
+    name: "Documentation section",
+    description: "A single heading section of a documentation page; omit the anchor to get the page outline (e.g. pushchain://docs/section/docs/chain/03-build/05-Universal-Send-Transaction.mdx#send-transaction-with-funds)",
+    mimeType: "text/markdown"
+  },
+  {
+    uriTemplate: "pushchain://sdk/{pkg}/{path}?lines={start}-{end}",
+    name: "SDK source range",
+    description: "A 1-based, inclusive line range of an SDK source file; pkg is 'core' or 'ui-kit' (e.g. pushchain://sdk/core/packages/core/src/lib/utils.ts?lines=1-40)",
+    mimeType: "text/typescript"
+  }
+];
+
+/**
+ * Parses a `start-end` line range (1-based, inclusive); `start` alone selects one line
+ *
+ * @param {string} value - Raw `lines` query value
+ * @returns {Object} `{ start, end }`
+ * @throws {Error} If the range is malformed
+ */
+function parseLineRange(value) {
+  const match = value.match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid line range '${value}'. Use lines=<start>-<end>, e.g. lines=10-40`);
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : start;
+  if (start < 1 || end < start) {
+    throw new Error(`Invalid line range '${value}'. Lines are 1-based and end must not be before start`);
+  }
+  return { start, end };
+}
+
+/**
+ * Classifies a pushchain:// URI.
+ * Template URIs are checked before the concrete docs/SDK forms they overlap with.
+ *
+ * @param {string} uri - Resource URI
+ * @returns {Object} One of
+ *   `{ type: "symbol", name }`,
+ *   `{ type: "docSection", path, anchor }` (anchor may be null),
+ *   `{ type: "doc", path }`,
+ *   `{ type: "sdkFile", pkg, path, lines }` (lines may be null)
+ * @throws {Error} If the URI does not match any known form
+ */
+export function parseResourceUri(uri) {
+  let match = uri.match(/^pushchain:\/\/sdk\/symbol\/([^/?#]+)$/);
+  if (match) {
+    return { type: "symbol", name: decodeURIComponent(match[1]) };
+  }
+
+  match = uri.match(/^pushchain:\/\/docs\/section\/([^#]+)(?:#(.*))?$/);
+  if (match) {
+    return {
+      type: "docSection",
+      path: decodeURIComponent(match[1]),
+      anchor: match[2] ? decodeURIComponent(match[2]) : null
+    };
+  }
+
+  match = uri.match(/^pushchain:\/\/docs\/(.+)$/);
+  if (match) {
+    return { type: "doc", path: decodeURIComponent(match[1]) };
+  }
+
+  match = uri.match(/^pushchain:\/\/sdk\/(core|ui-kit)\/([^?#]+)(?:\?(.*))?$/);
+  if (match) {
+    const query = new URLSearchParams(match[3] || "");
+    const lines = query.get("lines");
+    return {
+      type: "sdkFile",
+      pkg: match[1],
+      path: decodeURIComponent(match[2]),
+      lines: lines ? parseLineRange(lines) : null
+    };
+  }
+
+  throw new Error(`Invalid URI: ${uri}`);
+}
@@ -2,7 +2,8 @@
  * Response formatting utilities for Push Chain MCP Servers
  */
 
-import { CHARACTER_LIMIT } from "./constants.js";
+import { createHash } from "crypto";
+import { CHARACTER_LIMIT, CURSOR_VERSION } from "./constants.js";
 
 /**
  * Sanitizes user input to prevent injection attacks
@@ -28,49 +29,168 @@ export function sanitizeInput(input) {
 }
 
 /**
- * Formats response data based on the requested format (JSON or Markdown)
+ * Hashes a value into a short, stable fingerprint
+ */
+function fingerprint(value) {
+  return createHash("sha256").update(value).digest("base64url").slice(0, 16);
+}
+
+/**
+ * Serializes tool arguments with sorted keys, excluding the cursor itself,
+ * so the same request always produces the same fingerprint
+ */
+function stableArgs(args = {}) {
+  const entries = Object.entries(args)
+    .filter(([key, value]) => key !== "cursor" && value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify(entries);
+}
+
+/**
+ * Encodes a continuation cursor
  *
- * @param {any} data - The data to format
- * @param {string} format - Either "json" or "markdown"
- * @returns {string} Formatted response string
+ * @param {Object} state - Cursor state (tool, args hash, content hash, offset)
+ * @returns {string} Opaque cursor string
  */
-export function formatResponse(data, format = "markdown") {
-  if (format === "json") {
-    return JSON.stringify(data, null, 2);
-  }
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString("base64url");
+}
 
-  // For markdown, data should already be formatted as markdown string
-  return data;
+/**
+ * Decodes a continuation cursor
+ *
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object|null} Cursor state, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (state.v !== CURSOR_VERSION || !Number.isInteger(state.o) || state.o < 0) return null;
+    return state;
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Enforces character limit on response text and truncates if necessary
+ * Returns one page of a response, with a continuation cursor when more remains.
+ *
+ * Pages end on a line boundary when possible so the next page resumes at the
+ * start of a line. The cursor is bound to the tool, its arguments and a hash
+ * of the full response, so it only resumes the exact response it came from
+ * and is rejected if the underlying data has changed.
  *
- * @param {string} text - The response text to check
- * @param {number} limit - Character limit (defaults to CHARACTER_LIMIT)
- * @returns {Object} Object containing text, truncated flag, and metadata
+ * @param {string} text - Full response text
+ * @param {Object} options - Pagination options
+ * @param {string} options.tool - Tool name the response belongs to
+ * @param {Object} options.args - Tool arguments (including the optional cursor)
+ * @param {number} options.limit - Page size in characters (defaults to CHARACTER_LIMIT)
+ * @returns {Object} Page text and metadata, or `{ error }` if the cursor is invalid
  */
-export function enforceCharacterLimit(text, limit = CHARACTER_LIMIT) {
-  if (text.length <= limit) {
-    return {
-      text,
-      truncated: false,
-      originalLength: text.length
-    };
+export function paginateResponse(text, { tool, args = {}, limit = CHARACTER_LIMIT } = {}) {
+  const argsHash = fingerprint(`${tool}:${stableArgs(args)}`);
+  const contentHash = fingerprint(text);
+  let start = 0;
+
+  if (args.cursor) {
+    const state = decodeCursor(args.cursor);
+    if (!state || state.t !== tool || state.a !== argsHash) {
+      return {
+        error: "Error: Invalid cursor. Cursors can only be used with the same tool and arguments that returned them."
+      };
+    }
+    if (state.h !== contentHash) {
+      return {
+        error: "Error: Cursor has expired because the underlying data changed. Repeat the request without a cursor to start over."
+      };
+    }
+    if (state.o >= text.length) {
+      return { error: "Error: Cursor is past the end of the response. There is no more content to return." };
+    }
+    start = state.o;
   }
 
-  // Truncate to limit
-  const truncated = text.substring(0, limit);
-  const message = `\n\n---\n**[Response Truncated]**\nOriginal length: ${text.length} characters\nShowing: ${limit} characters\n\nTo see more results:\n- Use more specific search terms or filters\n- Use pagination parameters (limit, offset) to retrieve data in smaller chunks\n- Request specific sections or resources instead of full content`;
+  let end = Math.min(start + limit, text.length);
+
+  if (end < text.length) {
+    // Prefer to break after a newline in the second half of the page
+    const lastNewline = text.lastIndexOf("\n", end - 1);
+    if (lastNewline >= start + limit / 2) {
+      end = lastNewline + 1;
+    } else if (/[\uD800-\uDBFF]/.test(text[end - 1])) {
+      // Never split a surrogate pair
+      end -= 1;
+    }
+  }
+
+  if (start === 0 && end === text.length) {
+    return { text, truncated: false, originalLength: text.length };
+  }
+
+  const page = text.slice(start, end);
+  const startLine = text.slice(0, start).split("\n").length;
+  const endLine = startLine + page.replace(/\n$/, "").split("\n").length - 1;
+
+  const nextCursor = end < text.length
+    ? encodeCursor({ t: tool, a: argsHash, h: contentHash, o: end })
+    : null;
+
+  let footer = `\n\n---\n**[Response ${nextCursor ? "Truncated" : "Continued"}]**\n`;
+  footer += `Showing characters ${start + 1}-${end} of ${text.length} (lines ${startLine}-${endLine})\n`;
+  if (nextCursor) {
+    footer += `\nTo read the rest, call this tool again with the same arguments plus:\ncursor: "${nextCursor}"`;
+  } else {
+    footer += `\nThis is the final page.`;
+  }
 
   return {
-    text: truncated + message,
-    truncated: true,
+    text: page + footer,
+    truncated: Boolean(nextCursor),
     originalLength: text.length,
-    displayedLength: limit
+    start,
+    end,
+    nextCursor
   };
 }
 
+/**
+ * Returns one page of an ordered list, with an MCP `nextCursor` when more remains.
+ *
+ * Items must be sorted by `getKey`. The cursor records the last key returned
+ * rather than an offset, so a page boundary stays correct when items are
+ * added or removed between requests. It is bound to the list scope and filter.
+ *
+ * @param {Array} items - Items sorted by key
+ * @param {Object} options - Pagination options
+ * @param {string} options.scope - Name of the list (e.g. "resources/list")
+ * @param {Object} options.filter - Filter the list was built with
+ * @param {string} options.cursor - Cursor from the previous page, if any
+ * @param {number} options.pageSize - Maximum items per page
+ * @param {Function} options.getKey - Returns the sort key of an item
+ * @returns {Object} `{ items, nextCursor }`, or `{ error }` if the cursor is invalid
+ */
+export function paginateList(items, { scope, filter = {}, cursor, pageSize, getKey }) {
+  const filterHash = fingerprint(`${scope}:${stableArgs(filter)}`);
+  let start = 0;
+
+  if (cursor) {
+    const state = decodeCursor(cursor);
+    if (!state || state.t !== scope || state.a !== filterHash || typeof state.k !== "string") {
+      return { error: `Invalid cursor. Cursors can only be used with the same ${scope} request that returned them.` };
+    }
+    const next = items.findIndex(item => getKey(item) > state.k);
+    start = next === -1 ? items.length : next;
+  }
+
+  const page = items.slice(start, start + pageSize);
+  const end = start + page.length;
+  const nextCursor = end < items.length
+    ? encodeCursor({ t: scope, a: filterHash, k: getKey(page[page.length - 1]), o: end })
+    : undefined;
+
+  return { items: page, nextCursor };
+}
+
 /**
  * Truncates an array of items intelligently and adds metadata
  *
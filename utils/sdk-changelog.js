@@ -0,0 +1,117 @@
+/**
+ * SDK update history
+ *
+ * Every successful SDK update appends an entry to data/sdk_changelog.json:
+ * the commit range, the commits that touched the analyzed packages, the
+ * source files that changed and a summary of the API-level diff. Entries are
+ * kept newest first.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { findSnapshot, packageVersions, snapshotId } from "./sdk-snapshots.js";
+
+/**
+ * Changelog file name inside the data directory
+ */
+export const CHANGELOG_FILE = "sdk_changelog.json";
+
+/**
+ * Loads the changelog, or an empty one if there is none
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {Object} `{ entries }`, newest first
+ */
+export function loadChangelog(dataDir) {
+  const file = join(dataDir, CHANGELOG_FILE);
+  if (!existsSync(file)) return { entries: [] };
+
+  try {
+    const changelog = JSON.parse(readFileSync(file, "utf-8"));
+    return Array.isArray(changelog.entries) ? changelog : { entries: [] };
+  } catch (error) {
+    console.error("Error reading SDK changelog:", error.message);
+    return { entries: [] };
+  }
+}
+
+/**
+ * Lists source files added, removed or modified between two sets of contents
+ *
+ * @param {Object} before - Path to source of the older data
+ * @param {Object} after - Path to source of the newer data
+ * @returns {Array<Object>} `[{ path, status }]` sorted by path
+ */
+export function diffFileContents(before, after) {
+  const files = [];
+  for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!(path in after)) files.push({ path, status: "removed" });
+    else if (!(path in before)) files.push({ path, status: "added" });
+    else if (before[path] !== after[path]) files.push({ path, status: "modified" });
+  }
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Builds a changelog entry for one update
+ *
+ * @param {Object} update - `{ fromPackages, toPackages, fromCommit, toCommit, commits, files, apiDiff }`;
+ *   `commits` is null when the commit history could not be fetched (e.g. offline updates)
+ * @returns {Object} Changelog entry
+ */
+export function createChangelogEntry({ fromPackages = null, toPackages, fromCommit = null, toCommit = null, commits = null, files, apiDiff = null }) {
+  const release = (packages, commit) => packages && { id: snapshotId(packages, commit), commit, packages: packageVersions(packages) };
+  const nameOf = entry => entry.publicPath || entry.name;
+
+  return {
+    date: new Date().toISOString(),
+    from: release(fromPackages, fromCommit),
+    to: release(toPackages, toCommit),
+    commitRange: fromCommit || toCommit ? { from: fromCommit, to: toCommit } : null,
+    commits: commits && commits.map(commit => ({ ...commit, message: commit.message.split("\n")[0] })),
+    files,
+    api: apiDiff && {
+      summary: apiDiff.summary,
+      added: apiDiff.added.map(nameOf),
+      removed: apiDiff.removed.map(entry => ({ name: nameOf(entry), breaking: entry.breaking })),
+      changed: apiDiff.changed.map(entry => ({
+        name: nameOf(entry),
+        breaking: entry.breaking,
+        changes: entry.changes.map(change => change.change)
+      }))
+    }
+  };
+}
+
+/**
+ * Prepends an entry to the changelog
+ *
+ * @param {string} dataDir - Data directory
+ * @param {Object} entry - Entry from createChangelogEntry
+ */
+export function appendChangelogEntry(dataDir, entry) {
+  const changelog = loadChangelog(dataDir);
+  changelog.entries = [entry, ...changelog.entries];
+  writeFileSync(join(dataDir, CHANGELOG_FILE), JSON.stringify(changelog, null, 2));
+}
+
+/**
+ * Filters changelog entries by date and version
+ *
+ * @param {Array<Object>} entries - Changelog entries, newest first
+ * @param {Object} filters - `{ since, until, version }`; dates are ISO strings and
+ *   `version` matches the release an update produced or replaced (see findSnapshot)
+ * @returns {Array<Object>} Matching entries
+ */
+export function filterChangelog(entries, { since, until, version } = {}) {
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  // A bare date includes the whole day
+  const untilTime = until ? Date.parse(until) + (/^\d{4}-\d{2}-\d{2}$/.test(until) ? 24 * 60 * 60 * 1000 - 1 : 0) : Infinity;
+
+  return entries.filter(entry => {
+    const time = Date.parse(entry.date);
+    if (time < sinceTime || time > untilTime) return false;
+    if (!version) return true;
+    return [entry.to, entry.from].some(release => release && findSnapshot([release], version));
+  });
+}
@@ -0,0 +1,247 @@
+/**
+ * Versioned SDK data snapshots
+ *
+ * The top-level data files always describe the latest SDK. The updater also
+ * archives every analyzed release under data/snapshots/<id>/, keyed by the
+ * package versions it contains and, when known, the commit it was built from
+ * (e.g. "core-3.0.5_ui-kit-2.1.5_1a2b3c4"), so queries can be pinned to an
+ * older release or commit. data/snapshots/index.json lists them.
+ *
+ * Snapshots are also the known-good copies restored when the current data
+ * fails verification; data/snapshots/docs/ keeps the documentation cache.
+ */
+
+import { copyFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { DATA_GROUPS, loadManifest, manifestEntry, updateManifest, verifyDataGroup } from "./data-integrity.js";
+
+/**
+ * Directory (inside the data directory) holding the snapshots
+ */
+export const SNAPSHOTS_DIR = "snapshots";
+
+/**
+ * SDK data files copied into each snapshot
+ */
+export const SNAPSHOT_FILES = DATA_GROUPS.sdk;
+
+/**
+ * Snapshot directory holding the last known-good documentation cache
+ */
+export const DOCS_SNAPSHOT = "docs";
+
+/**
+ * Length of the commit SHA prefix appended to snapshot ids
+ */
+const SHORT_SHA_LENGTH = 7;
+
+/**
+ * Returns the snapshot id for a set of packages ("core-3.0.5_ui-kit-2.1.5"),
+ * followed by the short commit SHA when the commit is known, so commits that
+ * did not bump a version are kept apart ("core-3.0.5_ui-kit-2.1.5_1a2b3c4")
+ *
+ * @param {Array<Object>} packages - Packages from sdk_packages_complete.json
+ * @param {string|null} commit - Commit the data was built from
+ * @returns {string}
+ */
+export function snapshotId(packages, commit = null) {
+  const versions = packages
+    .map(pkg => `${pkg.name.replace(/^@pushchain\//, "")}-${pkg.version}`)
+    .sort()
+    .join("_");
+  return commit ? `${versions}_${commit.slice(0, SHORT_SHA_LENGTH)}` : versions;
+}
+
+/**
+ * Returns the version part of a snapshot entry's id (without the commit)
+ */
+function versionsIdOf(snapshot) {
+  return snapshotId(Object.entries(snapshot.packages).map(([name, version]) => ({ name, version })));
+}
+
+/**
+ * Maps package names to versions ({ "@pushchain/core": "3.0.5", ... })
+ *
+ * @param {Array<Object>} packages - Packages from sdk_packages_complete.json
+ * @returns {Object}
+ */
+export function packageVersions(packages) {
+  return Object.fromEntries(packages.map(pkg => [pkg.name, pkg.version]));
+}
+
+/**
+ * Loads data/snapshots/index.json, or an empty index if there is none
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {Object} `{ snapshots: [{ id, commit, generatedAt, packages }] }`, newest first
+ */
+export function loadSnapshotIndex(dataDir) {
+  const indexPath = join(dataDir, SNAPSHOTS_DIR, "index.json");
+  if (!existsSync(indexPath)) return { snapshots: [] };
+
+  try {
+    const index = JSON.parse(readFileSync(indexPath, "utf-8"));
+    return Array.isArray(index.snapshots) ? index : { snapshots: [] };
+  } catch (error) {
+    console.error("Error reading snapshot index:", error.message);
+    return { snapshots: [] };
+  }
+}
+
+/**
+ * Archives the current top-level SDK data files as a snapshot
+ *
+ * @param {string} dataDir - Data directory
+ * @param {Object} options - `{ commit, replace }`; without `replace` an
+ *   existing snapshot of the same data (same id, or same generation when the
+ *   commit is unknown) is kept as is
+ * @returns {Object|null} The index entry, or null if the data files are missing
+ */
+export function saveSnapshot(dataDir, { commit = null, replace = true } = {}) {
+  if (SNAPSHOT_FILES.some(file => !existsSync(join(dataDir, file)))) return null;
+
+  const { packages } = JSON.parse(readFileSync(join(dataDir, "sdk_packages_complete.json"), "utf-8"));
+  const { generatedAt = null } = JSON.parse(readFileSync(join(dataDir, "sdk_complete_analysis.json"), "utf-8"));
+  const id = snapshotId(packages, commit);
+  const index = loadSnapshotIndex(dataDir);
+
+  // Without a commit the data may still be archived already, under the commit it was built from
+  const existing = index.snapshots.find(snapshot => snapshot.id === id) ||
+    (!commit && index.snapshots.find(snapshot => snapshot.generatedAt === generatedAt && versionsIdOf(snapshot) === id));
+  if (existing && !replace) return existing;
+
+  const snapshotDir = join(dataDir, SNAPSHOTS_DIR, id);
+  mkdirSync(snapshotDir, { recursive: true });
+  for (const file of SNAPSHOT_FILES) {
+    copyFileSync(join(dataDir, file), join(snapshotDir, file));
+  }
+  // The manifest entries travel with the files, so a snapshot of bad data fails verification too
+  const { files } = loadManifest(dataDir);
+  updateManifest(snapshotDir, Object.fromEntries(SNAPSHOT_FILES.filter(file => files[file]).map(file => [file, files[file]])));
+
+  const entry = {
+    id,
+    commit,
+    generatedAt,
+    packages: packageVersions(packages)
+  };
+  index.snapshots = [entry, ...index.snapshots.filter(snapshot => snapshot.id !== id)]
+    .sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)));
+  writeFileSync(join(dataDir, SNAPSHOTS_DIR, "index.json"), JSON.stringify(index, null, 2));
+
+  return entry;
+}
+
+/**
+ * Finds the snapshot matching a version query
+ *
+ * Accepts a snapshot id (with or without its commit suffix), a commit SHA
+ * prefix (7+ characters), a package version ("3.0.5", matching either
+ * package) or a package-qualified version ("core@3.0.5",
+ * "@pushchain/ui-kit@2.1.5"). The newest match wins, so a version shared by
+ * several commits resolves to the newest of them.
+ *
+ * @param {Array<Object>} snapshots - Entries from loadSnapshotIndex, newest first
+ * @param {string} version - Version query
+ * @returns {Object|null} Matching entry
+ */
+export function findSnapshot(snapshots, version) {
+  const query = version.trim();
+  const qualified = query.match(/^(?:@pushchain\/)?([\w-]+)@(.+)$/);
+
+  return snapshots.find(snapshot => snapshot.id === query) ||
+    snapshots.find(snapshot => versionsIdOf(snapshot) === query) ||
+    snapshots.find(snapshot => {
+      if (qualified) return snapshot.packages[`@pushchain/${qualified[1]}`] === qualified[2];
+      if (query.length >= 7 && snapshot.commit?.startsWith(query)) return true;
+      return Object.values(snapshot.packages).includes(query.replace(/^v/, ""));
+    }) ||
+    null;
+}
+
+/**
+ * Resolves a version query against the latest data and the archived snapshots
+ *
+ * The latest data answers to its own versions even before it is archived.
+ *
+ * @param {string} dataDir - Data directory
+ * @param {string|undefined} version - Version query; "latest" or omitted for the latest data
+ * @param {Array<Object>} latestPackages - Packages of the latest data (sdk_packages_complete.json)
+ * @returns {Object|null} `{ id, dir, latest }`, or null if nothing matches
+ */
+export function resolveSnapshot(dataDir, version, latestPackages) {
+  const latest = { id: snapshotId(latestPackages), packages: packageVersions(latestPackages) };
+  const snapshot = !version || version === "latest"
+    ? latest
+    : findSnapshot([latest, ...loadSnapshotIndex(dataDir).snapshots], version);
+  if (!snapshot) return null;
+
+  return snapshot.id === latest.id
+    ? { id: latest.id, dir: dataDir, latest: true }
+    : { id: snapshot.id, dir: join(dataDir, SNAPSHOTS_DIR, snapshot.id), latest: false };
+}
+
+/**
+ * Copies a verified data group between directories with fresh manifest entries
+ */
+function copyDataGroup(fromDir, toDir, group) {
+  mkdirSync(toDir, { recursive: true });
+
+  const entries = {};
+  for (const file of DATA_GROUPS[group]) {
+    const text = readFileSync(join(fromDir, file), "utf-8");
+    entries[file] = manifestEntry(file, JSON.parse(text), text);
+  }
+  updateManifest(toDir, entries);
+  for (const file of DATA_GROUPS[group]) {
+    copyFileSync(join(fromDir, file), join(toDir, file));
+  }
+}
+
+/**
+ * Keeps the current documentation cache as the last known-good copy, if it verifies
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {boolean} True if the copy was saved
+ */
+export function saveDocsSnapshot(dataDir) {
+  try {
+    verifyDataGroup(dataDir, "docs");
+  } catch (error) {
+    console.error(`⚠️  Not keeping the documentation cache as known-good: ${error.message}`);
+    return false;
+  }
+  copyDataGroup(dataDir, join(dataDir, SNAPSHOTS_DIR, DOCS_SNAPSHOT), "docs");
+  return true;
+}
+
+/**
+ * Restores the newest snapshot of a data group that passes verification:
+ * SDK data from the versioned snapshots, documentation from the copy kept
+ * by saveDocsSnapshot
+ *
+ * @param {string} dataDir - Data directory
+ * @param {string} group - "sdk" or "docs"
+ * @returns {string|null} Name of the restored snapshot, or null if none is usable
+ */
+export function restoreLastGoodData(dataDir, group) {
+  const candidates = group === "docs"
+    ? [DOCS_SNAPSHOT]
+    : loadSnapshotIndex(dataDir).snapshots.map(snapshot => snapshot.id);
+
+  for (const name of candidates) {
+    const snapshotDir = join(dataDir, SNAPSHOTS_DIR, name);
+    if (!existsSync(snapshotDir)) continue;
+
+    try {
+      verifyDataGroup(snapshotDir, group);
+    } catch (error) {
+      console.error(`   Skipping snapshot ${name}: ${error.message}`);
+      continue;
+    }
+
+    copyDataGroup(snapshotDir, dataDir, group);
+    return name;
+  }
+  return null;
+}
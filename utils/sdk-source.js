@@ -0,0 +1,107 @@
+/**
+ * Local SDK sources for offline analysis
+ *
+ * Turns a local checkout, a repository tarball (e.g. a GitHub archive) or
+ * npm packs of @pushchain/core / @pushchain/ui-kit into the repository
+ * layout the analyzer expects (packages/core, packages/ui-kit), so data can
+ * be regenerated without cloning or installing anything. Analysis is static,
+ * so dependencies are never needed.
+ */
+
+import { cpSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync } from "fs";
+import { execFileSync } from "child_process";
+import { basename, join, resolve } from "path";
+
+/**
+ * Repository directory of each analyzed npm package
+ */
+export const SDK_PACKAGE_DIRS = {
+  "@pushchain/core": "packages/core",
+  "@pushchain/ui-kit": "packages/ui-kit"
+};
+
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+
+// Never copied when assembling a layout; analysis skips them anyway
+const SKIPPED_DIRS = new Set(["node_modules", ".git"]);
+
+/**
+ * Returns how a directory can be used: as a repository checkout, as a single
+ * SDK package (with the repository directory it maps to), or not at all
+ */
+function classifyDirectory(dir) {
+  if (Object.values(SDK_PACKAGE_DIRS).some(pkgDir => existsSync(join(dir, pkgDir)))) {
+    return { kind: "repo" };
+  }
+
+  const pkgJsonPath = join(dir, "package.json");
+  if (existsSync(pkgJsonPath)) {
+    try {
+      const { name } = JSON.parse(readFileSync(pkgJsonPath, "utf-8"));
+      if (SDK_PACKAGE_DIRS[name]) return { kind: "package", name, target: SDK_PACKAGE_DIRS[name] };
+    } catch (error) {
+      // Not a readable package.json; fall through
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts a tarball and returns its root directory (the single top-level
+ * directory such as "package/" or "push-chain-sdk-main/", if there is one)
+ */
+function extractTarball(tarball, destination) {
+  mkdirSync(destination, { recursive: true });
+  execFileSync("tar", ["-xf", tarball, "-C", destination], { stdio: ["ignore", "ignore", "inherit"] });
+
+  const entries = readdirSync(destination);
+  if (entries.length === 1 && statSync(join(destination, entries[0])).isDirectory()) {
+    return join(destination, entries[0]);
+  }
+  return destination;
+}
+
+/**
+ * Prepares a repository-shaped directory from local SDK sources
+ *
+ * @param {Array<string>} sources - Checkout directories, package directories or tarballs
+ * @param {string} workDir - Scratch directory for extraction; the caller removes it
+ * @returns {string} Directory containing packages/core and/or packages/ui-kit
+ * @throws {Error} If a source is missing or is not an SDK checkout or package
+ */
+export function prepareSdkSource(sources, workDir) {
+  const roots = sources.map((source, index) => {
+    const path = resolve(source);
+    if (!existsSync(path)) throw new Error(`SDK source not found: ${source}`);
+
+    const root = statSync(path).isDirectory()
+      ? path
+      : TARBALL_PATTERN.test(path)
+        ? extractTarball(path, join(workDir, `source-${index}`))
+        : null;
+    const type = root && classifyDirectory(root);
+    if (!type) {
+      throw new Error(`${basename(source)} is not a push-chain-sdk checkout, repository tarball or ${Object.keys(SDK_PACKAGE_DIRS).join("/")} package`);
+    }
+    return { source, root, ...type };
+  });
+
+  // A single checkout is analyzed in place
+  if (roots.length === 1 && roots[0].kind === "repo") return roots[0].root;
+
+  const repoDir = join(workDir, "repo");
+  const filter = src => !SKIPPED_DIRS.has(basename(src));
+  for (const { source, root, kind, target } of roots) {
+    const pkgDirs = kind === "repo"
+      ? Object.values(SDK_PACKAGE_DIRS).filter(pkgDir => existsSync(join(root, pkgDir)))
+      : [target];
+
+    for (const pkgDir of pkgDirs) {
+      if (existsSync(join(repoDir, pkgDir))) {
+        throw new Error(`${pkgDir} is provided by more than one source (${source})`);
+      }
+      cpSync(kind === "repo" ? join(root, pkgDir) : root, join(repoDir, pkgDir), { recursive: true, filter });
+    }
+  }
+  return repoDir;
+}
@@ -0,0 +1,275 @@
+/**
+ * Full-text search index for Push Chain documentation
+ *
+ * Builds an in-memory inverted index over the cached docs and ranks matches
+ * with BM25F (BM25 with per-field weighting), so titles and headings count
+ * for more than body text.
+ */
+
+/**
+ * Relative weight of each indexed field
+ */
+export const FIELD_BOOSTS = {
+  title: 4,
+  frontmatter: 2,
+  headings: 2.5,
+  body: 1
+};
+
+/**
+ * BM25 tuning parameters
+ * k1 controls term-frequency saturation, b controls length normalization
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Common English words that carry no search signal
+ */
+const STOP_WORDS = new Set([
+  "a", "about", "after", "all", "also", "an", "and", "any", "are", "as", "at",
+  "be", "been", "but", "by", "can", "do", "does", "each", "for", "from", "has",
+  "have", "how", "i", "if", "in", "into", "is", "it", "its", "may", "more",
+  "no", "not", "of", "on", "or", "our", "so", "such", "than", "that", "the",
+  "their", "them", "then", "there", "these", "they", "this", "to", "use",
+  "using", "was", "we", "were", "what", "when", "where", "which", "while",
+  "will", "with", "you", "your"
+]);
+
+/**
+ * Suffix rules for the light stemmer, checked in order.
+ * Each entry is [suffix, replacement, minimum stem length].
+ */
+const SUFFIX_RULES = [
+  ["ational", "ate", 3],
+  ["ization", "ize", 3],
+  ["fulness", "ful", 3],
+  ["iveness", "ive", 3],
+  ["ations", "ate", 3],
+  ["ation", "ate", 3],
+  ["ities", "ity", 3],
+  ["ments", "ment", 3],
+  ["ingly", "", 3],
+  ["edly", "", 3],
+  ["ness", "", 3],
+  ["ies", "y", 2],
+  ["ing", "", 3],
+  ["ers", "er", 3],
+  ["ed", "", 3],
+  ["ly", "", 3],
+  ["es", "", 3],
+  ["s", "", 3]
+];
+
+/**
+ * Reduces a word to an approximate stem by stripping common English suffixes
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  for (const [suffix, replacement, minStem] of SUFFIX_RULES) {
+    if (!word.endsWith(suffix)) continue;
+
+    // Keep "ss" endings intact (e.g. "address", "class")
+    if (suffix === "s" && word.endsWith("ss")) return word;
+    if (suffix === "es" && !/(?:ch|sh|x|z|ss)es$/.test(word)) continue;
+
+    const base = word.slice(0, -suffix.length);
+    if (base.length < minStem) return word;
+
+    // Collapse doubled consonants left behind by -ing/-ed ("mapped" -> "map")
+    if ((suffix === "ing" || suffix === "ed") && base.length > 3 && /([^aeiouls])\1$/.test(base)) {
+      return base.slice(0, -1);
+    }
+    return base + replacement;
+  }
+
+  return word;
+}
+
+/**
+ * Splits text into normalized, stemmed search terms.
+ * Identifiers such as `createUniversalSigner` are indexed both whole and as
+ * their camelCase parts so either form matches.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Array of terms (may contain duplicates)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const terms = [];
+  const words = text.match(/[A-Za-z0-9_]+/g) || [];
+
+  for (const word of words) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_]+/)
+      .filter(Boolean);
+
+    const candidates = parts.length > 1 ? [word, ...parts] : parts;
+    for (const candidate of candidates) {
+      const lower = candidate.toLowerCase();
+      if (lower.length < 2 || STOP_WORDS.has(lower)) continue;
+      terms.push(stem(lower));
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Splits a documentation page into the fields used for ranking
+ *
+ * @param {Object} doc - Cached documentation entry
+ * @returns {Object} Field name to raw text
+ */
+function extractFields(doc) {
+  const metadata = doc.metadata || {};
+  const readableName = doc.name.replace(/\.mdx$/, "").replace(/^\d+-/, "").replace(/-/g, " ");
+
+  const frontmatter = Object.entries(metadata)
+    .filter(([key]) => !["title", "id", "slug", "image", "displayed_sidebar", "sidebar_position", "hide_title"].includes(key))
+    .map(([, value]) => value)
+    .join(" ");
+
+  const headings = [];
+  const bodyLines = [];
+  let inFrontmatter = false;
+
+  (doc.content || "").split("\n").forEach((line, idx) => {
+    if (idx === 0 && line.trim() === "---") {
+      inFrontmatter = true;
+      return;
+    }
+    if (inFrontmatter) {
+      if (line.trim() === "---") inFrontmatter = false;
+      return;
+    }
+    if (line.startsWith("import ")) return;
+
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (heading) headings.push(heading[1]);
+    else bodyLines.push(line);
+  });
+
+  return {
+    title: `${metadata.title || ""} ${readableName}`,
+    frontmatter,
+    headings: headings.join("\n"),
+    body: bodyLines.join("\n")
+  };
+}
+
+/**
+ * Builds an inverted index over all documentation pages
+ *
+ * @param {Array<Object>} docs - Documentation entries from docs_cache.json
+ * @returns {Object} Search index
+ */
+export function buildSearchIndex(docs) {
+  const postings = new Map();
+  const fieldLengths = [];
+  const totalLengths = Object.fromEntries(Object.keys(FIELD_BOOSTS).map(f => [f, 0]));
+
+  docs.forEach((doc, docId) => {
+    const fields = extractFields(doc);
+    const lengths = {};
+
+    for (const field of Object.keys(FIELD_BOOSTS)) {
+      const terms = tokenize(fields[field]);
+      lengths[field] = terms.length;
+      totalLengths[field] += terms.length;
+
+      for (const term of terms) {
+        let termPostings = postings.get(term);
+        if (!termPostings) {
+          termPostings = new Map();
+          postings.set(term, termPostings);
+        }
+        let entry = termPostings.get(docId);
+        if (!entry) {
+          entry = {};
+          termPostings.set(docId, entry);
+        }
+        entry[field] = (entry[field] || 0) + 1;
+      }
+    }
+
+    fieldLengths.push(lengths);
+  });
+
+  const avgLengths = Object.fromEntries(
+    Object.entries(totalLengths).map(([field, total]) => [field, docs.length ? total / docs.length || 1 : 1])
+  );
+
+  return { docs, postings, fieldLengths, avgLengths, docCount: docs.length };
+}
+
+/**
+ * Collects up to three content lines mentioning any query term, for result previews
+ *
+ * @param {Object} doc - Cached documentation entry
+ * @param {string} query - Search query
+ * @returns {string} Preview text (empty if no line matches)
+ */
+export function getPreview(doc, query) {
+  const termSet = new Set(tokenize(query));
+  const lines = (doc.content || "").split("\n");
+
+  const matching = lines.filter(line => {
+    if (!line.trim() || line.startsWith("import ")) return false;
+    return tokenize(line).some(term => termSet.has(term));
+  });
+
+  return matching.slice(0, 3).map(line => line.trim()).join("\n");
+}
+
+/**
+ * Ranks documentation pages against a free-text query using BM25F
+ *
+ * @param {Object} index - Index built by buildSearchIndex
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Matches sorted by descending score, each with doc, score and matchedFields
+ */
+export function searchIndex(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const scores = new Map();
+  const matchedFields = new Map();
+
+  for (const term of queryTerms) {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) continue;
+
+    const df = termPostings.size;
+    const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+
+    for (const [docId, fieldFreqs] of termPostings) {
+      const lengths = index.fieldLengths[docId];
+      let weightedTf = 0;
+
+      for (const [field, tf] of Object.entries(fieldFreqs)) {
+        const norm = 1 - BM25_B + BM25_B * (lengths[field] / index.avgLengths[field]);
+        weightedTf += FIELD_BOOSTS[field] * tf / norm;
+
+        if (!matchedFields.has(docId)) matchedFields.set(docId, new Set());
+        matchedFields.get(docId).add(field);
+      }
+
+      const termScore = idf * weightedTf / (BM25_K1 + weightedTf);
+      scores.set(docId, (scores.get(docId) || 0) + termScore);
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([docId, score]) => ({
+      doc: index.docs[docId],
+      score: Math.round(score * 1000) / 1000,
+      matchedFields: [...matchedFields.get(docId)]
+    }));
+}
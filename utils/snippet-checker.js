@@ -0,0 +1,508 @@
+/**
+ * Static type-check of documentation snippets against the cached SDK sources
+ *
+ * Every TypeScript/TSX snippet becomes a module in an in-memory program whose
+ * `@pushchain/*` imports resolve to the `.ts` sources in sdk_file_contents.json;
+ * every other package resolves to an untyped module, so nothing is read from
+ * the network or node_modules (only TypeScript's own lib files). Snippets are
+ * often fragments that continue an earlier block, so names they use without
+ * declaring are supplied as context in a second pass: imports found elsewhere
+ * on the page (or in any page, for `@pushchain` imports), a typed Push Chain
+ * client for `pushChainClient`, and `any` for the rest. What remains are
+ * diagnostics the snippet itself causes, and those that point at an SDK
+ * symbol that no longer exists are reported with that symbol.
+ */
+
+import ts from "typescript";
+import { dirname, join } from "path";
+import { resolveModule } from "./api-surface.js";
+import { normalizeLanguage, snippetId } from "./doc-snippets.js";
+import { parseSource } from "./ts-analyzer.js";
+
+/**
+ * Snippet languages that are type-checked (after alias normalization)
+ */
+export const CHECKED_LANGUAGES = ["typescript", "tsx"];
+
+/**
+ * Diagnostic categories, in the order they are reported
+ * - missing-symbol: an SDK export or member that does not exist
+ * - signature: a call to an SDK API with arguments it no longer accepts
+ * - syntax: the snippet does not parse
+ * - other: any other type error
+ */
+export const DIAGNOSTIC_CATEGORIES = ["missing-symbol", "signature", "syntax", "other"];
+
+const COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  moduleDetection: ts.ModuleDetectionKind.Force,
+  jsx: ts.JsxEmit.ReactJSX,
+  lib: ["lib.es2022.d.ts", "lib.dom.d.ts", "lib.dom.iterable.d.ts"],
+  types: [],
+  // Documentation snippets are not written against strict mode
+  strict: false,
+  esModuleInterop: true,
+  skipLibCheck: true,
+  noEmit: true
+};
+
+const SDK_ROOT = "/sdk/";
+const SNIPPET_ROOT = "/snippets/";
+
+/**
+ * Makes every package other than the SDK an untyped module
+ */
+const UNTYPED_MODULES_FILE = `${SNIPPET_ROOT}untyped-modules.d.ts`;
+const UNTYPED_MODULES_SOURCE = "declare module \"*\";\n";
+
+/**
+ * Codes of "Cannot find name 'x'" diagnostics (including the "install type
+ * definitions for node/jest/jQuery" variants and shorthand properties)
+ */
+const UNDECLARED_NAME_CODES = new Set([2304, 2552, 2580, 2581, 2582, 2591, 2592, 2593, 18004]);
+
+/**
+ * Codes reporting a module export, property or namespace member that does not exist
+ */
+const MISSING_EXPORT_CODES = new Set([2305, 2614, 2724]);
+const MISSING_MEMBER_CODES = new Set([2339, 2551, 2694]);
+
+/**
+ * Codes reporting arguments or options a call does not accept
+ */
+const SIGNATURE_CODES = new Set([2345, 2353, 2554, 2555, 2556, 2559, 2561, 2575, 2741, 2769]);
+
+/**
+ * Codes reporting a namespace or type that is missing, which is expected for
+ * types imported from the untyped modules standing in for third-party packages
+ */
+const UNTYPED_TYPE_CODES = new Set([2503, 2694, 2702, 2709]);
+
+/**
+ * Types supplied for well-known names the docs use without declaring them
+ */
+const CONTEXT_TYPES = {
+  pushChainClient: "import('@pushchain/core').PushChain"
+};
+
+// TypeScript lib files never change, so they are parsed once per process
+const libSourceFiles = new Map();
+
+/**
+ * Returns true if code does not parse as a file with the given extension
+ */
+function hasSyntaxErrors(code, extension) {
+  const { diagnostics } = ts.transpileModule(code, {
+    fileName: `snippet${extension}`,
+    reportDiagnostics: true,
+    compilerOptions: { jsx: ts.JsxEmit.Preserve }
+  });
+  return diagnostics.length > 0;
+}
+
+/**
+ * Returns the file extension a snippet is checked as: .tsx for TSX, and for
+ * TypeScript fences that only parse with JSX enabled
+ */
+function snippetExtension(snippet) {
+  if (normalizeLanguage(snippet.language) === "tsx") return ".tsx";
+  return hasSyntaxErrors(snippet.code, ".ts") && !hasSyntaxErrors(snippet.code, ".tsx") ? ".tsx" : ".ts";
+}
+
+/**
+ * Returns true if a snippet shows a printed value (e.g. a logged object with
+ * `[Function: signMessage]` entries) rather than code
+ */
+function isPrintedValue(code) {
+  const body = code.replace(/^(?:\s*\/\/.*\n)+/, "").trim();
+  return /^[{[]/.test(body) && /[}\]]$/.test(body);
+}
+
+/**
+ * Returns the package name of an SDK source path ("packages/core/..." → "@pushchain/core")
+ */
+function packageOfFile(path) {
+  const match = path.match(/^packages\/([^/]+)\//);
+  return match ? `@pushchain/${match[1]}` : null;
+}
+
+/**
+ * Resolves a module specifier the way a consumer of the SDK would: relative
+ * imports between SDK files, and `@pushchain/<pkg>[/path]` to
+ * `packages/<pkg>/src/index.ts` (or the given path)
+ *
+ * @returns {string|null} SDK source path, or null if the module is not part of the SDK
+ */
+function resolveSdkModule(specifier, containingFile, fileContents) {
+  if (containingFile.startsWith(SDK_ROOT)) {
+    const resolved = resolveModule(containingFile.slice(SDK_ROOT.length), specifier, fileContents);
+    if (resolved) return resolved;
+  }
+
+  const match = specifier.match(/^@pushchain\/([^/]+)(?:\/(.+))?$/);
+  if (!match) return null;
+  return resolveModule(`packages/${match[1]}/package.json`, `./${match[2] || "src"}`, fileContents);
+}
+
+/**
+ * Returns the local names an import declaration binds
+ */
+function collectImportNames(statement) {
+  const { name, namedBindings } = statement.importClause || {};
+  return [
+    ...(name ? [name.text] : []),
+    ...(namedBindings && ts.isNamespaceImport(namedBindings) ? [namedBindings.name.text] : []),
+    ...(namedBindings && ts.isNamedImports(namedBindings) ? namedBindings.elements.map(element => element.name.text) : [])
+  ];
+}
+
+/**
+ * Collects the import bindings of a piece of code
+ *
+ * @returns {Map<string, string>} Local name → import statement that declares it
+ */
+function collectImports(code, fileName) {
+  const imports = new Map();
+  for (const statement of parseSource(code, fileName).statements) {
+    if (!ts.isImportDeclaration(statement) || !statement.importClause || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+
+    const from = JSON.stringify(statement.moduleSpecifier.text);
+    const { name, namedBindings } = statement.importClause;
+    for (const local of collectImportNames(statement)) {
+      const element = namedBindings && ts.isNamedImports(namedBindings) && namedBindings.elements.find(e => e.name.text === local);
+      const clause = local === name?.text ? local
+        : element ? `{ ${element.propertyName ? `${element.propertyName.text} as ${local}` : local} }`
+        : `* as ${local}`;
+      imports.set(local, `import ${clause} from ${from};`);
+    }
+  }
+  return imports;
+}
+
+/**
+ * Returns the declarations that supply names a snippet uses without declaring
+ */
+function contextDeclarations(names, pageImports, sdkImports) {
+  return [...names].sort().map(name => {
+    const statement = pageImports.get(name) || sdkImports.get(name);
+    if (statement) return statement;
+    if (CONTEXT_TYPES[name]) return `declare const ${name}: ${CONTEXT_TYPES[name]};`;
+    return `declare const ${name}: any; type ${name} = any;`;
+  });
+}
+
+/**
+ * Creates an in-memory compiler host over the snippet files and SDK sources
+ */
+function createHost(snippetFiles, fileContents, sdkSourceFiles) {
+  const libDir = dirname(ts.getDefaultLibFilePath(COMPILER_OPTIONS));
+
+  return {
+    getSourceFile(fileName, languageVersion) {
+      if (snippetFiles.has(fileName)) {
+        return ts.createSourceFile(fileName, snippetFiles.get(fileName), languageVersion, true);
+      }
+      if (fileName.startsWith(SDK_ROOT)) {
+        const path = fileName.slice(SDK_ROOT.length);
+        if (fileContents[path] === undefined) return undefined;
+        if (!sdkSourceFiles.has(path)) {
+          sdkSourceFiles.set(path, ts.createSourceFile(fileName, fileContents[path], languageVersion, true));
+        }
+        return sdkSourceFiles.get(path);
+      }
+      if (!libSourceFiles.has(fileName)) {
+        const text = ts.sys.readFile(fileName);
+        libSourceFiles.set(fileName, text === undefined ? undefined : ts.createSourceFile(fileName, text, languageVersion, true));
+      }
+      return libSourceFiles.get(fileName);
+    },
+    getDefaultLibFileName: options => join(libDir, ts.getDefaultLibFileName(options)),
+    getDefaultLibLocation: () => libDir,
+    writeFile: () => {},
+    getCurrentDirectory: () => "/",
+    getCanonicalFileName: fileName => fileName,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => "\n",
+    fileExists: fileName => snippetFiles.has(fileName) ||
+      (fileName.startsWith(SDK_ROOT) && fileContents[fileName.slice(SDK_ROOT.length)] !== undefined),
+    readFile: fileName => snippetFiles.get(fileName) ??
+      (fileName.startsWith(SDK_ROOT) ? fileContents[fileName.slice(SDK_ROOT.length)] : ts.sys.readFile(fileName)),
+    resolveModuleNameLiterals: (literals, containingFile) => literals.map(literal => {
+      const path = resolveSdkModule(literal.text, containingFile, fileContents);
+      if (!path) return { resolvedModule: undefined };
+      return {
+        resolvedModule: { resolvedFileName: SDK_ROOT + path, extension: ts.extensionFromPath(path), isExternalLibraryImport: false }
+      };
+    })
+  };
+}
+
+/**
+ * Returns the innermost node spanning a position
+ */
+function nodeAt(sourceFile, position) {
+  let found = sourceFile;
+  const visit = node => {
+    if (position >= node.getStart(sourceFile) && position < node.getEnd()) {
+      found = node;
+      ts.forEachChild(node, visit);
+    }
+  };
+  ts.forEachChild(sourceFile, visit);
+  return found;
+}
+
+/**
+ * Returns the SDK source path a symbol is declared in, if any
+ */
+function sdkDeclarationFile(symbol, checker) {
+  if (!symbol) return null;
+  const target = symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol;
+  const declaration = (target.declarations || []).find(decl => decl.getSourceFile().fileName.startsWith(SDK_ROOT));
+  return declaration ? declaration.getSourceFile().fileName.slice(SDK_ROOT.length) : null;
+}
+
+/**
+ * Returns the code text of a node on one line
+ */
+function nodeText(node, sourceFile) {
+  return node.getText(sourceFile).replace(/\s+/g, " ");
+}
+
+/**
+ * Returns true if the leftmost name of a type reference is imported from a
+ * package outside the SDK, which the program only knows as an untyped module
+ */
+function importedFromUntypedModule(node, sourceFile, checker) {
+  let name = ts.isQualifiedName(node.parent) && node.parent.right === node ? node.parent : node;
+  while (ts.isQualifiedName(name)) name = name.left;
+  if (!ts.isIdentifier(name)) return false;
+
+  const declaration = sourceFile.statements.find(statement =>
+    ts.isImportDeclaration(statement) && collectImportNames(statement).includes(name.text)
+  );
+  const moduleSymbol = declaration && checker.getSymbolAtLocation(declaration.moduleSpecifier);
+  return Boolean(moduleSymbol?.declarations?.some(decl => decl.getSourceFile().fileName === UNTYPED_MODULES_FILE));
+}
+
+/**
+ * Traces an expression back to the SDK: its type or symbol is declared in an
+ * SDK file, directly or through the initializer of a snippet variable
+ * (`const account = pushChainClient.universal.account; account.address`)
+ *
+ * @returns {Object|null} `{ file, text }`, with such variables replaced by their initializers in `text`
+ */
+function sdkOrigin(expression, sourceFile, checker, depth = 0) {
+  const type = ts.isExpression(expression) ? checker.getTypeAtLocation(expression) : null;
+  const symbol = checker.getSymbolAtLocation(expression);
+  const file = sdkDeclarationFile(type?.getSymbol() || type?.aliasSymbol, checker) || sdkDeclarationFile(symbol, checker);
+  if (file) return { file, text: nodeText(expression, sourceFile) };
+
+  const declaration = symbol?.valueDeclaration;
+  if (depth < 5 && declaration && ts.isVariableDeclaration(declaration) && declaration.initializer &&
+      declaration.getSourceFile() === sourceFile) {
+    let initializer = declaration.initializer;
+    while (ts.isAwaitExpression(initializer) || ts.isParenthesizedExpression(initializer) || ts.isNonNullExpression(initializer)) {
+      initializer = initializer.expression;
+    }
+    return sdkOrigin(initializer, sourceFile, checker, depth + 1);
+  }
+  return null;
+}
+
+/**
+ * Works out whether a diagnostic is SDK drift and, if so, which SDK symbol it is about
+ *
+ * @returns {Object|null} `{ category, symbol?, package?, suggestion? }`, or null
+ *   for diagnostics that only reflect the untyped stand-ins for third-party packages
+ */
+function classifyDiagnostic(diagnostic, sourceFile, checker) {
+  const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, " ");
+  const suggestion = message.match(/Did you mean '([^']+)'\?/)?.[1];
+  const node = nodeAt(sourceFile, diagnostic.start);
+
+  if (UNTYPED_TYPE_CODES.has(diagnostic.code) && importedFromUntypedModule(node, sourceFile, checker)) return null;
+
+  if (MISSING_EXPORT_CODES.has(diagnostic.code)) {
+    let declaration = node;
+    while (declaration && !ts.isImportDeclaration(declaration) && !ts.isExportDeclaration(declaration)) declaration = declaration.parent;
+    const specifier = declaration?.moduleSpecifier;
+    if (specifier && ts.isStringLiteral(specifier) && specifier.text.startsWith("@pushchain/")) {
+      return { category: "missing-symbol", symbol: node.getText(sourceFile), package: specifier.text, suggestion };
+    }
+  }
+
+  if (MISSING_MEMBER_CODES.has(diagnostic.code) && node.parent) {
+    const access = node.parent;
+    const owner = ts.isPropertyAccessExpression(access) ? access.expression
+      : ts.isQualifiedName(access) ? access.left
+      : null;
+    const origin = owner && sdkOrigin(owner, sourceFile, checker);
+    if (origin) {
+      return { category: "missing-symbol", symbol: `${origin.text}.${node.getText(sourceFile)}`, package: packageOfFile(origin.file), suggestion };
+    }
+  }
+
+  if (SIGNATURE_CODES.has(diagnostic.code)) {
+    let call = node;
+    while (call && !ts.isCallExpression(call) && !ts.isNewExpression(call) && !ts.isJsxOpeningLikeElement(call)) call = call.parent;
+    const callee = call && (ts.isJsxOpeningLikeElement(call) ? call.tagName : call.expression);
+    const target = callee && (ts.isPropertyAccessExpression(callee) ? callee.name : callee);
+    const file = target && sdkDeclarationFile(checker.getSymbolAtLocation(target), checker);
+    if (file) return { category: "signature", symbol: nodeText(callee, sourceFile), package: packageOfFile(file) };
+  }
+
+  return { category: "other" };
+}
+
+/**
+ * Returns the report entry of a diagnostic; positions are 1-based within the
+ * snippet, and null for diagnostics in the context lines (no `sourceFile`)
+ */
+function describeDiagnostic(diagnostic, sourceFile, { category, symbol, package: packageName, suggestion }) {
+  const position = sourceFile ? ts.getLineAndCharacterOfPosition(sourceFile, diagnostic.start) : null;
+  return {
+    line: position ? position.line + 1 : null,
+    column: position ? position.character + 1 : null,
+    code: diagnostic.code,
+    category,
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, " "),
+    ...(symbol ? { symbol, package: packageName } : {}),
+    ...(suggestion ? { suggestion } : {})
+  };
+}
+
+/**
+ * Returns the fields identifying a snippet in the report
+ */
+function describeSnippet({ doc, snippet, index }) {
+  return {
+    id: snippetId(doc.path, index),
+    path: doc.path,
+    index,
+    url: `${doc.htmlUrl}${snippet.anchor ? `#${snippet.anchor}` : ""}`,
+    heading: snippet.headingPath ?? null,
+    tabs: snippet.tabs || [],
+    language: snippet.language
+  };
+}
+
+/**
+ * Type-checks documentation snippets against SDK sources
+ *
+ * @param {Array<Object>} docs - Cached documentation pages
+ * @param {Object} fileContents - SDK path to source map (sdk_file_contents.json)
+ * @param {Object} options - `{ path }` to check one page only
+ * @returns {Object} `{ summary, snippets }`; each snippet lists its doc path,
+ *   heading and diagnostics (line and column within the snippet, category,
+ *   and the SDK symbol for missing-symbol and signature diagnostics)
+ */
+export function checkDocSnippets(docs, fileContents, { path } = {}) {
+  // Imports of @pushchain packages anywhere in the docs, for fragments on pages that never show them
+  const sdkImports = new Map();
+  for (const doc of docs) {
+    for (const snippet of doc.codeSnippets || []) {
+      for (const [name, statement] of collectImports(snippet.code, "snippet.tsx")) {
+        if (statement.includes("\"@pushchain/") && !sdkImports.has(name)) sdkImports.set(name, statement);
+      }
+    }
+  }
+
+  const targets = [];
+  const skipped = [];
+  for (const doc of docs.filter(candidate => !path || candidate.path === path)) {
+    const pageImports = new Map();
+    for (const snippet of doc.codeSnippets || []) {
+      for (const [name, statement] of collectImports(snippet.code, "snippet.tsx")) {
+        if (!pageImports.has(name)) pageImports.set(name, statement);
+      }
+    }
+
+    (doc.codeSnippets || []).forEach((snippet, index) => {
+      if (!CHECKED_LANGUAGES.includes(normalizeLanguage(snippet.language))) return;
+      if (isPrintedValue(snippet.code)) {
+        skipped.push({ doc, snippet, index });
+        return;
+      }
+      targets.push({
+        doc,
+        snippet,
+        index,
+        pageImports,
+        fileName: `${SNIPPET_ROOT}${targets.length}${snippetExtension(snippet)}`
+      });
+    });
+  }
+
+  const sdkSourceFiles = new Map();
+  const compile = (contexts, oldProgram) => {
+    const snippetFiles = new Map([[UNTYPED_MODULES_FILE, UNTYPED_MODULES_SOURCE]]);
+    targets.forEach((target, i) => {
+      snippetFiles.set(target.fileName, contexts[i].length > 0 ? `${target.snippet.code}\n${contexts[i].join("\n")}\n` : target.snippet.code);
+    });
+    const host = createHost(snippetFiles, fileContents, sdkSourceFiles);
+    return ts.createProgram({ rootNames: [...snippetFiles.keys()], options: COMPILER_OPTIONS, host, oldProgram });
+  };
+
+  // First pass: find the names each fragment relies on from elsewhere
+  const firstPass = compile(targets.map(() => []));
+  const contexts = targets.map(target => {
+    const names = new Set();
+    for (const diagnostic of firstPass.getSemanticDiagnostics(firstPass.getSourceFile(target.fileName))) {
+      const name = UNDECLARED_NAME_CODES.has(diagnostic.code) &&
+        ts.flattenDiagnosticMessageText(diagnostic.messageText, " ").match(/'([^']+)'/)?.[1];
+      if (name && /^[A-Za-z_$][\w$]*$/.test(name)) names.add(name);
+    }
+    return contextDeclarations(names, target.pageImports, sdkImports);
+  });
+
+  const program = compile(contexts, firstPass);
+  const checker = program.getTypeChecker();
+
+  const snippets = targets.map(target => {
+    const sourceFile = program.getSourceFile(target.fileName);
+    const codeLength = target.snippet.code.length;
+    const syntaxDiagnostics = program.getSyntacticDiagnostics(sourceFile);
+
+    // Later syntax errors usually cascade from the first, and type errors in code that does not parse are noise
+    const diagnostics = syntaxDiagnostics.length > 0
+      ? [describeDiagnostic(syntaxDiagnostics[0], sourceFile, { category: "syntax" })]
+      : program.getSemanticDiagnostics(sourceFile).map(diagnostic => {
+        const inContext = diagnostic.start >= codeLength;
+        const classified = classifyDiagnostic(diagnostic, sourceFile, checker);
+        // Context lines are ours; only an SDK symbol they fail to import is the snippet's problem
+        if (!classified || (inContext && classified.category !== "missing-symbol")) return null;
+        return describeDiagnostic(diagnostic, inContext ? null : sourceFile, classified);
+      }).filter(Boolean).sort((a, b) =>
+        DIAGNOSTIC_CATEGORIES.indexOf(a.category) - DIAGNOSTIC_CATEGORIES.indexOf(b.category) || (a.line ?? 0) - (b.line ?? 0)
+      );
+
+    return {
+      ...describeSnippet(target),
+      status: diagnostics.some(d => d.category === "missing-symbol" || d.category === "signature") ? "drift"
+        : diagnostics.length > 0 ? "error"
+        : "ok",
+      diagnostics
+    };
+  });
+  snippets.push(...skipped.map(target => ({ ...describeSnippet(target), status: "skipped", reason: "printed output, not code", diagnostics: [] })));
+
+  const missingSymbols = [...new Set(snippets.flatMap(snippet =>
+    snippet.diagnostics.filter(d => d.category === "missing-symbol").map(d => d.symbol)
+  ))].sort();
+  const count = status => snippets.filter(snippet => snippet.status === status).length;
+
+  return {
+    summary: {
+      checked: targets.length,
+      ok: count("ok"),
+      drift: count("drift"),
+      error: count("error"),
+      skipped: skipped.length,
+      missingSymbols
+    },
+    snippets: snippets.sort((a, b) => a.path.localeCompare(b.path) || a.index - b.index)
+  };
+}
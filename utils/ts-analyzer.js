@@ -0,0 +1,648 @@
+/**
+ * TypeScript-based export analyzer for Push Chain SDK sources
+ *
+ * Parses each file with the TypeScript compiler API (syntax only, no type
+ * checking) and reports every exported symbol with its kind, signature,
+ * JSDoc, generic parameters and source range. Re-exports (`export * from`,
+ * `export { a as b } from`) are reported separately so entry points can be
+ * followed without duplicating the symbols they forward.
+ */
+
+import ts from "typescript";
+
+/**
+ * Export categories written to sdk_complete_exports.json
+ */
+export const EXPORT_CATEGORIES = ["functions", "classes", "types", "interfaces", "constants"];
+
+/**
+ * Longest signature stored for a symbol; longer declarations are cut off
+ */
+const MAX_SIGNATURE_LENGTH = 2000;
+
+/**
+ * Category each symbol kind is listed under
+ */
+const CATEGORY_BY_KIND = {
+  function: "functions",
+  class: "classes",
+  interface: "interfaces",
+  type: "types",
+  enum: "types",
+  variable: "constants",
+  namespace: "constants"
+};
+
+/**
+ * Returns true if a node carries the given modifier keyword
+ */
+function hasModifier(node, kind) {
+  return Boolean(ts.canHaveModifiers(node) && ts.getModifiers(node)?.some(m => m.kind === kind));
+}
+
+/**
+ * Removes `export`, `default` and `declare` keywords from the start of declaration text
+ */
+function stripExportKeywords(text) {
+  return text.replace(/^(?:(?:export|default|declare)\s+)+/, "");
+}
+
+/**
+ * Caps a signature at MAX_SIGNATURE_LENGTH characters
+ */
+function capSignature(text) {
+  return text.length > MAX_SIGNATURE_LENGTH ? text.slice(0, MAX_SIGNATURE_LENGTH) + " …" : text;
+}
+
+/**
+ * Returns the cleaned text of the JSDoc block closest to a declaration
+ *
+ * @param {ts.Node} node - Declaration node
+ * @param {ts.SourceFile} sourceFile - Parsed file
+ * @returns {string|undefined} Comment text without delimiters and leading asterisks
+ */
+function getJsDoc(node, sourceFile) {
+  const blocks = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+  if (blocks.length === 0) return undefined;
+
+  const text = blocks[blocks.length - 1].getText(sourceFile)
+    .replace(/^\/\*\*\s?/, "")
+    .replace(/\s*\*\/$/, "")
+    .split("\n")
+    .map(line => line.replace(/^\s*\* ?/, ""))
+    .join("\n")
+    .trim();
+  return text || undefined;
+}
+
+/**
+ * Returns the 1-based start and end lines of a node (excluding leading comments)
+ */
+function getRange(node, sourceFile) {
+  return {
+    startLine: sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1,
+    endLine: sourceFile.getLineAndCharacterOfPosition(node.end).line + 1
+  };
+}
+
+/**
+ * Returns generic parameter declarations as source text (e.g. "T extends object = {}")
+ */
+function getTypeParameters(node, sourceFile) {
+  const params = node?.typeParameters?.map(param => param.getText(sourceFile));
+  return params && params.length > 0 ? params : undefined;
+}
+
+/**
+ * Unwraps `expr as T`, `expr satisfies T` and parentheses around an initializer
+ */
+function unwrapExpression(expr) {
+  while (expr && (ts.isAsExpression(expr) || ts.isSatisfiesExpression(expr) || ts.isParenthesizedExpression(expr))) {
+    expr = expr.expression;
+  }
+  return expr;
+}
+
+/**
+ * Builds the signature for a function-like declaration: everything before its body
+ */
+function functionHeader(node, sourceFile, start = node.getStart(sourceFile)) {
+  const text = sourceFile.text;
+  const end = node.body ? node.body.getStart(sourceFile) : node.end;
+  return text.slice(start, end).trim().replace(/;$/, "");
+}
+
+/**
+ * Describes a single variable declaration (`const foo = ...`)
+ */
+function describeVariable(decl, statement, sourceFile) {
+  const keyword = statement.declarationList.flags & ts.NodeFlags.Const ? "const"
+    : statement.declarationList.flags & ts.NodeFlags.Let ? "let" : "var";
+  const initializer = unwrapExpression(decl.initializer);
+  const isFunction = initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer));
+
+  let signature;
+  if (isFunction) {
+    signature = `${keyword} ${functionHeader(initializer, sourceFile, decl.getStart(sourceFile))}`;
+  } else if (decl.type) {
+    signature = `${keyword} ${decl.name.getText(sourceFile)}: ${decl.type.getText(sourceFile)}`;
+  } else if (decl.initializer) {
+    const value = decl.initializer.getText(sourceFile).replace(/\s+/g, " ");
+    signature = `${keyword} ${decl.name.getText(sourceFile)} = ${value.length > 120 ? value.slice(0, 120) + " …" : value}`;
+  } else {
+    signature = `${keyword} ${decl.name.getText(sourceFile)}`;
+  }
+
+  return {
+    kind: isFunction ? "function" : "variable",
+    signature,
+    typeParameters: isFunction ? getTypeParameters(initializer, sourceFile) : undefined,
+    jsDoc: getJsDoc(decl, sourceFile),
+    range: getRange(statement.declarationList.declarations.length === 1 ? statement : decl, sourceFile)
+  };
+}
+
+/**
+ * Describes a top-level declaration. Returns one entry per declared name
+ * (variable statements may declare several).
+ *
+ * @param {ts.Node} node - Top-level statement
+ * @param {ts.SourceFile} sourceFile - Parsed file
+ * @returns {Array<Object>} Entries with name, kind, signature, jsDoc, typeParameters, range and node
+ */
+function describeDeclaration(node, sourceFile) {
+  const base = { node, jsDoc: getJsDoc(node, sourceFile), range: getRange(node, sourceFile) };
+  const nameOf = () => node.name ? node.name.getText(sourceFile) : "default";
+
+  if (ts.isFunctionDeclaration(node)) {
+    return [{
+      ...base,
+      name: nameOf(),
+      kind: "function",
+      signature: stripExportKeywords(functionHeader(node, sourceFile)),
+      typeParameters: getTypeParameters(node, sourceFile)
+    }];
+  }
+  if (ts.isClassDeclaration(node)) {
+    const header = sourceFile.text.slice(node.getStart(sourceFile), node.members.pos).replace(/\{\s*$/, "").trim();
+    return [{
+      ...base,
+      name: nameOf(),
+      kind: "class",
+      signature: stripExportKeywords(header),
+      typeParameters: getTypeParameters(node, sourceFile)
+    }];
+  }
+  if (ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node) || ts.isEnumDeclaration(node)) {
+    const kind = ts.isInterfaceDeclaration(node) ? "interface" : ts.isTypeAliasDeclaration(node) ? "type" : "enum";
+    return [{
+      ...base,
+      name: nameOf(),
+      kind,
+      signature: stripExportKeywords(node.getText(sourceFile)),
+      typeParameters: getTypeParameters(node, sourceFile)
+    }];
+  }
+  if (ts.isModuleDeclaration(node)) {
+    return [{ ...base, name: nameOf(), kind: "namespace", signature: `namespace ${nameOf()}` }];
+  }
+  if (ts.isVariableStatement(node)) {
+    return node.declarationList.declarations
+      .filter(decl => ts.isIdentifier(decl.name))
+      .map(decl => ({ node, name: decl.name.text, ...describeVariable(decl, node, sourceFile) }));
+  }
+  return [];
+}
+
+/**
+ * Merges overload declarations of the same function into one entry.
+ * The overload signatures become `overloads`; the implementation signature is dropped.
+ */
+function mergeOverloads(entries) {
+  const merged = [];
+  const byName = new Map();
+
+  for (const entry of entries) {
+    const existing = byName.get(entry.name);
+    if (existing?.overloads && ts.isFunctionDeclaration(entry.node)) {
+      if (!entry.node.body) existing.overloads.push(entry.signature);
+      existing.range.endLine = Math.max(existing.range.endLine, entry.range.endLine);
+      existing.jsDoc = existing.jsDoc || entry.jsDoc;
+      continue;
+    }
+
+    const copy = { ...entry, range: { ...entry.range } };
+    if (entry.kind === "function" && ts.isFunctionDeclaration(entry.node)) {
+      copy.overloads = entry.node.body ? [] : [entry.signature];
+    }
+    byName.set(entry.name, copy);
+    merged.push(copy);
+  }
+
+  for (const entry of merged) {
+    if (entry.overloads && entry.overloads.length > 1) entry.signature = entry.overloads[0];
+    else delete entry.overloads;
+  }
+  return merged;
+}
+
+/**
+ * Converts an internal entry to the stored JSON shape, omitting empty fields
+ */
+function toExportRecord(entry, filePath, extra = {}) {
+  const record = {
+    name: extra.name || entry.name,
+    file: filePath,
+    kind: entry.kind,
+    signature: capSignature(entry.signature)
+  };
+  if (extra.localName && extra.localName !== record.name) record.localName = extra.localName;
+  if (extra.isDefault) record.isDefault = true;
+  if (entry.typeParameters) record.typeParameters = entry.typeParameters;
+  if (entry.overloads) record.overloads = entry.overloads.map(capSignature);
+  if (entry.jsDoc) record.jsDoc = entry.jsDoc;
+  record.range = entry.range;
+  return record;
+}
+
+/**
+ * Parses a source file (with parent pointers), picking the script kind from its extension
+ *
+ * @param {string} content - Source code
+ * @param {string} filePath - Path used to pick TS/TSX/JS/JSX parsing
+ * @returns {ts.SourceFile}
+ */
+export function parseSource(content, filePath) {
+  const scriptKind = /\.tsx$/.test(filePath) ? ts.ScriptKind.TSX
+    : /\.jsx$/.test(filePath) ? ts.ScriptKind.JSX
+    : /\.js$/.test(filePath) ? ts.ScriptKind.JS
+    : ts.ScriptKind.TS;
+  return ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind);
+}
+
+/**
+ * Extracts exported symbols and re-exports from a TypeScript/JavaScript file
+ *
+ * @param {string} content - Source code
+ * @param {string} filePath - Path relative to the SDK repository root
+ * @returns {Object} `{ functions, classes, types, interfaces, constants, reexports }`
+ */
+export function extractExports(content, filePath) {
+  const sourceFile = parseSource(content, filePath);
+
+  const result = Object.fromEntries(EXPORT_CATEGORIES.map(category => [category, []]));
+  result.reexports = [];
+
+  // Every top-level declaration by local name, and every import by local name
+  const locals = new Map();
+  const imports = new Map();
+  const exported = [];
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isImportDeclaration(statement) && statement.importClause && ts.isStringLiteral(statement.moduleSpecifier)) {
+      const from = statement.moduleSpecifier.text;
+      const clause = statement.importClause;
+      if (clause.name) imports.set(clause.name.text, { from, name: "default" });
+      if (clause.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+        for (const element of clause.namedBindings.elements) {
+          imports.set(element.name.text, { from, name: (element.propertyName || element.name).text });
+        }
+      }
+      continue;
+    }
+
+    const entries = describeDeclaration(statement, sourceFile);
+    for (const entry of entries) {
+      if (!locals.has(entry.name)) locals.set(entry.name, []);
+      locals.get(entry.name).push(entry);
+    }
+
+    if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+      const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+      for (const entry of entries) exported.push({ entry, isDefault });
+    }
+  }
+
+  const addRecord = (entry, extra = {}) => {
+    result[CATEGORY_BY_KIND[entry.kind]].push(toExportRecord(entry, filePath, extra));
+  };
+
+  // Directly exported declarations (overloads merged per name)
+  const direct = mergeOverloads(exported.map(({ entry }) => entry));
+  const defaultNames = new Set(exported.filter(e => e.isDefault).map(e => e.entry.name));
+  for (const entry of direct) addRecord(entry, { isDefault: defaultNames.has(entry.name) });
+
+  const directNames = new Set(direct.map(entry => entry.name));
+
+  for (const statement of sourceFile.statements) {
+    // export * from './x', export { a as b } from './x', export { a as b }
+    if (ts.isExportDeclaration(statement)) {
+      const from = statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)
+        ? statement.moduleSpecifier.text
+        : null;
+      const clause = statement.exportClause;
+
+      if (from && !clause) {
+        result.reexports.push({ file: filePath, from, names: null, isTypeOnly: statement.isTypeOnly });
+        continue;
+      }
+      if (from && ts.isNamespaceExport(clause)) {
+        result.reexports.push({ file: filePath, from, names: [{ name: "*", exportedAs: clause.name.text }], isTypeOnly: statement.isTypeOnly });
+        continue;
+      }
+      if (!clause || !ts.isNamedExports(clause)) continue;
+
+      const forwarded = [];
+      for (const element of clause.elements) {
+        const localName = (element.propertyName || element.name).text;
+        const exportedAs = element.name.text;
+
+        if (from) {
+          forwarded.push({ name: localName, exportedAs });
+        } else if (locals.has(localName)) {
+          for (const entry of mergeOverloads(locals.get(localName))) {
+            addRecord(entry, { name: exportedAs, localName });
+          }
+        } else if (imports.has(localName)) {
+          const imported = imports.get(localName);
+          result.reexports.push({ file: filePath, from: imported.from, names: [{ name: imported.name, exportedAs }], isTypeOnly: statement.isTypeOnly });
+        }
+      }
+      if (forwarded.length > 0) {
+        result.reexports.push({ file: filePath, from, names: forwarded, isTypeOnly: statement.isTypeOnly });
+      }
+      continue;
+    }
+
+    // export default <expression>
+    if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      const expr = unwrapExpression(statement.expression);
+      const localName = ts.isIdentifier(expr) ? expr.text : null;
+
+      if (localName && directNames.has(localName)) {
+        const records = Object.values(result).flat().filter(r => r.file === filePath && r.name === localName);
+        records.forEach(record => { record.isDefault = true; });
+      } else if (localName && locals.has(localName)) {
+        for (const entry of mergeOverloads(locals.get(localName))) addRecord(entry, { isDefault: true });
+      } else if (localName && imports.has(localName)) {
+        const imported = imports.get(localName);
+        result.reexports.push({ file: filePath, from: imported.from, names: [{ name: imported.name, exportedAs: "default" }], isTypeOnly: false });
+      } else {
+        addRecord({
+          name: "default",
+          kind: "variable",
+          signature: `default ${statement.expression.getText(sourceFile).replace(/\s+/g, " ").slice(0, 120)}`,
+          jsDoc: getJsDoc(statement, sourceFile),
+          range: getRange(statement, sourceFile)
+        }, { isDefault: true });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns the member visibility implied by modifiers or a `#private` name
+ */
+function memberVisibility(node) {
+  if (node.name && ts.isPrivateIdentifier(node.name)) return "private";
+  if (hasModifier(node, ts.SyntaxKind.PrivateKeyword)) return "private";
+  if (hasModifier(node, ts.SyntaxKind.ProtectedKeyword)) return "protected";
+  return "public";
+}
+
+/**
+ * Describes the parameters of a function-like declaration
+ */
+function describeParameters(node, sourceFile) {
+  return node.parameters.map(param => {
+    const described = {
+      name: param.name.getText(sourceFile),
+      type: param.type ? param.type.getText(sourceFile) : undefined
+    };
+    if (param.questionToken) described.optional = true;
+    if (param.dotDotDotToken) described.rest = true;
+    if (param.initializer) described.defaultValue = param.initializer.getText(sourceFile);
+    return described;
+  });
+}
+
+/**
+ * Describes a single class element, or returns null for elements that are not members
+ * (e.g. semicolons and static blocks)
+ */
+function describeClassMember(member, sourceFile) {
+  const kind = ts.isConstructorDeclaration(member) ? "constructor"
+    : ts.isMethodDeclaration(member) ? "method"
+    : ts.isGetAccessorDeclaration(member) ? "getter"
+    : ts.isSetAccessorDeclaration(member) ? "setter"
+    : ts.isPropertyDeclaration(member) ? "property"
+    : ts.isIndexSignatureDeclaration(member) ? "index"
+    : null;
+  if (!kind) return null;
+
+  const described = {
+    name: kind === "constructor" ? "constructor"
+      : kind === "index" ? `[${member.parameters.map(p => p.getText(sourceFile)).join(", ")}]`
+      : member.name.getText(sourceFile),
+    kind,
+    visibility: memberVisibility(member),
+    static: hasModifier(member, ts.SyntaxKind.StaticKeyword),
+    async: hasModifier(member, ts.SyntaxKind.AsyncKeyword),
+    abstract: hasModifier(member, ts.SyntaxKind.AbstractKeyword),
+    readonly: hasModifier(member, ts.SyntaxKind.ReadonlyKeyword)
+  };
+  if (member.questionToken) described.optional = true;
+
+  if (kind === "property") {
+    const initializer = unwrapExpression(member.initializer);
+    if (initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer))) {
+      // Arrow-function properties behave like methods for callers
+      described.async = hasModifier(initializer, ts.SyntaxKind.AsyncKeyword);
+      described.parameters = describeParameters(initializer, sourceFile);
+      described.returnType = initializer.type?.getText(sourceFile);
+    }
+    described.type = member.type?.getText(sourceFile);
+
+    const start = member.getStart(sourceFile);
+    if (described.parameters) {
+      described.signature = sourceFile.text.slice(start, initializer.body.getStart(sourceFile)).trim();
+    } else if (member.initializer) {
+      const head = sourceFile.text.slice(start, member.initializer.getStart(sourceFile)).replace(/\s*=\s*$/, "");
+      const value = member.initializer.getText(sourceFile).replace(/\s+/g, " ");
+      described.signature = `${head} = ${value.length > 120 ? value.slice(0, 120) + " …" : value}`;
+    } else {
+      described.signature = member.getText(sourceFile).replace(/;$/, "");
+    }
+    described.signature = capSignature(described.signature);
+  } else if (kind === "index") {
+    described.type = member.type?.getText(sourceFile);
+    described.signature = member.getText(sourceFile).replace(/;$/, "");
+  } else {
+    described.parameters = describeParameters(member, sourceFile);
+    if (kind !== "constructor") described.returnType = member.type?.getText(sourceFile);
+    described.signature = capSignature(functionHeader(member, sourceFile));
+  }
+
+  described.typeParameters = getTypeParameters(member, sourceFile);
+  described.jsDoc = getJsDoc(member, sourceFile);
+  described.range = getRange(member, sourceFile);
+  return described;
+}
+
+/**
+ * Describes the members of a class declared in a file: constructor, methods,
+ * accessors, properties (including constructor parameter properties) and
+ * index signatures, each with visibility, static/async/abstract flags,
+ * parameters, return type and JSDoc. Inherited members are not included;
+ * `extends` names the base class so callers can follow it.
+ *
+ * @param {string} content - Source code
+ * @param {string} filePath - Path relative to the SDK repository root
+ * @param {string} className - Local name of the class
+ * @returns {Object|null} `{ name, signature, extends, implements, typeParameters, jsDoc, range, members }`,
+ *   or null if the file declares no such class
+ */
+export function extractClassMembers(content, filePath, className) {
+  const sourceFile = parseSource(content, filePath);
+  const node = sourceFile.statements.find(statement =>
+    ts.isClassDeclaration(statement) && (statement.name?.text || "default") === className);
+  if (!node) return null;
+
+  const heritage = kind => (node.heritageClauses || [])
+    .filter(clause => clause.token === kind)
+    .flatMap(clause => clause.types.map(type => type.getText(sourceFile)));
+
+  const members = [];
+  for (const member of node.members) {
+    const described = describeClassMember(member, sourceFile);
+    if (!described) continue;
+    members.push(described);
+
+    // constructor(private readonly foo: Foo) also declares a property
+    if (described.kind === "constructor") {
+      for (const param of member.parameters.filter(p => ts.isParameterPropertyDeclaration(p, member))) {
+        members.push({
+          name: param.name.getText(sourceFile),
+          kind: "property",
+          visibility: memberVisibility(param),
+          static: false,
+          async: false,
+          abstract: false,
+          readonly: hasModifier(param, ts.SyntaxKind.ReadonlyKeyword),
+          type: param.type?.getText(sourceFile),
+          signature: param.getText(sourceFile),
+          range: getRange(param, sourceFile)
+        });
+      }
+    }
+  }
+
+  const [base] = heritage(ts.SyntaxKind.ExtendsKeyword);
+  return {
+    name: className,
+    signature: describeDeclaration(node, sourceFile)[0].signature,
+    extends: base || null,
+    implements: heritage(ts.SyntaxKind.ImplementsKeyword),
+    typeParameters: getTypeParameters(node, sourceFile),
+    jsDoc: getJsDoc(node, sourceFile),
+    range: getRange(node, sourceFile),
+    members
+  };
+}
+
+/**
+ * Returns type text with comments removed and whitespace collapsed, so
+ * formatting-only edits compare equal
+ */
+function normalizeTypeText(text) {
+  return (text || "")
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\/\/[^\n]*/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([;,])\s*(?=[}\]>)])/g, "")
+    .trim();
+}
+
+/**
+ * Describes the members of an interface or object type literal, keyed by name
+ */
+function describeTypeMembers(members, sourceFile) {
+  const described = {};
+  for (const member of members) {
+    if (ts.isCallSignatureDeclaration(member) || ts.isConstructSignatureDeclaration(member)) {
+      described[ts.isCallSignatureDeclaration(member) ? "()" : "new()"] = { optional: false, type: normalizeTypeText(member.getText(sourceFile)) };
+    } else if (ts.isIndexSignatureDeclaration(member)) {
+      described[`[${member.parameters.map(p => normalizeTypeText(p.getText(sourceFile))).join(", ")}]`] = {
+        optional: false,
+        type: normalizeTypeText(member.type?.getText(sourceFile))
+      };
+    } else if (member.name) {
+      const type = ts.isMethodSignature(member)
+        ? normalizeTypeText(member.getText(sourceFile).slice(member.name.end - member.getStart(sourceFile)).replace(/^\?/, ""))
+        : normalizeTypeText(member.type?.getText(sourceFile) || "any");
+      described[member.name.getText(sourceFile)] = { optional: Boolean(member.questionToken), type };
+    }
+  }
+  return described;
+}
+
+/**
+ * Describes a function-like node's call signature (parameters and return type)
+ */
+function describeCallSignature(node, sourceFile) {
+  return {
+    parameters: describeParameters(node, sourceFile).map(param => ({ ...param, type: param.type && normalizeTypeText(param.type) })),
+    returnType: node.type ? normalizeTypeText(node.type.getText(sourceFile)) : undefined
+  };
+}
+
+/**
+ * Describes the structure of a top-level declaration for API comparison:
+ * call signatures of functions, members of interfaces, object types and
+ * enums, union members, and the non-private members of classes. Type text is
+ * normalized (comments and formatting removed).
+ *
+ * @param {string} content - Source code
+ * @param {string} filePath - Path relative to the SDK repository root
+ * @param {string} name - Local name of the declaration
+ * @returns {Object|null} `{ kind, signatures | members | union | text }`, or null if not declared in the file
+ */
+export function extractDeclarationShape(content, filePath, name) {
+  const sourceFile = parseSource(content, filePath);
+  const entries = sourceFile.statements.flatMap(statement => describeDeclaration(statement, sourceFile))
+    .filter(entry => entry.name === name);
+  if (entries.length === 0) return null;
+
+  const { node, kind } = entries[0];
+
+  if (kind === "function") {
+    const declarations = ts.isFunctionDeclaration(node)
+      ? entries.map(entry => entry.node).filter(ts.isFunctionDeclaration)
+      : [unwrapExpression(node.declarationList.declarations.find(decl => decl.name.getText(sourceFile) === name).initializer)];
+    // Overload signatures describe the callable API; the implementation signature is hidden
+    const overloads = declarations.filter(decl => !decl.body);
+    return { kind, signatures: (overloads.length > 0 ? overloads : declarations).map(decl => describeCallSignature(decl, sourceFile)) };
+  }
+
+  if (kind === "class") {
+    const described = extractClassMembers(content, filePath, name);
+    const members = {};
+    for (const member of described.members.filter(m => m.visibility !== "private")) {
+      const key = `${member.static ? "static " : ""}${member.kind === "setter" ? "set " : member.kind === "getter" ? "get " : ""}${member.name}`;
+      // Property values are implementation details; their declared types are the API
+      const text = member.kind === "property" && !member.parameters ? member.type || member.signature : member.signature;
+      members[key] = { optional: Boolean(member.optional), abstract: member.abstract, type: normalizeTypeText(text).replace(/\bpublic\s+/g, "") };
+    }
+    return { kind, extends: described.extends, members };
+  }
+
+  if (kind === "interface") {
+    const heritage = (node.heritageClauses || []).flatMap(clause => clause.types.map(type => normalizeTypeText(type.getText(sourceFile))));
+    return { kind, extends: heritage, members: describeTypeMembers(node.members, sourceFile) };
+  }
+
+  if (kind === "enum") {
+    return {
+      kind,
+      members: Object.fromEntries(node.members.map(member => [
+        member.name.getText(sourceFile),
+        { optional: false, type: normalizeTypeText(member.initializer?.getText(sourceFile) || "") }
+      ]))
+    };
+  }
+
+  if (kind === "type") {
+    if (ts.isTypeLiteralNode(node.type)) return { kind, members: describeTypeMembers(node.type.members, sourceFile) };
+    if (ts.isUnionTypeNode(node.type)) return { kind, union: node.type.types.map(type => normalizeTypeText(type.getText(sourceFile))) };
+    return { kind, text: normalizeTypeText(node.type.getText(sourceFile)) };
+  }
+
+  if (kind === "variable") {
+    const decl = node.declarationList.declarations.find(d => d.name.getText(sourceFile) === name);
+    return { kind, type: decl.type ? normalizeTypeText(decl.type.getText(sourceFile)) : undefined, text: normalizeTypeText(decl.initializer?.getText(sourceFile)) };
+  }
+
+  return { kind, text: normalizeTypeText(node.getText(sourceFile)) };
+}